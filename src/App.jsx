@@ -5,11 +5,23 @@ import AnalysisDisplay from './components/AnalysisDisplay';
 import MetricsPanel from './components/MetricsPanel';
 import ModelSelector from './components/ModelSelector';
 import LoadingSpinner from './components/LoadingSpinner';
+import AnalysisLibrary from './components/AnalysisLibrary';
+import ReportGenerator from './components/ReportGenerator';
+import CorpusView from './components/CorpusView';
+import ComparisonView from './components/ComparisonView';
+import StylometryView from './components/StylometryView';
 import { useModelLoader } from './hooks/useModelLoader';
 import { useTextAnalysis } from './hooks/useTextAnalysis';
+import { useAnalysisLibrary } from './hooks/useAnalysisLibrary';
+import { useCorpusAnalysis } from './hooks/useCorpusAnalysis';
+import { useTextComparison } from './hooks/useTextComparison';
+import { useStylometry } from './hooks/useStylometry';
+import { isCancellationError } from './utils/errors';
 
 function App() {
-  const [activeTab, setActiveTab] = useState('input'); // 'input', 'analysis', 'metrics', 'models'
+  const [activeTab, setActiveTab] = useState('input'); // 'input', 'analysis', 'metrics', 'library', 'corpus', 'compare', 'stylometry', 'models'
+  const [resultDetails, setResultDetails] = useState({}); // Titel/Autor des angezeigten Ergebnisses
+  const [savedResult, setSavedResult] = useState(null); // Zuletzt in der Bibliothek gespeichertes Ergebnis
 
   // Model Loading
   const {
@@ -32,10 +44,82 @@ function App() {
     result: analysisResult,
     error: analysisError,
     analyze,
+    cancelAnalysis,
     clearResult,
+    loadResult,
+    exportResultAsCoNLLU,
+    importCoNLLU,
+    exportResultAsTEI,
+    importTEI,
     clearError
   } = useTextAnalysis();
 
+  // Lokale Bibliothek (IndexedDB)
+  const {
+    filteredEntries: libraryEntries,
+    searchQuery: librarySearch,
+    setSearchQuery: setLibrarySearch,
+    isLoading: libraryLoading,
+    error: libraryError,
+    saveAnalysis,
+    openEntry,
+    updateEntry,
+    deleteEntries,
+    exportEntries,
+    clearError: clearLibraryError
+  } = useAnalysisLibrary();
+
+  // Korpus-Modus
+  const {
+    documents: corpusDocuments,
+    isAnalyzing: corpusAnalyzing,
+    progress: corpusProgress,
+    message: corpusMessage,
+    statistics: corpusStatistics,
+    error: corpusError,
+    sortedRows: corpusRows,
+    sortConfig: corpusSort,
+    addPastedText: addCorpusText,
+    addFiles: addCorpusFiles,
+    removeDocument: removeCorpusDocument,
+    clearCorpus,
+    analyzeAll: analyzeCorpus,
+    cancelAnalysis: cancelCorpusAnalysis,
+    sortBy: sortCorpusBy,
+    getResult: getCorpusResult,
+    clearError: clearCorpusError
+  } = useCorpusAnalysis();
+
+  // Textvergleich
+  const {
+    isComparing,
+    progress: comparisonProgress,
+    message: comparisonMessage,
+    comparison,
+    error: comparisonError,
+    selectedPair,
+    compareMany,
+    cancelComparison,
+    selectPair,
+    clearError: clearComparisonError
+  } = useTextComparison();
+
+  // Autorschaftszuschreibung
+  const {
+    references: stylometryReferences,
+    unknownText: stylometryText,
+    settings: stylometrySettings,
+    result: stylometryResult,
+    error: stylometryError,
+    setUnknownText: setStylometryText,
+    addReference,
+    addReferenceFiles,
+    removeReference,
+    updateSettings: updateStylometrySettings,
+    runAttribution,
+    clearError: clearStylometryError
+  } = useStylometry();
+
   // Automatisch zu Analysis wechseln wenn Analyse fertig
   useEffect(() => {
     if (analysisResult && !isAnalyzing) {
@@ -43,15 +127,86 @@ function App() {
     }
   }, [analysisResult, isAnalyzing]);
 
-  const handleAnalyze = async (text) => {
+  const handleAnalyze = async (text, details = {}) => {
     try {
       clearError();
       await analyze(text);
+      setResultDetails(details);
     } catch (error) {
-      console.error('Analyse Fehler:', error);
+      // Abbruch durch den Nutzer ist kein Fehler
+      if (!isCancellationError(error)) {
+        console.error('Analyse Fehler:', error);
+      }
     }
   };
 
+  const handleOpenEntry = async (id) => {
+    const entry = await openEntry(id);
+    if (entry?.result) {
+      loadResult(entry.result);
+      setSavedResult(entry.result);
+      setResultDetails({ title: entry.title, author: entry.author });
+      setActiveTab('analysis');
+    }
+  };
+
+  const handleImportCoNLLU = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    clearError();
+    const result = await importCoNLLU(file);
+    if (result) {
+      setResultDetails({ title: file.name });
+      setActiveTab('analysis');
+    }
+  };
+
+  const handleImportTEI = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      clearError();
+      const imported = await importTEI(file);
+      if (!imported) return;
+
+      const details = { title: imported.poem.title, author: imported.poem.author };
+      setResultDetails(details);
+    } catch (error) {
+      if (!isCancellationError(error)) {
+        console.error('TEI Analyse Fehler:', error);
+      }
+    }
+  };
+
+  const handleOpenCorpusResult = (id) => {
+    const result = getCorpusResult(id);
+    if (result) {
+      loadResult(result);
+      setResultDetails({ title: corpusRows.find(row => row.id === id)?.title });
+      setActiveTab('analysis');
+    }
+  };
+
+  const handleClearErrors = () => {
+    clearError();
+    clearLibraryError();
+    clearCorpusError();
+    clearComparisonError();
+    clearStylometryError();
+  };
+
+  // Speichern in der Bibliothek nur auf Wunsch (Ergebnisse samt Embeddings sind groß)
+  const handleSaveToLibrary = async () => {
+    const entry = await saveAnalysis(analysisResult, resultDetails);
+    if (entry) setSavedResult(analysisResult);
+  };
+
+  const isResultSaved = Boolean(analysisResult) && savedResult === analysisResult;
+
   const handleNewAnalysis = () => {
     clearResult();
     setActiveTab('input');
@@ -134,6 +289,46 @@ function App() {
             >
               Metriken
             </button>
+            <button
+              onClick={() => setActiveTab('library')}
+              className={`py-4 px-1 border-b-2 font-medium text-sm transition-colors ${
+                activeTab === 'library'
+                  ? 'border-blue-600 text-blue-600'
+                  : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+              }`}
+            >
+              Bibliothek
+            </button>
+            <button
+              onClick={() => setActiveTab('corpus')}
+              className={`py-4 px-1 border-b-2 font-medium text-sm transition-colors ${
+                activeTab === 'corpus'
+                  ? 'border-blue-600 text-blue-600'
+                  : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+              }`}
+            >
+              Korpus
+            </button>
+            <button
+              onClick={() => setActiveTab('compare')}
+              className={`py-4 px-1 border-b-2 font-medium text-sm transition-colors ${
+                activeTab === 'compare'
+                  ? 'border-blue-600 text-blue-600'
+                  : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+              }`}
+            >
+              Vergleich
+            </button>
+            <button
+              onClick={() => setActiveTab('stylometry')}
+              className={`py-4 px-1 border-b-2 font-medium text-sm transition-colors ${
+                activeTab === 'stylometry'
+                  ? 'border-blue-600 text-blue-600'
+                  : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+              }`}
+            >
+              Autorschaft
+            </button>
             <button
               onClick={() => setActiveTab('models')}
               className={`py-4 px-1 border-b-2 font-medium text-sm transition-colors ${
@@ -151,17 +346,17 @@ function App() {
       {/* Main Content */}
       <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
         {/* Error Messages */}
-        {(modelError || analysisError) && (
+        {(modelError || analysisError || libraryError || corpusError || comparisonError || stylometryError) && (
           <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg flex items-start space-x-3">
             <AlertCircle className="w-5 h-5 text-red-600 flex-shrink-0 mt-0.5" />
             <div className="flex-1">
               <h4 className="font-medium text-red-900">Fehler</h4>
               <p className="text-sm text-red-700 mt-1">
-                {modelError || analysisError}
+                {modelError || analysisError || libraryError || corpusError || comparisonError || stylometryError}
               </p>
             </div>
             <button
-              onClick={clearError}
+              onClick={handleClearErrors}
               className="text-red-600 hover:text-red-800"
             >
               ×
@@ -176,6 +371,29 @@ function App() {
               progress={modelsLoading ? modelProgress : analysisProgress}
               message={modelsLoading ? `Lade ${currentModel}...` : analysisMessage}
               showProgress={true}
+              onCancel={!modelsLoading ? cancelAnalysis : null}
+            />
+          </div>
+        )}
+
+        {corpusAnalyzing && !modelsLoading && (
+          <div className="mb-6">
+            <LoadingSpinner
+              progress={corpusProgress}
+              message={corpusMessage}
+              showProgress={true}
+              onCancel={cancelCorpusAnalysis}
+            />
+          </div>
+        )}
+
+        {isComparing && !modelsLoading && (
+          <div className="mb-6">
+            <LoadingSpinner
+              progress={comparisonProgress}
+              message={comparisonMessage}
+              showProgress={true}
+              onCancel={cancelComparison}
             />
           </div>
         )}
@@ -189,6 +407,33 @@ function App() {
                   onAnalyze={handleAnalyze}
                   isAnalyzing={isAnalyzing}
                 />
+
+                {/* Import annotierter Texte */}
+                <div className="mt-4 text-sm text-gray-600 flex items-center justify-between">
+                  <span>Datei importieren (TEI wird analysiert, CoNLL-U direkt angezeigt):</span>
+                  <div className="flex space-x-2">
+                    <label className="py-1 px-3 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors cursor-pointer text-gray-700">
+                      TEI importieren
+                      <input
+                        type="file"
+                        accept=".xml,.tei"
+                        onChange={handleImportTEI}
+                        disabled={isAnalyzing}
+                        className="hidden"
+                      />
+                    </label>
+                    <label className="py-1 px-3 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors cursor-pointer text-gray-700">
+                      CoNLL-U importieren
+                      <input
+                        type="file"
+                        accept=".conllu,.conll,.txt"
+                        onChange={handleImportCoNLLU}
+                        disabled={isAnalyzing}
+                        className="hidden"
+                      />
+                    </label>
+                  </div>
+                </div>
                 
                 {analysisResult && (
                   <div className="mt-6">
@@ -220,6 +465,8 @@ function App() {
                 <AnalysisDisplay
                   analysisResult={analysisResult}
                   onWordClick={(token) => console.log('Word clicked:', token)}
+                  onExportCoNLLU={exportResultAsCoNLLU}
+                  onExportTEI={() => exportResultAsTEI(resultDetails)}
                 />
               </div>
 
@@ -231,6 +478,13 @@ function App() {
                   >
                     Neue Analyse
                   </button>
+                  <button
+                    onClick={handleSaveToLibrary}
+                    disabled={isResultSaved}
+                    className="w-full mb-4 py-2 px-4 border border-blue-600 text-blue-600 rounded-lg hover:bg-blue-50 transition-colors text-sm font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    {isResultSaved ? 'In Bibliothek gespeichert' : 'In Bibliothek speichern'}
+                  </button>
 
                   {/* Quick Stats Sidebar */}
                   <div className="analysis-card">
@@ -256,6 +510,13 @@ function App() {
                       </div>
                     </div>
                   </div>
+
+                  <div className="mt-4">
+                    <ReportGenerator
+                      analysisResult={analysisResult}
+                      details={resultDetails}
+                    />
+                  </div>
                 </div>
               </div>
             </div>
@@ -277,6 +538,100 @@ function App() {
             </div>
           )}
 
+          {activeTab === 'library' && (
+            <div className="max-w-4xl mx-auto">
+              <div className="mb-6">
+                <h2 className="text-2xl font-bold mb-2">Analyse-Bibliothek</h2>
+                <p className="text-gray-600">
+                  Gespeicherte Analysen durchsuchen, erneut öffnen, bearbeiten oder exportieren.
+                </p>
+              </div>
+
+              <AnalysisLibrary
+                entries={libraryEntries}
+                searchQuery={librarySearch}
+                onSearchChange={setLibrarySearch}
+                onOpen={handleOpenEntry}
+                onUpdate={updateEntry}
+                onDelete={deleteEntries}
+                onExport={exportEntries}
+                isLoading={libraryLoading}
+              />
+            </div>
+          )}
+
+          {activeTab === 'corpus' && (
+            <div className="max-w-6xl mx-auto">
+              <div className="mb-6">
+                <h2 className="text-2xl font-bold mb-2">Korpus-Analyse</h2>
+                <p className="text-gray-600">
+                  Mehrere Gedichte nacheinander analysieren und Metren, Reime, Lesbarkeit,
+                  Stimmung und Wortschatz über das gesamte Korpus vergleichen.
+                </p>
+              </div>
+
+              <CorpusView
+                documents={corpusDocuments}
+                statistics={corpusStatistics}
+                rows={corpusRows}
+                sortConfig={corpusSort}
+                isAnalyzing={corpusAnalyzing}
+                onAddText={addCorpusText}
+                onAddFiles={addCorpusFiles}
+                onRemoveDocument={removeCorpusDocument}
+                onClear={clearCorpus}
+                onAnalyze={analyzeCorpus}
+                onSort={sortCorpusBy}
+                onOpenResult={handleOpenCorpusResult}
+              />
+            </div>
+          )}
+
+          {activeTab === 'compare' && (
+            <div className="max-w-6xl mx-auto">
+              <div className="mb-6">
+                <h2 className="text-2xl font-bold mb-2">Textvergleich</h2>
+                <p className="text-gray-600">
+                  Mehrere Texte paarweise nach Semantik, Stil, Reim und Metrum sowie
+                  Stimmungsverlauf vergleichen. Eine Zelle der Heatmap zeigt die Details des Paares.
+                </p>
+              </div>
+
+              <ComparisonView
+                comparison={comparison}
+                selectedPair={selectedPair}
+                isComparing={isComparing}
+                onCompare={compareMany}
+                onSelectPair={selectPair}
+              />
+            </div>
+          )}
+
+          {activeTab === 'stylometry' && (
+            <div className="max-w-6xl mx-auto">
+              <div className="mb-6">
+                <h2 className="text-2xl font-bold mb-2">Autorschaftszuschreibung</h2>
+                <p className="text-gray-600">
+                  Referenzgedichte bekannter Autoren sammeln und einen anonymen Text über die
+                  Häufigkeit der häufigsten Wörter (Burrows', Cosine und Eder's Delta) zuordnen.
+                </p>
+              </div>
+
+              <StylometryView
+                references={stylometryReferences}
+                unknownText={stylometryText}
+                settings={stylometrySettings}
+                result={stylometryResult}
+                onUnknownTextChange={setStylometryText}
+                onAddReference={addReference}
+                onAddReferenceFiles={addReferenceFiles}
+                onRemoveReference={removeReference}
+                onSettingsChange={updateStylometrySettings}
+                onRun={runAttribution}
+              />
+            </div>
+          )}
+
           {activeTab === 'models' && (
             <div className="max-w-4xl mx-auto">
               <div className="mb-6">
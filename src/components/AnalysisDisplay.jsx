@@ -1,27 +1,120 @@
-import React, { useState } from 'react';
+import React, { useState, useMemo, useRef } from 'react';
 import { Eye, Download, Filter } from 'lucide-react';
 import WordHighlight from './WordHighlight';
+import SentimentArcChart from './SentimentArcChart';
+import LineBreakSummary from './LineBreakSummary';
+import { buildSentimentArc } from '../services/sentimentArc';
+import { detectVerses } from '../utils/textPreprocessing';
+import { EMOTIONS, SOUND_PATTERNS, MORPHOLOGICAL_FEATURES, ENTITY_LABELS } from '../utils/constants';
 
 /**
  * Analysis Display Component - Hauptansicht für die Analyse
  */
-const AnalysisDisplay = ({ analysisResult, onWordClick }) => {
+const AnalysisDisplay = ({ analysisResult, onWordClick, onExportCoNLLU, onExportTEI }) => {
   const [highlightMode, setHighlightMode] = useState('sentiment');
   const [selectedWord, setSelectedWord] = useState(null);
+  const [selectedVerse, setSelectedVerse] = useState(null);
+  const verseRefs = useRef({});
+
+  const arc = useMemo(() => buildSentimentArc(analysisResult), [analysisResult]);
+  const verses = useMemo(
+    () => detectVerses(analysisResult?.text?.normalized || ''),
+    [analysisResult]
+  );
+  const entityCounts = useMemo(() => (analysisResult?.tokens?.entities || []).reduce((counts, span) => ({
+    ...counts,
+    [span.type]: (counts[span.type] || 0) + 1
+  }), {}), [analysisResult]);
 
   if (!analysisResult) return null;
 
-  const { tokens, sentiment, text } = analysisResult;
+  const { tokens, sentiment, emotions, sound, text } = analysisResult;
+  const lineBreaks = analysisResult.syntax?.lineBreaks || null;
+  const caesuras = new Map((lineBreaks?.caesuras || []).map(c => [c.afterPosition, c]));
 
-  // Kombiniere Token mit Sentiment-Daten
+  // Kombiniere Token mit Sentiment-, Emotions- und Klang-Daten
   const enrichedTokens = tokens.all.map(token => {
     const wordSentiment = sentiment?.words?.find(s => s.position === token.position);
+    const wordEmotion = emotions?.words?.find(e => e.position === token.position);
+    const wordSound = sound?.words?.find(w => w.position === token.position);
     return {
       ...token,
-      sentiment: wordSentiment?.sentiment || null
+      sentiment: wordSentiment?.sentiment || null,
+      emotion: wordEmotion || null,
+      sound: wordSound
+        ? { ...wordSound, matches: wordSound.patterns.map(id => sound.patterns[id]) }
+        : null
     };
   });
 
+  // Tokens nach Versen gruppieren (Zeichen-Offsets aus detectVerses)
+  const verseTokens = verses.map(verse => ({
+    verse,
+    tokens: enrichedTokens.filter(t => t.index >= verse.start && t.index < verse.end)
+  }));
+
+  const handleSelectVerse = (verseIndex) => {
+    setSelectedVerse(verseIndex);
+    verseRefs.current[verseIndex]?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  };
+
+  const renderToken = (token, index) => (
+    <React.Fragment key={index}>
+      <WordHighlight
+        token={token}
+        sentiment={token.sentiment}
+        emotion={token.emotion}
+        sound={token.sound}
+        onClick={handleWordClick}
+        highlightMode={highlightMode}
+        selected={selectedWord?.position === token.position}
+      />
+      {token.text === '\n' && <br />}
+    </React.Fragment>
+  );
+
+  // Zäsur-Markierung vor dem ersten Wort nach dem Einschnitt (hinter dessen Satzzeichen)
+  const renderVerseTokens = (lineTokens) => {
+    let pendingCaesura = null;
+    return lineTokens.map(token => {
+      const marker = pendingCaesura && !token.isPunctuation ? pendingCaesura : null;
+      if (marker) pendingCaesura = null;
+      if (!token.isPunctuation && caesuras.has(token.position)) pendingCaesura = caesuras.get(token.position);
+
+      return (
+        <React.Fragment key={token.position}>
+          {marker && (
+            <span
+              className="mx-1 text-violet-500 font-semibold select-none"
+              title={`Zäsur (${marker.source}${marker.meter ? `, ${marker.meter}` : ''}) nach Silbe ${marker.syllable}`}
+            >
+              ‖
+            </span>
+          )}
+          {renderToken(token, token.position)}
+        </React.Fragment>
+      );
+    });
+  };
+
+  const renderLineEnd = (verseIndex) => {
+    const lineEnd = lineBreaks?.lineEnds[verseIndex];
+    if (!lineEnd || lineEnd.type === 'zeilenstil') return null;
+
+    const color = lineEnd.type === 'strophensprung'
+      ? 'text-purple-600'
+      : lineEnd.strength === 'hart' ? 'text-red-500' : 'text-amber-500';
+
+    return (
+      <span
+        className={`ml-2 text-sm select-none ${color}`}
+        title={`${lineEnd.label} (${lineEnd.strength}): „${lineEnd.lastWord} / ${lineEnd.nextWord}“`}
+      >
+        {lineEnd.type === 'strophensprung' ? '⤵' : '↩'}
+      </span>
+    );
+  };
+
   const handleWordClick = (token) => {
     setSelectedWord(token);
     if (onWordClick) {
@@ -60,13 +153,33 @@ const AnalysisDisplay = ({ analysisResult, onWordClick }) => {
             <h3 className="text-lg font-semibold">Analyse-Ansicht</h3>
           </div>
           
-          <button
-            onClick={exportAnalysis}
-            className="flex items-center space-x-2 px-3 py-2 bg-blue-100 text-blue-700 rounded-lg hover:bg-blue-200 transition-colors text-sm"
-          >
-            <Download className="w-4 h-4" />
-            <span>Exportieren</span>
-          </button>
+          <div className="flex items-center space-x-2">
+            {onExportTEI && (
+              <button
+                onClick={onExportTEI}
+                className="flex items-center space-x-2 px-3 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors text-sm"
+              >
+                <Download className="w-4 h-4" />
+                <span>TEI</span>
+              </button>
+            )}
+            {onExportCoNLLU && (
+              <button
+                onClick={onExportCoNLLU}
+                className="flex items-center space-x-2 px-3 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors text-sm"
+              >
+                <Download className="w-4 h-4" />
+                <span>CoNLL-U</span>
+              </button>
+            )}
+            <button
+              onClick={exportAnalysis}
+              className="flex items-center space-x-2 px-3 py-2 bg-blue-100 text-blue-700 rounded-lg hover:bg-blue-200 transition-colors text-sm"
+            >
+              <Download className="w-4 h-4" />
+              <span>Exportieren</span>
+            </button>
+          </div>
         </div>
 
         {/* Highlight Mode Selector */}
@@ -84,6 +197,26 @@ const AnalysisDisplay = ({ analysisResult, onWordClick }) => {
             >
               Sentiment
             </button>
+            <button
+              onClick={() => setHighlightMode('emotion')}
+              className={`px-3 py-1 rounded text-sm transition-colors ${
+                highlightMode === 'emotion'
+                  ? 'bg-blue-600 text-white'
+                  : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+              }`}
+            >
+              Emotion
+            </button>
+            <button
+              onClick={() => setHighlightMode('sound')}
+              className={`px-3 py-1 rounded text-sm transition-colors ${
+                highlightMode === 'sound'
+                  ? 'bg-blue-600 text-white'
+                  : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+              }`}
+            >
+              Klang
+            </button>
             <button
               onClick={() => setHighlightMode('pos')}
               className={`px-3 py-1 rounded text-sm transition-colors ${
@@ -127,6 +260,34 @@ const AnalysisDisplay = ({ analysisResult, onWordClick }) => {
                 </div>
               </>
             )}
+            {highlightMode === 'emotion' && Object.entries(EMOTIONS)
+              .filter(([key]) => key !== 'NEUTRAL')
+              .map(([key, emotion]) => (
+                <div key={key} className="flex items-center space-x-2">
+                  <div className="w-4 h-4 rounded" style={{ backgroundColor: emotion.color }}></div>
+                  <span>
+                    {emotion.emoji} {emotion.label}
+                    {emotions && ` (${(emotions.overall.profile[key] * 100).toFixed(0)}%)`}
+                  </span>
+                </div>
+              ))}
+            {highlightMode === 'sound' && Object.entries(SOUND_PATTERNS).map(([key, pattern]) => (
+              <div key={key} className="flex items-center space-x-2" title={pattern.description}>
+                <div className="w-4 h-4 rounded" style={{ backgroundColor: pattern.color }}></div>
+                <span>
+                  {pattern.label}
+                  {sound && ` (${sound.counts[key]})`}
+                </span>
+              </div>
+            ))}
+            {highlightMode === 'sound' && sound?.vowelColour && (
+              <div className="w-full text-gray-600">
+                Vokalfarbe:{' '}
+                {sound.vowelColour.stanzas.map(stanza => (
+                  `Strophe ${stanza.stanza + 1} ${stanza.colour || '–'} (${(stanza.lightShare * 100).toFixed(0)}% hell / ${(stanza.darkShare * 100).toFixed(0)}% dunkel)`
+                )).join(' · ')}
+              </div>
+            )}
             {highlightMode === 'pos' && (
               <>
                 <div className="flex items-center space-x-2">
@@ -143,11 +304,16 @@ const AnalysisDisplay = ({ analysisResult, onWordClick }) => {
                 </div>
               </>
             )}
-            {highlightMode === 'entity' && (
-              <div className="flex items-center space-x-2">
-                <div className="w-4 h-4 rounded bg-yellow-100"></div>
-                <span>Named Entity</span>
-              </div>
+            {highlightMode === 'entity' && Object.entries(ENTITY_LABELS)
+              .filter(([key]) => entityCounts[key])
+              .map(([key, entity]) => (
+                <div key={key} className="flex items-center space-x-2" title={entity.description}>
+                  <div className="w-4 h-4 rounded" style={{ backgroundColor: entity.color }}></div>
+                  <span>{entity.label} ({entityCounts[key]})</span>
+                </div>
+              ))}
+            {highlightMode === 'entity' && Object.keys(entityCounts).length === 0 && (
+              <div className="text-gray-600">Keine Entitäten erkannt</div>
             )}
           </div>
         </div>
@@ -155,22 +321,44 @@ const AnalysisDisplay = ({ analysisResult, onWordClick }) => {
 
       {/* Text Display */}
       <div className="analysis-card">
-        <div className="text-lg leading-relaxed">
-          {enrichedTokens.map((token, index) => (
-            <React.Fragment key={index}>
-              <WordHighlight
-                token={token}
-                sentiment={token.sentiment}
-                onClick={handleWordClick}
-                highlightMode={highlightMode}
-                selected={selectedWord?.position === token.position}
-              />
-              {token.text === '\n' && <br />}
-            </React.Fragment>
-          ))}
-        </div>
+        {verseTokens.length > 0 ? (
+          <div className="text-lg leading-relaxed">
+            {verseTokens.map(({ verse, tokens: lineTokens }) => (
+              <div
+                key={verse.index}
+                ref={(element) => { verseRefs.current[verse.index] = element; }}
+                className={`flex items-baseline rounded transition-colors ${
+                  verse.verseInStanza === 0 && verse.stanza > 0 ? 'mt-4' : ''
+                } ${selectedVerse === verse.index ? 'bg-blue-50 ring-1 ring-blue-300' : ''}`}
+              >
+                <span className="w-8 flex-shrink-0 text-xs text-gray-400 text-right mr-3 select-none">
+                  {verse.index + 1}
+                </span>
+                <div>
+                  {renderVerseTokens(lineTokens)}
+                  {renderLineEnd(verse.index)}
+                </div>
+              </div>
+            ))}
+          </div>
+        ) : (
+          <div className="text-lg leading-relaxed">
+            {enrichedTokens.map(renderToken)}
+          </div>
+        )}
+
+        {lineBreaks && verseTokens.length > 1 && <LineBreakSummary lineBreaks={lineBreaks} />}
       </div>
 
+      {/* Stimmungsverlauf */}
+      {arc && (
+        <SentimentArcChart
+          arc={arc}
+          selectedVerse={selectedVerse}
+          onSelectVerse={handleSelectVerse}
+        />
+      )}
+
       {/* Selected Word Details */}
       {selectedWord && (
         <div className="analysis-card bg-blue-50 border-blue-200">
@@ -206,8 +394,16 @@ const AnalysisDisplay = ({ analysisResult, onWordClick }) => {
 
             {selectedWord.entityType && (
               <div>
-                <div className="text-gray-600">Entity-Typ</div>
-                <div className="font-medium">{selectedWord.entityType}</div>
+                <div className="text-gray-600">Entität</div>
+                <div className="font-medium">
+                  {ENTITY_LABELS[selectedWord.entityType]?.label || selectedWord.entityType}
+                  {selectedWord.entityTag && ` (${selectedWord.entityTag})`}
+                </div>
+                {selectedWord.entityDomain && (
+                  <div className="text-xs text-gray-500">
+                    {selectedWord.entityDomain}{selectedWord.entitySource && ` · ${selectedWord.entitySource}`}
+                  </div>
+                )}
               </div>
             )}
 
@@ -219,8 +415,32 @@ const AnalysisDisplay = ({ analysisResult, onWordClick }) => {
                 </div>
                 <div>
                   <div className="text-gray-600">Silben</div>
-                  <div className="font-medium">{selectedWord.morphology.syllables}</div>
+                  <div className="font-medium">
+                    {selectedWord.morphology.syllables}
+                    {selectedWord.morphology.syllables > 1 && selectedWord.morphology.hyphenation && (
+                      <span className="ml-2 text-gray-500">{selectedWord.morphology.hyphenation}</span>
+                    )}
+                  </div>
                 </div>
+                {selectedWord.morphology.ud && selectedWord.morphology.ud !== '_' && (
+                  <div className="col-span-2">
+                    <div className="text-gray-600">Morphologie</div>
+                    <div className="font-medium">{describeMorphology(selectedWord.morphology)}</div>
+                    <div className="text-xs text-gray-500 font-mono">
+                      {selectedWord.morphology.ud}
+                      {selectedWord.morphology.confidence !== null && (
+                        <> · {(selectedWord.morphology.confidence * 100).toFixed(0)}% Konfidenz</>
+                      )}
+                      {selectedWord.morphology.agreement === false && ' · inkongruent'}
+                    </div>
+                  </div>
+                )}
+                {selectedWord.morphology.verbComplex && (
+                  <div className="col-span-2">
+                    <div className="text-gray-600">Verbalkomplex</div>
+                    <div className="font-medium">{describeVerbComplex(selectedWord.morphology.verbComplex)}</div>
+                  </div>
+                )}
               </>
             )}
 
@@ -279,4 +499,27 @@ const AnalysisDisplay = ({ analysisResult, onWordClick }) => {
   );
 };
 
+/**
+ * Kasus, Genus, Numerus, Person, Tempus und Modus als Klartext; offene Alternativen mit "/"
+ */
+const describeMorphology = ({ features = {}, alternatives = {} }) => {
+  return [['case', 'CASE'], ['gender', 'GENDER'], ['number', 'NUMBER'], ['person', 'PERSON'], ['tense', 'TENSE'], ['mood', 'MOOD']]
+    .map(([key, group]) => (alternatives[key] || (features[key] ? [features[key]] : []))
+      .map(value => MORPHOLOGICAL_FEATURES[group][value] || value)
+      .join('/'))
+    .filter(Boolean)
+    .join(' · ') || '–';
+};
+
+/**
+ * Beschreibt den Verbalkomplex eines Wortes ("sehen: Perfekt Indikativ Aktiv")
+ */
+const describeVerbComplex = ({ lemma, tense, mood, moodAlternatives = [], voice, modal }) => {
+  const moodLabel = mood
+    ? MORPHOLOGICAL_FEATURES.MOOD[mood]
+    : moodAlternatives.map(value => MORPHOLOGICAL_FEATURES.MOOD[value]).join('/');
+  const parts = [MORPHOLOGICAL_FEATURES.TENSE[tense], moodLabel, MORPHOLOGICAL_FEATURES.VOICE[voice]].filter(Boolean);
+  return `${lemma}: ${parts.join(' ')}${modal ? ` (mit „${modal}“)` : ''}`;
+};
+
 export default AnalysisDisplay;
\ No newline at end of file
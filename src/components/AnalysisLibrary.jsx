@@ -0,0 +1,206 @@
+import React, { useState } from 'react';
+import { Library, Search, Trash2, Download, FolderOpen, Pencil, Tag, Check, X } from 'lucide-react';
+
+/**
+ * Analysis Library Component - Lokal gespeicherte Analysen durchsuchen, öffnen, bearbeiten, löschen und exportieren
+ */
+const AnalysisLibrary = ({
+  entries = [],
+  searchQuery = '',
+  onSearchChange,
+  onOpen,
+  onUpdate,
+  onDelete,
+  onExport,
+  isLoading = false
+}) => {
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [editingId, setEditingId] = useState(null);
+  const [draft, setDraft] = useState({ title: '', author: '', tags: '' });
+
+  const visibleIds = entries.map(e => e.id);
+  const selectedVisible = selectedIds.filter(id => visibleIds.includes(id));
+  const allSelected = entries.length > 0 && selectedVisible.length === entries.length;
+
+  const toggleSelected = (id) => {
+    setSelectedIds(prev => (prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id]));
+  };
+
+  const toggleAll = () => {
+    setSelectedIds(allSelected ? [] : visibleIds);
+  };
+
+  const startEdit = (entry) => {
+    setEditingId(entry.id);
+    setDraft({ title: entry.title, author: entry.author, tags: entry.tags.join(', ') });
+  };
+
+  const saveEdit = async () => {
+    await onUpdate(editingId, draft);
+    setEditingId(null);
+  };
+
+  const handleDelete = async (ids) => {
+    const label = ids.length === 1 ? 'diese Analyse' : `${ids.length} Analysen`;
+    if (!window.confirm(`Soll ${label} wirklich gelöscht werden?`)) return;
+    await onDelete(ids);
+    setSelectedIds(prev => prev.filter(id => !ids.includes(id)));
+  };
+
+  return (
+    <div className="analysis-card">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center space-x-2">
+          <Library className="w-5 h-5 text-blue-600" />
+          <h3 className="text-lg font-semibold">Bibliothek</h3>
+          <span className="text-sm text-gray-500">({entries.length})</span>
+        </div>
+
+        {selectedVisible.length > 0 && (
+          <div className="flex items-center space-x-2">
+            <button
+              onClick={() => onExport(selectedVisible)}
+              className="py-1 px-3 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors text-sm text-gray-700 flex items-center space-x-1"
+            >
+              <Download className="w-4 h-4" />
+              <span>Exportieren ({selectedVisible.length})</span>
+            </button>
+            <button
+              onClick={() => handleDelete(selectedVisible)}
+              className="py-1 px-3 border border-red-200 rounded-lg hover:bg-red-50 transition-colors text-sm text-red-700 flex items-center space-x-1"
+            >
+              <Trash2 className="w-4 h-4" />
+              <span>Löschen</span>
+            </button>
+          </div>
+        )}
+      </div>
+
+      {/* Suche */}
+      <div className="relative mb-4">
+        <Search className="w-4 h-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+        <input
+          type="text"
+          value={searchQuery}
+          onChange={(e) => onSearchChange(e.target.value)}
+          placeholder="Suche nach Titel, Autor, Tag oder Text..."
+          className="w-full pl-9 pr-3 py-2 border rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        />
+      </div>
+
+      {entries.length > 0 && (
+        <label className="flex items-center space-x-2 text-sm text-gray-600 mb-2">
+          <input type="checkbox" checked={allSelected} onChange={toggleAll} />
+          <span>Alle auswählen</span>
+        </label>
+      )}
+
+      {/* Liste */}
+      {isLoading ? (
+        <p className="text-sm text-gray-500">Lade Bibliothek...</p>
+      ) : entries.length === 0 ? (
+        <p className="text-sm text-gray-500">
+          {searchQuery ? 'Keine passenden Analysen gefunden.' : 'Noch keine Analysen gespeichert.'}
+        </p>
+      ) : (
+        <ul className="divide-y border rounded-lg">
+          {entries.map(entry => (
+            <li key={entry.id} className="p-3 flex items-start space-x-3">
+              <input
+                type="checkbox"
+                className="mt-1"
+                checked={selectedIds.includes(entry.id)}
+                onChange={() => toggleSelected(entry.id)}
+              />
+
+              <div className="flex-1 min-w-0">
+                {editingId === entry.id ? (
+                  <div className="space-y-2">
+                    <input
+                      type="text"
+                      value={draft.title}
+                      onChange={(e) => setDraft(prev => ({ ...prev, title: e.target.value }))}
+                      placeholder="Titel"
+                      className="w-full px-2 py-1 border rounded text-sm"
+                    />
+                    <input
+                      type="text"
+                      value={draft.author}
+                      onChange={(e) => setDraft(prev => ({ ...prev, author: e.target.value }))}
+                      placeholder="Autor"
+                      className="w-full px-2 py-1 border rounded text-sm"
+                    />
+                    <input
+                      type="text"
+                      value={draft.tags}
+                      onChange={(e) => setDraft(prev => ({ ...prev, tags: e.target.value }))}
+                      placeholder="Tags (kommagetrennt)"
+                      className="w-full px-2 py-1 border rounded text-sm"
+                    />
+                  </div>
+                ) : (
+                  <>
+                    <div className="font-medium text-sm text-gray-900 truncate">{entry.title}</div>
+                    <div className="text-xs text-gray-500">
+                      {entry.author && <span>{entry.author} • </span>}
+                      {new Date(entry.createdAt).toLocaleString('de-DE')} • {entry.wordCount} Wörter
+                      {entry.sentiment && <span> • {entry.sentiment}</span>}
+                    </div>
+                    {entry.tags.length > 0 && (
+                      <div className="flex flex-wrap gap-1 mt-1">
+                        {entry.tags.map(tag => (
+                          <button
+                            key={tag}
+                            onClick={() => onSearchChange(`#${tag}`)}
+                            className="px-2 py-0.5 bg-blue-50 text-blue-700 rounded text-xs flex items-center space-x-1"
+                          >
+                            <Tag className="w-3 h-3" />
+                            <span>{tag}</span>
+                          </button>
+                        ))}
+                      </div>
+                    )}
+                    <div className="text-xs text-gray-500 mt-1 line-clamp-2 whitespace-pre-line">
+                      {entry.textPreview}
+                    </div>
+                  </>
+                )}
+              </div>
+
+              <div className="flex items-center space-x-1">
+                {editingId === entry.id ? (
+                  <>
+                    <button onClick={saveEdit} className="p-1 text-green-600 hover:text-green-800" title="Speichern">
+                      <Check className="w-4 h-4" />
+                    </button>
+                    <button onClick={() => setEditingId(null)} className="p-1 text-gray-500 hover:text-gray-700" title="Abbrechen">
+                      <X className="w-4 h-4" />
+                    </button>
+                  </>
+                ) : (
+                  <>
+                    <button onClick={() => onOpen(entry.id)} className="p-1 text-blue-600 hover:text-blue-800" title="Öffnen">
+                      <FolderOpen className="w-4 h-4" />
+                    </button>
+                    <button onClick={() => startEdit(entry)} className="p-1 text-gray-500 hover:text-gray-700" title="Bearbeiten">
+                      <Pencil className="w-4 h-4" />
+                    </button>
+                    <button onClick={() => handleDelete([entry.id])} className="p-1 text-red-500 hover:text-red-700" title="Löschen">
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <p className="text-xs text-gray-500 mt-4">
+        Gespeicherte Analysen liegen lokal im Browser (IndexedDB).
+      </p>
+    </div>
+  );
+};
+
+export default AnalysisLibrary;
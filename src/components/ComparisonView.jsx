@@ -0,0 +1,318 @@
+import React, { useState } from 'react';
+import { GitCompare, Plus, X, Play } from 'lucide-react';
+import { COMPARISON_METRICS, getPair } from '../services/textComparison';
+import { getHeatmapColor, getContrastColor } from '../utils/colorMapping';
+
+const EMPTY_TEXT = { title: '', text: '' };
+
+/**
+ * Comparison View Component - N Texte paarweise vergleichen
+ * Heatmap je Metrik, Klick auf eine Zelle öffnet die Paar-Details
+ */
+const ComparisonView = ({
+  comparison = null,
+  selectedPair = null,
+  isComparing = false,
+  onCompare,
+  onSelectPair
+}) => {
+  const [texts, setTexts] = useState([{ ...EMPTY_TEXT }, { ...EMPTY_TEXT }]);
+  const [metric, setMetric] = useState('embedding');
+
+  const updateText = (index, field, value) => {
+    setTexts(prev => prev.map((t, i) => (i === index ? { ...t, [field]: value } : t)));
+  };
+
+  const validTexts = texts.filter(t => t.text.trim().length > 0);
+
+  const handleCompare = () => {
+    onCompare(validTexts.map((t, i) => ({
+      title: t.title.trim() || `Text ${i + 1}`,
+      text: t.text
+    })));
+  };
+
+  const pair = comparison && selectedPair ? getPair(comparison, selectedPair.i, selectedPair.j) : null;
+
+  return (
+    <div className="space-y-6">
+      {/* Texteingabe */}
+      <div className="analysis-card">
+        <div className="flex items-center justify-between mb-4">
+          <div className="flex items-center space-x-2">
+            <GitCompare className="w-5 h-5 text-blue-600" />
+            <h3 className="text-lg font-semibold">Texte vergleichen</h3>
+          </div>
+          <button
+            onClick={() => setTexts(prev => [...prev, { ...EMPTY_TEXT }])}
+            disabled={isComparing}
+            className="py-1 px-3 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors text-sm text-gray-700 flex items-center space-x-1"
+          >
+            <Plus className="w-4 h-4" />
+            <span>Text hinzufügen</span>
+          </button>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          {texts.map((entry, i) => (
+            <div key={i} className="border rounded-lg p-3">
+              <div className="flex items-center space-x-2 mb-2">
+                <input
+                  type="text"
+                  value={entry.title}
+                  onChange={(e) => updateText(i, 'title', e.target.value)}
+                  placeholder={`Text ${i + 1}`}
+                  className="flex-1 px-2 py-1 border rounded text-sm"
+                  disabled={isComparing}
+                />
+                {texts.length > 2 && (
+                  <button
+                    onClick={() => setTexts(prev => prev.filter((_, k) => k !== i))}
+                    disabled={isComparing}
+                    className="text-gray-400 hover:text-red-600"
+                  >
+                    <X className="w-4 h-4" />
+                  </button>
+                )}
+              </div>
+              <textarea
+                value={entry.text}
+                onChange={(e) => updateText(i, 'text', e.target.value)}
+                rows={6}
+                placeholder="Gedicht einfügen..."
+                className="w-full p-2 border rounded text-sm font-mono"
+                disabled={isComparing}
+              />
+            </div>
+          ))}
+        </div>
+
+        <div className="mt-4 flex justify-end">
+          <button
+            onClick={handleCompare}
+            disabled={isComparing || validTexts.length < 2}
+            className="py-2 px-4 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors text-sm font-medium flex items-center space-x-2 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <Play className="w-4 h-4" />
+            <span>{validTexts.length} Texte vergleichen</span>
+          </button>
+        </div>
+      </div>
+
+      {comparison && (
+        <div className="analysis-card">
+          {/* Metrik-Auswahl */}
+          <div className="flex flex-wrap gap-2 mb-2">
+            {Object.entries(COMPARISON_METRICS).map(([key, info]) => (
+              <button
+                key={key}
+                onClick={() => setMetric(key)}
+                className={`py-1 px-3 rounded-lg text-sm transition-colors ${
+                  metric === key
+                    ? 'bg-blue-600 text-white'
+                    : 'border border-gray-300 text-gray-700 hover:bg-gray-50'
+                }`}
+              >
+                {info.label}
+              </button>
+            ))}
+          </div>
+          <p className="text-xs text-gray-500 mb-4">{COMPARISON_METRICS[metric].description}</p>
+
+          <Heatmap
+            comparison={comparison}
+            metric={metric}
+            selectedPair={selectedPair}
+            onSelectPair={onSelectPair}
+          />
+        </div>
+      )}
+
+      {pair && (
+        <PairDetails
+          pair={pair}
+          title1={comparison.texts[pair.i].title}
+          title2={comparison.texts[pair.j].title}
+          onClose={() => onSelectPair(pair.i, pair.i)}
+        />
+      )}
+    </div>
+  );
+};
+
+/**
+ * Heatmap einer Ähnlichkeitsmatrix
+ */
+const Heatmap = ({ comparison, metric, selectedPair, onSelectPair }) => {
+  const { range, scheme } = COMPARISON_METRICS[metric];
+  const matrix = comparison.matrices[metric];
+
+  const cellStyle = (value) => {
+    if (value === null) return { backgroundColor: '#f3f4f6', color: '#9ca3af' };
+    const background = getHeatmapColor((value - range[0]) / (range[1] - range[0]), scheme);
+    return { backgroundColor: background, color: getContrastColor(background) };
+  };
+
+  const isSelected = (i, j) => selectedPair
+    && ((selectedPair.i === i && selectedPair.j === j) || (selectedPair.i === j && selectedPair.j === i));
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="text-sm border-separate" style={{ borderSpacing: '2px' }}>
+        <thead>
+          <tr>
+            <th />
+            {comparison.texts.map((t, j) => (
+              <th key={j} className="px-2 py-1 font-medium text-gray-700 max-w-[8rem] truncate" title={t.title}>
+                {t.title}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {matrix.map((row, i) => (
+            <tr key={i}>
+              <th className="px-2 py-1 text-left font-medium text-gray-700 max-w-[10rem] truncate" title={comparison.texts[i].title}>
+                {comparison.texts[i].title}
+              </th>
+              {row.map((value, j) => (
+                <td
+                  key={j}
+                  onClick={() => onSelectPair(i, j)}
+                  style={cellStyle(value)}
+                  className={`w-20 h-12 text-center rounded ${i !== j ? 'cursor-pointer hover:opacity-80' : ''} ${
+                    isSelected(i, j) ? 'ring-2 ring-blue-600' : ''
+                  }`}
+                >
+                  {value === null ? '–' : value.toFixed(2)}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+/**
+ * Details zu einem Textpaar
+ */
+const PairDetails = ({ pair, title1, title2, onClose }) => {
+  const formatMatch = (value) => (value === null ? '–' : value === 1 ? 'gleich' : value > 0 ? 'ähnlich' : 'verschieden');
+
+  return (
+    <div className="analysis-card">
+      <div className="flex items-center justify-between mb-4">
+        <h4 className="font-semibold">
+          {title1} <span className="text-gray-400">↔</span> {title2}
+        </h4>
+        <button onClick={onClose} className="text-gray-400 hover:text-gray-700">
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      {/* Kennzahlen */}
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-6">
+        {Object.entries(COMPARISON_METRICS).map(([key, info]) => (
+          <div key={key} className="p-3 bg-gray-50 rounded-lg text-center">
+            <div className="text-xs text-gray-500">{info.label}</div>
+            <div className="text-lg font-semibold">
+              {pair[key]?.value === null || pair[key]?.value === undefined ? '–' : pair[key].value.toFixed(2)}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6 text-sm">
+        {/* Stilometrie */}
+        <div>
+          <h5 className="font-medium text-gray-700 mb-2">Größte stilistische Unterschiede</h5>
+          <table className="w-full">
+            <thead>
+              <tr className="text-gray-500 text-xs">
+                <th className="text-left py-1">Merkmal</th>
+                <th className="text-right py-1">{title1}</th>
+                <th className="text-right py-1">{title2}</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y">
+              {pair.stylometry.features.slice(0, 6).map(f => (
+                <tr key={f.feature}>
+                  <td className="py-1 text-gray-600">{f.label}</td>
+                  <td className="py-1 text-right">{f.value1}</td>
+                  <td className="py-1 text-right">{f.value2}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        {/* Reim, Metrum, Themen */}
+        <div className="space-y-3">
+          <div>
+            <h5 className="font-medium text-gray-700 mb-1">Reim & Metrum</h5>
+            <p className="text-gray-600">
+              Reimschema: {pair.prosody.rhyme1} / {pair.prosody.rhyme2} ({formatMatch(pair.prosody.rhymeMatch)})
+            </p>
+            <p className="text-gray-600">
+              Metrum: {pair.prosody.meter1} / {pair.prosody.meter2} ({formatMatch(pair.prosody.meterMatch)})
+            </p>
+          </div>
+
+          {pair.sentiment && (
+            <div>
+              <h5 className="font-medium text-gray-700 mb-1">Stimmung</h5>
+              <p className="text-gray-600">
+                {pair.sentiment.text1Sentiment} / {pair.sentiment.text2Sentiment}
+              </p>
+            </div>
+          )}
+
+          {pair.themes && (
+            <div>
+              <h5 className="font-medium text-gray-700 mb-1">
+                Gemeinsame Themen (Jaccard {pair.themes.similarity})
+              </h5>
+              <p className="text-gray-600">
+                {pair.themes.commonThemes.length > 0 ? pair.themes.commonThemes.join(', ') : 'Keine'}
+              </p>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {pair.sentimentArc && (
+        <div className="mt-6">
+          <h5 className="font-medium text-gray-700 mb-2 text-sm">Sentiment-Verläufe (normiert)</h5>
+          <ArcChart arc1={pair.sentimentArc.arc1} arc2={pair.sentimentArc.arc2} />
+          <div className="flex space-x-4 text-xs text-gray-600 mt-1">
+            <span><span className="inline-block w-3 h-0.5 bg-blue-600 align-middle mr-1" />{title1}</span>
+            <span><span className="inline-block w-3 h-0.5 bg-orange-500 align-middle mr-1" />{title2}</span>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Zwei Sentiment-Verläufe als Linien (Wertebereich -1 bis 1)
+ */
+const ArcChart = ({ arc1, arc2 }) => {
+  const width = 400;
+  const height = 100;
+  const toPoints = (arc) => arc
+    .map((v, k) => `${(k / (arc.length - 1)) * width},${((1 - v) / 2) * height}`)
+    .join(' ');
+
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-24 bg-gray-50 rounded">
+      <line x1="0" y1={height / 2} x2={width} y2={height / 2} stroke="#d1d5db" strokeDasharray="4 4" />
+      <polyline points={toPoints(arc1)} fill="none" stroke="#2563eb" strokeWidth="2" />
+      <polyline points={toPoints(arc2)} fill="none" stroke="#f97316" strokeWidth="2" />
+    </svg>
+  );
+};
+
+export default ComparisonView;
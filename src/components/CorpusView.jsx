@@ -0,0 +1,283 @@
+import React, { useState } from 'react';
+import { Layers, Upload, Play, X, Trash2, ArrowUp, ArrowDown, ArrowUpDown } from 'lucide-react';
+import { CORPUS_METRICS } from '../services/corpusAnalysis';
+
+/**
+ * Corpus View Component - Viele Gedichte laden, nacheinander analysieren und vergleichen
+ */
+const CorpusView = ({
+  documents = [],
+  statistics = null,
+  rows = [],
+  sortConfig = { key: 'title', direction: 'asc' },
+  isAnalyzing = false,
+  onAddText,
+  onAddFiles,
+  onRemoveDocument,
+  onClear,
+  onAnalyze,
+  onSort,
+  onOpenResult
+}) => {
+  const [pastedText, setPastedText] = useState('');
+
+  const handleAddText = () => {
+    if (onAddText(pastedText) > 0) {
+      setPastedText('');
+    }
+  };
+
+  const handleFiles = async (event) => {
+    const files = event.target.files;
+    if (files?.length) {
+      await onAddFiles(files);
+    }
+    event.target.value = '';
+  };
+
+  const formatValue = (key, value) => {
+    if (value === null || value === undefined) return '–';
+    if (CORPUS_METRICS[key].type === 'number' && !Number.isInteger(value)) {
+      return value.toFixed(2);
+    }
+    return value;
+  };
+
+  const renderSortIcon = (column) => {
+    if (sortConfig.key !== column) return <ArrowUpDown className="w-3 h-3 text-gray-300" />;
+    return sortConfig.direction === 'asc'
+      ? <ArrowUp className="w-3 h-3 text-blue-600" />
+      : <ArrowDown className="w-3 h-3 text-blue-600" />;
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Dokumente sammeln */}
+      <div className="analysis-card">
+        <div className="flex items-center justify-between mb-4">
+          <div className="flex items-center space-x-2">
+            <Layers className="w-5 h-5 text-blue-600" />
+            <h3 className="text-lg font-semibold">Korpus</h3>
+            <span className="text-sm text-gray-500">({documents.length} Texte)</span>
+          </div>
+
+          <div className="flex items-center space-x-2">
+            <label className="py-1 px-3 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors cursor-pointer text-sm text-gray-700 flex items-center space-x-1">
+              <Upload className="w-4 h-4" />
+              <span>.txt / .zip</span>
+              <input
+                type="file"
+                accept=".txt,.zip"
+                multiple
+                onChange={handleFiles}
+                disabled={isAnalyzing}
+                className="hidden"
+              />
+            </label>
+            {documents.length > 0 && (
+              <button
+                onClick={onClear}
+                disabled={isAnalyzing}
+                className="py-1 px-3 border border-red-200 rounded-lg hover:bg-red-50 transition-colors text-sm text-red-700 flex items-center space-x-1 disabled:opacity-50"
+              >
+                <Trash2 className="w-4 h-4" />
+                <span>Leeren</span>
+              </button>
+            )}
+          </div>
+        </div>
+
+        <textarea
+          value={pastedText}
+          onChange={(e) => setPastedText(e.target.value)}
+          placeholder={'Gedichte einfügen, getrennt durch eine Zeile mit ---'}
+          rows={6}
+          className="w-full p-3 border rounded-lg text-sm font-mono focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          disabled={isAnalyzing}
+        />
+        <div className="mt-2 flex justify-between items-center">
+          <button
+            onClick={handleAddText}
+            disabled={isAnalyzing || !pastedText.trim()}
+            className="py-1 px-3 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors text-sm text-gray-700 disabled:opacity-50"
+          >
+            Zum Korpus hinzufügen
+          </button>
+          <button
+            onClick={onAnalyze}
+            disabled={isAnalyzing || documents.length === 0}
+            className="py-2 px-4 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors text-sm font-medium flex items-center space-x-2 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <Play className="w-4 h-4" />
+            <span>Korpus analysieren</span>
+          </button>
+        </div>
+
+        {documents.length > 0 && (
+          <ul className="mt-4 divide-y border rounded-lg max-h-48 overflow-y-auto text-sm">
+            {documents.map(doc => (
+              <li key={doc.id} className="px-3 py-2 flex items-center justify-between">
+                <span className="truncate">
+                  {doc.title}
+                  {doc.source && <span className="text-gray-400 ml-2">{doc.source}</span>}
+                </span>
+                <button
+                  onClick={() => onRemoveDocument(doc.id)}
+                  disabled={isAnalyzing}
+                  className="text-gray-400 hover:text-red-600"
+                >
+                  <X className="w-4 h-4" />
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {statistics && (
+        <>
+          {/* Aggregierte Statistiken */}
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <div className="analysis-card">
+              <h4 className="font-semibold mb-3">Überblick</h4>
+              <div className="space-y-2 text-sm">
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Analysierte Texte:</span>
+                  <span className="font-medium">{statistics.analyzedCount} / {statistics.documentCount}</span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Verse / Strophen:</span>
+                  <span className="font-medium">{statistics.totals.verses} / {statistics.totals.stanzas}</span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Wörter:</span>
+                  <span className="font-medium">{statistics.totals.words}</span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Ø Flesch (±σ):</span>
+                  <span className="font-medium">
+                    {formatStat(statistics.readability.readingEase)}
+                  </span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Ø Wiener Sachtextformel (±σ):</span>
+                  <span className="font-medium">
+                    {formatStat(statistics.readability.wienerIndex)}
+                  </span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Ø Lexikalische Dichte (±σ):</span>
+                  <span className="font-medium">
+                    {formatStat(statistics.readability.lexicalDensity)}
+                  </span>
+                </div>
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Sentiment-Score (±σ):</span>
+                  <span className="font-medium">
+                    {formatStat(statistics.sentiment.score)}
+                    {statistics.sentiment.score.count > 0 && (
+                      <span className="text-gray-400 ml-1">
+                        [{statistics.sentiment.score.min} … {statistics.sentiment.score.max}]
+                      </span>
+                    )}
+                  </span>
+                </div>
+              </div>
+
+              {statistics.sentiment.distribution.length > 0 && (
+                <div className="mt-4">
+                  <h5 className="text-sm font-medium text-gray-700 mb-2">Stimmung</h5>
+                  <DistributionBars items={statistics.sentiment.distribution} />
+                </div>
+              )}
+            </div>
+
+            <div className="analysis-card">
+              <h5 className="text-sm font-medium text-gray-700 mb-2">Metren</h5>
+              <DistributionBars items={statistics.meterDistribution} />
+
+              <h5 className="text-sm font-medium text-gray-700 mt-4 mb-2">Reimschemata</h5>
+              <DistributionBars items={statistics.rhymeSchemeDistribution} />
+            </div>
+          </div>
+
+          {statistics.topLemmas.length > 0 && (
+            <div className="analysis-card">
+              <h4 className="font-semibold mb-3">Häufigste Lemmata</h4>
+              <div className="flex flex-wrap gap-2">
+                {statistics.topLemmas.map(item => (
+                  <span
+                    key={`${item.lemma}-${item.posTag}`}
+                    className="px-2 py-1 bg-blue-50 text-blue-800 rounded text-sm"
+                    title={`${item.posTag} · in ${item.documents} Text(en)`}
+                  >
+                    {item.lemma} <span className="text-blue-400">{item.count}</span>
+                  </span>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {/* Sortierbare Tabelle */}
+          <div className="analysis-card overflow-x-auto">
+            <h4 className="font-semibold mb-3">Texte im Vergleich</h4>
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="border-b">
+                  {Object.entries(CORPUS_METRICS).map(([key, metric]) => (
+                    <th key={key} className="py-2 px-2 text-left font-medium text-gray-700 whitespace-nowrap">
+                      <button onClick={() => onSort(key)} className="flex items-center space-x-1 hover:text-blue-600">
+                        <span>{metric.label}</span>
+                        {renderSortIcon(key)}
+                      </button>
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="divide-y">
+                {rows.map(row => (
+                  <tr
+                    key={row.id}
+                    onClick={() => onOpenResult(row.id)}
+                    className="hover:bg-gray-50 cursor-pointer"
+                    title="Analyse öffnen"
+                  >
+                    {Object.keys(CORPUS_METRICS).map(key => (
+                      <td key={key} className="py-2 px-2 whitespace-nowrap">
+                        {formatValue(key, row[key])}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Horizontale Balken einer Häufigkeitsverteilung
+ */
+const DistributionBars = ({ items }) => (
+  <div className="space-y-1">
+    {items.map(item => (
+      <div key={item.value} className="flex items-center text-sm">
+        <span className="w-40 truncate text-gray-600" title={item.value}>{item.value}</span>
+        <div className="flex-1 bg-gray-100 rounded h-3 mx-2">
+          <div className="bg-blue-500 h-3 rounded" style={{ width: `${item.percentage}%` }} />
+        </div>
+        <span className="w-16 text-right text-gray-500">{item.count} ({item.percentage}%)</span>
+      </div>
+    ))}
+  </div>
+);
+
+const formatStat = (stat) => {
+  if (!stat || stat.mean === null) return '–';
+  return `${stat.mean} ± ${stat.stdDev}`;
+};
+
+export default CorpusView;
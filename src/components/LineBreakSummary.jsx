@@ -0,0 +1,65 @@
+import React from 'react';
+import { LINE_END_TYPES } from '../services/lineBreakAnalysis';
+
+/**
+ * Line Break Summary Component - Zeilenstil, Enjambements und Zäsuren pro Strophe
+ */
+const LineBreakSummary = ({ lineBreaks }) => {
+  if (!lineBreaks) return null;
+
+  const { stanzas, summary } = lineBreaks;
+
+  return (
+    <div className="mt-6 pt-4 border-t text-sm">
+      <div className="flex flex-wrap items-center gap-4 text-xs text-gray-600 mb-3">
+        <span><span className="text-red-500 mr-1">↩</span>{LINE_END_TYPES.enjambement.label} (hart)</span>
+        <span><span className="text-amber-500 mr-1">↩</span>{LINE_END_TYPES.enjambement.label} (weich)</span>
+        <span><span className="text-purple-600 mr-1">⤵</span>{LINE_END_TYPES.strophensprung.label}</span>
+        <span><span className="text-violet-500 font-semibold mr-1">‖</span>Zäsur</span>
+      </div>
+
+      <table className="w-full">
+        <thead>
+          <tr className="text-gray-500 text-xs border-b">
+            <th className="text-left py-1">Strophe</th>
+            <th className="text-right py-1">Verse</th>
+            <th className="text-right py-1">{LINE_END_TYPES.zeilenstil.label}</th>
+            <th className="text-right py-1">{LINE_END_TYPES.enjambement.label}</th>
+            <th className="text-right py-1">davon hart</th>
+            <th className="text-right py-1">{LINE_END_TYPES.strophensprung.label}</th>
+            <th className="text-right py-1">Zäsuren</th>
+            <th className="text-left py-1 pl-4">Stil</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y">
+          {stanzas.map(stanza => (
+            <tr key={stanza.stanza}>
+              <td className="py-1">{stanza.stanza + 1}</td>
+              <td className="py-1 text-right">{stanza.verseCount}</td>
+              <td className="py-1 text-right">{stanza.zeilenstil}</td>
+              <td className="py-1 text-right">{stanza.enjambements}</td>
+              <td className="py-1 text-right">{stanza.hardEnjambements}</td>
+              <td className="py-1 text-right">{stanza.strophensprung ? '✓' : ''}</td>
+              <td className="py-1 text-right">{stanza.caesuras}</td>
+              <td className="py-1 pl-4">{stanza.style}</td>
+            </tr>
+          ))}
+          <tr className="font-medium">
+            <td className="py-1">Gesamt</td>
+            <td className="py-1 text-right">{stanzas.reduce((sum, s) => sum + s.verseCount, 0)}</td>
+            <td className="py-1 text-right">{summary.zeilenstil}</td>
+            <td className="py-1 text-right">{summary.enjambements}</td>
+            <td className="py-1 text-right">{summary.hardEnjambements}</td>
+            <td className="py-1 text-right">{summary.strophensprung || ''}</td>
+            <td className="py-1 text-right">{summary.caesuras}</td>
+            <td className="py-1 pl-4">
+              {summary.style} ({(summary.enjambementRate * 100).toFixed(0)}% Enjambement)
+            </td>
+          </tr>
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default LineBreakSummary;
@@ -2,12 +2,14 @@ import React from 'react';
 
 /**
  * Loading Spinner Component mit Fortschrittsanzeige
+ * Optional mit Abbrechen-Button (onCancel)
  */
 const LoadingSpinner = ({ 
   progress = 0, 
   message = 'Lädt...', 
   size = 'md',
-  showProgress = true 
+  showProgress = true,
+  onCancel = null
 }) => {
   const sizeClasses = {
     sm: 'w-8 h-8',
@@ -49,6 +51,16 @@ const LoadingSpinner = ({
           ></div>
         </div>
       )}
+
+      {/* Abbrechen */}
+      {onCancel && (
+        <button
+          onClick={onCancel}
+          className="py-1 px-3 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors text-sm text-gray-700"
+        >
+          Abbrechen
+        </button>
+      )}
     </div>
   );
 };
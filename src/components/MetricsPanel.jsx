@@ -1,5 +1,6 @@
 import React from 'react';
 import { BarChart3, TrendingUp, Hash, BookOpen, Zap, Target } from 'lucide-react';
+import { MORPHOLOGICAL_FEATURES } from '../utils/constants';
 
 /**
  * Metrics Panel Component - Zeigt Analyse-Metriken
@@ -7,7 +8,7 @@ import { BarChart3, TrendingUp, Hash, BookOpen, Zap, Target } from 'lucide-react
 const MetricsPanel = ({ analysisResult }) => {
   if (!analysisResult) return null;
 
-  const { summary, readability, sentiment, syntax } = analysisResult;
+  const { summary, readability, sentiment, syntax, stylisticDevices } = analysisResult;
 
   const MetricCard = ({ icon: Icon, label, value, subtext, color = 'blue' }) => (
     <div className="p-4 bg-white rounded-lg border hover:shadow-md transition-shadow">
@@ -151,6 +152,22 @@ const MetricsPanel = ({ analysisResult }) => {
                 <div className="text-sm text-gray-600">Reimschema</div>
                 <div className="font-semibold">{summary.style.rhymeScheme}</div>
               </div>
+              <div>
+                <div className="text-sm text-gray-600">Metrum</div>
+                <div className="font-semibold">{summary.style.meter}</div>
+              </div>
+              <div>
+                <div className="text-sm text-gray-600">Gedichtform</div>
+                <div className="font-semibold">{summary.style.form}</div>
+              </div>
+              <div>
+                <div className="text-sm text-gray-600">Tempus</div>
+                <div className="font-semibold">{summary.style.tense}</div>
+              </div>
+              <div>
+                <div className="text-sm text-gray-600">Modus</div>
+                <div className="font-semibold">{summary.style.mood}</div>
+              </div>
               <div>
                 <div className="text-sm text-gray-600">Alliterationen</div>
                 <div className="font-semibold">{summary.style.alliterationsCount}</div>
@@ -160,6 +177,108 @@ const MetricsPanel = ({ analysisResult }) => {
                 <div className="font-semibold">{summary.style.repetitionsCount}</div>
               </div>
             </div>
+
+            {syntax?.form?.candidates?.length > 0 && (
+              <div className="mt-4 pt-4 border-t space-y-3">
+                <div className="text-sm text-gray-600">
+                  Formerkennung (Strophenbau {syntax.form.stanzaStructure})
+                </div>
+                {syntax.form.candidates.slice(0, 3).map(candidate => (
+                  <div key={candidate.key} className="p-3 bg-gray-50 rounded-lg">
+                    <div className="flex items-center justify-between text-sm">
+                      <span className="font-semibold" title={candidate.description}>
+                        {candidate.label}{candidate.variant ? ` (${candidate.variant})` : ''}
+                      </span>
+                      <span className="text-gray-500">{(candidate.score * 100).toFixed(0)}%</span>
+                    </div>
+                    <div className="flex flex-wrap gap-2 mt-2">
+                      {candidate.criteria.map(criterion => (
+                        <span
+                          key={criterion.label}
+                          className={`metric-badge ${criterion.matched ? 'bg-green-100 text-green-800' : 'bg-gray-200 text-gray-600'}`}
+                          title={`${criterion.detail} – Gewicht ${(criterion.weight * 100).toFixed(0)}%`}
+                        >
+                          {criterion.matched ? '✓' : '✗'} {criterion.label}
+                        </span>
+                      ))}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {syntax?.verbComplexes?.clauses?.length > 0 && (
+              <div className="mt-4 pt-4 border-t">
+                <div className="text-sm text-gray-600 mb-2">
+                  Verbalkomplexe ({syntax.verbComplexes.analytic} analytisch
+                  {syntax.verbComplexes.bracketSpans > 0 && `, ${syntax.verbComplexes.bracketSpans} über Versgrenzen`})
+                </div>
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-500">
+                      <th className="font-normal pb-1">Verben</th>
+                      <th className="font-normal pb-1">Vers</th>
+                      <th className="font-normal pb-1">Tempus</th>
+                      <th className="font-normal pb-1">Modus</th>
+                      <th className="font-normal pb-1">Genus verbi</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {syntax.verbComplexes.clauses.map(clause => (
+                      <tr key={clause.id} className="border-t border-gray-100">
+                        <td className="py-1" title={clause.lemma}>
+                          {clause.text}
+                          {clause.modal && <span className="ml-1 text-gray-500">(Modalverb)</span>}
+                        </td>
+                        <td className="py-1 text-gray-500">{clause.verses.join('–')}</td>
+                        <td className="py-1">{MORPHOLOGICAL_FEATURES.TENSE[clause.tense] || '–'}</td>
+                        <td className="py-1">
+                          {clause.mood
+                            ? MORPHOLOGICAL_FEATURES.MOOD[clause.mood]
+                            : clause.moodAlternatives.map(mood => MORPHOLOGICAL_FEATURES.MOOD[mood]).join('/')}
+                          {clause.construction === 'würde' && <span className="ml-1 text-gray-500">(würde-Form)</span>}
+                        </td>
+                        <td className="py-1">{MORPHOLOGICAL_FEATURES.VOICE[clause.voice]}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Stilmittel */}
+      {stylisticDevices && stylisticDevices.total > 0 && (
+        <div>
+          <h3 className="text-lg font-semibold mb-4 flex items-center space-x-2">
+            <BookOpen className="w-5 h-5 text-blue-600" />
+            <span>Stilmittel ({stylisticDevices.total})</span>
+          </h3>
+          <div className="analysis-card space-y-4">
+            <div className="flex flex-wrap gap-2">
+              {summary.style.stylisticDevices.map(device => (
+                <span key={device.type} className="metric-badge bg-blue-100 text-blue-800">
+                  {device.label}: {device.count}
+                </span>
+              ))}
+            </div>
+            <div className="space-y-2">
+              {[...stylisticDevices.devices]
+                .sort((a, b) => b.confidence - a.confidence)
+                .slice(0, 12)
+                .map((device, idx) => (
+                  <div key={idx} className="p-3 bg-gray-50 rounded-lg">
+                    <div className="flex items-center justify-between text-sm">
+                      <span className="font-semibold">{device.label}</span>
+                      <span className="text-gray-500">{(device.confidence * 100).toFixed(0)}%</span>
+                    </div>
+                    <div className="text-sm italic text-gray-800 mt-1">„{device.span.text}"</div>
+                    <div className="text-xs text-gray-600 mt-1">{device.explanation}</div>
+                  </div>
+                ))}
+            </div>
           </div>
         </div>
       )}
@@ -0,0 +1,101 @@
+import React, { useState } from 'react';
+import { Printer, Download } from 'lucide-react';
+import { REPORT_TEMPLATES } from '../utils/constants';
+import { generateReport } from '../services/reportGenerator';
+import { downloadFile, printHTML } from '../utils/fileExport';
+
+/**
+ * Report Generator Component - Druckbarer Bericht (PDF über den Druckdialog oder HTML-Datei)
+ */
+const ReportGenerator = ({ analysisResult, details = {} }) => {
+  const [templateId, setTemplateId] = useState(REPORT_TEMPLATES.SOLUTION.id);
+  const [highlightMode, setHighlightMode] = useState('sentiment');
+  const [error, setError] = useState('');
+
+  if (!analysisResult) return null;
+
+  const template = Object.values(REPORT_TEMPLATES).find(t => t.id === templateId);
+
+  const buildReport = () => {
+    try {
+      setError('');
+      return generateReport(analysisResult, {
+        template: templateId,
+        highlightMode,
+        title: details.title,
+        author: details.author
+      });
+    } catch (err) {
+      console.error('Bericht Fehler:', err);
+      setError(err.message);
+      return null;
+    }
+  };
+
+  const handlePrint = () => {
+    const html = buildReport();
+    if (html) printHTML(html);
+  };
+
+  const handleDownload = () => {
+    const html = buildReport();
+    if (html) downloadFile(html, `lyrik-bericht-${templateId}-${Date.now()}.html`, 'text/html');
+  };
+
+  return (
+    <div className="analysis-card">
+      <h4 className="font-semibold mb-3">Bericht</h4>
+
+      <div className="space-y-3 text-sm">
+        <div>
+          <label className="block text-gray-600 mb-1">Vorlage</label>
+          <select
+            value={templateId}
+            onChange={(e) => setTemplateId(e.target.value)}
+            className="w-full px-2 py-1 border rounded"
+          >
+            {Object.values(REPORT_TEMPLATES).map(t => (
+              <option key={t.id} value={t.id}>{t.label}</option>
+            ))}
+          </select>
+          <p className="text-xs text-gray-500 mt-1">{template?.description}</p>
+        </div>
+
+        {template?.annotatePoem && (
+          <div>
+            <label className="block text-gray-600 mb-1">Hervorhebung</label>
+            <select
+              value={highlightMode}
+              onChange={(e) => setHighlightMode(e.target.value)}
+              className="w-full px-2 py-1 border rounded"
+            >
+              <option value="sentiment">Sentiment</option>
+              <option value="pos">Wortart</option>
+            </select>
+          </div>
+        )}
+
+        {error && <p className="text-xs text-red-600">{error}</p>}
+
+        <div className="flex space-x-2">
+          <button
+            onClick={handlePrint}
+            className="flex-1 flex items-center justify-center space-x-1 py-2 px-3 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+          >
+            <Printer className="w-4 h-4" />
+            <span>Drucken / PDF</span>
+          </button>
+          <button
+            onClick={handleDownload}
+            className="flex items-center justify-center py-2 px-3 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors text-gray-700"
+            title="Als HTML-Datei speichern"
+          >
+            <Download className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ReportGenerator;
@@ -0,0 +1,254 @@
+import React, { useState } from 'react';
+import { TrendingUp } from 'lucide-react';
+import { getSentimentRGB } from '../utils/colorMapping';
+
+const WIDTH = 640;
+const HEIGHT = 220;
+const PADDING = { top: 20, right: 16, bottom: 28, left: 36 };
+
+const SMOOTHING_OPTIONS = [
+  { id: 'none', label: 'Keine' },
+  { id: 'movingAverage', label: 'Gleitender Mittelwert' },
+  { id: 'loess', label: 'LOESS' }
+];
+
+/**
+ * Sentiment Arc Chart Component - Stimmungsverlauf über Verse oder Sätze
+ * Strophengrenzen, emotionale Spitzen, Wendepunkte und Volta; Klick springt zum Vers
+ * und zeigt die Wort-Attribution der Sätze dieses Verses
+ */
+const SentimentArcChart = ({ arc, selectedVerse = null, onSelectVerse }) => {
+  const [level, setLevel] = useState('verses');
+  const [smoothing, setSmoothing] = useState('loess');
+
+  if (!arc) return null;
+
+  const verseCount = arc.verses.length;
+  const maxX = Math.max(1, verseCount - 1);
+  const scaleX = (x) => PADDING.left + (x / maxX) * (WIDTH - PADDING.left - PADDING.right);
+  const scaleY = (y) => PADDING.top + ((1 - y) / 2) * (HEIGHT - PADDING.top - PADDING.bottom);
+
+  const points = level === 'verses'
+    ? arc.verses.filter(v => v.score !== null).map(v => ({ x: v.x, y: v.score, verseIndex: v.index, text: v.text }))
+    : arc.sentences.map(s => ({ x: s.x, y: s.score, verseIndex: s.verseIndex, text: s.text }));
+
+  const smoothedLine = smoothing === 'none'
+    ? null
+    : arc.smoothed[level].map(p => `${scaleX(p.x)},${scaleY(p[smoothing])}`).join(' ');
+
+  const rawLine = points.map(p => `${scaleX(p.x)},${scaleY(p.y)}`).join(' ');
+
+  const selectedSentences = selectedVerse === null
+    ? []
+    : arc.sentences.filter(s => s.verseIndex === selectedVerse && s.attribution);
+
+  return (
+    <div className="analysis-card">
+      <div className="flex items-center justify-between mb-3">
+        <div className="flex items-center space-x-2">
+          <TrendingUp className="w-5 h-5 text-blue-600" />
+          <h3 className="text-lg font-semibold">Stimmungsverlauf</h3>
+        </div>
+
+        <div className="flex items-center space-x-3 text-sm">
+          <select
+            value={level}
+            onChange={(e) => setLevel(e.target.value)}
+            className="px-2 py-1 border rounded"
+          >
+            <option value="verses">Verse</option>
+            <option value="sentences">Sätze</option>
+          </select>
+          <select
+            value={smoothing}
+            onChange={(e) => setSmoothing(e.target.value)}
+            className="px-2 py-1 border rounded"
+          >
+            {SMOOTHING_OPTIONS.map(option => (
+              <option key={option.id} value={option.id}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full">
+        {/* Achsen */}
+        {[1, 0, -1].map(y => (
+          <g key={y}>
+            <line
+              x1={PADDING.left}
+              x2={WIDTH - PADDING.right}
+              y1={scaleY(y)}
+              y2={scaleY(y)}
+              stroke={y === 0 ? '#9ca3af' : '#e5e7eb'}
+              strokeDasharray={y === 0 ? '4 4' : undefined}
+            />
+            <text x={PADDING.left - 6} y={scaleY(y) + 4} textAnchor="end" fontSize="10" fill="#6b7280">
+              {y > 0 ? '+1' : y}
+            </text>
+          </g>
+        ))}
+        {arc.verses.map(v => (
+          <text key={v.index} x={scaleX(v.x)} y={HEIGHT - 10} textAnchor="middle" fontSize="10" fill="#6b7280">
+            {v.index + 1}
+          </text>
+        ))}
+
+        {/* Strophengrenzen */}
+        {arc.stanzaBoundaries.map(index => (
+          <line
+            key={`stanza-${index}`}
+            x1={scaleX(index - 0.5)}
+            x2={scaleX(index - 0.5)}
+            y1={PADDING.top}
+            y2={HEIGHT - PADDING.bottom}
+            stroke="#cbd5e1"
+            strokeDasharray="2 3"
+          />
+        ))}
+
+        {/* Volta */}
+        {arc.volta?.detected && (
+          <g>
+            <line
+              x1={scaleX(arc.volta.verseIndex - 0.5)}
+              x2={scaleX(arc.volta.verseIndex - 0.5)}
+              y1={PADDING.top}
+              y2={HEIGHT - PADDING.bottom}
+              stroke="#7c3aed"
+              strokeWidth="2"
+            />
+            <text x={scaleX(arc.volta.verseIndex - 0.5) + 4} y={PADDING.top + 10} fontSize="11" fill="#7c3aed">
+              Volta
+            </text>
+          </g>
+        )}
+
+        {/* Rohwerte und Glättung */}
+        <polyline
+          points={rawLine}
+          fill="none"
+          stroke="#93c5fd"
+          strokeWidth={smoothing === 'none' ? 2 : 1}
+        />
+        {smoothedLine && (
+          <polyline points={smoothedLine} fill="none" stroke="#2563eb" strokeWidth="2.5" />
+        )}
+
+        {/* Wendepunkte */}
+        {arc.turningPoints.map((tp, i) => (
+          <rect
+            key={`tp-${i}`}
+            x={scaleX(tp.x) - 4}
+            y={scaleY(tp.y) - 4}
+            width="8"
+            height="8"
+            fill="#f59e0b"
+            transform={`rotate(45 ${scaleX(tp.x)} ${scaleY(tp.y)})`}
+            onClick={() => onSelectVerse?.(tp.verseIndex)}
+            className="cursor-pointer"
+          >
+            <title>{`Wendepunkt vor Vers ${tp.verseIndex + 1}`}</title>
+          </rect>
+        ))}
+
+        {/* Emotionale Spitzen */}
+        {arc.peaks.map((peak, i) => (
+          <text
+            key={`peak-${i}`}
+            x={scaleX(peak.x)}
+            y={scaleY(peak.score) - 6}
+            textAnchor="middle"
+            fontSize="12"
+            fill={getSentimentRGB(peak.score)}
+            onClick={() => onSelectVerse?.(peak.verseIndex)}
+            className="cursor-pointer"
+          >
+            ★<title>{`Spitze: „${peak.word}“ (${peak.score.toFixed(2)})`}</title>
+          </text>
+        ))}
+
+        {/* Messpunkte */}
+        {points.map((p, i) => (
+          <circle
+            key={`p-${i}`}
+            cx={scaleX(p.x)}
+            cy={scaleY(p.y)}
+            r={p.verseIndex === selectedVerse ? 6 : 4}
+            fill={getSentimentRGB(p.y)}
+            stroke={p.verseIndex === selectedVerse ? '#1d4ed8' : 'white'}
+            strokeWidth="1.5"
+            onClick={() => onSelectVerse?.(p.verseIndex)}
+            className="cursor-pointer"
+          >
+            <title>{`V. ${p.verseIndex + 1}: ${p.text} (${p.y.toFixed(2)})`}</title>
+          </circle>
+        ))}
+      </svg>
+
+      {/* Legende und Volta-Beschreibung */}
+      <div className="flex flex-wrap gap-4 text-xs text-gray-600 mt-2">
+        <span><span className="inline-block w-3 h-0.5 bg-blue-600 align-middle mr-1" />Geglättet</span>
+        <span><span className="inline-block w-3 border-t border-dashed border-gray-400 align-middle mr-1" />Strophengrenze</span>
+        <span><span className="text-amber-500 mr-1">◆</span>Wendepunkt</span>
+        <span><span className="mr-1">★</span>Emotionale Spitze</span>
+      </div>
+
+      {arc.volta?.detected && (
+        <p className="mt-3 text-sm text-gray-700">
+          <span className="font-medium text-violet-700">Volta vor Vers {arc.volta.verseIndex + 1}:</span>{' '}
+          Stimmung wechselt von {arc.volta.before.toFixed(2)} zu {arc.volta.after.toFixed(2)} ({arc.volta.direction}).
+          {arc.volta.isSonnet && arc.volta.expected && !arc.volta.atExpectedPosition && (
+            <> An der für Sonette üblichen Stelle (vor Vers {arc.volta.expected.verseIndex + 1}) beträgt der
+            Umschwung {arc.volta.expected.shift.toFixed(2)}.</>
+          )}
+          {arc.volta.isSonnet && arc.volta.atExpectedPosition && ' Das entspricht der klassischen Sonett-Volta.'}
+        </p>
+      )}
+      {arc.volta && !arc.volta.detected && (
+        <p className="mt-3 text-sm text-gray-700">
+          <span className="font-medium text-violet-700">Keine deutliche Volta:</span>{' '}
+          An der für Sonette üblichen Stelle (vor Vers {arc.volta.expected.verseIndex + 1}) beträgt der
+          Umschwung nur {arc.volta.expected.shift.toFixed(2)}.
+        </p>
+      )}
+
+      {/* Attribution: warum hat der Satz seine Polarität? */}
+      {selectedSentences.length > 0 && (
+        <div className="mt-4 border-t pt-3 space-y-3">
+          <h4 className="text-sm font-semibold">Warum diese Stimmung? (Vers {selectedVerse + 1})</h4>
+          {selectedSentences.map(sentence => (
+            <div key={sentence.index} className="text-sm">
+              <p className="text-gray-700 italic mb-1">{sentence.text}</p>
+              <p className="text-xs text-gray-500 mb-1">
+                Modell: {sentence.score.toFixed(2)} · Wörter: {sentence.attribution.score.toFixed(2)}
+              </p>
+              {sentence.attribution.irony && (
+                <p className="mb-1 p-1 bg-yellow-50 border border-yellow-200 rounded text-xs text-yellow-800">
+                  Möglicherweise ironisch: {sentence.attribution.irony.cues.join(', ')}
+                </p>
+              )}
+              <div className="flex flex-wrap gap-2">
+                {sentence.attribution.drivers.map(driver => (
+                  <span
+                    key={driver.position}
+                    className="px-2 py-0.5 rounded text-xs border"
+                    style={{ borderColor: getSentimentRGB(driver.score) }}
+                    title={driver.modifiers.map(m => `${m.type === 'negation' ? 'Negation' : 'Verstärker'} „${m.trigger}“ (${m.via === 'dependency' ? 'Dependency' : 'Nachbarschaft'})`).join('\n')}
+                  >
+                    {driver.text} {driver.contribution > 0 ? '+' : ''}{driver.contribution.toFixed(2)}
+                    {driver.modifiers.length > 0 && (
+                      <span className="text-gray-500"> ({driver.baseScore.toFixed(2)} → {driver.score.toFixed(2)})</span>
+                    )}
+                  </span>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SentimentArcChart;
@@ -0,0 +1,295 @@
+import React, { useState } from 'react';
+import { Fingerprint, Users, Upload, Plus, X, Play } from 'lucide-react';
+import { DELTA_METHODS, FEATURE_SETS } from '../services/stylometry';
+
+/**
+ * Stylometry View Component - Autorschaftszuschreibung mit Burrows', Cosine und Eder's Delta
+ */
+const StylometryView = ({
+  references = [],
+  unknownText = '',
+  settings,
+  result = null,
+  onUnknownTextChange,
+  onAddReference,
+  onAddReferenceFiles,
+  onRemoveReference,
+  onSettingsChange,
+  onRun
+}) => {
+  const [draft, setDraft] = useState({ author: '', title: '', text: '' });
+  const [selectedAuthor, setSelectedAuthor] = useState(null);
+
+  const authors = [...new Set(references.map(r => r.author))];
+
+  const handleAdd = () => {
+    if (onAddReference(draft)) {
+      setDraft(prev => ({ ...prev, title: '', text: '' }));
+    }
+  };
+
+  const handleFiles = async (event) => {
+    const files = event.target.files;
+    if (files?.length && draft.author.trim()) {
+      await onAddReferenceFiles(files, draft.author.trim());
+    }
+    event.target.value = '';
+  };
+
+  const handleRun = () => {
+    setSelectedAuthor(null);
+    onRun();
+  };
+
+  const methodLabel = Object.values(DELTA_METHODS).find(m => m.id === result?.method)?.label;
+  const shownCandidate = result
+    ? result.candidates.find(c => c.author === selectedAuthor) || result.candidates[0]
+    : null;
+
+  return (
+    <div className="space-y-6">
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        {/* Referenzkorpus */}
+        <div className="analysis-card">
+          <div className="flex items-center space-x-2 mb-4">
+            <Users className="w-5 h-5 text-blue-600" />
+            <h3 className="text-lg font-semibold">Referenztexte</h3>
+            <span className="text-sm text-gray-500">
+              ({references.length} Texte, {authors.length} Autoren)
+            </span>
+          </div>
+
+          <div className="grid grid-cols-2 gap-2 mb-2">
+            <input
+              type="text"
+              value={draft.author}
+              onChange={(e) => setDraft(prev => ({ ...prev, author: e.target.value }))}
+              placeholder="Autor (z.B. Gryphius)"
+              list="stylometry-authors"
+              className="px-2 py-1 border rounded text-sm"
+            />
+            <input
+              type="text"
+              value={draft.title}
+              onChange={(e) => setDraft(prev => ({ ...prev, title: e.target.value }))}
+              placeholder="Titel (optional)"
+              className="px-2 py-1 border rounded text-sm"
+            />
+            <datalist id="stylometry-authors">
+              {authors.map(author => <option key={author} value={author} />)}
+            </datalist>
+          </div>
+          <textarea
+            value={draft.text}
+            onChange={(e) => setDraft(prev => ({ ...prev, text: e.target.value }))}
+            rows={5}
+            placeholder="Gedicht des Autors einfügen..."
+            className="w-full p-2 border rounded text-sm font-mono"
+          />
+          <div className="mt-2 flex space-x-2">
+            <button
+              onClick={handleAdd}
+              disabled={!draft.author.trim() || !draft.text.trim()}
+              className="py-1 px-3 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors text-sm text-gray-700 flex items-center space-x-1 disabled:opacity-50"
+            >
+              <Plus className="w-4 h-4" />
+              <span>Hinzufügen</span>
+            </button>
+            <label
+              className={`py-1 px-3 border border-gray-300 rounded-lg transition-colors text-sm text-gray-700 flex items-center space-x-1 ${
+                draft.author.trim() ? 'hover:bg-gray-50 cursor-pointer' : 'opacity-50 cursor-not-allowed'
+              }`}
+              title="Erst Autor eintragen, dann .txt-Dateien wählen"
+            >
+              <Upload className="w-4 h-4" />
+              <span>.txt-Dateien</span>
+              <input
+                type="file"
+                accept=".txt"
+                multiple
+                onChange={handleFiles}
+                disabled={!draft.author.trim()}
+                className="hidden"
+              />
+            </label>
+          </div>
+
+          {references.length > 0 && (
+            <ul className="mt-4 divide-y border rounded-lg max-h-56 overflow-y-auto text-sm">
+              {references.map(reference => (
+                <li key={reference.id} className="px-3 py-2 flex items-center justify-between">
+                  <span className="truncate">
+                    <span className="font-medium">{reference.author}</span>
+                    <span className="text-gray-500 ml-2">{reference.title}</span>
+                  </span>
+                  <button
+                    onClick={() => onRemoveReference(reference.id)}
+                    className="text-gray-400 hover:text-red-600"
+                  >
+                    <X className="w-4 h-4" />
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        {/* Anonymer Text und Einstellungen */}
+        <div className="analysis-card">
+          <div className="flex items-center space-x-2 mb-4">
+            <Fingerprint className="w-5 h-5 text-blue-600" />
+            <h3 className="text-lg font-semibold">Anonymer Text</h3>
+          </div>
+
+          <textarea
+            value={unknownText}
+            onChange={(e) => onUnknownTextChange(e.target.value)}
+            rows={8}
+            placeholder="Gedicht unbekannter Autorschaft einfügen..."
+            className="w-full p-2 border rounded text-sm font-mono"
+          />
+
+          <div className="grid grid-cols-3 gap-3 mt-4 text-sm">
+            <label className="flex flex-col">
+              <span className="text-gray-600 mb-1">Merkmale (MFW)</span>
+              <input
+                type="number"
+                min={10}
+                max={1000}
+                step={10}
+                value={settings.mfw}
+                onChange={(e) => onSettingsChange({ mfw: Math.max(10, parseInt(e.target.value, 10) || 10) })}
+                className="px-2 py-1 border rounded"
+              />
+            </label>
+            <label className="flex flex-col">
+              <span className="text-gray-600 mb-1">Wortauswahl</span>
+              <select
+                value={settings.featureSet}
+                onChange={(e) => onSettingsChange({ featureSet: e.target.value })}
+                className="px-2 py-1 border rounded"
+              >
+                {Object.values(FEATURE_SETS).map(set => (
+                  <option key={set.id} value={set.id}>{set.label}</option>
+                ))}
+              </select>
+            </label>
+            <label className="flex flex-col">
+              <span className="text-gray-600 mb-1">Rangfolge nach</span>
+              <select
+                value={settings.method}
+                onChange={(e) => onSettingsChange({ method: e.target.value })}
+                className="px-2 py-1 border rounded"
+              >
+                {Object.values(DELTA_METHODS).map(method => (
+                  <option key={method.id} value={method.id}>{method.label}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+
+          <div className="mt-4 flex justify-end">
+            <button
+              onClick={handleRun}
+              disabled={authors.length < 2 || !unknownText.trim()}
+              className="py-2 px-4 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors text-sm font-medium flex items-center space-x-2 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <Play className="w-4 h-4" />
+              <span>Autorschaft bestimmen</span>
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {result && (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          {/* Rangliste */}
+          <div className="analysis-card">
+            <h4 className="font-semibold mb-1">Kandidaten</h4>
+            <p className="text-xs text-gray-500 mb-3">
+              Sortiert nach {methodLabel} · {result.features.length} Merkmalswörter ·
+              {' '}{result.unknownWordCount} Wörter im anonymen Text · kleiner = ähnlicher
+            </p>
+
+            {result.warnings.map(warning => (
+              <p key={warning} className="mb-2 p-2 bg-yellow-50 border border-yellow-200 rounded text-xs text-yellow-800">
+                {warning}
+              </p>
+            ))}
+
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-gray-500 text-xs border-b">
+                  <th className="text-left py-1">#</th>
+                  <th className="text-left py-1">Autor</th>
+                  {Object.values(DELTA_METHODS).map(method => (
+                    <th
+                      key={method.id}
+                      className={`text-right py-1 ${method.id === result.method ? 'text-blue-600' : ''}`}
+                    >
+                      {method.label}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="divide-y">
+                {result.candidates.map(candidate => (
+                  <tr
+                    key={candidate.author}
+                    onClick={() => setSelectedAuthor(candidate.author)}
+                    className={`cursor-pointer hover:bg-gray-50 ${
+                      candidate.author === shownCandidate.author ? 'bg-blue-50' : ''
+                    }`}
+                  >
+                    <td className="py-1">{candidate.rank}</td>
+                    <td className="py-1 font-medium">
+                      {candidate.author}
+                      <span className="text-xs text-gray-400 ml-1">({candidate.sampleCount})</span>
+                    </td>
+                    {Object.values(DELTA_METHODS).map(method => (
+                      <td key={method.id} className="py-1 text-right">
+                        {candidate.distances[method.id].toFixed(3)}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {/* Beiträge der Wörter */}
+          <div className="analysis-card">
+            <h4 className="font-semibold mb-1">Einflussreichste Wörter: {shownCandidate.author}</h4>
+            <p className="text-xs text-gray-500 mb-3">
+              Absolute z-Score-Differenz zwischen anonymem Text und Autorprofil
+            </p>
+            <div className="space-y-1">
+              {shownCandidate.contributions.map(item => {
+                const max = shownCandidate.contributions[0].contribution || 1;
+                return (
+                  <div key={item.word} className="flex items-center text-sm">
+                    <span className="w-24 truncate font-mono">{item.word}</span>
+                    <div className="flex-1 bg-gray-100 rounded h-3 mx-2">
+                      <div
+                        className={`h-3 rounded ${item.direction === 'more' ? 'bg-orange-400' : 'bg-blue-400'}`}
+                        style={{ width: `${(item.contribution / max) * 100}%` }}
+                      />
+                    </div>
+                    <span className="w-28 text-right text-xs text-gray-500">
+                      {item.contribution.toFixed(2)} · {item.direction === 'more' ? 'häufiger' : 'seltener'}
+                    </span>
+                  </div>
+                );
+              })}
+            </div>
+            <p className="text-xs text-gray-400 mt-3">
+              häufiger/seltener: im anonymen Text relativ zum Autorprofil
+            </p>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default StylometryView;
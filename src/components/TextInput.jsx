@@ -3,6 +3,7 @@ import { FileText, X, Send } from 'lucide-react';
 
 /**
  * Text Input Component für Gedichteingabe
+ * Titel, Autor und Tags werden beim Speichern der Analyse in die Bibliothek übernommen
  */
 const TextInput = ({ 
   onAnalyze, 
@@ -11,6 +12,7 @@ const TextInput = ({
   maxLength = 5000
 }) => {
   const [text, setText] = useState('');
+  const [details, setDetails] = useState({ title: '', author: '', tags: '' });
   const [charCount, setCharCount] = useState(0);
   const [error, setError] = useState('');
 
@@ -37,14 +39,19 @@ const TextInput = ({
       return;
     }
 
-    onAnalyze(text);
+    onAnalyze(text, details);
   };
 
   const handleClear = () => {
     setText('');
+    setDetails({ title: '', author: '', tags: '' });
     setError('');
   };
 
+  const updateDetail = (field, value) => {
+    setDetails(prev => ({ ...prev, [field]: value }));
+  };
+
   const handleKeyDown = (e) => {
     // Strg/Cmd + Enter für Analyse
     if ((e.ctrlKey || e.metaKey) && e.key === 'Enter') {
@@ -57,16 +64,19 @@ const TextInput = ({
   const exampleTexts = [
     {
       title: 'Der Panther',
+      author: 'Rainer Maria Rilke',
       text: 'Sein Blick ist vom Vorübergehn der Stäbe\nso müd geworden, dass er nichts mehr hält.\nIhm ist, als ob es tausend Stäbe gäbe\nund hinter tausend Stäben keine Welt.'
     },
     {
       title: 'Erlkönig (Auszug)',
+      author: 'Johann Wolfgang von Goethe',
       text: 'Wer reitet so spät durch Nacht und Wind?\nEs ist der Vater mit seinem Kind;\nEr hat den Knaben wohl in dem Arm,\nEr fasst ihn sicher, er hält ihn warm.'
     }
   ];
 
   const loadExample = (example) => {
     setText(example.text);
+    setDetails({ title: example.title, author: example.author, tags: '' });
   };
 
   return (
@@ -88,6 +98,34 @@ const TextInput = ({
         )}
       </div>
 
+      {/* Titel, Autor, Tags */}
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-2 mb-3">
+        <input
+          type="text"
+          value={details.title}
+          onChange={(e) => updateDetail('title', e.target.value)}
+          placeholder="Titel (optional)"
+          disabled={isAnalyzing}
+          className="px-3 py-2 border rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent disabled:bg-gray-100"
+        />
+        <input
+          type="text"
+          value={details.author}
+          onChange={(e) => updateDetail('author', e.target.value)}
+          placeholder="Autor (optional)"
+          disabled={isAnalyzing}
+          className="px-3 py-2 border rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent disabled:bg-gray-100"
+        />
+        <input
+          type="text"
+          value={details.tags}
+          onChange={(e) => updateDetail('tags', e.target.value)}
+          placeholder="Tags, kommagetrennt"
+          disabled={isAnalyzing}
+          className="px-3 py-2 border rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent disabled:bg-gray-100"
+        />
+      </div>
+
       {/* Textarea */}
       <textarea
         value={text}
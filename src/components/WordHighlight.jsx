@@ -1,6 +1,6 @@
 import React, { useState } from 'react';
-import { getSentimentRGB, getColorIntensity } from '../utils/colorMapping';
-import { POS_TAGS } from '../utils/constants';
+import { getSentimentRGB, getColorIntensity, getEntityColor } from '../utils/colorMapping';
+import { POS_TAGS, EMOTIONS, SOUND_PATTERNS, ENTITY_LABELS } from '../utils/constants';
 
 /**
  * Word Highlight Component - Zeigt einzelne Wörter mit Annotationen
@@ -8,8 +8,10 @@ import { POS_TAGS } from '../utils/constants';
 const WordHighlight = ({ 
   token, 
   sentiment = null,
+  emotion = null,
+  sound = null,
   onClick = null,
-  highlightMode = 'sentiment', // 'sentiment', 'pos', 'entity'
+  highlightMode = 'sentiment', // 'sentiment', 'emotion', 'sound', 'pos', 'entity'
   selected = false 
 }) => {
   const [isHovered, setIsHovered] = useState(false);
@@ -39,6 +41,24 @@ const WordHighlight = ({
         }
         return { backgroundColor: 'transparent' };
 
+      case 'emotion':
+        if (emotion && emotion.dominant !== 'NEUTRAL' && EMOTIONS[emotion.dominant]) {
+          return {
+            backgroundColor: EMOTIONS[emotion.dominant].color,
+            opacity: getColorIntensity(emotion.intensity)
+          };
+        }
+        return { backgroundColor: 'transparent' };
+
+      case 'sound':
+        if (sound && sound.dominant && SOUND_PATTERNS[sound.dominant]) {
+          return {
+            backgroundColor: SOUND_PATTERNS[sound.dominant].color,
+            opacity: 0.7
+          };
+        }
+        return { backgroundColor: 'transparent' };
+
       case 'pos':
         if (token.posTag && POS_TAGS[token.posTag]) {
           return { 
@@ -51,7 +71,7 @@ const WordHighlight = ({
       case 'entity':
         if (token.entity) {
           return { 
-            backgroundColor: '#fef3c7',
+            backgroundColor: getEntityColor(token.entityType),
             opacity: 0.8 
           };
         }
@@ -76,6 +96,29 @@ const WordHighlight = ({
         : '';
       parts.push(`Sentiment: ${sentiment.label} ${scoreDisplay}`);
       parts.push(`Confidence: ${(sentiment.confidence * 100).toFixed(1)}%`);
+
+      // Kompositionelle Attribution: Basis-Score und angewendete Modifikatoren
+      if (sentiment.role) {
+        parts.push(`Rolle: ${sentiment.role === 'negation' ? 'Negation' : 'Verstärker'}`);
+      } else if (sentiment.modifiers?.length > 0) {
+        const triggers = sentiment.modifiers.map(m => `„${m.trigger}“ ×${m.factor}`).join(', ');
+        parts.push(`Basis: ${sentiment.baseScore.toFixed(2)} → ${sentiment.score.toFixed(2)} (${triggers})`);
+      }
+    }
+
+    // Emotion
+    if (emotion && emotion.dominant !== 'NEUTRAL') {
+      const { label, emoji } = EMOTIONS[emotion.dominant];
+      const context = [emotion.negated && 'negiert', emotion.modifier !== 1 && `×${emotion.modifier}`].filter(Boolean);
+      parts.push(`Emotion: ${emoji} ${label} ${(emotion.intensity * 100).toFixed(0)}%${context.length ? ` (${context.join(', ')})` : ''}`);
+    }
+
+    // Klang: Transkription und Klangmuster
+    if (sound && highlightMode === 'sound') {
+      parts.push(`Laut: [${sound.ipa}]${sound.colour ? ` (${sound.colour})` : ''}`);
+      (sound.matches || []).forEach(pattern => {
+        parts.push(`${pattern.label} ${pattern.sound}${pattern.scope === 'versübergreifend' ? ' (versübergreifend)' : ''}`);
+      });
     }
 
     // POS Tag
@@ -85,12 +128,18 @@ const WordHighlight = ({
 
     // Entity
     if (token.entity) {
-      parts.push(`Entity: ${token.entityType} (${(token.entityScore * 100).toFixed(0)}%)`);
+      const label = ENTITY_LABELS[token.entityType]?.label || token.entityType;
+      const tag = token.entityTag ? ` ${token.entityTag}` : '';
+      const source = token.entitySource ? `, ${token.entitySource}` : '';
+      parts.push(`Entität: ${label}${tag} (${(token.entityScore * 100).toFixed(0)}%${source})`);
     }
 
     // Morphologie
     if (token.morphology && token.morphology.syllables) {
-      parts.push(`Silben: ${token.morphology.syllables}`);
+      const hyphenation = token.morphology.syllables > 1 && token.morphology.hyphenation
+        ? ` (${token.morphology.hyphenation})`
+        : '';
+      parts.push(`Silben: ${token.morphology.syllables}${hyphenation}`);
     }
 
     return parts;
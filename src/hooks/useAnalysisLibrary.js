@@ -0,0 +1,160 @@
+import { useState, useCallback, useEffect, useMemo } from 'react';
+import analysisLibrary, { filterEntries } from '../services/analysisLibrary';
+import { downloadFile, toJSONString } from '../utils/fileExport';
+
+/**
+ * Custom Hook für die lokale Analyse-Bibliothek (IndexedDB)
+ * @returns {Object} Einträge, Suche und Verwaltungsfunktionen
+ */
+export const useAnalysisLibrary = () => {
+  const [libraryState, setLibraryState] = useState({
+    entries: [],
+    isLoading: false,
+    error: null
+  });
+  const [searchQuery, setSearchQuery] = useState('');
+
+  /**
+   * Setzt den Fehlerzustand
+   */
+  const handleError = useCallback((message, error) => {
+    console.error(`${message}:`, error);
+    setLibraryState(prev => ({
+      ...prev,
+      isLoading: false,
+      error: `${message}: ${error.message}`
+    }));
+  }, []);
+
+  /**
+   * Lädt die Eintragsliste neu
+   */
+  const refresh = useCallback(async () => {
+    setLibraryState(prev => ({ ...prev, isLoading: true }));
+
+    try {
+      const entries = await analysisLibrary.listEntries();
+      setLibraryState({ entries, isLoading: false, error: null });
+    } catch (error) {
+      handleError('Bibliothek laden Fehler', error);
+    }
+  }, [handleError]);
+
+  /**
+   * Speichert eine Analyse
+   * @param {Object} result - Analyse-Ergebnis
+   * @param {Object} details - { title, author, tags }
+   */
+  const saveAnalysis = useCallback(async (result, details = {}) => {
+    try {
+      const entry = await analysisLibrary.saveAnalysis(result, details);
+      setLibraryState(prev => ({
+        ...prev,
+        entries: [entry, ...prev.entries.filter(e => e.id !== entry.id)],
+        error: null
+      }));
+      return entry;
+    } catch (error) {
+      handleError('Analyse speichern Fehler', error);
+      return null;
+    }
+  }, [handleError]);
+
+  /**
+   * Lädt einen Eintrag mit vollständigem Ergebnis
+   * @param {string} id - Eintrags-ID
+   * @returns {Promise<Object|null>} Eintrag (title, author, tags, result)
+   */
+  const openEntry = useCallback(async (id) => {
+    try {
+      return await analysisLibrary.getEntry(id);
+    } catch (error) {
+      handleError('Analyse öffnen Fehler', error);
+      return null;
+    }
+  }, [handleError]);
+
+  /**
+   * Ändert Titel, Autor oder Tags
+   */
+  const updateEntry = useCallback(async (id, changes) => {
+    try {
+      const updated = await analysisLibrary.updateEntry(id, changes);
+      setLibraryState(prev => ({
+        ...prev,
+        entries: prev.entries.map(e => (e.id === id ? updated : e))
+      }));
+      return updated;
+    } catch (error) {
+      handleError('Eintrag ändern Fehler', error);
+      return null;
+    }
+  }, [handleError]);
+
+  /**
+   * Löscht einen oder mehrere Einträge
+   * @param {Array<string>} ids - Eintrags-IDs
+   */
+  const deleteEntries = useCallback(async (ids) => {
+    try {
+      await analysisLibrary.deleteEntries(ids);
+      setLibraryState(prev => ({
+        ...prev,
+        entries: prev.entries.filter(e => !ids.includes(e.id))
+      }));
+    } catch (error) {
+      handleError('Einträge löschen Fehler', error);
+    }
+  }, [handleError]);
+
+  /**
+   * Exportiert Einträge mit vollständigen Ergebnissen als JSON-Datei
+   * @param {Array<string>} ids - Eintrags-IDs
+   */
+  const exportEntries = useCallback(async (ids) => {
+    try {
+      const data = await analysisLibrary.exportEntries(ids);
+      downloadFile(toJSONString(data), `lyrik-bibliothek-${Date.now()}.json`, 'application/json');
+    } catch (error) {
+      handleError('Bibliothek exportieren Fehler', error);
+    }
+  }, [handleError]);
+
+  /**
+   * Löscht Fehler
+   */
+  const clearError = useCallback(() => {
+    setLibraryState(prev => ({ ...prev, error: null }));
+  }, []);
+
+  // Beim ersten Rendern laden
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const filteredEntries = useMemo(
+    () => filterEntries(libraryState.entries, searchQuery),
+    [libraryState.entries, searchQuery]
+  );
+
+  return {
+    // State
+    entries: libraryState.entries,
+    filteredEntries,
+    isLoading: libraryState.isLoading,
+    error: libraryState.error,
+    searchQuery,
+
+    // Funktionen
+    setSearchQuery,
+    refresh,
+    saveAnalysis,
+    openEntry,
+    updateEntry,
+    deleteEntries,
+    exportEntries,
+    clearError
+  };
+};
+
+export default useAnalysisLibrary;
@@ -0,0 +1,248 @@
+import { useState, useCallback, useRef, useMemo, useEffect } from 'react';
+import analysisWorkerClient from '../services/analysisWorkerClient';
+import {
+  splitPastedCorpus,
+  createCorpusDocument,
+  analyzeCorpus,
+  aggregateCorpusStatistics,
+  sortCorpusRows
+} from '../services/corpusAnalysis';
+import { readZipTextFiles } from '../utils/zipReader';
+import { isCancellationError } from '../utils/errors';
+
+/**
+ * Custom Hook für den Korpus-Modus
+ * Sammelt Dokumente (Eingabe, Dateien, ZIP), analysiert sie nacheinander im Worker
+ * und liefert aggregierte Statistiken sowie eine sortierbare Tabelle.
+ * @param {Object} options - Analyse-Optionen für jedes Dokument
+ * @returns {Object} Korpus-Status und Funktionen
+ */
+export const useCorpusAnalysis = (options = {}) => {
+  const [documents, setDocuments] = useState([]);
+  const [corpusState, setCorpusState] = useState({
+    isAnalyzing: false,
+    progress: 0,
+    message: '',
+    entries: [],
+    statistics: null,
+    error: null
+  });
+  const [sortConfig, setSortConfig] = useState({ key: 'title', direction: 'asc' });
+
+  const abortControllerRef = useRef(null);
+
+  /**
+   * Fügt Dokumente aus eingefügtem Text hinzu (Trennzeile: ---)
+   * @param {string} text - Eingefügter Text
+   */
+  const addPastedText = useCallback((text) => {
+    const pasted = splitPastedCorpus(text);
+    setDocuments(prev => [...prev, ...pasted]);
+    return pasted.length;
+  }, []);
+
+  /**
+   * Fügt Dokumente aus Dateien hinzu (.txt einzeln oder als .zip)
+   * @param {FileList|Array<File>} files - Ausgewählte Dateien
+   */
+  const addFiles = useCallback(async (files) => {
+    try {
+      const added = [];
+
+      for (const file of Array.from(files)) {
+        if (file.name.toLowerCase().endsWith('.zip')) {
+          const entries = await readZipTextFiles(await file.arrayBuffer());
+          entries.forEach((entry, i) => {
+            added.push(createCorpusDocument(entry.text.trim(), {
+              title: entry.name.split('/').pop().replace(/\.txt$/i, ''),
+              source: file.name,
+              index: i
+            }));
+          });
+        } else {
+          const text = (await file.text()).trim();
+          added.push(createCorpusDocument(text, {
+            title: file.name.replace(/\.txt$/i, ''),
+            source: file.name,
+            index: 0
+          }));
+        }
+      }
+
+      const nonEmpty = added.filter(doc => doc.text.length > 0);
+      setDocuments(prev => [...prev, ...nonEmpty]);
+      setCorpusState(prev => ({ ...prev, error: null }));
+      return nonEmpty.length;
+    } catch (error) {
+      console.error('Korpus-Dateien lesen Fehler:', error);
+      setCorpusState(prev => ({ ...prev, error: `Dateien lesen fehlgeschlagen: ${error.message}` }));
+      return 0;
+    }
+  }, []);
+
+  /**
+   * Entfernt ein Dokument aus der Warteschlange
+   */
+  const removeDocument = useCallback((id) => {
+    setDocuments(prev => prev.filter(doc => doc.id !== id));
+  }, []);
+
+  /**
+   * Leert Warteschlange und Ergebnisse
+   */
+  const clearCorpus = useCallback(() => {
+    setDocuments([]);
+    setCorpusState({
+      isAnalyzing: false,
+      progress: 0,
+      message: '',
+      entries: [],
+      statistics: null,
+      error: null
+    });
+  }, []);
+
+  /**
+   * Analysiert alle Dokumente der Warteschlange
+   */
+  const analyzeAll = useCallback(async () => {
+    if (documents.length === 0) return null;
+
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+    }
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+
+    setCorpusState(prev => ({
+      ...prev,
+      isAnalyzing: true,
+      progress: 0,
+      message: 'Starte Korpus-Analyse...',
+      error: null
+    }));
+
+    try {
+      const entries = await analyzeCorpus(
+        documents,
+        (text, progressCallback, signal) =>
+          analysisWorkerClient.analyze(text, options, progressCallback, signal),
+        (progress) => {
+          setCorpusState(prev => ({
+            ...prev,
+            progress: progress.progress,
+            message: progress.message
+          }));
+        },
+        controller.signal
+      );
+
+      const statistics = aggregateCorpusStatistics(entries);
+      const failed = entries.filter(e => e.error);
+
+      setCorpusState({
+        isAnalyzing: false,
+        progress: 100,
+        message: `${statistics.analyzedCount} von ${statistics.documentCount} Texten analysiert`,
+        entries,
+        statistics,
+        error: failed.length > 0
+          ? `${failed.length} Text(e) fehlgeschlagen: ${failed.map(e => e.document.title).join(', ')}`
+          : null
+      });
+
+      return statistics;
+    } catch (error) {
+      if (isCancellationError(error)) {
+        setCorpusState(prev => ({
+          ...prev,
+          isAnalyzing: false,
+          progress: 0,
+          message: 'Korpus-Analyse abgebrochen',
+          error: null
+        }));
+        return null;
+      }
+
+      console.error('Korpus-Analyse Fehler:', error);
+      setCorpusState(prev => ({ ...prev, isAnalyzing: false, error: error.message }));
+      return null;
+    } finally {
+      if (abortControllerRef.current === controller) {
+        abortControllerRef.current = null;
+      }
+    }
+  }, [documents, options]);
+
+  /**
+   * Bricht die laufende Korpus-Analyse ab
+   */
+  const cancelAnalysis = useCallback(() => {
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+      abortControllerRef.current = null;
+    }
+  }, []);
+
+  /**
+   * Sortiert die Tabelle; erneuter Klick kehrt die Richtung um
+   * @param {string} key - Kennzahl aus CORPUS_METRICS
+   */
+  const sortBy = useCallback((key) => {
+    setSortConfig(prev => ({
+      key,
+      direction: prev.key === key && prev.direction === 'asc' ? 'desc' : 'asc'
+    }));
+  }, []);
+
+  /**
+   * Liefert das vollständige Ergebnis eines Dokuments
+   * @param {string} id - Dokument-ID
+   */
+  const getResult = useCallback((id) => {
+    return corpusState.entries.find(e => e.document.id === id)?.result || null;
+  }, [corpusState.entries]);
+
+  const clearError = useCallback(() => {
+    setCorpusState(prev => ({ ...prev, error: null }));
+  }, []);
+
+  // Laufende Analyse beim Unmount abbrechen
+  useEffect(() => {
+    return () => {
+      if (abortControllerRef.current) {
+        abortControllerRef.current.abort();
+      }
+    };
+  }, []);
+
+  const sortedRows = useMemo(
+    () => sortCorpusRows(corpusState.statistics?.rows || [], sortConfig.key, sortConfig.direction),
+    [corpusState.statistics, sortConfig]
+  );
+
+  return {
+    // State
+    documents,
+    isAnalyzing: corpusState.isAnalyzing,
+    progress: corpusState.progress,
+    message: corpusState.message,
+    statistics: corpusState.statistics,
+    error: corpusState.error,
+    sortedRows,
+    sortConfig,
+
+    // Funktionen
+    addPastedText,
+    addFiles,
+    removeDocument,
+    clearCorpus,
+    analyzeAll,
+    cancelAnalysis,
+    sortBy,
+    getResult,
+    clearError
+  };
+};
+
+export default useCorpusAnalysis;
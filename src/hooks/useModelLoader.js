@@ -1,9 +1,10 @@
 import { useState, useEffect, useCallback } from 'react';
-import modelLoader from '../services/modelLoader';
+import analysisWorkerClient from '../services/analysisWorkerClient';
 import { MODELS } from '../utils/constants';
 
 /**
  * Custom Hook zum Laden von ML-Modellen
+ * Die Modelle werden im Analyse-Worker geladen, wo auch die Analyse läuft
  * @param {Array} modelKeys - Array von Model-Keys die geladen werden sollen
  * @returns {Object} Model-Status und Funktionen
  */
@@ -31,7 +32,7 @@ export const useModelLoader = (modelKeys = []) => {
     }));
 
     try {
-      const loadedModels = await modelLoader.loadMultipleModels(
+      const loadedModels = await analysisWorkerClient.loadMultipleModels(
         modelKeys,
         (progress) => {
           setLoadingState(prev => ({
@@ -80,7 +81,7 @@ export const useModelLoader = (modelKeys = []) => {
     }));
 
     try {
-      await modelLoader.loadModel(modelKey, (progress) => {
+      await analysisWorkerClient.loadModel(modelKey, (progress) => {
         setLoadingState(prev => ({
           ...prev,
           progress: Math.round(progress.progress || 0),
@@ -116,7 +117,7 @@ export const useModelLoader = (modelKeys = []) => {
    * Entlädt ein Model
    */
   const unloadModel = useCallback((modelKey) => {
-    modelLoader.unloadModel(modelKey);
+    analysisWorkerClient.unloadModel(modelKey);
     setLoadingState(prev => ({
       ...prev,
       loadedModels: prev.loadedModels.filter(key => key !== modelKey),
@@ -130,7 +131,7 @@ export const useModelLoader = (modelKeys = []) => {
    * Entlädt alle Models
    */
   const unloadAllModels = useCallback(() => {
-    modelLoader.unloadAllModels();
+    analysisWorkerClient.unloadAllModels();
     setLoadingState(prev => ({
       ...prev,
       loadedModels: [],
@@ -158,7 +159,7 @@ export const useModelLoader = (modelKeys = []) => {
   useEffect(() => {
     if (modelKeys.length > 0) {
       const alreadyLoaded = modelKeys.every(key => 
-        modelLoader.isModelLoaded(key)
+        analysisWorkerClient.isModelLoaded(key)
       );
 
       if (!alreadyLoaded) {
@@ -0,0 +1,100 @@
+import { useState, useCallback } from 'react';
+import { attributeAuthorship, DELTA_METHODS, FEATURE_SETS } from '../services/stylometry';
+
+/**
+ * Custom Hook für die Autorschaftszuschreibung
+ * Verwaltet Referenztexte bekannter Autoren, den anonymen Text und die Delta-Einstellungen
+ * @returns {Object} Stilometrie-Status und Funktionen
+ */
+export const useStylometry = () => {
+  const [references, setReferences] = useState([]);
+  const [unknownText, setUnknownText] = useState('');
+  const [settings, setSettings] = useState({
+    mfw: 100,
+    featureSet: FEATURE_SETS.MFW.id,
+    method: DELTA_METHODS.BURROWS.id
+  });
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+
+  /**
+   * Fügt einen Referenztext hinzu
+   * @param {Object} reference - { author, title, text }
+   */
+  const addReference = useCallback((reference) => {
+    if (!reference.author?.trim() || !reference.text?.trim()) return false;
+
+    setReferences(prev => [...prev, {
+      id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      author: reference.author.trim(),
+      title: reference.title?.trim() || reference.text.trim().split('\n')[0].slice(0, 60),
+      text: reference.text
+    }]);
+    return true;
+  }, []);
+
+  /**
+   * Liest .txt-Dateien als Referenztexte eines Autors ein
+   * @param {FileList|Array<File>} files - Dateien
+   * @param {string} author - Autor aller Dateien
+   */
+  const addReferenceFiles = useCallback(async (files, author) => {
+    try {
+      for (const file of Array.from(files)) {
+        addReference({ author, title: file.name.replace(/\.txt$/i, ''), text: await file.text() });
+      }
+    } catch (err) {
+      console.error('Referenztexte lesen Fehler:', err);
+      setError(`Dateien lesen fehlgeschlagen: ${err.message}`);
+    }
+  }, [addReference]);
+
+  const removeReference = useCallback((id) => {
+    setReferences(prev => prev.filter(r => r.id !== id));
+  }, []);
+
+  const updateSettings = useCallback((changes) => {
+    setSettings(prev => ({ ...prev, ...changes }));
+  }, []);
+
+  /**
+   * Berechnet die Kandidaten-Rangliste
+   */
+  const runAttribution = useCallback(() => {
+    try {
+      const attribution = attributeAuthorship(unknownText, references, settings);
+      setResult(attribution);
+      setError(null);
+      return attribution;
+    } catch (err) {
+      console.error('Autorschaftszuschreibung Fehler:', err);
+      setResult(null);
+      setError(err.message);
+      return null;
+    }
+  }, [unknownText, references, settings]);
+
+  const clearError = useCallback(() => {
+    setError(null);
+  }, []);
+
+  return {
+    // State
+    references,
+    unknownText,
+    settings,
+    result,
+    error,
+
+    // Funktionen
+    setUnknownText,
+    addReference,
+    addReferenceFiles,
+    removeReference,
+    updateSettings,
+    runAttribution,
+    clearError
+  };
+};
+
+export default useStylometry;
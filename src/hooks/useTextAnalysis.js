@@ -1,8 +1,13 @@
 import { useState, useCallback, useRef, useEffect } from 'react';
-import textAnalyzer from '../services/textAnalyzer';
+import analysisWorkerClient from '../services/analysisWorkerClient';
+import { isCancellationError } from '../utils/errors';
+import { downloadFile, toJSONString } from '../utils/fileExport';
+import { exportToCoNLLU, parseCoNLLU } from '../services/conllu';
+import { exportToTEI, parseTEI } from '../services/tei';
 
 /**
  * Custom Hook für Text-Analyse
+ * Die Analyse läuft im Web Worker, der UI-Thread bleibt reaktiv
  * @param {Object} options - Analyse-Optionen
  * @returns {Object} Analyse-Status und Funktionen
  */
@@ -19,6 +24,52 @@ export const useTextAnalysis = (options = {}) => {
   const abortControllerRef = useRef(null);
   const analysisTimeoutRef = useRef(null);
 
+  /**
+   * Startet eine neue abbrechbare Anfrage (eine laufende wird abgebrochen)
+   */
+  const startRequest = useCallback(() => {
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+    }
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+    return controller;
+  }, []);
+
+  /**
+   * Gibt den Controller einer beendeten Anfrage frei
+   */
+  const finishRequest = useCallback((controller) => {
+    if (abortControllerRef.current === controller) {
+      abortControllerRef.current = null;
+    }
+  }, []);
+
+  /**
+   * Setzt den Status nach Fehler oder Abbruch
+   * Ein Abbruch ist kein Fehler und erscheint nicht als Fehlermeldung. Wurde die Anfrage
+   * von einer neueren abgelöst, bleibt deren Status unangetastet.
+   */
+  const handleRequestError = useCallback((error, controller) => {
+    if (isCancellationError(error)) {
+      if (abortControllerRef.current !== controller) return;
+      setAnalysisState(prev => ({
+        ...prev,
+        isAnalyzing: false,
+        progress: 0,
+        message: 'Analyse abgebrochen',
+        error: null
+      }));
+      return;
+    }
+
+    setAnalysisState(prev => ({
+      ...prev,
+      isAnalyzing: false,
+      error: error.message
+    }));
+  }, []);
+
   /**
    * Führt Text-Analyse durch
    */
@@ -28,6 +79,8 @@ export const useTextAnalysis = (options = {}) => {
       clearTimeout(analysisTimeoutRef.current);
     }
 
+    const controller = startRequest();
+
     // Reset state
     setAnalysisState(prev => ({
       ...prev,
@@ -40,7 +93,7 @@ export const useTextAnalysis = (options = {}) => {
     try {
       const analysisOptions = { ...options, ...customOptions };
       
-      const result = await textAnalyzer.analyze(
+      const result = await analysisWorkerClient.analyze(
         text,
         analysisOptions,
         (progress) => {
@@ -49,7 +102,8 @@ export const useTextAnalysis = (options = {}) => {
             progress: progress.progress,
             message: progress.message
           }));
-        }
+        },
+        controller.signal
       );
 
       setAnalysisState(prev => ({
@@ -71,19 +125,19 @@ export const useTextAnalysis = (options = {}) => {
 
       return result;
     } catch (error) {
-      setAnalysisState(prev => ({
-        ...prev,
-        isAnalyzing: false,
-        error: error.message
-      }));
+      handleRequestError(error, controller);
       throw error;
+    } finally {
+      finishRequest(controller);
     }
-  }, [options]);
+  }, [options, startRequest, finishRequest, handleRequestError]);
 
   /**
    * Führt partielle Analyse durch
    */
   const analyzePartial = useCallback(async (text, aspects) => {
+    const controller = startRequest();
+
     setAnalysisState(prev => ({
       ...prev,
       isAnalyzing: true,
@@ -91,7 +145,7 @@ export const useTextAnalysis = (options = {}) => {
     }));
 
     try {
-      const result = await textAnalyzer.analyzePartial(text, aspects);
+      const result = await analysisWorkerClient.analyzePartial(text, aspects, controller.signal);
       
       setAnalysisState(prev => ({
         ...prev,
@@ -102,21 +156,19 @@ export const useTextAnalysis = (options = {}) => {
 
       return result;
     } catch (error) {
-      setAnalysisState(prev => ({
-        ...prev,
-        isAnalyzing: false,
-        error: error.message
-      }));
+      handleRequestError(error, controller);
       throw error;
+    } finally {
+      finishRequest(controller);
     }
-  }, []);
+  }, [startRequest, finishRequest, handleRequestError]);
 
   /**
    * Analysiert einzelnes Wort
    */
   const analyzeWord = useCallback(async (word, context) => {
     try {
-      return await textAnalyzer.analyzeWord(word, context);
+      return await analysisWorkerClient.analyzeWord(word, context);
     } catch (error) {
       console.error('Wort-Analyse Fehler:', error);
       throw error;
@@ -127,6 +179,8 @@ export const useTextAnalysis = (options = {}) => {
    * Vergleicht zwei Texte
    */
   const compareTexts = useCallback(async (text1, text2) => {
+    const controller = startRequest();
+
     setAnalysisState(prev => ({
       ...prev,
       isAnalyzing: true,
@@ -134,7 +188,7 @@ export const useTextAnalysis = (options = {}) => {
     }));
 
     try {
-      const result = await textAnalyzer.compareTexts(text1, text2);
+      const result = await analysisWorkerClient.compareTexts(text1, text2, controller.signal);
       
       setAnalysisState(prev => ({
         ...prev,
@@ -145,14 +199,12 @@ export const useTextAnalysis = (options = {}) => {
 
       return result;
     } catch (error) {
-      setAnalysisState(prev => ({
-        ...prev,
-        isAnalyzing: false,
-        error: error.message
-      }));
+      handleRequestError(error, controller);
       throw error;
+    } finally {
+      finishRequest(controller);
     }
-  }, []);
+  }, [startRequest, finishRequest, handleRequestError]);
 
   /**
    * Debounced Analyse (z.B. für Live-Typing)
@@ -164,7 +216,11 @@ export const useTextAnalysis = (options = {}) => {
     }
 
     analysisTimeoutRef.current = setTimeout(() => {
-      analyze(text);
+      analyze(text).catch(error => {
+        if (!isCancellationError(error)) {
+          console.error('Analyse Fehler:', error);
+        }
+      });
     }, delay);
   }, [analyze]);
 
@@ -179,7 +235,21 @@ export const useTextAnalysis = (options = {}) => {
       progress: 0,
       message: ''
     }));
-    textAnalyzer.clearAnalysis();
+    analysisWorkerClient.clearAnalysis();
+  }, []);
+
+  /**
+   * Übernimmt ein gespeichertes Ergebnis (z.B. aus der Bibliothek) als aktuelles Ergebnis
+   */
+  const loadResult = useCallback((result) => {
+    setAnalysisState(prev => ({
+      ...prev,
+      isAnalyzing: false,
+      result,
+      error: null,
+      progress: 0,
+      message: ''
+    }));
   }, []);
 
   /**
@@ -204,6 +274,7 @@ export const useTextAnalysis = (options = {}) => {
 
   /**
    * Bricht laufende Analyse ab
+   * Die Modell-Inferenz im Worker stoppt am nächsten Batch
    */
   const cancelAnalysis = useCallback(() => {
     if (analysisTimeoutRef.current) {
@@ -211,6 +282,11 @@ export const useTextAnalysis = (options = {}) => {
       analysisTimeoutRef.current = null;
     }
 
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+      abortControllerRef.current = null;
+    }
+
     setAnalysisState(prev => ({
       ...prev,
       isAnalyzing: false,
@@ -230,18 +306,70 @@ export const useTextAnalysis = (options = {}) => {
       analysis: analysisState.result
     };
 
-    const dataStr = JSON.stringify(exportData, null, 2);
-    const dataBlob = new Blob([dataStr], { type: 'application/json' });
-    const url = URL.createObjectURL(dataBlob);
-    
-    const link = document.createElement('a');
-    link.href = url;
-    link.download = `lyrik-analyse-${Date.now()}.json`;
-    link.click();
-    
-    URL.revokeObjectURL(url);
+    downloadFile(toJSONString(exportData), `lyrik-analyse-${Date.now()}.json`, 'application/json');
+  }, [analysisState.result]);
+
+  /**
+   * Exportiert Tokens, Lemmata, Morphologie, Dependencies und NER als CoNLL-U
+   */
+  const exportResultAsCoNLLU = useCallback(() => {
+    if (!analysisState.result) return null;
+
+    downloadFile(exportToCoNLLU(analysisState.result), `lyrik-analyse-${Date.now()}.conllu`, 'text/plain');
+  }, [analysisState.result]);
+
+  /**
+   * Lädt eine CoNLL-U Datei (z.B. Gold-Annotationen) als Analyse-Ergebnis
+   * @param {File} file - CoNLL-U Datei
+   */
+  const importCoNLLU = useCallback(async (file) => {
+    try {
+      const content = await file.text();
+      const result = parseCoNLLU(content, { fileName: file.name });
+      loadResult(result);
+      return result;
+    } catch (error) {
+      console.error('CoNLL-U Import Fehler:', error);
+      setAnalysisState(prev => ({
+        ...prev,
+        error: `CoNLL-U Import fehlgeschlagen: ${error.message}`
+      }));
+      return null;
+    }
+  }, [loadResult]);
+
+  /**
+   * Exportiert das Ergebnis als TEI P5 (Strophen, Verse, Wörter mit Lemma/POS/Sentiment, Reime)
+   * @param {Object} details - { title, author }
+   */
+  const exportResultAsTEI = useCallback((details = {}) => {
+    if (!analysisState.result) return null;
+
+    downloadFile(exportToTEI(analysisState.result, details), `lyrik-analyse-${Date.now()}.tei.xml`, 'application/tei+xml');
   }, [analysisState.result]);
 
+  /**
+   * Liest ein TEI-Gedicht und analysiert es mit erhaltener Vers- und Strophenstruktur
+   * @param {File} file - TEI-XML Datei
+   * @returns {Promise<Object|null>} { result, poem } oder null bei ungültiger Datei
+   */
+  const importTEI = useCallback(async (file) => {
+    let poem;
+    try {
+      poem = parseTEI(await file.text());
+    } catch (error) {
+      console.error('TEI Import Fehler:', error);
+      setAnalysisState(prev => ({
+        ...prev,
+        error: `TEI Import fehlgeschlagen: ${error.message}`
+      }));
+      return null;
+    }
+
+    const result = await analyze(poem.text);
+    return { result, poem };
+  }, [analyze]);
+
   /**
    * Cleanup bei Unmount
    */
@@ -250,6 +378,9 @@ export const useTextAnalysis = (options = {}) => {
       if (analysisTimeoutRef.current) {
         clearTimeout(analysisTimeoutRef.current);
       }
+      if (abortControllerRef.current) {
+        abortControllerRef.current.abort();
+      }
     };
   }, []);
 
@@ -302,10 +433,15 @@ export const useTextAnalysis = (options = {}) => {
     
     // Utility Funktionen
     clearResult,
+    loadResult,
     clearError,
     clearHistory,
     cancelAnalysis,
     exportResultAsJSON,
+    exportResultAsCoNLLU,
+    importCoNLLU,
+    exportResultAsTEI,
+    importTEI,
     
     // Data Getter
     getSentimentData,
@@ -0,0 +1,133 @@
+import { useState, useCallback, useRef, useEffect } from 'react';
+import analysisWorkerClient from '../services/analysisWorkerClient';
+import { isCancellationError } from '../utils/errors';
+
+/**
+ * Custom Hook für den N-Wege-Textvergleich
+ * Der Vergleich läuft im Worker; das Ergebnis bleibt getrennt von der Einzelanalyse
+ * @returns {Object} Vergleichs-Status und Funktionen
+ */
+export const useTextComparison = () => {
+  const [comparisonState, setComparisonState] = useState({
+    isComparing: false,
+    progress: 0,
+    message: '',
+    comparison: null,
+    error: null
+  });
+  const [selectedPair, setSelectedPair] = useState(null);
+
+  const abortControllerRef = useRef(null);
+
+  /**
+   * Vergleicht alle Texte paarweise
+   * @param {Array<Object>} texts - [{ title, text }]
+   */
+  const compareMany = useCallback(async (texts) => {
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+    }
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+
+    setSelectedPair(null);
+    setComparisonState(prev => ({
+      ...prev,
+      isComparing: true,
+      progress: 0,
+      message: 'Starte Vergleich...',
+      error: null
+    }));
+
+    try {
+      const comparison = await analysisWorkerClient.compareMany(
+        texts,
+        (progress) => {
+          setComparisonState(prev => ({
+            ...prev,
+            progress: progress.progress,
+            message: progress.message
+          }));
+        },
+        controller.signal
+      );
+
+      setComparisonState({
+        isComparing: false,
+        progress: 100,
+        message: 'Vergleich abgeschlossen',
+        comparison,
+        error: null
+      });
+
+      return comparison;
+    } catch (error) {
+      if (isCancellationError(error)) {
+        setComparisonState(prev => ({
+          ...prev,
+          isComparing: false,
+          progress: 0,
+          message: 'Vergleich abgebrochen',
+          error: null
+        }));
+        return null;
+      }
+
+      console.error('Textvergleich Fehler:', error);
+      setComparisonState(prev => ({ ...prev, isComparing: false, error: error.message }));
+      return null;
+    } finally {
+      if (abortControllerRef.current === controller) {
+        abortControllerRef.current = null;
+      }
+    }
+  }, []);
+
+  /**
+   * Bricht den laufenden Vergleich ab
+   */
+  const cancelComparison = useCallback(() => {
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+      abortControllerRef.current = null;
+    }
+  }, []);
+
+  /**
+   * Wählt ein Textpaar für die Detailansicht (i === j hebt die Auswahl auf)
+   */
+  const selectPair = useCallback((i, j) => {
+    setSelectedPair(i === j ? null : { i: Math.min(i, j), j: Math.max(i, j) });
+  }, []);
+
+  const clearError = useCallback(() => {
+    setComparisonState(prev => ({ ...prev, error: null }));
+  }, []);
+
+  // Laufenden Vergleich beim Unmount abbrechen
+  useEffect(() => {
+    return () => {
+      if (abortControllerRef.current) {
+        abortControllerRef.current.abort();
+      }
+    };
+  }, []);
+
+  return {
+    // State
+    isComparing: comparisonState.isComparing,
+    progress: comparisonState.progress,
+    message: comparisonState.message,
+    comparison: comparisonState.comparison,
+    error: comparisonState.error,
+    selectedPair,
+
+    // Funktionen
+    compareMany,
+    cancelComparison,
+    selectPair,
+    clearError
+  };
+};
+
+export default useTextComparison;
@@ -0,0 +1,205 @@
+import { ANALYSIS_CONFIG, FEATURES } from '../utils/constants';
+import { normalizeUTF8 } from '../utils/textPreprocessing';
+import { openAppDatabase, getRecord, putRecord, deleteRecord, clearStore, pruneRecords, isIndexedDBAvailable } from '../utils/indexedDB';
+
+/**
+ * Analyse-Cache mit zwei Stufen
+ * 1. Arbeitsspeicher (LRU, begrenzt auf MAX_MEMORY_ENTRIES)
+ * 2. IndexedDB (optional, überdauert das Neuladen der App, begrenzt auf MAX_PERSISTENT_ENTRIES)
+ * Einträge verfallen nach ANALYSIS_CONFIG.CACHE.CACHE_DURATION.
+ */
+class AnalysisCache {
+  constructor() {
+    this.memory = new Map();
+    this.persistentDisabled = false;
+  }
+
+  /**
+   * Erstellt den Cache-Schlüssel aus normalisiertem Text, Optionen und geladenen Models
+   *
+   * @param {string} text - Analysierter Text
+   * @param {Object} options - Analyse-Optionen (useCache wird ignoriert)
+   * @param {Object} usedModels - Ergebnis von getUsedModels()
+   * @param {string} version - Analyse-Version
+   * @returns {Promise<string>} SHA-256 Hex-Schlüssel
+   */
+  async createKey(text, options = {}, usedModels = {}, version = '') {
+    const relevantOptions = { ...options };
+    delete relevantOptions.useCache;
+    const source = [
+      normalizeUTF8(text).trim(),
+      stableStringify(relevantOptions),
+      stableStringify(usedModels),
+      version
+    ].join('\u0000');
+
+    return hashString(source);
+  }
+
+  /**
+   * Liest einen Eintrag (erst Arbeitsspeicher, dann IndexedDB)
+   *
+   * @param {string} key - Cache-Schlüssel
+   * @returns {Promise<Object|null>} Analyse oder null
+   */
+  async get(key) {
+    const cached = this.memory.get(key);
+    if (cached) {
+      if (this.isExpired(cached)) {
+        this.memory.delete(key);
+      } else {
+        // LRU: zuletzt benutzt ans Ende
+        this.memory.delete(key);
+        this.memory.set(key, cached);
+        return cached.analysis;
+      }
+    }
+
+    const db = await this.getDatabase();
+    if (!db) return null;
+
+    try {
+      const record = await getRecord(db, ANALYSIS_CONFIG.CACHE.ANALYSIS_STORE, key);
+      if (!record) return null;
+
+      if (this.isExpired(record)) {
+        await deleteRecord(db, ANALYSIS_CONFIG.CACHE.ANALYSIS_STORE, key);
+        return null;
+      }
+
+      this.setMemory(key, record);
+      return record.analysis;
+    } catch (error) {
+      console.error('Analyse-Cache lesen Fehler:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Speichert eine Analyse in beiden Stufen
+   * Beim Schreiben werden abgelaufene und die ältesten überzähligen Einträge gelöscht.
+   *
+   * @param {string} key - Cache-Schlüssel
+   * @param {Object} analysis - Analyse-Ergebnis
+   */
+  async set(key, analysis) {
+    const record = { key, analysis, timestamp: Date.now() };
+    this.setMemory(key, record);
+
+    const db = await this.getDatabase();
+    if (!db) return;
+
+    try {
+      await putRecord(db, ANALYSIS_CONFIG.CACHE.ANALYSIS_STORE, record);
+      await pruneRecords(db, ANALYSIS_CONFIG.CACHE.ANALYSIS_STORE, 'timestamp', {
+        olderThan: record.timestamp - ANALYSIS_CONFIG.CACHE.CACHE_DURATION,
+        maxEntries: ANALYSIS_CONFIG.CACHE.MAX_PERSISTENT_ENTRIES
+      });
+    } catch (error) {
+      console.error('Analyse-Cache schreiben Fehler:', error);
+    }
+  }
+
+  /**
+   * Leert Arbeitsspeicher und IndexedDB
+   */
+  async clear() {
+    this.memory.clear();
+
+    const db = await this.getDatabase();
+    if (!db) return;
+
+    try {
+      await clearStore(db, ANALYSIS_CONFIG.CACHE.ANALYSIS_STORE);
+    } catch (error) {
+      console.error('Analyse-Cache leeren Fehler:', error);
+    }
+  }
+
+  /**
+   * Prüft, ob ein Eintrag abgelaufen ist
+   * @private
+   */
+  isExpired(record) {
+    return Date.now() - record.timestamp > ANALYSIS_CONFIG.CACHE.CACHE_DURATION;
+  }
+
+  /**
+   * Legt einen Eintrag im Arbeitsspeicher ab und begrenzt die Größe
+   * @private
+   */
+  setMemory(key, record) {
+    this.memory.delete(key);
+    this.memory.set(key, record);
+
+    while (this.memory.size > ANALYSIS_CONFIG.CACHE.MAX_MEMORY_ENTRIES) {
+      const oldestKey = this.memory.keys().next().value;
+      this.memory.delete(oldestKey);
+    }
+  }
+
+  /**
+   * Öffnet die persistente Stufe; bei Fehlern bleibt nur der Arbeitsspeicher aktiv
+   * @private
+   */
+  async getDatabase() {
+    if (!FEATURES.PERSISTENT_ANALYSIS_CACHE || this.persistentDisabled || !isIndexedDBAvailable()) {
+      return null;
+    }
+
+    try {
+      return await openAppDatabase();
+    } catch (error) {
+      console.error('Analyse-Cache Datenbank Fehler:', error);
+      this.persistentDisabled = true;
+      return null;
+    }
+  }
+}
+
+/**
+ * Serialisiert Werte mit sortierten Objekt-Schlüsseln,
+ * damit { a, b } und { b, a } denselben Schlüssel ergeben
+ * @private
+ */
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+};
+
+/**
+ * SHA-256 über die Web Crypto API, sonst zwei unabhängige 32-bit Hashes
+ * @private
+ */
+const hashString = async (source) => {
+  if (globalThis.crypto?.subtle) {
+    const bytes = new TextEncoder().encode(source);
+    const digest = await globalThis.crypto.subtle.digest('SHA-256', bytes);
+    return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  // Fallback (z.B. unsicherer Kontext ohne crypto.subtle): FNV-1a + djb2
+  let fnv = 0x811c9dc5;
+  let djb = 5381;
+  for (let i = 0; i < source.length; i++) {
+    const char = source.charCodeAt(i);
+    fnv = Math.imul(fnv ^ char, 0x01000193);
+    djb = Math.imul(djb, 33) ^ char;
+  }
+  const hex = (n) => (n >>> 0).toString(16).padStart(8, '0');
+  return `fallback-${hex(fnv)}${hex(djb)}-${source.length}`;
+};
+
+// Singleton Instance
+const analysisCache = new AnalysisCache();
+
+export default analysisCache;
@@ -0,0 +1,206 @@
+import { ANALYSIS_CONFIG } from '../utils/constants';
+import { openAppDatabase, getRecord, getAllRecords, getRecordsByIndex, putRecord, deleteRecord } from '../utils/indexedDB';
+
+/**
+ * Bibliothek gespeicherter Analysen
+ * Speichert vollständige Ergebnisse mit Titel, Autor und Tags lokal in IndexedDB.
+ * Zusammenfassungen (Liste, Suche) und vollständige Ergebnisse liegen in getrennten Stores,
+ * damit Liste und Speichern nicht alle Ergebnisse samt Embeddings laden.
+ */
+class AnalysisLibrary {
+  /**
+   * Speichert eine Analyse in der Bibliothek
+   * Dieselbe Analyse (gleicher Text, gleicher Zeitpunkt, z.B. aus dem Cache) wird nicht doppelt abgelegt;
+   * angegebene Details (Titel, Autor, Tags) werden dann in den vorhandenen Eintrag übernommen.
+   *
+   * @param {Object} result - Analyse-Ergebnis
+   * @param {Object} details - { title, author, tags }
+   * @returns {Promise<Object>} Gespeicherter Eintrag (ohne Ergebnis)
+   */
+  async saveAnalysis(result, details = {}) {
+    const db = await openAppDatabase();
+    const { LIBRARY_STORE, LIBRARY_RESULTS_STORE } = ANALYSIS_CONFIG.CACHE;
+    const original = result?.text?.original || '';
+
+    // Nur Einträge mit gleichem Analysezeitpunkt kommen als Duplikat in Frage
+    const sameTime = result?.metadata?.analyzedAt
+      ? await getRecordsByIndex(db, LIBRARY_STORE, 'analyzedAt', result.metadata.analyzedAt)
+      : [];
+    for (const summary of sameTime) {
+      const stored = await getRecord(db, LIBRARY_RESULTS_STORE, summary.id);
+      if (stored?.result?.text?.original === original) {
+        const changes = filledDetails(details);
+        return Object.keys(changes).length > 0 ? this.updateEntry(summary.id, changes) : summary;
+      }
+    }
+
+    const now = new Date().toISOString();
+    const summary = {
+      id: createId(),
+      title: details.title?.trim() || deriveTitle(original),
+      author: details.author?.trim() || '',
+      tags: normalizeTags(details.tags),
+      createdAt: now,
+      updatedAt: now,
+      analyzedAt: result?.metadata?.analyzedAt || now,
+      textPreview: original.slice(0, 200),
+      wordCount: result?.tokens?.words?.length || 0,
+      sentiment: result?.sentiment?.overall?.label || null
+    };
+
+    await putRecord(db, LIBRARY_RESULTS_STORE, { id: summary.id, result });
+    await putRecord(db, LIBRARY_STORE, summary);
+    return summary;
+  }
+
+  /**
+   * Listet alle Einträge (neueste zuerst), ohne die vollständigen Ergebnisse
+   * @returns {Promise<Array>} Eintrags-Zusammenfassungen
+   */
+  async listEntries() {
+    const db = await openAppDatabase();
+    const entries = await getAllRecords(db, ANALYSIS_CONFIG.CACHE.LIBRARY_STORE);
+
+    return entries.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Lädt einen Eintrag mit vollständigem Ergebnis
+   * @param {string} id - Eintrags-ID
+   * @returns {Promise<Object|null>} Eintrag oder null
+   */
+  async getEntry(id) {
+    const db = await openAppDatabase();
+    const summary = await getRecord(db, ANALYSIS_CONFIG.CACHE.LIBRARY_STORE, id);
+    if (!summary) return null;
+
+    const stored = await getRecord(db, ANALYSIS_CONFIG.CACHE.LIBRARY_RESULTS_STORE, id);
+    return { ...summary, result: stored?.result || null };
+  }
+
+  /**
+   * Aktualisiert Titel, Autor oder Tags eines Eintrags
+   * @param {string} id - Eintrags-ID
+   * @param {Object} changes - { title, author, tags }
+   * @returns {Promise<Object>} Aktualisierte Zusammenfassung
+   */
+  async updateEntry(id, changes = {}) {
+    const db = await openAppDatabase();
+    const entry = await getRecord(db, ANALYSIS_CONFIG.CACHE.LIBRARY_STORE, id);
+    if (!entry) {
+      throw new Error('Eintrag nicht gefunden');
+    }
+
+    const updated = {
+      ...entry,
+      title: changes.title !== undefined ? (changes.title.trim() || entry.title) : entry.title,
+      author: changes.author !== undefined ? changes.author.trim() : entry.author,
+      tags: changes.tags !== undefined ? normalizeTags(changes.tags) : entry.tags,
+      updatedAt: new Date().toISOString()
+    };
+
+    await putRecord(db, ANALYSIS_CONFIG.CACHE.LIBRARY_STORE, updated);
+    return updated;
+  }
+
+  /**
+   * Löscht Einträge
+   * @param {Array<string>} ids - Eintrags-IDs
+   */
+  async deleteEntries(ids) {
+    const db = await openAppDatabase();
+    for (const id of ids) {
+      await deleteRecord(db, ANALYSIS_CONFIG.CACHE.LIBRARY_STORE, id);
+      await deleteRecord(db, ANALYSIS_CONFIG.CACHE.LIBRARY_RESULTS_STORE, id);
+    }
+  }
+
+  /**
+   * Stellt Einträge mit vollständigen Ergebnissen für den Export zusammen
+   * @param {Array<string>} ids - Eintrags-IDs
+   * @returns {Promise<Object>} Export-Daten
+   */
+  async exportEntries(ids) {
+    const entries = [];
+    for (const id of ids) {
+      const entry = await this.getEntry(id);
+      if (entry) entries.push(entry);
+    }
+
+    return {
+      exportedAt: new Date().toISOString(),
+      count: entries.length,
+      entries
+    };
+  }
+}
+
+/**
+ * Filtert Einträge nach Suchbegriff
+ * Jeder Begriff muss in Titel, Autor, Tags oder Textvorschau vorkommen.
+ *
+ * @param {Array} entries - Eintrags-Zusammenfassungen
+ * @param {string} query - Suchbegriffe
+ * @returns {Array} Passende Einträge
+ */
+export const filterEntries = (entries, query) => {
+  const terms = (query || '').toLowerCase().split(/\s+/).filter(Boolean);
+  if (terms.length === 0) return entries;
+
+  return entries.filter(entry => {
+    const haystack = [
+      entry.title,
+      entry.author,
+      ...(entry.tags || []),
+      entry.textPreview
+    ].join('\n').toLowerCase();
+
+    return terms.every(term => haystack.includes(term.replace(/^#/, '')));
+  });
+};
+
+/**
+ * Beim Speichern angegebene Details ohne leere Felder (überschreiben keine vorhandenen Werte)
+ * @private
+ */
+const filledDetails = (details) => {
+  const changes = {};
+  if (details.title?.trim()) changes.title = details.title;
+  if (details.author?.trim()) changes.author = details.author;
+  if (normalizeTags(details.tags).length > 0) changes.tags = details.tags;
+  return changes;
+};
+
+/**
+ * Erste nichtleere Zeile als Titel
+ * @private
+ */
+const deriveTitle = (text) => {
+  const firstLine = text.split('\n').map(line => line.trim()).find(Boolean) || 'Ohne Titel';
+  return firstLine.length > 60 ? `${firstLine.slice(0, 57)}...` : firstLine;
+};
+
+/**
+ * Tags aus Array oder kommagetrennter Zeichenkette, ohne Duplikate
+ * @private
+ */
+const normalizeTags = (tags) => {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  return [...new Set(list.map(tag => tag.trim().replace(/^#/, '')).filter(Boolean))];
+};
+
+/**
+ * Erzeugt eine eindeutige ID
+ * @private
+ */
+const createId = () => {
+  if (globalThis.crypto?.randomUUID) {
+    return globalThis.crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+};
+
+// Singleton Instance
+const analysisLibrary = new AnalysisLibrary();
+
+export default analysisLibrary;
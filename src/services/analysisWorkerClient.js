@@ -0,0 +1,285 @@
+import { FEATURES, WORKER_MESSAGES } from '../utils/constants';
+import { AnalysisCancelledError } from '../utils/errors';
+
+/**
+ * Client für den Analyse-Worker
+ * Bietet dieselbe API wie textAnalyzer/modelLoader, führt aber alles im Worker aus.
+ * Ohne Worker-Unterstützung wird die Anfrage im UI-Thread ausgeführt.
+ */
+class AnalysisWorkerClient {
+  constructor() {
+    this.worker = null;
+    this.workerFailed = false;
+    this.pendingRequests = new Map();
+    this.nextRequestId = 1;
+    this.loadedModels = new Set();
+  }
+
+  /**
+   * Führt vollständige Analyse im Worker durch
+   * @param {string} text - Input Text
+   * @param {Object} options - Analyse-Optionen
+   * @param {function} progressCallback - Callback für Fortschritt ({ progress, message })
+   * @param {AbortSignal} signal - Optionales Signal; Abbruch verwirft mit AnalysisCancelledError
+   * @returns {Promise<Object>} Analyse-Ergebnis (Embeddings als Float32Array)
+   */
+  analyze(text, options = {}, progressCallback = null, signal = null) {
+    return this._request(WORKER_MESSAGES.ANALYZE, { text, options }, progressCallback, signal);
+  }
+
+  /**
+   * Führt partielle Analyse im Worker durch
+   * @param {string} text - Input Text
+   * @param {Array} aspects - Gewünschte Analyse-Aspekte
+   * @param {AbortSignal} signal - Optionales Signal zum Abbrechen
+   * @returns {Promise<Object>} Partial Analyse
+   */
+  analyzePartial(text, aspects, signal = null) {
+    return this._request(WORKER_MESSAGES.ANALYZE_PARTIAL, { text, aspects }, null, signal);
+  }
+
+  /**
+   * Analysiert einzelnes Wort im Kontext
+   * @param {string} word - Wort
+   * @param {string} context - Kontext-Text
+   * @returns {Promise<Object>} Wort-Analyse
+   */
+  analyzeWord(word, context) {
+    return this._request(WORKER_MESSAGES.ANALYZE_WORD, { word, context });
+  }
+
+  /**
+   * Vergleicht zwei Texte
+   * @param {string} text1 - Erster Text
+   * @param {string} text2 - Zweiter Text
+   * @param {AbortSignal} signal - Optionales Signal zum Abbrechen
+   * @returns {Promise<Object>} Vergleichs-Ergebnis
+   */
+  compareTexts(text1, text2, signal = null) {
+    return this._request(WORKER_MESSAGES.COMPARE_TEXTS, { text1, text2 }, null, signal);
+  }
+
+  /**
+   * Vergleicht beliebig viele Texte paarweise
+   * @param {Array<string|Object>} texts - Texte oder { title, text }
+   * @param {function} progressCallback - Callback für Fortschritt ({ progress, message })
+   * @param {AbortSignal} signal - Optionales Signal zum Abbrechen
+   * @returns {Promise<Object>} Ähnlichkeitsmatrizen und Paar-Details
+   */
+  compareMany(texts, progressCallback = null, signal = null) {
+    return this._request(WORKER_MESSAGES.COMPARE_MANY, { texts }, progressCallback, signal);
+  }
+
+  /**
+   * Verwirft die zuletzt gespeicherte Analyse im Worker
+   */
+  clearAnalysis() {
+    return this._request(WORKER_MESSAGES.CLEAR_ANALYSIS).catch(error => {
+      console.error('Analyse zurücksetzen Fehler:', error);
+    });
+  }
+
+  /**
+   * Lädt ein ML-Model im Worker
+   * @param {string} modelKey - Key aus MODELS Konstante
+   * @param {function} progressCallback - Callback für Lade-Fortschritt
+   * @returns {Promise<Object>} Lade-Status
+   */
+  async loadModel(modelKey, progressCallback = null) {
+    const status = await this._request(WORKER_MESSAGES.LOAD_MODEL, { modelKey }, progressCallback);
+    if (status?.loaded) {
+      this.loadedModels.add(modelKey);
+    }
+    return status;
+  }
+
+  /**
+   * Lädt mehrere Models im Worker
+   * @param {Array} modelKeys - Array von Model-Keys
+   * @param {function} progressCallback - Callback für Gesamt-Fortschritt
+   * @returns {Promise<Object>} Object mit geladenen Model-Keys
+   */
+  async loadMultipleModels(modelKeys, progressCallback = null) {
+    const loaded = await this._request(WORKER_MESSAGES.LOAD_MODELS, { modelKeys }, progressCallback);
+    Object.keys(loaded || {}).forEach(key => this.loadedModels.add(key));
+    return loaded;
+  }
+
+  /**
+   * Entlädt ein Model im Worker
+   * @param {string} modelKey - Model Key
+   */
+  unloadModel(modelKey) {
+    this.loadedModels.delete(modelKey);
+    return this._request(WORKER_MESSAGES.UNLOAD_MODEL, { modelKey }).catch(error => {
+      console.error('Model entladen Fehler:', error);
+    });
+  }
+
+  /**
+   * Entlädt alle Models im Worker
+   */
+  unloadAllModels() {
+    this.loadedModels.clear();
+    return this._request(WORKER_MESSAGES.UNLOAD_ALL_MODELS).catch(error => {
+      console.error('Models entladen Fehler:', error);
+    });
+  }
+
+  /**
+   * Prüft ob ein Model im Worker geladen ist
+   * @param {string} modelKey - Model Key
+   * @returns {boolean}
+   */
+  isModelLoaded(modelKey) {
+    return this.loadedModels.has(modelKey);
+  }
+
+  /**
+   * Beendet den Worker (z.B. beim Entladen der Seite)
+   */
+  terminate() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    this._rejectAll(new Error('Analyse-Worker beendet'));
+    this.loadedModels.clear();
+  }
+
+  /**
+   * Sendet eine Anfrage an den Worker und wartet auf das Ergebnis
+   * Bei Abbruch wird sofort verworfen und der Worker per cancel-Nachricht informiert
+   * @private
+   */
+  _request(type, payload = {}, progressCallback = null, signal = null) {
+    if (signal?.aborted) {
+      return Promise.reject(new AnalysisCancelledError());
+    }
+
+    const worker = this._getWorker();
+    if (!worker) {
+      return this._runLocally(type, payload, progressCallback, signal);
+    }
+
+    const id = this.nextRequestId++;
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        if (!this.pendingRequests.has(id)) return;
+        this.pendingRequests.delete(id);
+        worker.postMessage({ id, type: WORKER_MESSAGES.CANCEL });
+        reject(new AnalysisCancelledError());
+      };
+      const cleanup = () => signal?.removeEventListener('abort', onAbort);
+
+      this.pendingRequests.set(id, {
+        resolve: (value) => { cleanup(); resolve(value); },
+        reject: (error) => { cleanup(); reject(error); },
+        progressCallback
+      });
+      signal?.addEventListener('abort', onAbort);
+      worker.postMessage({ id, type, payload });
+    });
+  }
+
+  /**
+   * Fallback: Führt die Anfrage ohne Worker im UI-Thread aus
+   * @private
+   */
+  async _runLocally(type, payload, progressCallback, signal) {
+    const { handleAnalysisRequest } = await import('../workers/requestHandler');
+    return handleAnalysisRequest(type, payload, progressCallback, signal);
+  }
+
+  /**
+   * Erstellt den Worker bei Bedarf
+   * @private
+   */
+  _getWorker() {
+    if (this.worker || this.workerFailed) return this.worker;
+
+    if (!FEATURES.ANALYSIS_WORKER || typeof Worker === 'undefined') {
+      this.workerFailed = true;
+      return null;
+    }
+
+    try {
+      this.worker = new Worker(
+        new URL('../workers/analysis.worker.js', import.meta.url),
+        { type: 'module' }
+      );
+      this.worker.onmessage = (event) => this._handleMessage(event.data);
+      this.worker.onerror = (event) => this._handleWorkerError(event);
+    } catch (error) {
+      console.error('Analyse-Worker konnte nicht gestartet werden:', error);
+      this.workerFailed = true;
+      this.worker = null;
+    }
+
+    return this.worker;
+  }
+
+  /**
+   * Verteilt Worker-Nachrichten an die wartenden Anfragen
+   * @private
+   */
+  _handleMessage(message) {
+    const request = this.pendingRequests.get(message?.id);
+    if (!request) return;
+
+    switch (message.type) {
+      case WORKER_MESSAGES.PROGRESS:
+        if (request.progressCallback) {
+          request.progressCallback(message.payload);
+        }
+        break;
+      case WORKER_MESSAGES.RESULT:
+        this.pendingRequests.delete(message.id);
+        request.resolve(message.payload);
+        break;
+      case WORKER_MESSAGES.ERROR: {
+        this.pendingRequests.delete(message.id);
+        if (message.error?.name === 'AnalysisCancelledError') {
+          request.reject(new AnalysisCancelledError(message.error.message));
+          break;
+        }
+        const error = new Error(message.error?.message || 'Unbekannter Worker-Fehler');
+        if (message.error?.name) error.name = message.error.name;
+        request.reject(error);
+        break;
+      }
+    }
+  }
+
+  /**
+   * Behandelt Abstürze des Workers: offene Anfragen scheitern, der nächste Aufruf startet neu
+   * @private
+   */
+  _handleWorkerError(event) {
+    console.error('Analyse-Worker Fehler:', event);
+    event.preventDefault?.();
+
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    this.loadedModels.clear();
+    this._rejectAll(new Error(`Analyse-Worker abgestürzt: ${event.message || 'unbekannter Fehler'}`));
+  }
+
+  /**
+   * Lehnt alle offenen Anfragen ab
+   * @private
+   */
+  _rejectAll(error) {
+    for (const request of this.pendingRequests.values()) {
+      request.reject(error);
+    }
+    this.pendingRequests.clear();
+  }
+}
+
+// Singleton Instance
+const analysisWorkerClient = new AnalysisWorkerClient();
+
+export default analysisWorkerClient;
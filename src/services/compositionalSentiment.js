@@ -0,0 +1,342 @@
+import { NEGATION_WORDS, INTENSIFIERS } from '../utils/emotionLexicon';
+import { getSentimentLabel } from '../utils/colorMapping';
+
+/**
+ * Kompositionelles Sentiment
+ * Das Modell bewertet jedes Wort ohne Negationen und Verstärker im Kontextfenster (Basis-Score);
+ * diese werden anschließend regelbasiert über ihren Skopus angewendet – per Dependency-Baum,
+ * sonst über Token-Nachbarschaft. Jede Änderung wird als Attribution am Wort festgehalten.
+ */
+
+// Negation verschiebt zur Gegenpolarität, aber abgeschwächt ("nicht gut" ist milder als "schlecht")
+const NEGATION_FACTOR = 0.6;
+
+// Token-Skopus ohne Dependencies (in Wörtern)
+const NEGATION_SCOPE = 3;
+const INTENSIFIER_SCOPE = 2;
+
+// Abhängige, die nicht im Negationsskopus des Kopfes liegen (Subjekt, Nebensätze, Koordination)
+const SCOPE_BARRIERS = ['NSUBJ', 'CCOMP', 'ADVCL', 'ACL', 'CONJ', 'CC', 'MARK', 'PUNCT'];
+
+// Satzteilgrenzen für den Token-Skopus
+const CLAUSE_BOUNDARY = /^[,;:–—.!?]$/;
+
+// Anzahl der Wörter in der Attribution eines Satzes
+const TOP_DRIVERS = 5;
+
+// Ironie-Signale: Partikeln, die positive Wörter ins Gegenteil kehren können
+// (keine wertenden Adjektive wie "schön" – die sind selbst das positive Wort)
+const IRONY_MARKERS = new Set(['natürlich', 'selbstverständlich', 'freilich', 'wahrlich', 'na']);
+const IRONY_THRESHOLD = 0.3;
+
+const NEGATIONS = new Set(NEGATION_WORDS);
+
+const DETERMINER_NEGATION = /^kein/i;
+
+// Wortarten, die nachgestellte Negation nicht trägt (Pronomen, Artikel, Nomen)
+const NON_PREDICATE_TAGS = ['PRON', 'DET', 'NOUN', 'PROPN', 'ADP'];
+
+/**
+ * Prüft, ob ein Wort Negation oder Verstärker ist
+ *
+ * @param {string} word - Wortform
+ * @returns {string|null} 'negation', 'intensifier' oder null
+ */
+export const getModifierType = (word) => {
+  const lower = (word || '').toLowerCase();
+  if (NEGATIONS.has(lower)) return 'negation';
+  if (INTENSIFIERS[lower]) return 'intensifier';
+  return null;
+};
+
+/**
+ * Wendet Negationen und Verstärker auf die Basis-Scores der Wörter an
+ * Idempotent: arbeitet immer vom Basis-Score aus und kann mit Dependencies erneut laufen.
+ *
+ * @param {Array} words - Tokens mit sentiment (aus analyzeWordSentiment)
+ * @param {Array} dependencies - Optionale Dependency-Analyse pro Satz (aus analyzeSyntax)
+ * @returns {Array} Tokens mit kompositionellem sentiment inkl. modifiers
+ */
+export const composeWordSentiment = (words, dependencies = null) => {
+  try {
+    const scopes = collectScopes(words, dependencies);
+
+    return words.map(word => {
+      if (!word.sentiment) return word;
+
+      const baseScore = word.sentiment.baseScore ?? word.sentiment.score;
+      const role = getModifierType(word.text);
+
+      // Modifikatoren tragen selbst keine Polarität
+      if (role) {
+        return {
+          ...word,
+          sentiment: { ...word.sentiment, baseScore, score: 0, label: getSentimentLabel(0), role, modifiers: [] }
+        };
+      }
+
+      const modifiers = scopes.get(word.position) || [];
+      let score = baseScore;
+
+      modifiers.filter(m => m.type === 'intensifier').forEach(m => {
+        score *= m.factor;
+      });
+      modifiers.filter(m => m.type === 'negation').forEach(() => {
+        score *= -NEGATION_FACTOR;
+      });
+
+      score = round(Math.max(-1, Math.min(1, score)));
+
+      return {
+        ...word,
+        sentiment: {
+          ...word.sentiment,
+          baseScore,
+          score,
+          label: getSentimentLabel(score),
+          role: null,
+          modifiers
+        }
+      };
+    });
+  } catch (error) {
+    console.error('Kompositionelles Sentiment Fehler:', error);
+    return words;
+  }
+};
+
+/**
+ * Ergänzt Sätze um eine Attribution: welche Wörter (mit welchen Modifikatoren) die Polarität tragen
+ * sowie Ironie-Hinweise bei widersprüchlicher Polarität
+ *
+ * @param {Array} sentences - Sätze mit sentiment und start/end
+ * @param {Array} words - Kompositionelle Wort-Sentiments
+ * @returns {Array} Sätze mit attribution
+ */
+export const attributeSentiment = (sentences, words) => {
+  return sentences.map(sentence => {
+    const sentenceWords = words.filter(w =>
+      w.sentiment && !w.isPunctuation && w.index >= sentence.start && w.index < sentence.end
+    );
+
+    if (sentenceWords.length === 0) {
+      return { ...sentence, attribution: null };
+    }
+
+    const contributions = sentenceWords.map(w => ({
+      position: w.position,
+      text: w.text,
+      score: w.sentiment.score,
+      baseScore: w.sentiment.baseScore,
+      contribution: round(w.sentiment.score / sentenceWords.length),
+      modifiers: w.sentiment.modifiers || []
+    }));
+
+    const lexicalScore = round(contributions.reduce((sum, c) => sum + c.contribution, 0));
+
+    return {
+      ...sentence,
+      attribution: {
+        score: lexicalScore,
+        label: getSentimentLabel(lexicalScore),
+        drivers: contributions
+          .filter(c => c.contribution !== 0)
+          .sort((a, b) => Math.abs(b.contribution) - Math.abs(a.contribution))
+          .slice(0, TOP_DRIVERS),
+        irony: detectIrony(sentence, sentenceWords, lexicalScore)
+      }
+    };
+  });
+};
+
+/**
+ * Sammelt die Modifikatoren pro Wortposition
+ * @private
+ */
+const collectScopes = (words, dependencies) => {
+  const scopes = new Map();
+  const add = (position, modifier) => {
+    if (!scopes.has(position)) scopes.set(position, []);
+    scopes.get(position).push(modifier);
+  };
+
+  const dependencyIndex = indexDependencies(dependencies);
+
+  words.forEach((word, i) => {
+    if (word.isPunctuation) return;
+    const type = getModifierType(word.text);
+    if (!type) return;
+
+    const modifier = {
+      type,
+      trigger: word.text,
+      position: word.position,
+      factor: type === 'intensifier' ? INTENSIFIERS[word.text.toLowerCase()] : -NEGATION_FACTOR
+    };
+
+    // "kein" negiert seine Nominalphrase – dafür genügt die Token-Nachbarschaft
+    const isDeterminer = DETERMINER_NEGATION.test(word.text);
+    const dependencyScope = dependencyIndex && !isDeterminer
+      ? findDependencyScope(dependencyIndex, word.position, type, clauseRange(words, i))
+      : null;
+    if (dependencyScope && dependencyScope.length > 0) {
+      dependencyScope.forEach(position => add(position, { ...modifier, via: 'dependency' }));
+    } else {
+      findTokenScope(words, i, type).forEach(position => add(position, { ...modifier, via: 'token' }));
+    }
+  });
+
+  return scopes;
+};
+
+/**
+ * Index Token-Position → { entry, sentence } für regelbasierte Dependencies
+ * @private
+ */
+const indexDependencies = (dependencies) => {
+  if (!Array.isArray(dependencies)) return null;
+
+  const index = new Map();
+  dependencies.forEach(sentence => {
+    (sentence.dependencies || []).forEach(entry => {
+      if (entry.tokenPosition !== undefined) {
+        index.set(entry.tokenPosition, { entry, sentence: sentence.dependencies });
+      }
+    });
+  });
+
+  return index.size > 0 ? index : null;
+};
+
+/**
+ * Skopus über den Dependency-Baum:
+ * Negation → Kopf mit seinen Ergänzungen (ohne Subjekt und Nebensätze) im selben Satzteil,
+ * Verstärker → nur Kopf
+ * @private
+ */
+const findDependencyScope = (index, position, type, range) => {
+  const found = index.get(position);
+  if (!found || !found.entry.head) return null;
+
+  const { entry, sentence } = found;
+  const head = sentence.find(d => d.id === entry.head);
+  if (!head) return null;
+
+  if (type === 'intensifier') return [head.tokenPosition];
+
+  const scope = [];
+  const visit = (node) => {
+    if (node.tokenPosition >= range.from && node.tokenPosition <= range.to) {
+      scope.push(node.tokenPosition);
+    }
+    sentence
+      .filter(d => d.head === node.id && d.id !== entry.id && !SCOPE_BARRIERS.includes(d.relation))
+      .forEach(visit);
+  };
+  visit(head);
+
+  return scope;
+};
+
+/**
+ * Skopus über Token-Nachbarschaft innerhalb des Satzteils:
+ * Negation → folgende Wörter bzw. vorangehendes Verb ("ich liebe dich nicht"),
+ * Verstärker → nächstes Wort, das selbst kein Modifikator ist
+ * @private
+ */
+const findTokenScope = (words, i, type) => {
+  const following = [];
+  for (let j = i + 1; j < words.length; j++) {
+    if (words[j].isPunctuation && CLAUSE_BOUNDARY.test(words[j].text)) break;
+    if (words[j].isPunctuation) continue;
+    following.push(words[j]);
+    if (following.length >= (type === 'negation' ? NEGATION_SCOPE : INTENSIFIER_SCOPE)) break;
+  }
+
+  if (type === 'intensifier') {
+    const target = following.find(w => !getModifierType(w.text));
+    return target ? [target.position] : [];
+  }
+
+  let scope = following.filter(w => !getModifierType(w.text));
+
+  // "kein" reicht bis zum Nomen seiner Phrase
+  if (DETERMINER_NEGATION.test(words[i].text)) {
+    const nounIndex = scope.findIndex(w => w.posTag === 'NOUN' || w.posTag === 'PROPN');
+    if (nounIndex >= 0) scope = scope.slice(0, nounIndex + 1);
+  }
+
+  const positions = scope.map(w => w.position);
+
+  // Nachgestellte Negation am Satzteilende bezieht sich auf das Verb davor ("ich liebe dich nicht")
+  if (following.length === 0) {
+    for (let j = i - 1; j >= 0; j--) {
+      if (words[j].isPunctuation && CLAUSE_BOUNDARY.test(words[j].text)) break;
+      if (!words[j].isPunctuation && !NON_PREDICATE_TAGS.includes(words[j].posTag)) {
+        positions.push(words[j].position);
+        break;
+      }
+    }
+  }
+
+  return positions;
+};
+
+/**
+ * Token-Positionen des Satzteils um ein Wort (zwischen Satzteilgrenzen)
+ * @private
+ */
+const clauseRange = (words, i) => {
+  let from = i;
+  let to = i;
+  while (from > 0 && !(words[from - 1].isPunctuation && CLAUSE_BOUNDARY.test(words[from - 1].text))) from--;
+  while (to < words.length - 1 && !(words[to + 1].isPunctuation && CLAUSE_BOUNDARY.test(words[to + 1].text))) to++;
+  return { from: words[from].position, to: words[to].position };
+};
+
+/**
+ * Ironie-Hinweise: Modell- und Wortpolarität widersprechen sich,
+ * positive Wörter in Anführungszeichen oder ironische Partikeln mit Ausrufezeichen
+ * @private
+ */
+const detectIrony = (sentence, sentenceWords, lexicalScore) => {
+  const cues = [];
+  const sentenceScore = sentence.sentiment?.score;
+
+  if (typeof sentenceScore === 'number' &&
+      Math.abs(sentenceScore) >= IRONY_THRESHOLD &&
+      Math.abs(lexicalScore) >= IRONY_THRESHOLD / 2 &&
+      Math.sign(sentenceScore) !== Math.sign(lexicalScore)) {
+    cues.push('Polaritätskonflikt');
+  }
+
+  const positiveWords = sentenceWords.filter(w => w.sentiment.score >= IRONY_THRESHOLD);
+  const text = sentence.text || '';
+
+  if (positiveWords.some(w => new RegExp(`[„"»']\\s*${escapeRegExp(w.text)}\\s*[“"«']`).test(text))) {
+    cues.push('Anführungszeichen');
+  }
+
+  // Partikel und positives Wort müssen verschiedene Tokens sein ("Na, wunderbar!")
+  const markers = sentenceWords.filter(w => IRONY_MARKERS.has(w.text.toLowerCase()));
+  if (text.includes('!') && markers.length > 0 && positiveWords.some(w => !markers.includes(w))) {
+    cues.push('Ironiesignal mit Ausruf');
+  }
+
+  if (cues.length === 0) return null;
+
+  return {
+    cues,
+    confidence: round(Math.min(0.9, cues.length * IRONY_THRESHOLD))
+  };
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const round = (value) => parseFloat(value.toFixed(3));
+
+export default {
+  getModifierType,
+  composeWordSentiment,
+  attributeSentiment
+};
@@ -0,0 +1,380 @@
+import { DEPENDENCY_RELATIONS, UD_FEATURES } from '../utils/constants';
+import { calculateStatistics, calculateReadability } from '../utils/textPreprocessing';
+
+/**
+ * CoNLL-U Export und Import
+ * Format: https://universaldependencies.org/format.html
+ * Spalten: ID FORM LEMMA UPOS XPOS FEATS HEAD DEPREL DEPS MISC
+ */
+
+// Relationen mit UD-Subtyp
+const UD_RELATION_SUBTYPES = {
+  COMPOUND: 'compound:prt'
+};
+
+/**
+ * Exportiert ein Analyse-Ergebnis als CoNLL-U
+ * Ein Satzblock pro Eintrag in sentences.all
+ *
+ * @param {Object} analysis - Analyse-Ergebnis aus textAnalyzer
+ * @returns {string} CoNLL-U Text
+ */
+export const exportToCoNLLU = (analysis) => {
+  const tokens = analysis?.tokens?.all || [];
+  const sentences = analysis?.sentences?.all || [];
+  const dependencies = analysis?.syntax?.dependencies || [];
+
+  const blocks = sentences.map(sentence => {
+    const sentenceTokens = tokens.filter(t => t.index >= sentence.start && t.index < sentence.end);
+    const parse = dependencies.find(d => d.sentenceIndex === sentence.index);
+    const entityTags = toBIO(sentenceTokens);
+
+    const lines = [
+      `# sent_id = ${sentence.index + 1}`,
+      `# text = ${sentence.text.replace(/\s+/g, ' ')}`
+    ];
+
+    sentenceTokens.forEach((token, i) => {
+      const dep = findDependency(parse, token, i);
+      const next = sentenceTokens[i + 1];
+      const misc = [];
+      if (entityTags[i]) misc.push(`NE=${entityTags[i]}`);
+      if (next && next.index === token.index + token.length) misc.push('SpaceAfter=No');
+
+      lines.push([
+        i + 1,
+        escapeField(token.text),
+        escapeField(token.lemma || (token.isPunctuation ? token.text : null)),
+        token.isPunctuation ? 'PUNCT' : (token.posTag || 'X'),
+        '_',
+        token.morphology?.ud || formatFeatures(token.morphology?.features),
+        dep?.head ?? '_',
+        dep?.relation && dep.head !== null && dep.head !== undefined ? formatRelation(dep.relation) : '_',
+        '_',
+        misc.length > 0 ? misc.join('|') : '_'
+      ].join('\t'));
+    });
+
+    return lines.join('\n');
+  });
+
+  return blocks.length > 0 ? `${blocks.join('\n\n')}\n\n` : '';
+};
+
+/**
+ * Liest eine CoNLL-U Datei als Analyse-Ergebnis
+ * Enthält nur die Gold-Annotationen (Tokens, Lemmata, POS, Morphologie, Dependencies, NER).
+ *
+ * @param {string} content - CoNLL-U Text
+ * @param {Object} options - { fileName }
+ * @returns {Object} Analyse-Ergebnis (kompatibel mit AnalysisDisplay und MetricsPanel)
+ */
+export const parseCoNLLU = (content, options = {}) => {
+  if (!content || typeof content !== 'string') {
+    throw new Error('Leere CoNLL-U Datei');
+  }
+
+  const rawSentences = readSentenceBlocks(content);
+  if (rawSentences.length === 0) {
+    throw new Error('Keine Sätze in der CoNLL-U Datei gefunden');
+  }
+
+  const tokens = [];
+  const sentences = [];
+  const dependencies = [];
+  let text = '';
+
+  rawSentences.forEach((raw, sentenceIndex) => {
+    if (sentenceIndex > 0) text += '\n';
+    const sentenceStart = text.length;
+    const sentenceText = raw.text || joinForms(raw.rows);
+    text += sentenceText;
+
+    // Token-Offsets im Satztext suchen
+    let searchFrom = 0;
+    const sentenceTokens = raw.rows.map((row, i) => {
+      const found = sentenceText.indexOf(row.form, searchFrom);
+      const offset = found >= 0 ? found : searchFrom;
+      searchFrom = offset + row.form.length;
+
+      const token = {
+        text: row.form,
+        index: sentenceStart + offset,
+        position: tokens.length + i,
+        isPunctuation: row.upos === 'PUNCT',
+        length: row.form.length,
+        posTag: row.upos,
+        lemma: row.lemma,
+        morphology: { features: parseFeatures(row.feats), ud: row.feats },
+        entity: row.entity,
+        entityType: row.entity,
+        entityScore: row.entity ? 1 : null,
+        entityTag: row.entityTag
+      };
+      return token;
+    });
+    tokens.push(...sentenceTokens);
+
+    sentences.push({
+      text: sentenceText,
+      index: sentenceIndex,
+      length: sentenceText.length,
+      start: sentenceStart,
+      end: sentenceStart + sentenceText.length
+    });
+
+    if (raw.rows.some(row => row.head !== null)) {
+      const sentenceDeps = raw.rows.map((row, i) => {
+        const relation = parseRelation(row.deprel);
+        return {
+          id: i + 1,
+          word: row.form,
+          posTag: row.upos,
+          head: row.head,
+          headWord: row.head > 0 ? raw.rows[row.head - 1]?.form ?? null : null,
+          relation,
+          relationLabel: DEPENDENCY_RELATIONS[relation]?.label,
+          score: 1,
+          tokenPosition: sentenceTokens[i].position,
+          start: sentenceTokens[i].index,
+          end: sentenceTokens[i].index + sentenceTokens[i].length
+        };
+      });
+
+      dependencies.push({
+        sentence: sentenceText,
+        sentenceIndex,
+        dependencies: sentenceDeps,
+        clauses: [],
+        graph: {
+          nodes: sentenceDeps.length,
+          edges: sentenceDeps.map(d => ({ from: d.head, to: d.id, relation: d.relation, word: d.word })),
+          root: sentenceDeps.find(d => d.relation === 'ROOT')?.id ?? null
+        }
+      });
+    }
+  });
+
+  const statistics = calculateStatistics(tokens, sentences);
+  const readability = calculateReadability(statistics, tokens);
+  const words = tokens.filter(t => !t.isPunctuation);
+
+  return {
+    metadata: {
+      analyzedAt: new Date().toISOString(),
+      processingTime: 0,
+      textLength: text.length,
+      source: 'conllu',
+      fileName: options.fileName || null,
+      modelsUsed: {},
+      options: {}
+    },
+    text: {
+      original: text,
+      normalized: text,
+      statistics
+    },
+    tokens: {
+      all: tokens,
+      count: tokens.length,
+      words,
+      punctuation: tokens.filter(t => t.isPunctuation)
+    },
+    sentences: {
+      all: sentences,
+      count: sentences.length
+    },
+    readability,
+    frequencies: null,
+    compounds: null,
+    tokenDiversity: null,
+    sentiment: null,
+    syntax: dependencies.length > 0 ? { dependencies } : null,
+    semantics: null,
+    semanticDiversity: null,
+    stylisticDevices: null,
+    summary: {
+      basicStats: {
+        wordCount: statistics.wordCount,
+        uniqueWords: statistics.uniqueWords,
+        sentenceCount: statistics.sentenceCount,
+        avgWordLength: statistics.avgWordLength,
+        avgWordsPerSentence: statistics.avgWordsPerSentence,
+        readingEase: readability.fleschReadingEase,
+        wienerIndex: readability.wienerSachtextformel,
+        lexicalDensity: readability.lexicalDensity
+      }
+    },
+    qualityMetrics: null
+  };
+};
+
+/**
+ * Zerlegt den Dateiinhalt in Satzblöcke
+ * Mehrwort-Tokens (1-2) und leere Knoten (1.1) werden übersprungen.
+ * @private
+ */
+const readSentenceBlocks = (content) => {
+  const sentences = [];
+  let current = { text: null, rows: [] };
+
+  const flush = () => {
+    if (current.rows.length > 0) sentences.push(current);
+    current = { text: null, rows: [] };
+  };
+
+  for (const rawLine of content.replace(/\r\n?/g, '\n').split('\n')) {
+    const line = rawLine.replace(/^\uFEFF/, '');
+
+    if (!line.trim()) {
+      flush();
+      continue;
+    }
+
+    if (line.startsWith('#')) {
+      const textMatch = line.match(/^#\s*text\s*=\s*(.*)$/);
+      if (textMatch) current.text = textMatch[1];
+      continue;
+    }
+
+    const columns = line.split('\t');
+    if (columns.length < 10) {
+      throw new Error(`Ungültige CoNLL-U Zeile (erwartet 10 Spalten): "${line.slice(0, 50)}"`);
+    }
+
+    const [id, form, lemma, upos, , feats, head, deprel, , misc] = columns;
+    if (!/^\d+$/.test(id)) continue;
+
+    const miscFields = parseMisc(misc);
+    current.rows.push({
+      form,
+      lemma: lemma === '_' && form !== '_' ? null : lemma,
+      upos: upos === '_' ? 'X' : upos,
+      feats: feats === '_' ? '' : feats,
+      head: /^\d+$/.test(head) ? parseInt(head, 10) : null,
+      deprel: deprel === '_' ? null : deprel,
+      entity: miscFields.NE ? miscFields.NE.replace(/^[BI]-/, '') : null,
+      entityTag: miscFields.NE || null,
+      spaceAfter: miscFields.SpaceAfter !== 'No'
+    });
+  }
+  flush();
+
+  return sentences;
+};
+
+/**
+ * Baut den Satztext aus FORM und SpaceAfter, falls "# text" fehlt
+ * @private
+ */
+const joinForms = (rows) => rows
+  .map((row, i) => (row.spaceAfter && i < rows.length - 1 ? `${row.form} ` : row.form))
+  .join('');
+
+/**
+ * Erzeugt BIO-Tags: vorhandene Span-Tags der Entitätenerkennung,
+ * sonst zusammenhängende Entitäten gleichen Typs
+ * @private
+ */
+const toBIO = (tokens) => tokens.map((token, i) => {
+  if (!token.entityType) return null;
+  if (token.entityTag) return token.entityTag;
+  const previous = tokens[i - 1];
+  return previous?.entityType === token.entityType ? `I-${token.entityType}` : `B-${token.entityType}`;
+});
+
+/**
+ * Findet die Dependency eines Tokens (id entspricht der Token-Reihenfolge im Satz)
+ * @private
+ */
+const findDependency = (parse, token, i) => {
+  if (!parse?.dependencies) return null;
+  return parse.dependencies.find(d => d.tokenPosition === token.position)
+    || parse.dependencies.find(d => d.id === i + 1 && d.word === token.text)
+    || null;
+};
+
+/**
+ * Formatiert interne Features als UD FEATS (alphabetisch sortiert)
+ * @private
+ */
+const formatFeatures = (features) => {
+  if (!features) return '_';
+
+  const pairs = Object.entries(features)
+    .map(([key, value]) => {
+      const mapping = UD_FEATURES[key];
+      const udValue = mapping?.values[value];
+      return mapping && udValue ? `${mapping.name}=${udValue}` : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.toLowerCase().localeCompare(b.toLowerCase()));
+
+  return pairs.length > 0 ? pairs.join('|') : '_';
+};
+
+/**
+ * Liest UD FEATS zurück in interne Features
+ * @private
+ */
+const parseFeatures = (feats) => {
+  const features = {};
+  if (!feats) return features;
+
+  for (const pair of feats.split('|')) {
+    const [name, value] = pair.split('=');
+    const entry = Object.entries(UD_FEATURES).find(([, mapping]) => mapping.name === name);
+    if (!entry) continue;
+    const [key, mapping] = entry;
+    // Mehrfachwerte (z.B. Case=Acc,Dat): erster Wert
+    const udValue = value?.split(',')[0];
+    const internal = Object.keys(mapping.values).find(k => mapping.values[k] === udValue);
+    if (internal) features[key] = internal;
+  }
+
+  return features;
+};
+
+/**
+ * Interne Relation -> UD DEPREL
+ * @private
+ */
+const formatRelation = (relation) => UD_RELATION_SUBTYPES[relation] || relation.toLowerCase();
+
+/**
+ * UD DEPREL -> interne Relation
+ * @private
+ */
+const parseRelation = (deprel) => {
+  if (!deprel) return 'DEP';
+  const base = deprel.split(':')[0].toUpperCase();
+  return DEPENDENCY_RELATIONS[base] ? base : 'DEP';
+};
+
+/**
+ * Liest MISC-Spalte (Key=Value|...)
+ * @private
+ */
+const parseMisc = (misc) => {
+  const fields = {};
+  if (!misc || misc === '_') return fields;
+  for (const pair of misc.split('|')) {
+    const separator = pair.indexOf('=');
+    if (separator > 0) fields[pair.slice(0, separator)] = pair.slice(separator + 1);
+  }
+  return fields;
+};
+
+/**
+ * Leere Werte als "_", Tabs und Zeilenumbrüche entfernen
+ * @private
+ */
+const escapeField = (value) => {
+  if (value === null || value === undefined || value === '') return '_';
+  return String(value).replace(/[\t\n]/g, ' ');
+};
+
+export default {
+  exportToCoNLLU,
+  parseCoNLLU
+};
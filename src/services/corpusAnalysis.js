@@ -0,0 +1,290 @@
+import { getLemmaKey } from './lemmatizer';
+import { detectVerses } from '../utils/textPreprocessing';
+import { throwIfAborted, isCancellationError } from '../utils/errors';
+
+/**
+ * Korpus-Modus
+ * Analysiert viele Gedichte nacheinander und aggregiert die Ergebnisse.
+ */
+
+// Inhaltswörter für die Lemma-Rangliste
+const CONTENT_POS = new Set(['NOUN', 'PROPN', 'VERB', 'ADJ', 'ADV']);
+
+// Trennzeile zwischen Gedichten beim Einfügen mehrerer Texte
+const PASTE_SEPARATOR = /^\s*(?:-{3,}|\*{3,}|={3,})\s*$/m;
+
+// Sortierbare Kennzahlen der Korpus-Tabelle
+export const CORPUS_METRICS = {
+  title: { label: 'Titel', type: 'text' },
+  verseCount: { label: 'Verse', type: 'number' },
+  stanzaCount: { label: 'Strophen', type: 'number' },
+  wordCount: { label: 'Wörter', type: 'number' },
+  typeTokenRatio: { label: 'TTR', type: 'number' },
+  meter: { label: 'Metrum', type: 'text' },
+  rhymeScheme: { label: 'Reimschema', type: 'text' },
+  readingEase: { label: 'Flesch', type: 'number' },
+  wienerIndex: { label: 'WSTF', type: 'number' },
+  lexicalDensity: { label: 'Lex. Dichte', type: 'number' },
+  sentiment: { label: 'Stimmung', type: 'text' },
+  sentimentScore: { label: 'Sentiment-Score', type: 'number' },
+  stylisticDevices: { label: 'Stilmittel', type: 'number' }
+};
+
+/**
+ * Zerlegt eingefügten Text in einzelne Gedichte
+ * Trennzeichen: Zeile aus ---, *** oder ===
+ *
+ * @param {string} text - Eingefügter Text
+ * @returns {Array} Dokumente [{ id, title, text, source }]
+ */
+export const splitPastedCorpus = (text) => {
+  return (text || '')
+    .split(PASTE_SEPARATOR)
+    .map(part => part.trim())
+    .filter(part => part.length > 0)
+    .map((part, i) => createCorpusDocument(part, { source: 'Eingabe', index: i }));
+};
+
+/**
+ * Erstellt ein Korpus-Dokument
+ *
+ * @param {string} text - Gedichttext
+ * @param {Object} meta - { title, source, index }
+ * @returns {Object} Dokument
+ */
+export const createCorpusDocument = (text, meta = {}) => {
+  const firstLine = text.split('\n').map(l => l.trim()).find(Boolean) || 'Ohne Titel';
+  return {
+    id: `${meta.source || 'doc'}-${meta.index ?? 0}-${Math.random().toString(36).slice(2, 8)}`,
+    title: meta.title || firstLine.slice(0, 60),
+    text,
+    source: meta.source || null
+  };
+};
+
+/**
+ * Analysiert alle Dokumente nacheinander
+ * Fehler einzelner Dokumente brechen den Lauf nicht ab; ein Abbruch schon.
+ *
+ * @param {Array} documents - Korpus-Dokumente
+ * @param {function} analyzeFn - (text, progressCallback, signal) => Promise<Analyse>
+ * @param {function} progressCallback - ({ progress, message, current, total })
+ * @param {AbortSignal} signal - Optionales Signal zum Abbrechen
+ * @returns {Promise<Array>} [{ document, result, error }]
+ */
+export const analyzeCorpus = async (documents, analyzeFn, progressCallback = null, signal = null) => {
+  const total = documents.length;
+  const results = [];
+
+  for (let i = 0; i < total; i++) {
+    throwIfAborted(signal);
+    const document = documents[i];
+
+    const report = (documentProgress, message) => {
+      if (!progressCallback) return;
+      progressCallback({
+        progress: Math.round(((i + documentProgress / 100) / total) * 100),
+        message: `${i + 1}/${total} „${document.title}“: ${message}`,
+        current: i + 1,
+        total
+      });
+    };
+
+    try {
+      report(0, 'Starte Analyse...');
+      const result = await analyzeFn(
+        document.text,
+        (progress) => report(progress.progress || 0, progress.message || ''),
+        signal
+      );
+      results.push({ document, result, error: null });
+    } catch (error) {
+      if (isCancellationError(error)) throw error;
+      console.error(`Korpus-Analyse Fehler (${document.title}):`, error);
+      results.push({ document, result: null, error: error.message });
+    }
+  }
+
+  if (progressCallback) {
+    progressCallback({ progress: 100, message: 'Korpus-Analyse abgeschlossen', current: total, total });
+  }
+
+  return results;
+};
+
+/**
+ * Extrahiert die Tabellenzeile eines Dokuments
+ *
+ * @param {Object} document - Korpus-Dokument
+ * @param {Object} result - Analyse-Ergebnis
+ * @returns {Object} Kennzahlen (siehe CORPUS_METRICS)
+ */
+export const summarizeDocument = (document, result) => {
+  const verses = detectVerses(result.text?.normalized || document.text);
+  const words = result.tokens?.words || [];
+  const uniqueLemmas = new Set(words.map(getLemmaKey));
+  const readability = result.readability || {};
+
+  return {
+    id: document.id,
+    title: document.title,
+    verseCount: verses.length,
+    stanzaCount: new Set(verses.map(v => v.stanza)).size,
+    wordCount: words.length,
+    typeTokenRatio: words.length > 0 ? round(uniqueLemmas.size / words.length, 3) : 0,
+    meter: result.syntax?.verseStructure?.meter?.name || 'Kein Metrum',
+    rhymeScheme: result.syntax?.rhymeScheme?.description?.label || 'Keins',
+    rhymePattern: result.syntax?.rhymeScheme?.scheme || '',
+    readingEase: toNumber(readability.fleschReadingEase),
+    wienerIndex: toNumber(readability.wienerSachtextformel),
+    lexicalDensity: toNumber(readability.lexicalDensity),
+    sentiment: result.sentiment?.overall?.label || null,
+    sentimentScore: result.sentiment?.statistics
+      ? toNumber(result.sentiment.statistics.averageScore)
+      : null,
+    stylisticDevices: result.stylisticDevices?.total || 0
+  };
+};
+
+/**
+ * Aggregiert Statistiken über das gesamte Korpus
+ *
+ * @param {Array} entries - Ergebnis von analyzeCorpus
+ * @param {number} topN - Anzahl häufigster Lemmata
+ * @returns {Object} Korpus-Statistiken
+ */
+export const aggregateCorpusStatistics = (entries, topN = 25) => {
+  const analyzed = entries.filter(e => e.result);
+  const rows = analyzed.map(e => summarizeDocument(e.document, e.result));
+
+  // Häufigste Lemmata (Inhaltswörter) mit Dokumentfrequenz
+  const lemmaCounts = new Map();
+  analyzed.forEach(({ result }) => {
+    const seenInDocument = new Set();
+    (result.tokens?.words || [])
+      .filter(t => CONTENT_POS.has(t.posTag))
+      .forEach(token => {
+        const key = getLemmaKey(token);
+        if (!lemmaCounts.has(key)) {
+          lemmaCounts.set(key, { lemma: token.lemma || token.text, posTag: token.posTag, count: 0, documents: 0 });
+        }
+        const entry = lemmaCounts.get(key);
+        entry.count++;
+        if (!seenInDocument.has(key)) {
+          entry.documents++;
+          seenInDocument.add(key);
+        }
+      });
+  });
+
+  const sentimentScores = rows.map(r => r.sentimentScore).filter(s => s !== null);
+
+  return {
+    documentCount: entries.length,
+    analyzedCount: analyzed.length,
+    failedCount: entries.length - analyzed.length,
+    totals: {
+      verses: sum(rows.map(r => r.verseCount)),
+      stanzas: sum(rows.map(r => r.stanzaCount)),
+      words: sum(rows.map(r => r.wordCount))
+    },
+    meterDistribution: distribution(rows.map(r => r.meter)),
+    rhymeSchemeDistribution: distribution(rows.map(r => r.rhymeScheme)),
+    readability: {
+      readingEase: describe(rows.map(r => r.readingEase)),
+      wienerIndex: describe(rows.map(r => r.wienerIndex)),
+      lexicalDensity: describe(rows.map(r => r.lexicalDensity))
+    },
+    sentiment: {
+      distribution: distribution(rows.map(r => r.sentiment).filter(Boolean)),
+      score: describe(sentimentScores)
+    },
+    topLemmas: [...lemmaCounts.values()]
+      .sort((a, b) => b.count - a.count || b.documents - a.documents)
+      .slice(0, topN),
+    rows
+  };
+};
+
+/**
+ * Sortiert Tabellenzeilen nach einer Kennzahl
+ * Leere Werte stehen immer am Ende.
+ *
+ * @param {Array} rows - Tabellenzeilen
+ * @param {string} key - Schlüssel aus CORPUS_METRICS
+ * @param {string} direction - 'asc' | 'desc'
+ * @returns {Array} Sortierte Kopie
+ */
+export const sortCorpusRows = (rows, key, direction = 'asc') => {
+  const factor = direction === 'desc' ? -1 : 1;
+  const isText = CORPUS_METRICS[key]?.type === 'text';
+
+  return [...rows].sort((a, b) => {
+    const va = a[key];
+    const vb = b[key];
+    const missingA = va === null || va === undefined;
+    const missingB = vb === null || vb === undefined;
+    // Fehlende Werte immer ans Ende, untereinander gleichrangig
+    if (missingA || missingB) return missingA - missingB;
+    const compared = isText ? String(va).localeCompare(String(vb), 'de') : va - vb;
+    return compared * factor;
+  });
+};
+
+/**
+ * Häufigkeitsverteilung mit Anteilen, absteigend sortiert
+ * @private
+ */
+const distribution = (values) => {
+  const counts = new Map();
+  values.forEach(v => counts.set(v, (counts.get(v) || 0) + 1));
+
+  return [...counts.entries()]
+    .map(([value, count]) => ({
+      value,
+      count,
+      percentage: values.length > 0 ? round((count / values.length) * 100, 1) : 0
+    }))
+    .sort((a, b) => b.count - a.count);
+};
+
+/**
+ * Mittelwert, Standardabweichung, Minimum und Maximum
+ * @private
+ */
+const describe = (values) => {
+  const numbers = values.filter(v => typeof v === 'number' && !Number.isNaN(v));
+  if (numbers.length === 0) {
+    return { mean: null, stdDev: null, min: null, max: null, count: 0 };
+  }
+
+  const mean = sum(numbers) / numbers.length;
+  const variance = sum(numbers.map(v => (v - mean) ** 2)) / numbers.length;
+
+  return {
+    mean: round(mean, 2),
+    stdDev: round(Math.sqrt(variance), 2),
+    min: round(Math.min(...numbers), 2),
+    max: round(Math.max(...numbers), 2),
+    count: numbers.length
+  };
+};
+
+const sum = (values) => values.reduce((total, v) => total + v, 0);
+
+const round = (value, digits) => parseFloat(value.toFixed(digits));
+
+const toNumber = (value) => {
+  const number = parseFloat(value);
+  return Number.isNaN(number) ? null : number;
+};
+
+export default {
+  CORPUS_METRICS,
+  splitPastedCorpus,
+  createCorpusDocument,
+  analyzeCorpus,
+  summarizeDocument,
+  aggregateCorpusStatistics,
+  sortCorpusRows
+};
@@ -0,0 +1,666 @@
+import { DEPENDENCY_RELATIONS } from '../utils/constants';
+
+// Kasusmarkierte Pronomen
+const NOMINATIVE_PRONOUNS = new Set(['ich', 'du', 'er', 'wir', 'man', 'jemand', 'niemand']);
+const ACCUSATIVE_PRONOUNS = new Set(['mich', 'dich', 'ihn', 'uns', 'euch', 'sich']);
+const DATIVE_PRONOUNS = new Set(['mir', 'dir', 'ihm', 'ihnen']);
+
+// Kasusmarkierte Determinierer
+const DATIVE_DETERMINERS = /^(?:dem|einem|(?:k|m|d|s)einem|ihrem|unserem|eurem|diesem|jenem|jedem)$/;
+const ACCUSATIVE_DETERMINERS = /^(?:den|einen|(?:k|m|d|s)einen|ihren|unseren|euren|diesen|jenen|jeden)$/;
+const GENITIVE_DETERMINERS = /^(?:des|eines|(?:k|m|d|s)eines|ihres|unseres|eures|dieses|jenes|jedes)$/;
+const NOMINATIVE_DETERMINERS = /^(?:der|dieser|jener|jeder)$/;
+
+// Wörter, die das regelbasierte POS-Tagging nicht erkennt
+const EXTRA_DETERMINERS = /^(?:kein|dies|jen|jed|manch|solch|welch|all)(?:e|er|es|em|en)?$/;
+const EXTRA_PRONOUNS = new Set(['man', 'nichts', 'etwas', 'alles', 'jemand', 'niemand', 'ihn', 'dessen', 'deren', 'denen']);
+const EXTRA_SUBJUNCTIONS = new Set(['daß', 'da', 'falls', 'seit', 'seitdem', 'bis', 'indem', 'sobald', 'solange', 'wie']);
+const FUSED_PREPOSITIONS = new Set(['im', 'am', 'ins', 'ans', 'beim', 'zur', 'aufs', 'durchs', 'fürs', 'übers', 'unters', 'vors', 'hinters']);
+const NUMERALS = /^(?:zwei|drei|vier|fünf|sechs|sieben|acht|neun|zehn|elf|zwölf|zwanzig|hundert|tausend)$/;
+
+// Relativpronomen (nach Komma)
+const RELATIVE_PRONOUNS = /^(?:der|die|das|dem|den|dessen|deren|denen|welche[rsmn]?)$/;
+
+// Kopulaverben
+const COPULA_FORMS = new Set([
+  'sein', 'ist', 'war', 'bin', 'bist', 'sind', 'seid', 'waren', 'wäre', 'wären', 'sei',
+  'werden', 'wird', 'wurde', 'wurden', 'bleibt', 'blieb'
+]);
+
+// Subjunktionen, die Ergänzungssätze einleiten
+const COMPLEMENT_MARKERS = new Set(['dass', 'daß', 'ob']);
+
+// Satzzeichen, die einen Nebensatz schließen können
+const CLAUSE_PUNCT = /^[,;:–—]$/;
+
+// Subjunktionen, die als Satzeinleitung nur nach Komma bzw. am Satzanfang gelten
+const CONTEXT_SUBJUNCTIONS = new Set(['da', 'bis', 'wie', 'seit']);
+
+const CLAUSE_LABELS = {
+  main: 'Hauptsatz',
+  complement: 'Ergänzungssatz',
+  adverbial: 'Adverbialsatz',
+  relative: 'Relativsatz'
+};
+
+/**
+ * Regelbasierter Dependency-Parser für Deutsch
+ * Segmentiert Teilsätze (Verbzweit, Verberst, Verbletzt) und verknüpft
+ * Phrasen und Teilsätze zu einem Baum mit DEPENDENCY_RELATIONS-Labels
+ *
+ * @param {Array} sentences - Sätze aus sentenceSegmentation (mit start/end)
+ * @param {Array} tokens - Annotierte Tokens aus analyzeTokens
+ * @returns {Array} Dependency-Analyse pro Satz
+ */
+export const parseDependencies = (sentences, tokens) => {
+  return sentences.map(sentence => {
+    const sentenceTokens = tokens.filter(t =>
+      t.index >= sentence.start && t.index < sentence.end
+    );
+    const { dependencies, clauses } = parseSentence(sentenceTokens);
+
+    return {
+      sentence: sentence.text,
+      sentenceIndex: sentence.index,
+      dependencies,
+      clauses
+    };
+  });
+};
+
+/**
+ * Parst einen einzelnen Satz
+ *
+ * @param {Array} sentenceTokens - Tokens des Satzes (inkl. Interpunktion)
+ * @returns {Object} Dependencies (id/head 1-basiert, 0 = Wurzel) und Teilsätze
+ */
+export const parseSentence = (sentenceTokens) => {
+  if (!sentenceTokens || sentenceTokens.length === 0) {
+    return { dependencies: [], clauses: [] };
+  }
+
+  const nodes = sentenceTokens.map((token, i) => ({
+    id: i + 1,
+    token,
+    word: token.text,
+    lower: token.text.toLowerCase(),
+    upos: token.isPunctuation ? 'PUNCT' : (token.posTag || 'X'),
+    head: null,
+    relation: null,
+    score: 0
+  }));
+
+  refineCategories(nodes);
+
+  const clauses = segmentClauses(nodes);
+  clauses.forEach(clause => attachClause(clause));
+  const root = linkClauses(clauses);
+  attachRemaining(nodes, root);
+
+  return {
+    dependencies: nodes.map(node => ({
+      id: node.id,
+      word: node.word,
+      posTag: node.upos,
+      head: node.head,
+      headWord: node.head > 0 ? nodes[node.head - 1].word : null,
+      relation: node.relation,
+      relationLabel: DEPENDENCY_RELATIONS[node.relation]?.label,
+      score: node.score,
+      tokenPosition: node.token.position,
+      start: node.token.index,
+      end: node.token.index + node.token.length
+    })),
+    clauses: clauses
+      .filter(clause => clause.head)
+      .map(clause => ({
+        type: clause.type,
+        label: CLAUSE_LABELS[clause.type],
+        head: clause.head.id,
+        headWord: clause.head.word,
+        finiteVerb: clause.finite ? clause.finite.word : null,
+        verbPosition: determineVerbPosition(clause),
+        coordinated: !!clause.coordinatedWith,
+        tokenIds: clause.nodes.map(n => n.id)
+      }))
+  };
+};
+
+/**
+ * Korrigiert typische Fehler des regelbasierten POS-Taggings im Satzkontext
+ * @private
+ */
+const refineCategories = (nodes) => {
+  nodes.forEach((node, i) => {
+    if (node.upos === 'PUNCT') return;
+    const prev = nodes[i - 1];
+
+    if (EXTRA_SUBJUNCTIONS.has(node.lower) && node.upos !== 'SCONJ') {
+      // Mehrdeutige Subjunktionen nur am Satzanfang oder nach Komma
+      const atBoundary = !prev || CLAUSE_PUNCT.test(prev.word);
+      if (!CONTEXT_SUBJUNCTIONS.has(node.lower) || atBoundary) {
+        node.upos = 'SCONJ';
+      }
+    } else if (node.upos === 'X' && EXTRA_DETERMINERS.test(node.lower)) {
+      node.upos = 'DET';
+    } else if (EXTRA_PRONOUNS.has(node.lower) && node.upos !== 'PRON') {
+      node.upos = 'PRON';
+    } else if (FUSED_PREPOSITIONS.has(node.lower)) {
+      node.upos = 'ADP';
+    } else if (node.upos === 'X' && NUMERALS.test(node.lower)) {
+      node.upos = 'NUM';
+    }
+  });
+
+  // Attributive Adjektive: Kandidaten zwischen Determinierer/Präposition und Nomen
+  nodes.forEach((node, i) => {
+    if (!['NOUN', 'PROPN'].includes(node.upos)) return;
+
+    let j = i - 1;
+    const candidates = [];
+    while (j >= 0 && isAdjectiveCandidate(nodes[j])) {
+      candidates.unshift(nodes[j]);
+      j--;
+    }
+    const opener = nodes[j];
+    const openedByDeterminer = opener && ['DET', 'ADP'].includes(opener.upos);
+
+    candidates.forEach(candidate => {
+      if (candidate.upos === 'X' || (candidate.upos === 'VERB' && openedByDeterminer)) {
+        candidate.upos = 'ADJ';
+      }
+    });
+  });
+};
+
+/**
+ * Prüft ob ein Knoten als attributives Adjektiv infrage kommt
+ * @private
+ */
+const isAdjectiveCandidate = (node) => {
+  if (!/^\p{Ll}/u.test(node.word)) return false;
+  if (['ADJ', 'NUM', 'X'].includes(node.upos)) return true;
+  return node.upos === 'VERB' && /(?:e|er|es|em|en)$/.test(node.lower);
+};
+
+/**
+ * Zerlegt einen Satz in Teilsätze
+ * Nebensätze beginnen mit Subjunktion oder Relativpronomen nach Komma
+ * und enden am Komma nach dem (finalen) Verb; danach geht der übergeordnete
+ * Teilsatz weiter. Koordinierende Konjunktionen eröffnen einen nebengeordneten
+ * Teilsatz, wenn beide Seiten ein Verb enthalten.
+ * @private
+ */
+const segmentClauses = (nodes) => {
+  const clauses = [];
+  const stack = [];
+  let current = createClause('main', null);
+  clauses.push(current);
+
+  const openClause = (type, extra = {}) => {
+    stack.push(current);
+    current = createClause(type, current, extra);
+    clauses.push(current);
+  };
+
+  nodes.forEach((node, i) => {
+    const prev = nodes[i - 1];
+    const next = nodes[i + 1];
+    const afterComma = prev && CLAUSE_PUNCT.test(prev.word);
+
+    if (node.upos === 'SCONJ' && !(prev && prev.upos === 'SCONJ' && current.nodes.length === 1)) {
+      openClause(COMPLEMENT_MARKERS.has(node.lower) ? 'complement' : 'adverbial');
+    } else if (afterComma && isRelativeStart(node, next, nodes[i + 2])) {
+      openClause('relative', { antecedent: findAntecedent(nodes, i) });
+    } else if (node.upos === 'CCONJ' && hasWords(current) && hasVerb(current) && followingSpanHasVerb(nodes, i)) {
+      const sibling = createClause(current.type, current.parent, {
+        coordinatedWith: current,
+        antecedent: current.antecedent
+      });
+      clauses.push(sibling);
+      current = sibling;
+    }
+
+    current.nodes.push(node);
+
+    // Komma nach dem Verb schließt den Nebensatz
+    if (CLAUSE_PUNCT.test(node.word) && current.type !== 'main') {
+      recoverFinalVerb(current);
+      if (hasVerb(current) && stack.length > 0) {
+        current = stack.pop();
+      }
+    }
+  });
+
+  clauses.forEach(clause => {
+    if (clause.type !== 'main') recoverFinalVerb(clause);
+    else recoverSecondPositionVerb(clause);
+  });
+
+  return clauses.filter(hasWords);
+};
+
+const createClause = (type, parent, extra = {}) => ({
+  type,
+  parent,
+  nodes: [],
+  head: null,
+  finite: null,
+  coordinatedWith: null,
+  antecedent: null,
+  ...extra
+});
+
+const wordsOf = (clause) => clause.nodes.filter(n => n.upos !== 'PUNCT');
+
+const hasWords = (clause) => wordsOf(clause).length > 0;
+
+const hasVerb = (clause) => clause.nodes.some(n => n.upos === 'VERB' || n.upos === 'AUX');
+
+const isRelativeStart = (node, next, afterNext) => {
+  // "die Stäbe" nach Komma ist eher eine Aufzählung als ein Relativsatz
+  const startsNounPhrase = (n) => !!n && ['NOUN', 'PROPN', 'ADJ'].includes(n.upos);
+
+  if (['DET', 'PRON'].includes(node.upos) && RELATIVE_PRONOUNS.test(node.lower)) {
+    return !startsNounPhrase(next);
+  }
+  // Präpositionale Relativsätze: ", in dem ..."
+  return node.upos === 'ADP' && !!next && RELATIVE_PRONOUNS.test(next.lower) && !startsNounPhrase(afterNext);
+};
+
+const findAntecedent = (nodes, index) => {
+  for (let i = index - 1; i >= 0; i--) {
+    if (['NOUN', 'PROPN'].includes(nodes[i].upos)) return nodes[i];
+  }
+  return null;
+};
+
+const followingSpanHasVerb = (nodes, index) => {
+  for (let i = index + 1; i < nodes.length; i++) {
+    const node = nodes[i];
+    if (CLAUSE_PUNCT.test(node.word) || node.upos === 'SCONJ') break;
+    if (node.upos === 'VERB' || node.upos === 'AUX') return true;
+  }
+  return false;
+};
+
+/**
+ * Verbletztstellung: unbekanntes kleingeschriebenes Wort am Nebensatzende ist das Verb
+ * @private
+ */
+const recoverFinalVerb = (clause) => {
+  if (hasVerb(clause)) return;
+  const words = wordsOf(clause);
+  const last = words[words.length - 1];
+  if (last && words.length > 1 && ['X', 'ADJ'].includes(last.upos) && /^\p{Ll}/u.test(last.word)) {
+    last.upos = 'VERB';
+  }
+};
+
+/**
+ * Verbzweit-/Verberststellung: unbekanntes Wort nach dem Vorfeld bzw. direkt
+ * nach einem vorangestellten Nebensatz ist das finite Verb
+ * @private
+ */
+const recoverSecondPositionVerb = (clause) => {
+  if (hasVerb(clause)) return;
+  const words = wordsOf(clause);
+  const isUnknownLowercase = (node) => !!node && node.upos === 'X' && /^\p{Ll}/u.test(node.word);
+
+  // Verberst nach Nebensatz: "Wenn es regnet, bleibe ich"
+  const resumed = words.find((node, i) => (i === 0 ? node.id > 1 : node.id !== words[i - 1].id + 1));
+  if (isUnknownLowercase(resumed)) {
+    resumed.upos = 'VERB';
+    return;
+  }
+
+  // Verbzweit: Vorfeld aus Pronomen oder einfacher Nominalphrase
+  const firstHead = words.findIndex(n => ['PRON', 'NOUN', 'PROPN'].includes(n.upos));
+  const prefield = words.slice(0, firstHead);
+  if (firstHead >= 0 && prefield.every(n => ['DET', 'ADJ'].includes(n.upos)) && isUnknownLowercase(words[firstHead + 1])) {
+    words[firstHead + 1].upos = 'VERB';
+  }
+};
+
+/**
+ * Bestimmt Prädikat, Phrasen und Argumente innerhalb eines Teilsatzes
+ * @private
+ */
+const attachClause = (clause) => {
+  const words = wordsOf(clause);
+  const verbs = words.filter(n => n.upos === 'VERB' || n.upos === 'AUX');
+
+  // Finites Verb: Hauptsatz = erstes Verb (V1/V2), Nebensatz = letztes Verb (Verbletzt)
+  clause.finite = verbs.length === 0
+    ? null
+    : (clause.type === 'main' ? verbs[0] : verbs[verbs.length - 1]);
+
+  const phrases = buildPhrases(words);
+  const { args, obliques } = attachPhraseInternals(phrases);
+  const cases = args.map(phrase => ({ phrase, kase: determineCase(phrase) }));
+
+  // Subjekt: eindeutiger Nominativ, sonst erste nominativfähige Phrase
+  let subject = cases.find(c => c.kase === 'nom') || cases.find(c => c.kase === 'nom|acc');
+
+  // Prädikat (Kopf des Teilsatzes)
+  const lexical = verbs.filter(n => n.upos === 'VERB');
+  let head = null;
+  let copula = null;
+
+  if (lexical.length > 0) {
+    head = lexical.find(v => v !== clause.finite) || lexical[0];
+  } else if (clause.finite && COPULA_FORMS.has(clause.finite.lower)) {
+    const predicativeAdjective = phrases.find(p => p.orphan && p.head.upos === 'ADJ') ||
+      words
+        .filter(w => w.id > clause.finite.id && !w.relation && w.upos === 'X' && /^\p{Ll}/u.test(w.word))
+        .map(w => ({ head: w }))[0];
+    const predicativeNoun = cases.find(c => c !== subject && c.kase !== 'dat' && c.kase !== 'gen');
+    const predicate = predicativeAdjective
+      ? predicativeAdjective.head
+      : (predicativeNoun ? predicativeNoun.phrase.head : null);
+
+    if (predicate) {
+      head = predicate;
+      copula = clause.finite;
+    } else {
+      head = clause.finite;
+    }
+  } else if (clause.finite) {
+    head = clause.finite;
+  } else {
+    // Verbloser Teilsatz (Ellipse): erste nominale Phrase trägt den Satz
+    const nominal = args[0] || phrases.find(p => p.orphan) || obliques[0];
+    head = nominal ? nominal.head : words[0];
+    subject = null;
+  }
+
+  clause.head = head;
+
+  // Verbalkomplex
+  verbs.forEach(verb => {
+    if (verb === head) return;
+    if (verb === copula) setHead(verb, head, 'COP', 0.75);
+    else if (verb.upos === 'AUX') setHead(verb, head, 'AUX', 0.8);
+    else setHead(verb, head, 'XCOMP', 0.6);
+  });
+
+  // Argumente
+  cases.forEach(({ phrase, kase }) => {
+    if (phrase.head === head) return;
+    if (subject && phrase === subject.phrase) {
+      setHead(phrase.head, head, 'NSUBJ', kase === 'nom' ? 0.85 : 0.6);
+    } else if (kase === 'dat') {
+      setHead(phrase.head, head, 'IOBJ', 0.7);
+    } else if (kase === 'gen') {
+      setHead(phrase.head, head, 'NMOD', 0.5);
+    } else {
+      setHead(phrase.head, head, 'OBJ', kase === 'acc' ? 0.8 : 0.55);
+    }
+  });
+
+  // Präpositionalphrasen: Adverbiale des Verbs bzw. Attribut im verblosen Satz
+  obliques.forEach(phrase => {
+    if (phrase.head === head) return;
+    const relation = isNominal(head) && !clause.finite ? 'NMOD' : 'OBL';
+    setHead(phrase.head, head, relation, 0.6);
+  });
+
+  // Übrige Wörter des Teilsatzes
+  words.forEach(node => {
+    if (node === head || node.relation) return;
+
+    if (node.upos === 'SCONJ') {
+      setHead(node, head, 'MARK', 0.9);
+    } else if (node.upos === 'CCONJ') {
+      setHead(node, head, 'CC', 0.85);
+    } else if (node.upos === 'PART' && node.lower === 'zu') {
+      const nextVerb = words.find(w => w.id > node.id && (w.upos === 'VERB' || w.upos === 'AUX'));
+      setHead(node, nextVerb || head, 'MARK', 0.7);
+    } else if (node.upos === 'ADP') {
+      // Abgetrennte Verbpartikel ("kommt ... an")
+      setHead(node, head, 'COMPOUND', 0.5);
+    } else if (['PRON', 'NOUN', 'PROPN', 'DET', 'NUM'].includes(node.upos)) {
+      setHead(node, head, 'DEP', 0.3);
+    } else {
+      setHead(node, head, 'ADVMOD', 0.55);
+    }
+  });
+
+  // Interpunktion hängt am Kopf des Teilsatzes
+  clause.nodes
+    .filter(n => n.upos === 'PUNCT')
+    .forEach(node => setHead(node, head, 'PUNCT', 1.0));
+};
+
+/**
+ * Gruppiert Wörter zu Nominal- und Präpositionalphrasen
+ * @private
+ */
+const buildPhrases = (words) => {
+  const phrases = [];
+  let pending = [];
+
+  const flushPending = () => {
+    if (pending.length === 0) return;
+    // Modifikatoren ohne Nomen: letzter Determinierer/Numerale wird selbst zum Kopf
+    const last = pending[pending.length - 1];
+    if (['DET', 'NUM', 'ADJ'].includes(last.upos)) {
+      phrases.push({
+        head: last,
+        modifiers: pending.slice(0, -1),
+        marker: pending.find(n => n.upos === 'ADP') || null,
+        orphan: last.upos === 'ADJ'
+      });
+    }
+    pending = [];
+  };
+
+  words.forEach((node, i) => {
+    const next = words[i + 1];
+
+    // Konjunktion direkt nach einer Phrase merken (Koordination)
+    if (node.upos === 'CCONJ') {
+      flushPending();
+      const last = phrases[phrases.length - 1];
+      if (last && last.head.id === node.id - 1) last.coordinator = node;
+      return;
+    }
+
+    if (node.upos === 'ADP') {
+      flushPending();
+      // Präposition ohne Folgephrase bleibt als Verbpartikel übrig
+      if (next && ['DET', 'ADJ', 'NUM', 'NOUN', 'PROPN', 'PRON', 'ADV'].includes(next.upos)) {
+        pending = [node];
+      }
+      return;
+    }
+
+    if (['DET', 'NUM', 'ADJ'].includes(node.upos) ||
+        (node.upos === 'ADV' && next && next.upos === 'ADJ' && pending.length > 0)) {
+      // Ein Determinierer nach Adjektiven beginnt eine neue Phrase
+      if (node.upos === 'DET' && pending.some(n => n.upos !== 'ADP')) flushPending();
+      pending.push(node);
+      return;
+    }
+
+    if (['NOUN', 'PROPN', 'PRON'].includes(node.upos)) {
+      phrases.push({
+        head: node,
+        modifiers: pending,
+        marker: pending.find(n => n.upos === 'ADP') || null,
+        orphan: false
+      });
+      pending = [];
+      return;
+    }
+
+    flushPending();
+  });
+
+  flushPending();
+  return phrases;
+};
+
+/**
+ * Verknüpft Wörter innerhalb der Phrasen und trennt Argumente von Adverbialen
+ * Erkennt außerdem Genitivattribute und Koordination von Phrasen
+ * @private
+ */
+const attachPhraseInternals = (phrases) => {
+  const args = [];
+  const obliques = [];
+
+  phrases.forEach((phrase, i) => {
+    const { head, modifiers } = phrase;
+
+    modifiers.forEach((modifier, m) => {
+      if (modifier.upos === 'ADP') setHead(modifier, head, 'CASE', 0.9);
+      else if (modifier.upos === 'DET') setHead(modifier, head, 'DET', 0.95);
+      else if (modifier.upos === 'NUM') setHead(modifier, head, 'NUMMOD', 0.85);
+      else if (modifier.upos === 'ADV') setHead(modifier, modifiers[m + 1] || head, 'ADVMOD', 0.6);
+      else setHead(modifier, head, 'AMOD', 0.8);
+    });
+
+    const prev = phrases[i - 1];
+    const determiner = modifiers.find(n => n.upos === 'DET');
+
+    // Koordination: Phrase CCONJ Phrase
+    if (prev && isCoordinated(prev, phrase) && !phrase.orphan) {
+      setHead(head, prev.head, 'CONJ', 0.7);
+      setHead(prev.coordinator, head, 'CC', 0.85);
+      return;
+    }
+
+    // Genitivattribut direkt nach einem Nomen: "der Schatten des Baumes"
+    if (prev && !phrase.marker && determiner && isNominal(prev.head) &&
+        head.id === prev.head.id + modifiers.length + 1 &&
+        (GENITIVE_DETERMINERS.test(determiner.lower) || determiner.lower === 'der')) {
+      setHead(head, prev.head, 'NMOD', GENITIVE_DETERMINERS.test(determiner.lower) ? 0.75 : 0.5);
+      return;
+    }
+
+    if (phrase.orphan) return;
+    if (phrase.marker) obliques.push(phrase);
+    else args.push(phrase);
+  });
+
+  return { args, obliques };
+};
+
+/**
+ * Prüft ob zwischen zwei Phrasen nur eine koordinierende Konjunktion steht
+ * @private
+ */
+const isCoordinated = (left, right) => {
+  const firstOfRight = right.modifiers[0] || right.head;
+  return !!left.coordinator && left.coordinator.id === firstOfRight.id - 1;
+};
+
+/**
+ * Bestimmt den Kasus einer Nominalphrase aus Pronomen und Determinierer
+ * @private
+ */
+const determineCase = (phrase) => {
+  const { head, modifiers } = phrase;
+
+  if (head.upos === 'PRON') {
+    if (NOMINATIVE_PRONOUNS.has(head.lower)) return 'nom';
+    if (ACCUSATIVE_PRONOUNS.has(head.lower)) return 'acc';
+    if (DATIVE_PRONOUNS.has(head.lower)) return 'dat';
+    if (head.lower === 'dessen' || head.lower === 'deren') return 'gen';
+    if (head.lower === 'denen') return 'dat';
+    return 'nom|acc';
+  }
+
+  const determiner = modifiers.find(n => n.upos === 'DET') || (head.upos === 'DET' ? head : null);
+  if (!determiner) return 'nom|acc';
+  if (DATIVE_DETERMINERS.test(determiner.lower)) return 'dat';
+  if (ACCUSATIVE_DETERMINERS.test(determiner.lower)) return 'acc';
+  if (GENITIVE_DETERMINERS.test(determiner.lower)) return 'gen';
+  if (NOMINATIVE_DETERMINERS.test(determiner.lower)) return 'nom';
+  return 'nom|acc';
+};
+
+/**
+ * Verknüpft die Teilsätze untereinander und bestimmt die Wurzel
+ * @private
+ */
+const linkClauses = (clauses) => {
+  const rootClause = clauses.find(c => c.type === 'main' && !c.coordinatedWith) || clauses[0];
+  if (!rootClause) return null;
+
+  setHead(rootClause.head, null, 'ROOT', 1.0);
+
+  clauses.forEach(clause => {
+    if (clause === rootClause) return;
+
+    if (clause.coordinatedWith && clause.coordinatedWith.head) {
+      setHead(clause.head, clause.coordinatedWith.head, 'CONJ', 0.7);
+    } else if (clause.type === 'relative' && clause.antecedent) {
+      setHead(clause.head, clause.antecedent, 'ACL', 0.65);
+    } else {
+      const governor = findGoverningHead(clause, rootClause);
+      const relation = clause.type === 'complement' ? 'CCOMP' : (clause.type === 'main' ? 'CONJ' : 'ADVCL');
+      setHead(clause.head, governor, relation, 0.6);
+    }
+  });
+
+  return rootClause.head;
+};
+
+/**
+ * Sucht den nächsten übergeordneten Teilsatz mit Kopf
+ * @private
+ */
+const findGoverningHead = (clause, rootClause) => {
+  let parent = clause.parent;
+  while (parent && !parent.head) parent = parent.parent;
+  return parent ? parent.head : rootClause.head;
+};
+
+/**
+ * Hängt nicht zugeordnete Knoten (z.B. Interpunktion leerer Teilsätze) an die Wurzel
+ * @private
+ */
+const attachRemaining = (nodes, root) => {
+  nodes.forEach(node => {
+    if (node.relation) return;
+    if (!root || node === root) {
+      setHead(node, null, 'ROOT', 1.0);
+      return;
+    }
+    setHead(node, root, node.upos === 'PUNCT' ? 'PUNCT' : 'DEP', node.upos === 'PUNCT' ? 1.0 : 0.3);
+  });
+};
+
+/**
+ * Bestimmt die Verbstellung eines Teilsatzes
+ * @private
+ */
+const determineVerbPosition = (clause) => {
+  if (!clause.finite) return null;
+
+  const words = wordsOf(clause).filter(n => !['CCONJ', 'SCONJ'].includes(n.upos));
+  const index = words.indexOf(clause.finite);
+  if (index === words.length - 1 && clause.type !== 'main') return 'Verbletzt';
+  if (index === 0) return 'Verberst';
+
+  // Verbzweit: vor dem finiten Verb steht genau eine Phrase
+  const before = words.slice(0, index);
+  const constituents = before.filter(n => !before.some(b => b.id === n.head));
+  return constituents.length <= 1 ? 'Verbzweit' : 'Verbletzt';
+};
+
+const isNominal = (node) => !!node && ['NOUN', 'PROPN', 'PRON'].includes(node.upos);
+
+const setHead = (node, head, relation, score) => {
+  if (!node) return;
+  node.head = head ? head.id : 0;
+  node.relation = relation;
+  node.score = score;
+};
+
+export default {
+  parseDependencies,
+  parseSentence
+};
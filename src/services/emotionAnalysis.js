@@ -0,0 +1,273 @@
+import { EMOTIONS } from '../utils/constants';
+import { EMOTION_LEXICON, NEGATION_WORDS, INTENSIFIERS } from '../utils/emotionLexicon';
+import { detectVerses } from '../utils/textPreprocessing';
+
+/**
+ * Emotionserkennung für Deutsch (lexikonbasiert)
+ * Verteilung über die EMOTIONS-Kategorien pro Wort, Vers und Gesamttext.
+ * Berücksichtigt Negation und Verstärker im Kontext desselben Satzteils.
+ */
+
+const EMOTION_KEYS = Object.keys(EMOTIONS).filter(key => key !== 'NEUTRAL');
+
+// Grundintensität eines Lexikontreffers (Rest der Verteilung entfällt auf NEUTRAL)
+const BASE_INTENSITY = 0.7;
+
+// Gewicht von Treffern über Flexionsendung bzw. Kompositum-Kopf
+const SOURCE_WEIGHTS = { lexicon: 1, inflection: 0.9, compound: 0.8 };
+
+// Reichweite (in Wörtern) für Negation und Verstärker
+const NEGATION_SCOPE = 3;
+const INTENSIFIER_SCOPE = 2;
+
+// Negierte negative Emotionen werden abgeschwächt statt umgekehrt ("nicht traurig" ≠ froh)
+const NEGATION_DAMPING = 0.3;
+
+const INFLECTION_SUFFIXES = ['sten', 'ste', 'ern', 'en', 'er', 'es', 'em', 'st', 'et', 'e', 'n', 's', 't'];
+
+const MIN_COMPOUND_MODIFIER = 3;
+const MIN_COMPOUND_HEAD = 4;
+
+// Lexikon-Index: Wort → Liste der Emotionen
+const LEXICON_INDEX = Object.entries(EMOTION_LEXICON).reduce((index, [emotion, words]) => {
+  words.forEach(word => {
+    if (!index.has(word)) index.set(word, []);
+    if (!index.get(word).includes(emotion)) index.get(word).push(emotion);
+  });
+  return index;
+}, new Map());
+
+const NEGATIONS = new Set(NEGATION_WORDS);
+
+const NOMINAL_TAGS = ['NOUN', 'PROPN', 'ADJ'];
+
+/**
+ * Analysiert die Emotionen eines Textes
+ *
+ * @param {Array} tokens - Annotierte Tokens (mit lemma, posTag, index)
+ * @param {string} text - Normalisierter Text (für die Vers-Erkennung)
+ * @returns {Object} { words, verses, overall }
+ */
+export const analyzeEmotions = (tokens, text) => {
+  try {
+    const words = [];
+
+    tokens.forEach((token, i) => {
+      if (token.isPunctuation) return;
+      words.push(analyzeWordEmotion(tokens, i));
+    });
+
+    const verses = detectVerses(text || '').map(verse => ({
+      index: verse.index,
+      stanza: verse.stanza,
+      text: verse.text,
+      ...aggregateEmotions(words.filter(w => w.index >= verse.start && w.index < verse.end))
+    }));
+
+    const overall = aggregateEmotions(words);
+
+    return {
+      words,
+      verses,
+      overall: {
+        ...overall,
+        emotionalWordCount: words.filter(w => w.dominant !== 'NEUTRAL').length,
+        wordCount: words.length
+      }
+    };
+  } catch (error) {
+    console.error('Emotionsanalyse Fehler:', error);
+    throw error;
+  }
+};
+
+/**
+ * Emotionen eines einzelnen Wortes mit Kontext (Negation, Verstärker)
+ * @private
+ */
+const analyzeWordEmotion = (tokens, i) => {
+  const token = tokens[i];
+  const match = lookupEmotions(token);
+  const distribution = emptyDistribution();
+
+  const result = {
+    position: token.position,
+    index: token.index,
+    text: token.text,
+    distribution,
+    dominant: 'NEUTRAL',
+    intensity: 0,
+    negated: false,
+    modifier: 1,
+    source: null
+  };
+
+  if (!match) {
+    distribution.NEUTRAL = 1;
+    return result;
+  }
+
+  const context = readContext(tokens, i);
+  const intensity = clamp(BASE_INTENSITY * SOURCE_WEIGHTS[match.source] * context.modifier);
+  const share = intensity / match.emotions.length;
+
+  match.emotions.forEach(emotion => {
+    if (!context.negated) {
+      distribution[emotion] += share;
+    } else if (emotion === 'JOY') {
+      // "nicht froh", "kein Glück" → Trauer
+      distribution.SADNESS += share;
+    } else {
+      distribution[emotion] += share * NEGATION_DAMPING;
+    }
+  });
+
+  const emotional = EMOTION_KEYS.reduce((sum, key) => sum + distribution[key], 0);
+  distribution.NEUTRAL = 1 - emotional;
+
+  EMOTION_KEYS.forEach(key => {
+    distribution[key] = round(distribution[key]);
+  });
+  distribution.NEUTRAL = round(distribution.NEUTRAL);
+
+  return {
+    ...result,
+    dominant: dominantEmotion(distribution),
+    intensity: round(emotional),
+    negated: context.negated,
+    modifier: context.modifier,
+    source: match.source
+  };
+};
+
+/**
+ * Sucht ein Wort im Lexikon: Lemma/Wortform, Flexionsendung, Kompositum-Kopf
+ * @private
+ */
+const lookupEmotions = (token) => {
+  const forms = [...new Set([token.lemma, token.text].filter(Boolean).map(f => f.toLowerCase()))];
+
+  for (const form of forms) {
+    if (LEXICON_INDEX.has(form)) return { emotions: LEXICON_INDEX.get(form), source: 'lexicon' };
+  }
+
+  for (const form of forms) {
+    for (const suffix of INFLECTION_SUFFIXES) {
+      if (form.length - suffix.length < 3 || !form.endsWith(suffix)) continue;
+      const stem = form.slice(0, -suffix.length);
+      // Stamm selbst oder Infinitiv ("fürchte" → "fürchten")
+      const candidate = [stem, `${stem}en`, `${stem}n`].find(c => LEXICON_INDEX.has(c));
+      if (candidate) return { emotions: LEXICON_INDEX.get(candidate), source: 'inflection' };
+    }
+  }
+
+  // Komposita: längster bekannter Kopf ("Todesangst" → "angst", "Herzeleid" → "leid")
+  const form = forms[0];
+  for (let k = MIN_COMPOUND_MODIFIER; k <= form.length - MIN_COMPOUND_HEAD; k++) {
+    const head = form.slice(k);
+    if (LEXICON_INDEX.has(head)) return { emotions: LEXICON_INDEX.get(head), source: 'compound' };
+  }
+
+  return null;
+};
+
+/**
+ * Liest Negation und Verstärker vor einem Wort (bis zur nächsten Satzzeichen-Grenze)
+ * Negation wirkt auch nachgestellt im Satzteil ("Ich fürchte mich nicht").
+ * @private
+ */
+const readContext = (tokens, i) => {
+  let negated = false;
+  let modifier = 1;
+  let distance = 0;
+
+  for (let j = i - 1; j >= 0 && distance < NEGATION_SCOPE; j--) {
+    const token = tokens[j];
+    if (token.isPunctuation) break;
+    distance++;
+
+    const word = token.text.toLowerCase();
+    if (NEGATIONS.has(word)) negated = !negated;
+    if (distance <= INTENSIFIER_SCOPE && INTENSIFIERS[word]) modifier *= INTENSIFIERS[word];
+  }
+
+  if (!negated) {
+    distance = 0;
+    for (let j = i + 1; j < tokens.length && distance < NEGATION_SCOPE; j++) {
+      const token = tokens[j];
+      if (token.isPunctuation) break;
+      distance++;
+
+      // Nachgestelltes "nicht" bezieht sich auf Verben, nicht auf Nomen und Adjektive
+      if (token.text.toLowerCase() === 'nicht' && !NOMINAL_TAGS.includes(tokens[i].posTag)) {
+        negated = true;
+        break;
+      }
+    }
+  }
+
+  return { negated, modifier: round(modifier) };
+};
+
+/**
+ * Fasst Wort-Verteilungen zusammen (Vers oder Gesamttext)
+ * distribution: Anteil je Kategorie inkl. NEUTRAL, profile: nur emotionale Kategorien (Summe 1)
+ * @private
+ */
+const aggregateEmotions = (words) => {
+  const distribution = emptyDistribution();
+  const profile = emptyDistribution();
+  delete profile.NEUTRAL;
+
+  if (words.length === 0) {
+    distribution.NEUTRAL = 1;
+    return { distribution, profile, dominant: 'NEUTRAL', intensity: 0 };
+  }
+
+  words.forEach(word => {
+    Object.keys(distribution).forEach(key => {
+      distribution[key] += word.distribution[key] / words.length;
+    });
+  });
+
+  const emotional = EMOTION_KEYS.reduce((sum, key) => sum + distribution[key], 0);
+  EMOTION_KEYS.forEach(key => {
+    profile[key] = emotional > 0 ? round(distribution[key] / emotional) : 0;
+  });
+  Object.keys(distribution).forEach(key => {
+    distribution[key] = round(distribution[key]);
+  });
+
+  return {
+    distribution,
+    profile,
+    dominant: emotional > 0 ? dominantEmotion(distribution) : 'NEUTRAL',
+    intensity: round(emotional)
+  };
+};
+
+/**
+ * Stärkste emotionale Kategorie (NEUTRAL, wenn keine vorhanden)
+ * @private
+ */
+const dominantEmotion = (distribution) => {
+  let dominant = 'NEUTRAL';
+  let max = 0;
+  EMOTION_KEYS.forEach(key => {
+    if (distribution[key] > max) {
+      max = distribution[key];
+      dominant = key;
+    }
+  });
+  return dominant;
+};
+
+const emptyDistribution = () => Object.keys(EMOTIONS).reduce((dist, key) => ({ ...dist, [key]: 0 }), {});
+
+const clamp = (value) => Math.min(1, Math.max(0, value));
+
+const round = (value) => parseFloat(value.toFixed(3));
+
+export default {
+  analyzeEmotions
+};
@@ -0,0 +1,469 @@
+import { POETIC_FORMS } from '../utils/constants';
+
+/**
+ * Erkennung von Gedichtformen
+ * Kombiniert Strophenbau, Reimschema, Silbenzahlen, Metrum und Zäsuren zu einer
+ * gewichteten Kriterienliste pro Form. Jede Form erhält einen Score zwischen 0 und 1
+ * samt Begründung, welche Kriterien erfüllt sind.
+ */
+
+// Ab diesem Score gilt eine Form als erkannt
+const RECOGNITION_THRESHOLD = 0.65;
+
+// Ab diesem Erfüllungsgrad gilt ein einzelnes Kriterium als erfüllt
+const CRITERION_THRESHOLD = 0.6;
+
+// Unterhalb dieses Erfüllungsgrads verwirft ein Pflichtkriterium die Form
+const REQUIRED_THRESHOLD = 0.5;
+
+// Anteil abweichender Silbenzahlen, ab dem die Senkungsfüllung als frei gilt
+const FREE_FILLING_SHARE = 0.3;
+
+// Relative Spannweite der Silbenzahlen, ab der Verslängen als wechselnd gelten
+const VARYING_LENGTH_SPREAD = 0.5;
+
+const HAIKU_SYLLABLES = [5, 7, 5];
+
+const MASCULINE_CADENCE = 'männlich (stumpf)';
+
+/**
+ * Erkennt die Gedichtform anhand der Vers-, Reim- und Metrikanalyse
+ *
+ * @param {Object} input - { verses, verseStructure, rhymeScheme, lineBreaks }
+ * @returns {Object|null} { form, candidates, stanzaStructure } oder null ohne Verse
+ */
+export const recognizeForm = ({ verses, verseStructure = null, rhymeScheme = null, lineBreaks = null }) => {
+  if (!verses || verses.length === 0) return null;
+
+  try {
+    const context = buildContext(verses, verseStructure, rhymeScheme, lineBreaks);
+
+    const candidates = FORM_DEFINITIONS
+      .filter(definition => definition.applies(context))
+      .map(definition => scoreForm(definition, context))
+      .sort((a, b) => b.score - a.score);
+
+    const recognized = candidates.filter(c => c.score >= RECOGNITION_THRESHOLD);
+
+    return {
+      form: recognized[0] || null,
+      recognized,
+      candidates,
+      stanzaStructure: context.sizes.join('-')
+    };
+  } catch (error) {
+    console.error('Formerkennung Fehler:', error);
+    return null;
+  }
+};
+
+/**
+ * Anzeigename einer erkannten Form inkl. Variante ("Sonett (petrarkisch)")
+ *
+ * @param {Object} form - Erkannte Form aus recognizeForm
+ * @returns {string|null} Anzeigename oder null
+ */
+export const formatFormName = (form) => {
+  if (!form) return null;
+  return form.variant ? `${form.label} (${form.variant})` : form.label;
+};
+
+/**
+ * Formdefinitionen: Anwendbarkeit (Mindestumfang) und gewichtete Kriterien
+ * Gewichte einer Form summieren sich zu 1. Pflichtkriterien (required) sind für die Form
+ * konstitutiv: erreicht ein Pflichtkriterium REQUIRED_THRESHOLD nicht, wird die Form verworfen.
+ * @private
+ */
+const FORM_DEFINITIONS = [
+  {
+    key: 'SONNET',
+    applies: (ctx) => ctx.count >= 12 && ctx.count <= 16,
+    evaluate: (ctx) => {
+      const petrarchan = {
+        stanzas: sameSizes(ctx.sizes, [4, 4, 3, 3]) ? 1 : 0,
+        rhyme: (
+          8 * bestAgreement(ctx.pattern.slice(0, 8), ['ABBAABBA', 'ABABABAB']) +
+          6 * bestAgreement(ctx.pattern.slice(8, 14), ['ABCABC', 'ABABAB', 'AABCCB', 'ABBACC', 'ABACBC'])
+        ) / 14
+      };
+      const shakespearean = {
+        stanzas: [[4, 4, 4, 2], [12, 2], [14]].some(sizes => sameSizes(ctx.sizes, sizes)) ? 1 : 0,
+        rhyme: rhymeAgreement(ctx.pattern, [...'ABABCDCDEFEFGG'])
+      };
+      const isShakespearean = shakespearean.stanzas + shakespearean.rhyme > petrarchan.stanzas + petrarchan.rhyme;
+      const variant = isShakespearean ? shakespearean : petrarchan;
+
+      return {
+        variant: isShakespearean ? 'shakespearesch' : 'petrarkisch',
+        criteria: [
+          criterion('14 Verse', 0.3, ctx.count === 14 ? 1 : 0, `${ctx.count} Verse`),
+          criterion(
+            isShakespearean ? 'Strophenbau 4-4-4-2' : 'Strophenbau 4-4-3-3',
+            0.25, variant.stanzas, ctx.sizes.join('-')
+          ),
+          criterion(
+            isShakespearean ? 'Reimschema abab cdcd efef gg' : 'Reimschema abba abba + Terzettreime',
+            0.3, variant.rhyme, formatPattern(ctx.pattern, ctx.sizes)
+          ),
+          meterCriterion('Fünf- oder sechshebiger Jambus', 0.15, ctx, m => m?.type === 'IAMBUS' && (m.feet === 5 || m.feet === 6))
+        ]
+      };
+    }
+  },
+  {
+    key: 'TERZINE',
+    applies: (ctx) => ctx.count >= 6 && ctx.sizes.filter(size => size === 3).length >= 2,
+    evaluate: (ctx) => {
+      // Kettenreim: Strophe s reimt s, s+1, s; ein abschließender Einzelvers greift den Mittelreim auf
+      const template = ctx.stanzas.flatMap((stanza, s) => {
+        if (stanza.length === 3) return [s, s + 1, s].map(String);
+        if (stanza.length === 1 && s === ctx.stanzas.length - 1) return [String(s)];
+        return stanza.map(() => '*');
+      });
+      const tercets = ctx.sizes.filter((size, s) => size === 3 || (size === 1 && s === ctx.sizes.length - 1));
+
+      return {
+        criteria: [
+          criterion('Dreizeilige Strophen', 0.35, tercets.length / ctx.sizes.length, ctx.sizes.join('-')),
+          criterion('Kettenreim aba bcb cdc …', 0.45, rhymeAgreement(ctx.pattern, template), formatPattern(ctx.pattern, ctx.sizes)),
+          meterCriterion('Fünfhebiger Jambus', 0.2, ctx, m => m?.type === 'IAMBUS' && m.feet === 5)
+        ]
+      };
+    }
+  },
+  {
+    key: 'STANZE',
+    applies: (ctx) => ctx.sizes.some(size => size === 8),
+    evaluate: (ctx) => {
+      const octaves = ctx.stanzas.filter(stanza => stanza.length === 8);
+
+      return {
+        criteria: [
+          criterion('Achtzeilige Strophen', 0.35, octaves.length / ctx.stanzas.length, ctx.sizes.join('-')),
+          criterion('Reimschema abababcc', 0.4,
+            average(octaves.map(stanza => rhymeAgreement(stanza.map(i => ctx.pattern[i]), [...'ABABABCC']))),
+            formatPattern(ctx.pattern, ctx.sizes)),
+          meterCriterion('Fünfhebiger Jambus', 0.25, ctx, m => m?.type === 'IAMBUS' && m.feet === 5)
+        ]
+      };
+    }
+  },
+  {
+    key: 'VOLKSLIEDSTROPHE',
+    applies: (ctx) => ctx.count >= 4 && ctx.sizes.some(size => size === 4),
+    evaluate: (ctx) => {
+      const quatrains = ctx.stanzas.filter(stanza => stanza.length === 4);
+
+      return {
+        criteria: [
+          criterion('Vierzeilige Strophen', 0.3, quatrains.length / ctx.stanzas.length, ctx.sizes.join('-')),
+          criterion('Kreuzreim (abab oder xaxa)', 0.3,
+            average(quatrains.map(stanza => bestAgreement(stanza.map(i => ctx.pattern[i]), ['ABAB', '*A*A']))),
+            formatPattern(ctx.pattern, ctx.sizes)),
+          meterCriterion('Drei- bis vierhebige Verse', 0.25, ctx, m => m?.feet === 3 || m?.feet === 4, { required: true }),
+          criterion('Wechselnde Kadenzen', 0.15, alternatingCadences(ctx), formatCadences(ctx))
+        ]
+      };
+    }
+  },
+  {
+    key: 'KNITTELVERS',
+    applies: (ctx) => ctx.count >= 2,
+    evaluate: (ctx) => {
+      const pairs = ctx.pattern.map((_, i) => String(Math.floor(i / 2)));
+
+      return {
+        criteria: [
+          meterCriterion('Vierhebige Verse', 0.35, ctx, m => m?.feet === 4, { required: true }),
+          criterion('Paarreim aabb …', 0.35, rhymeAgreement(ctx.pattern, pairs), formatPattern(ctx.pattern, ctx.sizes)),
+          criterion('Freie Senkungsfüllung', 0.3,
+            clamp(deviationFromMode(ctx.syllables) / FREE_FILLING_SHARE), `Silben: ${ctx.syllables.join(', ')}`)
+        ]
+      };
+    }
+  },
+  {
+    key: 'ALEXANDRINER',
+    applies: (ctx) => ctx.count >= 1,
+    evaluate: (ctx) => ({
+      criteria: [
+        meterCriterion('Sechshebiger Jambus', 0.4, ctx, m => m?.type === 'IAMBUS' && m.feet === 6, { required: true }),
+        criterion('12 oder 13 Silben', 0.25, share(ctx.syllables, count => count === 12 || count === 13),
+          `Silben: ${ctx.syllables.join(', ')}`),
+        criterion('Zäsur nach der sechsten Silbe', 0.35,
+          share(ctx.caesuras, syllables => syllables.includes(6)),
+          `${ctx.caesuras.filter(syllables => syllables.includes(6)).length} von ${ctx.count} Versen`)
+      ]
+    })
+  },
+  {
+    key: 'FREE_RHYTHMS',
+    applies: (ctx) => ctx.count >= 4,
+    evaluate: (ctx) => ({
+      criteria: [
+        criterion('Reimlos', 0.5, unrhymedShare(ctx), formatPattern(ctx.pattern, ctx.sizes)),
+        criterion('Kein festes Metrum', 0.3, clamp(meterIrregularity(ctx) / 0.5), ctx.meterName),
+        criterion('Wechselnde Verslängen', 0.2, clamp(lengthSpread(ctx.syllables) / VARYING_LENGTH_SPREAD),
+          `Silben: ${ctx.syllables.join(', ')}`)
+      ]
+    })
+  },
+  {
+    key: 'HAIKU',
+    applies: (ctx) => ctx.count <= 4,
+    evaluate: (ctx) => ({
+      criteria: [
+        criterion('Drei Verse', 0.4, ctx.count === 3 ? 1 : 0, `${ctx.count} Verse`),
+        criterion('Silbenzahl 5-7-5', 0.5,
+          ctx.count === 3
+            ? average(ctx.syllables.map((count, i) => {
+              const difference = Math.abs(count - HAIKU_SYLLABLES[i]);
+              return difference === 0 ? 1 : difference === 1 ? 0.5 : 0;
+            }))
+            : 0,
+          ctx.syllables.join('-')),
+        criterion('Ohne Endreim', 0.1, unrhymedShare(ctx), formatPattern(ctx.pattern, ctx.sizes))
+      ]
+    })
+  },
+  {
+    key: 'GHAZAL',
+    applies: (ctx) => ctx.count >= 6,
+    evaluate: (ctx) => {
+      // Erstes Verspaar reimt, danach jeder zweite Vers auf denselben Reim
+      const template = ctx.pattern.map((_, i) => (i < 2 || i % 2 === 1 ? 'A' : '*'));
+      const refrain = findRefrain(ctx);
+
+      return {
+        criteria: [
+          criterion('Verspaare', 0.2,
+            ctx.count % 2 === 0 && (ctx.sizes.length === 1 || ctx.sizes.every(size => size === 2)) ? 1 : 0,
+            ctx.sizes.join('-')),
+          criterion('Durchgehender Reim aa ba ca …', 0.6, rhymeAgreement(ctx.pattern, template),
+            formatPattern(ctx.pattern, ctx.sizes)),
+          criterion('Refrain (Radif)', 0.2, refrain.share, refrain.word ? `„${refrain.word}"` : 'kein Refrain')
+        ]
+      };
+    }
+  }
+];
+
+/**
+ * Bewertet eine Form: gewichtete Summe der Kriterien und Begründung
+ * Ein verfehltes Pflichtkriterium (z.B. das Metrum) setzt den Score auf 0.
+ * @private
+ */
+const scoreForm = (definition, context) => {
+  const { variant = null, criteria } = definition.evaluate(context);
+  const vetoed = criteria.some(isVetoed);
+  const score = vetoed ? 0 : round(criteria.reduce((sum, c) => sum + c.weight * c.value, 0));
+  const label = POETIC_FORMS[definition.key].label;
+
+  return {
+    key: definition.key,
+    label,
+    variant,
+    description: POETIC_FORMS[definition.key].description,
+    score,
+    criteria,
+    explanation: explain(formatFormName({ label, variant }), score, criteria)
+  };
+};
+
+/**
+ * Bereitet Verse, Reimschema, Silben, Metren und Zäsuren pro Vers auf
+ * @private
+ */
+const buildContext = (verses, verseStructure, rhymeScheme, lineBreaks) => {
+  const scanned = verseStructure?.verses || verses;
+  const stanzaIndices = [...new Set(verses.map(v => v.stanza))];
+  const stanzas = stanzaIndices.map(stanza =>
+    verses.map((v, i) => (v.stanza === stanza ? i : null)).filter(i => i !== null)
+  );
+  const caesuras = verses.map(verse =>
+    (lineBreaks?.caesuras || []).filter(c => c.verseIndex === verse.index).map(c => c.syllable)
+  );
+
+  return {
+    count: verses.length,
+    stanzas,
+    sizes: stanzas.map(stanza => stanza.length),
+    // Ohne Reimanalyse (Einzelvers) gilt jeder Vers als reimlos
+    pattern: rhymeScheme?.pattern || verses.map((_, i) => `#${i}`),
+    endings: rhymeScheme?.endings || [],
+    syllables: scanned.map(v => v.syllableCount ?? v.syllables ?? 0),
+    meters: scanned.map(v => v.meter || null),
+    meterName: verseStructure?.meter?.name || 'Kein Metrum',
+    dominantMeter: verseStructure?.meter || null,
+    caesuras
+  };
+};
+
+/**
+ * Übereinstimmung eines Reimmusters mit einer Vorlage (F1 über Reimpaare)
+ * Buchstaben sind nur relativ zueinander relevant; '*' markiert freie Verse.
+ * @private
+ */
+const rhymeAgreement = (pattern, template) => {
+  const length = Math.min(pattern.length, template.length);
+  let matched = 0;
+  let missing = 0;
+  let extra = 0;
+
+  for (let i = 0; i < length; i++) {
+    if (template[i] === '*') continue;
+    for (let j = i + 1; j < length; j++) {
+      if (template[j] === '*') continue;
+      const expected = template[i] === template[j];
+      const actual = pattern[i] === pattern[j];
+      if (expected && actual) matched++;
+      else if (expected) missing++;
+      else if (actual) extra++;
+    }
+  }
+
+  // Unvollständige Muster (zu wenige Verse) zählen als fehlende Reime
+  const absent = template.length - length;
+  const total = 2 * matched + missing + extra + absent;
+
+  return total === 0 ? 1 : round((2 * matched) / total);
+};
+
+const bestAgreement = (pattern, templates) =>
+  Math.max(...templates.map(template => rhymeAgreement(pattern, [...template])));
+
+/**
+ * Anteil benachbarter Verse einer Strophe mit wechselnder Kadenz
+ * @private
+ */
+const alternatingCadences = (ctx) => {
+  const transitions = ctx.stanzas.flatMap(stanza =>
+    stanza.slice(1).map((i, k) => [ctx.meters[stanza[k]]?.cadence, ctx.meters[i]?.cadence])
+  ).filter(([a, b]) => a && b);
+
+  return share(transitions, ([a, b]) => a !== b);
+};
+
+/**
+ * Kadenzfolge als Kurzform (m = männlich, w = weiblich)
+ * @private
+ */
+const formatCadences = (ctx) => ctx.meters
+  .map(m => (!m?.cadence ? '?' : m.cadence === MASCULINE_CADENCE ? 'm' : 'w'))
+  .join('');
+
+/**
+ * Anteil der Verse ohne Reimpartner
+ * @private
+ */
+const unrhymedShare = (ctx) => share(ctx.pattern, label => ctx.pattern.filter(l => l === label).length === 1);
+
+/**
+ * Anteil der Verse, die vom dominierenden Metrum oder dessen Hebungszahl abweichen
+ * @private
+ */
+const meterIrregularity = (ctx) => {
+  const dominant = ctx.dominantMeter;
+  if (!dominant) return 1;
+  return share(ctx.meters, m => !m || m.type !== dominant.type || m.feet !== dominant.feet);
+};
+
+/**
+ * Anteil der Verse, deren Silbenzahl vom häufigsten Wert abweicht
+ * @private
+ */
+const deviationFromMode = (values) => {
+  if (values.length === 0) return 0;
+  const counts = new Map();
+  values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+  const modeCount = Math.max(...counts.values());
+  return (values.length - modeCount) / values.length;
+};
+
+/**
+ * Spannweite der Silbenzahlen relativ zum Mittelwert
+ * @private
+ */
+const lengthSpread = (values) => {
+  const mean = average(values);
+  return mean > 0 ? (Math.max(...values) - Math.min(...values)) / mean : 0;
+};
+
+/**
+ * Refrain (Radif): häufigstes identisches Reimwort der Reimverse eines Ghasels
+ * @private
+ */
+const findRefrain = (ctx) => {
+  const rhymeVerses = ctx.pattern.map((_, i) => i).filter(i => i < 2 || i % 2 === 1);
+  const words = rhymeVerses.map(i => ctx.endings[i]?.word).filter(Boolean);
+  if (words.length === 0) return { word: null, share: 0 };
+
+  const counts = new Map();
+  words.forEach(word => counts.set(word, (counts.get(word) || 0) + 1));
+  const [word, count] = Array.from(counts.entries()).sort((a, b) => b[1] - a[1])[0];
+
+  return count > 1
+    ? { word, share: round(count / rhymeVerses.length) }
+    : { word: null, share: 0 };
+};
+
+/**
+ * Reimmuster in Kleinbuchstaben, nach Strophen gruppiert ("abba abba cde cde")
+ * @private
+ */
+const formatPattern = (pattern, sizes) => {
+  const groups = [];
+  let offset = 0;
+  sizes.forEach(size => {
+    groups.push(pattern.slice(offset, offset + size).map(label => (label.length === 1 ? label.toLowerCase() : 'x')).join(''));
+    offset += size;
+  });
+  return groups.join(' ');
+};
+
+/**
+ * Begründungstext: erfüllte und nicht erfüllte Kriterien, verfehlte Pflichtkriterien markiert
+ * @private
+ */
+const explain = (name, score, criteria) => {
+  const met = criteria.filter(c => c.matched).map(c => c.label);
+  const unmet = criteria.filter(c => !c.matched)
+    .map(c => `${c.label} (${isVetoed(c) ? 'Pflichtkriterium, ' : ''}${c.detail})`);
+
+  let text = `${name}: ${(score * 100).toFixed(0)}%`;
+  if (met.length > 0) text += ` – erfüllt: ${met.join(', ')}`;
+  if (unmet.length > 0) text += ` – nicht erfüllt: ${unmet.join(', ')}`;
+  return text;
+};
+
+/**
+ * Kriterium über den Anteil der Verse, deren Metrum die Bedingung erfüllt
+ * @private
+ */
+const meterCriterion = (label, weight, ctx, predicate, options = {}) => {
+  const count = ctx.meters.filter(predicate).length;
+  return criterion(label, weight, count / ctx.count, `${count} von ${ctx.count} Versen, vorherrschend ${ctx.meterName}`, options);
+};
+
+const criterion = (label, weight, value, detail, { required = false } = {}) => {
+  const clamped = round(clamp(value));
+  return { label, weight, value: clamped, matched: clamped >= CRITERION_THRESHOLD, required, detail };
+};
+
+const isVetoed = (c) => c.required && c.value < REQUIRED_THRESHOLD;
+
+const sameSizes = (sizes, expected) =>
+  sizes.length === expected.length && sizes.every((size, i) => size === expected[i]);
+
+const share = (items, predicate) => (items.length > 0 ? items.filter(predicate).length / items.length : 0);
+
+const average = (values) => (values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : 0);
+
+const clamp = (value) => Math.min(1, Math.max(0, value));
+
+const round = (value) => parseFloat(value.toFixed(3));
+
+export default {
+  recognizeForm,
+  formatFormName
+};
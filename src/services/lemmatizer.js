@@ -0,0 +1,475 @@
+import {
+  FUNCTION_WORD_LEMMAS,
+  POSSESSIVE_STEMS,
+  AUXILIARY_FORMS,
+  STRONG_VERBS,
+  NOUN_LEMMAS,
+  IRREGULAR_NOUN_FORMS,
+  IRREGULAR_COMPARATIVES,
+  INVARIABLE_WORDS,
+  SEPARABLE_PARTICLES,
+  INSEPARABLE_PREFIXES
+} from '../utils/germanLexicon';
+
+// Flexionsendungen von Nomen, längste zuerst
+const NOUN_ENDINGS = ['ern', 'er', 'en', 'es', 'e', 'n', 's'];
+
+// Nomen-Suffixe, deren Plural regelhaft gebildet wird
+const NOUN_SUFFIX_RULES = [
+  { pattern: /innen$/, replacement: 'in' },
+  { pattern: /(ung|heit|keit|schaft|ion|tät|ei)en$/, replacement: '$1' },
+  { pattern: /nisse[ns]?$/, replacement: 'nis' }
+];
+
+// Diminutive: Plural gleich Singular ("Mädchen", "Röslein")
+const DIMINUTIVE = /(chen|lein)s?$/;
+
+// Stämme, nach denen ein Genitiv-s abgetrennt werden darf ("Himmels", "Königs")
+const GENITIVE_S_STEM = /(?:er|el|en|chen|lein|ling|ing|ig|tum|um|ment|[aiouy])$/;
+
+// Adjektiv-Suffixe, die eine Grundform sicher markieren
+const ADJECTIVE_SUFFIX = /(?:lich|ig|isch|bar|sam|haft|los|voll|end)$/;
+
+// Adjektivendungen: Superlativ, Komparativ, starke/schwache Flexion
+const ADJECTIVE_ENDINGS = [
+  /e?st(?:e|en|em|er|es)?$/,
+  /er(?:e|en|em|er|es)?$/,
+  /(?:e|en|em|er|es)$/
+];
+
+// Schwaches Präteritum: Stamm vor "-te" ("sagte", "liebten", "hörte", "weinten", "drehte")
+export const WEAK_PRETERITE_STEM = /(?:[bgmkpfßzxv]|ck|ss|[aeiouäöü]h|(?:ei|au|eu|äu|ie|[äöü]|[aeiou]h)[rln])$/;
+
+const UMLAUT_REVERSAL = { 'ä': 'a', 'ö': 'o', 'ü': 'u' };
+
+// Pluralendungen, die einen Umlaut auslösen können (Bäume, Wälder, Wäldern, Händen)
+const UMLAUT_PLURAL_ENDINGS = ['e', 'er', 'ern', 'en'];
+
+const NOUN_LEMMA_INDEX = new Map(NOUN_LEMMAS.map(noun => [noun.toLowerCase(), noun]));
+const INVARIABLE_SET = new Set(INVARIABLE_WORDS);
+
+/**
+ * Setzt den Umlaut auf den letzten umlautfähigen Vokal eines Stamms (gab -> gäb)
+ *
+ * @param {string} stem - Stamm in Kleinschreibung
+ * @returns {string} Umgelauteter Stamm
+ */
+export const applyUmlaut = (stem) => {
+  const match = stem.match(/(au|a|o|u)(?!.*[aou])/);
+  if (!match) return stem;
+  const umlaut = { au: 'äu', a: 'ä', o: 'ö', u: 'ü' }[match[1]];
+  return stem.slice(0, match.index) + umlaut + stem.slice(match.index + match[1].length);
+};
+
+/**
+ * Bildet einmalig den Index Verbform -> Infinitiv aus Hilfs-, Modal- und starken Verben
+ * @private
+ */
+const buildVerbIndex = () => {
+  const forms = new Map();
+  const participleCores = new Map();
+
+  for (const [infinitive, list] of Object.entries(AUXILIARY_FORMS)) {
+    forms.set(infinitive, infinitive);
+    list.forEach(form => forms.set(form, infinitive));
+  }
+
+  for (const entry of STRONG_VERBS) {
+    const [infinitive, present, preterite, participle] = entry.split('|');
+    const add = (form) => {
+      if (!forms.has(form)) forms.set(form, infinitive);
+    };
+
+    add(infinitive);
+    present.split(' ').filter(Boolean).forEach(add);
+
+    // Präteritum: gab, gabst, gaben, gabt; schwache Bildung bei Mischverben (brachte)
+    if (preterite.endsWith('te')) {
+      ['', 'st', 'n', 't'].forEach(ending => add(preterite + ending));
+    } else {
+      const joint = /[sßt]$/.test(preterite) ? 'e' : '';
+      [preterite, `${preterite}${joint}st`, `${preterite}en`, `${preterite}${joint}t`].forEach(add);
+    }
+
+    // Konjunktiv II: gäbe, gäbest, gäben, gäbet
+    const subjunctive = applyUmlaut(preterite.replace(/te$/, ''));
+    const suffix = preterite.endsWith('te') ? 'te' : 'e';
+    ['', 'st', 'n', 't'].forEach(ending => add(subjunctive + suffix + ending));
+
+    add(participle);
+    // Partizip ohne "ge-" für präfigierte Verben ("vergangen"); "gelungen" ist kein ge-Partizip
+    if (participle.startsWith('ge') && (!infinitive.startsWith('ge') || participle[2] === 'g')) {
+      participleCores.set(participle.slice(2), infinitive);
+    }
+  }
+
+  return { forms, participleCores };
+};
+
+const VERB_INDEX = buildVerbIndex();
+
+/**
+ * Kehrt den letzten Umlaut eines Stamms um (Stäb -> Stab, Bäum -> Baum)
+ * @private
+ */
+const reverseUmlaut = (stem) => {
+  const match = stem.match(/äu|[äöü](?!.*[äöü])/);
+  if (!match) return stem;
+  const plain = match[0] === 'äu' ? 'au' : UMLAUT_REVERSAL[match[0]];
+  return stem.slice(0, match.index) + plain + stem.slice(match.index + match[0].length);
+};
+
+/**
+ * Zählt Vokalgruppen (grobe Silbenzahl)
+ * @private
+ */
+const countVowelGroups = (word) => (word.match(/[aeiouäöüy]+/g) || []).length;
+
+const capitalize = (word) => word.charAt(0).toUpperCase() + word.slice(1);
+
+/**
+ * Sucht unregelmäßige Pluralformen, auch als Kompositum-Kopf (Rosengärten -> Rosengarten)
+ * @private
+ */
+const lookupIrregularNoun = (lower) => {
+  const variants = lower.endsWith('n') ? [lower, lower.slice(0, -1)] : [lower];
+
+  for (const form of variants) {
+    for (let i = 0; i <= form.length - 4; i++) {
+      if (i > 0 && i < 3) continue;
+      const lemma = IRREGULAR_NOUN_FORMS[form.slice(i)];
+      if (lemma) return i === 0 ? lemma : capitalize(form.slice(0, i) + lemma.toLowerCase());
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Prüft, ob ein Stamm auf ein bekanntes Nomen endet (Rosenblatt -> Blatt)
+ * @private
+ */
+const findCompoundHead = (stem) => {
+  for (let i = 3; i <= stem.length - 3; i++) {
+    if (NOUN_LEMMA_INDEX.has(stem.slice(i))) return true;
+  }
+  return false;
+};
+
+/**
+ * Lemmatisiert ein Nomen
+ * Reihenfolge: Ausnahmen -> Lexikon -> Suffixregeln -> bestätigte Kandidaten -> Endungsregeln
+ * @private
+ */
+const lemmatizeNoun = (word, knownForms) => {
+  const lower = word.toLowerCase();
+
+  const irregular = lookupIrregularNoun(lower);
+  if (irregular) return irregular;
+  if (NOUN_LEMMA_INDEX.has(lower)) return NOUN_LEMMA_INDEX.get(lower);
+
+  for (const rule of NOUN_SUFFIX_RULES) {
+    if (rule.pattern.test(lower)) {
+      return capitalize(lower.replace(rule.pattern, rule.replacement));
+    }
+  }
+
+  // Kandidaten durch Abtrennen der Endung; Umlaut-Umkehr nur bei Pluralendungen (Bäume, Wälder)
+  const candidates = [];
+  const reversedCandidates = [];
+  for (const ending of NOUN_ENDINGS) {
+    if (!lower.endsWith(ending) || lower.length - ending.length < 2) continue;
+    const stem = lower.slice(0, -ending.length);
+    candidates.push(stem);
+    const reversed = reverseUmlaut(stem);
+    if (reversed !== stem && UMLAUT_PLURAL_ENDINGS.includes(ending)) reversedCandidates.push(reversed);
+  }
+
+  // Bestätigt durch Lexikon oder eine andere Form im selben Text; Formen ohne Umlaut-Umkehr
+  // haben Vorrang, damit verschiedene Wörter nicht zusammenfallen (Blüten -> Blüte, nicht Blut)
+  const known = candidates.find(c => NOUN_LEMMA_INDEX.has(c));
+  if (known) return NOUN_LEMMA_INDEX.get(known);
+
+  // Eine bestätigende Form im Text kann selbst flektiert sein (Bäumen -> Bäume -> Baum)
+  const textForm = candidates.find(c => knownForms.has(c));
+  if (textForm) return lemmatizeNoun(textForm, knownForms);
+
+  const confirmed = reversedCandidates.find(c => NOUN_LEMMA_INDEX.has(c))
+    || reversedCandidates.find(c => knownForms.has(c))
+    || candidates.find(c => findCompoundHead(c))
+    || reversedCandidates.find(c => findCompoundHead(c));
+  if (confirmed) {
+    return NOUN_LEMMA_INDEX.get(confirmed) || capitalize(confirmed);
+  }
+
+  if (DIMINUTIVE.test(lower)) return capitalize(lower.replace(DIMINUTIVE, '$1'));
+
+  // Umlautplural einsilbiger Stämme: Stäbe, Stäben, Wälder, Wäldern
+  const umlautPlural = lower.match(/^(.*[äöü][^aeiouäöü]*)(e|en|er|ern)$/);
+  if (umlautPlural && countVowelGroups(umlautPlural[1]) === 1) {
+    return capitalize(reverseUmlaut(umlautPlural[1]));
+  }
+
+  // -er + Dativ-n: Schwestern, Lehrern
+  if (lower.endsWith('ern')) return capitalize(lower.slice(0, -1));
+
+  if (lower.endsWith('en')) {
+    // Nach Vokal: Frauen -> Frau
+    if (/[aeiouäöü]en$/.test(lower) && !lower.endsWith('een')) return capitalize(lower.slice(0, -2));
+    // Sonst Plural auf -n eines Femininums auf -e: Rosen -> Rose
+    return capitalize(lower.slice(0, -1));
+  }
+
+  // Genitiv: Tages, Windes, Himmels, Königs
+  if (lower.endsWith('es') && lower.length > 4 && !/(?:ies|ses|ees)$/.test(lower)) {
+    return capitalize(lower.slice(0, -2));
+  }
+  if (lower.endsWith('s') && GENITIVE_S_STEM.test(lower.slice(0, -1))) {
+    return capitalize(lower.slice(0, -1));
+  }
+
+  return capitalize(lower);
+};
+
+/**
+ * Lemmatisiert ein Adjektiv (Flexion und Steigerung)
+ * @private
+ */
+const lemmatizeAdjective = (lower, knownForms) => {
+  if (INVARIABLE_SET.has(lower)) return lower;
+
+  for (const pattern of ADJECTIVE_ENDINGS) {
+    const match = lower.match(pattern);
+    if (!match) continue;
+
+    const base = lower.slice(0, match.index);
+    if (base.length < 2) continue;
+
+    if (IRREGULAR_COMPARATIVES[base]) return IRREGULAR_COMPARATIVES[base];
+    if (ADJECTIVE_SUFFIX.test(base) || knownForms.has(base)) return base;
+  }
+
+  // Flektierte unregelmäßige Steigerung: größere, besten, höchste
+  const uninflected = lower.replace(/(?:e|en|em|er|es)$/, '');
+  if (IRREGULAR_COMPARATIVES[uninflected]) return IRREGULAR_COMPARATIVES[uninflected];
+  if (IRREGULAR_COMPARATIVES[lower]) return IRREGULAR_COMPARATIVES[lower];
+
+  return lower;
+};
+
+/**
+ * Hängt die Infinitivendung an einen Verbstamm (wander -> wandern, sag -> sagen)
+ * @private
+ */
+const toInfinitive = (stem) => (/[^aeiouäöü](?:el|er)$/.test(stem) ? `${stem}n` : `${stem}en`);
+
+/**
+ * Schlägt eine Form im Index starker Verben nach, auch mit Verbpartikel oder Präfix
+ * @private
+ */
+const lookupVerb = (lower) => {
+  if (VERB_INDEX.forms.has(lower)) return VERB_INDEX.forms.get(lower);
+
+  for (const particle of SEPARABLE_PARTICLES) {
+    if (!lower.startsWith(particle)) continue;
+    let rest = lower.slice(particle.length);
+    // zu-Infinitiv: anzusehen -> ansehen
+    if (rest.startsWith('zu') && rest.length > 4 && rest.endsWith('en')) rest = rest.slice(2);
+    if (rest.length >= 3 && VERB_INDEX.forms.has(rest)) {
+      return particle + VERB_INDEX.forms.get(rest);
+    }
+  }
+
+  for (const prefix of INSEPARABLE_PREFIXES) {
+    if (!lower.startsWith(prefix)) continue;
+    const rest = lower.slice(prefix.length);
+    if (rest.length < 3) continue;
+    if (VERB_INDEX.participleCores.has(rest)) return prefix + VERB_INDEX.participleCores.get(rest);
+    if (VERB_INDEX.forms.has(rest)) return prefix + VERB_INDEX.forms.get(rest);
+  }
+
+  return null;
+};
+
+/**
+ * Apokopierte Verbformen der Lyrik: gäb -> gäbe -> geben, säh -> sähe -> sehen
+ * @private
+ */
+const lookupElidedVerb = (lower) => (/[^aeiouäöü]$/.test(lower) ? lookupVerb(`${lower}e`) : null);
+
+/**
+ * Erkennt schwaches Präteritum: sagte, liebten, redeten
+ * @private
+ */
+const lemmatizeWeakPreterite = (lower) => {
+  const preterite = lower.match(/^(.{2,}?)(e?)te(?:n|st|t)?$/);
+  if (preterite && (preterite[2] === 'e' ? /[td]$/.test(preterite[1]) : WEAK_PRETERITE_STEM.test(preterite[1]))) {
+    return toInfinitive(preterite[1]);
+  }
+  return null;
+};
+
+/**
+ * Erkennt eindeutig verbale Formen: Fremdverben auf -ieren und schwache Partizipien
+ * @private
+ */
+const lemmatizeWeakForm = (lower) => {
+  // Fremdverben: studiert, studierte -> studieren
+  const foreign = lower.match(/^(.+ier)(?:t|te|ten|test|tet|st|e)$/);
+  if (foreign) return `${foreign[1]}en`;
+
+  // Schwaches Partizip II, auch attributiv: gesagt, geliebte, angelacht
+  const participle = lower.match(/^(.*?)ge(.{2,}?)e?t(?:e|en|em|er|es)?$/);
+  if (participle && (participle[1] === '' || SEPARABLE_PARTICLES.includes(participle[1]))) {
+    return participle[1] + toInfinitive(participle[2]);
+  }
+
+  return null;
+};
+
+/**
+ * Lemmatisiert ein Verb: starke Verben per Lexikon, schwache per Endungsregeln
+ * @private
+ */
+const lemmatizeVerb = (lower) => {
+  if (INVARIABLE_SET.has(lower)) return lower;
+
+  const strong = lookupVerb(lower) || lookupElidedVerb(lower);
+  if (strong) return strong;
+
+  // Als Verb getaggte flektierte Adjektive ("herrlichen")
+  const adjective = lower.match(/^(.+(?:lich|ig|isch|bar|sam|haft))(?:e|en|em|er|es)$/);
+  if (adjective) return adjective[1];
+
+  const weak = lemmatizeWeakForm(lower);
+  if (weak) return weak;
+
+  // Präsens von Verben auf -t: leuchtet, wartet
+  if (/[^e]tet$/.test(lower)) return toInfinitive(lower.slice(0, -2));
+
+  const preterite = lemmatizeWeakPreterite(lower);
+  if (preterite) return preterite;
+
+  // Infinitiv bzw. 1./3. Person Plural bleibt erhalten
+  if (/(?:en|[^aeiouäöü](?:el|er)n)$/.test(lower)) return lower;
+
+  // Präsens: liebst, redet, liebt, liebe
+  const present = lower.match(/^(.{2,}?)(?:est|et|st|t|e)$/);
+  if (present) return toInfinitive(present[1]);
+
+  return lower;
+};
+
+/**
+ * Lemmatisiert Funktionswörter (Artikel, Pronomen, Possessiva, Kontraktionen)
+ * @private
+ */
+const lemmatizeFunctionWord = (lower) => {
+  if (FUNCTION_WORD_LEMMAS[lower]) return FUNCTION_WORD_LEMMAS[lower];
+
+  for (const stem of POSSESSIVE_STEMS) {
+    const match = lower.match(new RegExp(`^${stem}(?:e|en|em|er|es)?$`));
+    if (match) return stem === 'eur' ? 'euer' : stem;
+  }
+
+  return null;
+};
+
+/**
+ * Bestimmt das Lemma eines Wortes anhand von Wortart und Lexikon
+ *
+ * @param {string} word - Wortform
+ * @param {string} posTag - Universal POS-Tag
+ * @param {Object} options - Optionen
+ * @param {Set} options.knownForms - Kleingeschriebene Wortformen des Textes zur Bestätigung
+ * @param {string} options.entityType - Entitätstyp (Eigennamen werden nicht lemmatisiert, Personifikationen schon)
+ * @returns {string|null} Lemma (Nomen großgeschrieben, sonst klein)
+ */
+export const lemmatize = (word, posTag, options = {}) => {
+  if (!word) return null;
+
+  const knownForms = options.knownForms || new Set();
+  const clean = word.replace(/^[^\p{L}\d]+|[^\p{L}\d]+$/gu, '');
+  if (!clean) return null;
+
+  const lower = clean.toLowerCase();
+
+  if ((options.entityType && options.entityType !== 'PERSONIFICATION') || posTag === 'PROPN') return clean;
+  if (posTag === 'NUM' || /\d/.test(clean)) return lower;
+
+  switch (posTag) {
+    case 'NOUN':
+      return lemmatizeNoun(clean, knownForms);
+    case 'VERB':
+    case 'AUX':
+      return lemmatizeVerb(lower);
+    case 'ADJ':
+      return lemmatizeAdjective(lower, knownForms);
+    case 'DET':
+    case 'PRON':
+    case 'ADP':
+      return lemmatizeFunctionWord(lower) || lower;
+    case 'X':
+      // Unbekannte Wörter: Verbformen ohne -en/-t ("sah", "gäbe", "sagte") und Funktionswörter
+      return lookupVerb(lower)
+        || lookupElidedVerb(lower)
+        || lemmatizeWeakForm(lower)
+        || (lower.endsWith('te') ? lemmatizeWeakPreterite(lower) : null)
+        || lemmatizeFunctionWord(lower)
+        || lower;
+    default:
+      return lower;
+  }
+};
+
+/**
+ * Ergänzt alle Tokens um ihr Lemma
+ * Nutzt die Wortformen des gesamten Textes, um Kandidaten zu bestätigen
+ * (z.B. "Stäben" -> "Stab", wenn "Stab" im Text vorkommt)
+ *
+ * @param {Array} tokens - Tokens mit POS-Tags
+ * @returns {Array} Tokens mit gesetztem lemma-Feld
+ */
+export const lemmatizeTokens = (tokens) => {
+  try {
+    const knownForms = new Set(
+      tokens
+        .filter(t => !t.isPunctuation && t.text)
+        .map(t => t.text.toLowerCase())
+    );
+
+    return tokens.map(token => {
+      if (token.isPunctuation) return { ...token, lemma: null };
+
+      return {
+        ...token,
+        lemma: lemmatize(token.text, token.posTag, {
+          knownForms,
+          entityType: token.entityType
+        })
+      };
+    });
+  } catch (error) {
+    console.error('Lemmatisierung Fehler:', error);
+    return tokens;
+  }
+};
+
+/**
+ * Liefert den Aggregationsschlüssel eines Tokens (Lemma, sonst Kleinschreibung)
+ * Determinative werden getrennt gehalten, damit Possessiv "sein" nicht mit dem Verb zusammenfällt
+ *
+ * @param {Object} token - Token
+ * @returns {string} Schlüssel für Frequenz- und Wiederholungsanalysen
+ */
+export const getLemmaKey = (token) => {
+  const key = (token.lemma || token.text || '').toLowerCase();
+  return ['DET', 'PRON'].includes(token.posTag) ? `${key}#${token.posTag}` : key;
+};
+
+export default {
+  applyUmlaut,
+  lemmatize,
+  lemmatizeTokens,
+  getLemmaKey
+};
@@ -0,0 +1,316 @@
+import { segmentSentencesAcrossVerses } from '../utils/textPreprocessing';
+import { parseSentence } from './dependencyParser';
+
+/**
+ * Zeilenstil, Enjambement und Zäsur
+ * Gleicht Satz- und Teilsatzgrenzen mit den Versenden ab und erkennt Einschnitte
+ * im Versinneren über Interpunktion und Metrum (Alexandriner, vers commun).
+ * Sätze werden dafür versübergreifend segmentiert und geparst.
+ */
+
+export const LINE_END_TYPES = {
+  zeilenstil: { label: 'Zeilenstil', description: 'Satz- oder Teilsatzgrenze fällt mit dem Versende zusammen' },
+  enjambement: { label: 'Enjambement', description: 'Syntaktische Einheit läuft über das Versende hinaus' },
+  strophensprung: { label: 'Strophensprung', description: 'Enjambement über die Strophengrenze hinweg' }
+};
+
+const SENTENCE_END = /^[.!?…]$/;
+const CLAUSE_END = /^[,;:–—-]$/;
+const QUOTES = /^["„“”»«‚‘’']$/;
+
+// Relationen, deren Trennung durch das Versende ein hartes Enjambement ergibt
+const TIGHT_RELATIONS = ['DET', 'AMOD', 'CASE', 'NMOD', 'NUMMOD', 'COMPOUND', 'AUX', 'COP', 'XCOMP'];
+
+// Fallback ohne Dependencies: Wortarten am Versende, die ihre Ergänzung im nächsten Vers brauchen
+const TIGHT_LINE_END_POS = ['DET', 'ADP', 'AUX'];
+
+// Metrische Zäsuren: Silbe, nach der der Einschnitt erwartet wird
+const METRICAL_CAESURAS = [
+  { type: 'IAMBUS', feet: 6, afterSyllable: 6, label: 'Alexandriner' },
+  { type: 'IAMBUS', feet: 5, afterSyllable: 4, label: 'vers commun' }
+];
+
+// Ab diesem Enjambement-Anteil gilt eine Strophe als Hakenstil
+const HOOK_STYLE_THRESHOLD = 0.5;
+
+/**
+ * Analysiert Versenden und Zäsuren eines Gedichts
+ *
+ * @param {Object} input - { text, verses, tokens, verseStructure }
+ * @returns {Object|null} { lineEnds, caesuras, stanzas, summary } oder null ohne Verse
+ */
+export const analyzeLineBreaks = ({ text, verses, tokens = [], verseStructure = null }) => {
+  if (!verses || verses.length === 0) return null;
+
+  try {
+    const sentences = segmentSentencesAcrossVerses(text);
+    const syntaxIndex = indexSyntax(sentences.map(sentence =>
+      parseSentence(tokens.filter(t => t.index >= sentence.start && t.index < sentence.end))
+    ));
+    const verseTokens = verses.map(verse => tokens.filter(t => t.index >= verse.start && t.index < verse.end));
+
+    const lineEnds = verses.map((verse, i) =>
+      classifyLineEnd(verse, verses[i + 1], verseTokens[i], verseTokens[i + 1] || [], sentences, syntaxIndex)
+    );
+
+    const caesuras = verses.flatMap((verse, i) =>
+      detectCaesuras(verse, verseTokens[i], verseStructure?.verses?.[i] || null)
+    );
+
+    const stanzas = summarizeStanzas(verses, lineEnds, caesuras);
+
+    return {
+      lineEnds,
+      caesuras,
+      stanzas,
+      summary: summarize(lineEnds.filter(l => l.boundary !== 'text'), caesuras)
+    };
+  } catch (error) {
+    console.error('Zeilenbruch-Analyse Fehler:', error);
+    return null;
+  }
+};
+
+/**
+ * Klassifiziert ein Versende als Zeilenstil, Enjambement oder Strophensprung
+ * @private
+ */
+const classifyLineEnd = (verse, nextVerse, ownTokens, nextTokens, sentences, syntaxIndex) => {
+  const words = ownTokens.filter(t => !t.isPunctuation);
+  const lastWord = words[words.length - 1] || null;
+  const nextWord = nextTokens.find(t => !t.isPunctuation) || null;
+
+  const base = {
+    verseIndex: verse.index,
+    stanza: verse.stanza,
+    lastWord: lastWord?.text || null,
+    nextWord: nextWord?.text || null,
+    punctuation: trailingPunctuation(ownTokens),
+    crossing: [],
+    strength: null
+  };
+
+  if (!nextVerse) {
+    return { ...base, type: 'zeilenstil', label: LINE_END_TYPES.zeilenstil.label, boundary: 'text' };
+  }
+
+  const boundary = determineBoundary(base.punctuation, lastWord, nextWord, sentences, syntaxIndex);
+
+  if (boundary !== 'none') {
+    return { ...base, type: 'zeilenstil', label: LINE_END_TYPES.zeilenstil.label, boundary };
+  }
+
+  const crossing = lastWord && nextWord ? findCrossingArcs(lastWord, nextWord, syntaxIndex) : [];
+  const isTight = crossing.length > 0
+    ? crossing.some(arc => TIGHT_RELATIONS.includes(arc.relation))
+    : TIGHT_LINE_END_POS.includes(lastWord?.posTag);
+  const type = nextVerse.stanza !== verse.stanza ? 'strophensprung' : 'enjambement';
+
+  return {
+    ...base,
+    type,
+    label: LINE_END_TYPES[type].label,
+    boundary,
+    crossing,
+    strength: isTight ? 'hart' : 'weich'
+  };
+};
+
+/**
+ * Bestimmt die Grenze am Versende: 'sentence', 'clause' oder 'none'
+ * @private
+ */
+const determineBoundary = (punctuation, lastWord, nextWord, sentences, syntaxIndex) => {
+  if (punctuation) {
+    if ([...punctuation].some(mark => SENTENCE_END.test(mark))) return 'sentence';
+    if ([...punctuation].some(mark => CLAUSE_END.test(mark))) return 'clause';
+  }
+
+  if (!lastWord || !nextWord) return 'sentence';
+
+  // Versübergreifende Satzgrenze
+  const sentenceOf = (token) => sentences.findIndex(s => token.index >= s.start && token.index < s.end);
+  if (sentenceOf(lastWord) !== sentenceOf(nextWord)) return 'sentence';
+
+  // Teilsatzgrenze laut Dependency-Analyse
+  const last = syntaxIndex?.get(lastWord.position);
+  const next = syntaxIndex?.get(nextWord.position);
+  if (last && next && last.clause !== null && next.clause !== null &&
+      (last.sentence !== next.sentence || last.clause !== next.clause)) {
+    return 'clause';
+  }
+
+  return 'none';
+};
+
+/**
+ * Dependency-Kanten, die das Versende überspannen
+ * @private
+ */
+const findCrossingArcs = (lastWord, nextWord, syntaxIndex) => {
+  if (!syntaxIndex) return [];
+
+  const arcs = [];
+  syntaxIndex.forEach((entry, position) => {
+    if (entry.headPosition === null) return;
+    const from = Math.min(position, entry.headPosition);
+    const to = Math.max(position, entry.headPosition);
+    if (from <= lastWord.position && to >= nextWord.position) {
+      arcs.push({ dependent: entry.word, head: entry.headWord, relation: entry.relation });
+    }
+  });
+
+  return arcs;
+};
+
+/**
+ * Zäsuren: Interpunktion im Versinneren und metrisch erwartete Einschnitte
+ * @private
+ */
+const detectCaesuras = (verse, verseTokens, scanned) => {
+  const caesuras = new Map();
+  const lastWordIndex = findLastIndex(verseTokens, t => !t.isPunctuation);
+  const syllables = scanned?.scansion || [];
+
+  const syllablesUntil = (position) => syllables.filter(s => s.tokenPosition !== null && s.tokenPosition <= position).length;
+
+  // 1. Interpunktion zwischen zwei Wörtern
+  verseTokens.forEach((token, i) => {
+    if (!token.isPunctuation || i >= lastWordIndex || QUOTES.test(token.text)) return;
+    if (!SENTENCE_END.test(token.text) && !CLAUSE_END.test(token.text)) return;
+
+    const before = findLastIndex(verseTokens.slice(0, i), t => !t.isPunctuation);
+    if (before < 0) return;
+
+    const word = verseTokens[before];
+    caesuras.set(word.position, {
+      verseIndex: verse.index,
+      stanza: verse.stanza,
+      afterPosition: word.position,
+      afterWord: word.text,
+      syllable: syllablesUntil(word.position),
+      mark: token.text,
+      source: 'interpunktion'
+    });
+  });
+
+  // 2. Metrische Zäsur an Wortgrenze
+  const meter = scanned?.meter;
+  const rule = meter && METRICAL_CAESURAS.find(r => r.type === meter.type && r.feet === meter.feet);
+  if (rule && syllables.length > rule.afterSyllable) {
+    const current = syllables[rule.afterSyllable - 1];
+    const following = syllables[rule.afterSyllable];
+
+    if (current.tokenPosition !== null && current.tokenPosition !== following.tokenPosition) {
+      const existing = caesuras.get(current.tokenPosition);
+      caesuras.set(current.tokenPosition, existing
+        ? { ...existing, source: 'beides', meter: rule.label }
+        : {
+          verseIndex: verse.index,
+          stanza: verse.stanza,
+          afterPosition: current.tokenPosition,
+          afterWord: current.word,
+          syllable: rule.afterSyllable,
+          mark: null,
+          source: 'metrum',
+          meter: rule.label
+        });
+    }
+  }
+
+  return Array.from(caesuras.values()).sort((a, b) => a.afterPosition - b.afterPosition);
+};
+
+/**
+ * Fasst Versenden und Zäsuren pro Strophe zusammen
+ * @private
+ */
+const summarizeStanzas = (verses, lineEnds, caesuras) => {
+  const stanzaIndices = [...new Set(verses.map(v => v.stanza))];
+
+  return stanzaIndices.map(stanza => {
+    const ends = lineEnds.filter(l => l.stanza === stanza && l.boundary !== 'text');
+    return {
+      stanza,
+      verseCount: verses.filter(v => v.stanza === stanza).length,
+      ...summarize(ends, caesuras.filter(c => c.stanza === stanza))
+    };
+  });
+};
+
+/**
+ * Zählt Versende-Typen und bestimmt den vorherrschenden Stil
+ * @private
+ */
+const summarize = (lineEnds, caesuras) => {
+  const enjambements = lineEnds.filter(l => l.type !== 'zeilenstil');
+  const rate = lineEnds.length > 0 ? enjambements.length / lineEnds.length : 0;
+
+  let style = 'Zeilenstil';
+  if (rate >= HOOK_STYLE_THRESHOLD) style = 'Hakenstil';
+  else if (rate > 0) style = 'gemischt';
+
+  return {
+    lineEndCount: lineEnds.length,
+    zeilenstil: lineEnds.length - enjambements.length,
+    enjambements: enjambements.filter(l => l.type === 'enjambement').length,
+    strophensprung: enjambements.filter(l => l.type === 'strophensprung').length,
+    hardEnjambements: enjambements.filter(l => l.strength === 'hart').length,
+    enjambementRate: parseFloat(rate.toFixed(3)),
+    caesuras: caesuras.length,
+    style
+  };
+};
+
+/**
+ * Index Token-Position → Satz, Teilsatz und Kopf aus der versübergreifenden Dependency-Analyse
+ * @private
+ */
+const indexSyntax = (parsedSentences) => {
+  const index = new Map();
+  parsedSentences.forEach((parsed, sentenceIndex) => {
+    const entries = parsed.dependencies || [];
+    const byId = new Map(entries.map(d => [d.id, d]));
+
+    entries.forEach(entry => {
+      if (entry.tokenPosition === undefined || entry.posTag === 'PUNCT') return;
+      const head = entry.head > 0 ? byId.get(entry.head) : null;
+      const clause = (parsed.clauses || []).findIndex(c => c.tokenIds.includes(entry.id));
+
+      index.set(entry.tokenPosition, {
+        sentence: sentenceIndex,
+        clause: clause >= 0 ? clause : null,
+        word: entry.word,
+        relation: entry.relation,
+        headPosition: head ? head.tokenPosition : null,
+        headWord: head ? head.word : null
+      });
+    });
+  });
+
+  return index.size > 0 ? index : null;
+};
+
+/**
+ * Interpunktion am Versende (ohne Anführungszeichen)
+ * @private
+ */
+const trailingPunctuation = (verseTokens) => {
+  let marks = '';
+  for (let i = verseTokens.length - 1; i >= 0 && verseTokens[i].isPunctuation; i--) {
+    if (!QUOTES.test(verseTokens[i].text)) marks = verseTokens[i].text + marks;
+  }
+  return marks || null;
+};
+
+const findLastIndex = (items, predicate) => {
+  for (let i = items.length - 1; i >= 0; i--) {
+    if (predicate(items[i])) return i;
+  }
+  return -1;
+};
+
+export default {
+  analyzeLineBreaks,
+  LINE_END_TYPES
+};
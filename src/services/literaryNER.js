@@ -0,0 +1,386 @@
+import { GAZETTEER, PERSONIFIABLE_NOUNS, PERSONIFICATION_CUES } from '../utils/literaryGazetteer';
+import { ENTITY_LABELS, ANALYSIS_CONFIG } from '../utils/constants';
+
+/**
+ * Literarische Entitätenerkennung für deutsche Lyrik
+ * Verbindet einen Gazetteer (Mythologie, Bibel, Geographie, Geschichte) und Hinweise auf
+ * personifizierte Abstrakta mit der Ausgabe des NER-Modells. Modell-Entitäten werden über
+ * Zeichen-Offsets (token.index) statt über Stringgleichheit den Tokens zugeordnet;
+ * Mehrwort-Entitäten werden zu Spannen mit BIO-Tags (B-PER, I-PER).
+ */
+
+// Grundkonfidenz der regelbasierten Quellen
+const SOURCE_SCORES = {
+  gazetteer: 0.9,
+  personifikation: 0.7
+};
+
+// Aufschlag, wenn Gazetteer und Modell dieselbe Entität finden
+const AGREEMENT_BONUS = 0.05;
+
+// Modell-Labels (CoNLL) -> Entitätstyp
+const MODEL_TYPES = {
+  PER: 'PER',
+  PERSON: 'PER',
+  LOC: 'LOC',
+  LOCATION: 'LOC',
+  ORG: 'ORG',
+  ORGANIZATION: 'ORG',
+  ORGANISATION: 'ORG',
+  MISC: 'MISC',
+  MISCELLANEOUS: 'MISC'
+};
+
+// Typen, die eine Person bezeichnen (untereinander verträglich beim Abgleich mit dem Modell)
+const PERSON_TYPES = ['PER', 'MYTH', 'BIBL', 'PERSONIFICATION'];
+
+const PERSONIFIABLE_SET = new Set(PERSONIFIABLE_NOUNS);
+
+let gazetteerIndex = null;
+
+/**
+ * Erkennt Entitäten und annotiert die Tokens mit Typ, Spanne und BIO-Tag
+ *
+ * @param {string} text - Normalisierter Text (Bezug der Token-Offsets)
+ * @param {Array} tokens - Tokens mit index (Zeichen-Offset) und isPunctuation
+ * @param {Array} modelEntities - Ausgabe des NER-Modells ({ word, entity_group|entity, score, start, end })
+ * @param {Object} options - { literary: Gazetteer und Personifikationen einbeziehen }
+ * @returns {Array} Tokens mit entity, entityType, entityScore, entityStart, entityEnd,
+ *                  entityTag, entitySpan, entitySource, entityDomain
+ */
+export const recognizeEntities = (text, tokens, modelEntities = [], { literary = true } = {}) => {
+  try {
+    const literarySpans = literary
+      ? [...findGazetteerSpans(tokens), ...findPersonifications(tokens)]
+      : [];
+    const modelSpans = alignModelEntities(text, tokens, modelEntities || []);
+
+    return applySpans(tokens, resolveSpans(literarySpans, modelSpans));
+  } catch (error) {
+    console.error('Literarische NER Fehler:', error);
+    return tokens;
+  }
+};
+
+/**
+ * Fasst annotierte Tokens zu Entitätsspannen zusammen
+ *
+ * @param {Array} tokens - Tokens mit entitySpan
+ * @returns {Array} Spannen { id, text, type, label, domain, source, score, start, end, tokens }
+ */
+export const collectEntitySpans = (tokens) => {
+  const spans = new Map();
+
+  tokens.forEach(token => {
+    if (token.entitySpan === null || token.entitySpan === undefined) return;
+
+    if (!spans.has(token.entitySpan)) {
+      spans.set(token.entitySpan, {
+        id: token.entitySpan,
+        words: [],
+        type: token.entityType,
+        label: ENTITY_LABELS[token.entityType]?.label || token.entityType,
+        domain: token.entityDomain || null,
+        source: token.entitySource,
+        score: token.entityScore,
+        start: token.entityStart,
+        end: token.entityEnd,
+        tokens: []
+      });
+    }
+
+    const span = spans.get(token.entitySpan);
+    span.words.push(token.text);
+    span.tokens.push(token.position);
+  });
+
+  return [...spans.values()].map(({ words, ...span }) => ({ ...span, text: words.join(' ') }));
+};
+
+/**
+ * Normalisiert ein Modell-Label (B-PER, I-LOC, PERSON) auf den Entitätstyp
+ *
+ * @param {string} entityLabel - Label des Modells
+ * @returns {string|null} Entitätstyp (PER, LOC, ORG, MISC) oder das bereinigte Label
+ */
+export const normalizeEntityType = (entityLabel) => {
+  if (!entityLabel) return null;
+
+  // Entferne B- und I- Präfixe (BIO-Tagging)
+  const cleanLabel = entityLabel.replace(/^[BI]-/, '');
+  return MODEL_TYPES[cleanLabel.toUpperCase()] || cleanLabel;
+};
+
+/**
+ * Gazetteer-Treffer: Mehrwortnamen zuerst, dann Einzelnamen (inkl. Genitiv-s)
+ * Aufeinanderfolgende Namen gleichen Typs bilden eine Spanne ("Pallas Athene").
+ * @private
+ */
+const findGazetteerSpans = (tokens) => {
+  const { names, phrases } = getGazetteerIndex();
+  const spans = [];
+
+  let i = 0;
+  while (i < tokens.length) {
+    const phrase = (phrases.get(tokens[i].text) || []).find(entry => matchesPhrase(tokens, i, entry.words));
+    if (phrase) {
+      spans.push(createSpan(i, i + phrase.words.length - 1, phrase, 'gazetteer'));
+      i += phrase.words.length;
+      continue;
+    }
+
+    const entry = lookupName(names, tokens[i]);
+    if (entry) {
+      let end = i;
+      while (end + 1 < tokens.length && lookupName(names, tokens[end + 1])?.type === entry.type) end++;
+      spans.push(createSpan(i, end, entry, 'gazetteer'));
+      i = end + 1;
+      continue;
+    }
+
+    i++;
+  }
+
+  return spans;
+};
+
+/**
+ * Personifizierte Abstrakta: Epitheton davor ("Gevatter Tod") oder Anrede ("O Nacht", "Du Liebe,")
+ * @private
+ */
+const findPersonifications = (tokens) => {
+  const spans = [];
+
+  tokens.forEach((token, i) => {
+    if (token.isPunctuation || !PERSONIFIABLE_SET.has(token.text)) return;
+
+    const previous = tokens[i - 1];
+    if (previous && !previous.isPunctuation && PERSONIFICATION_CUES.epithets.includes(previous.text)) {
+      spans.push(createSpan(i - 1, i, { type: 'PERSONIFICATION', domain: 'personifikation' }, 'personifikation'));
+      return;
+    }
+
+    // Anrede, ggf. mit Attribut dazwischen ("O holde Nacht"); "du" nur als abgesetzter Vokativ
+    const cueIndex = [i - 1, i - 2].find(j => {
+      const cue = tokens[j];
+      if (!cue || cue.isPunctuation || !PERSONIFICATION_CUES.vocative.includes(cue.text.toLowerCase())) return false;
+      return tokens.slice(j + 1, i).every(between => !between.isPunctuation && /^\p{Ll}/u.test(between.text));
+    });
+    if (cueIndex === undefined) return;
+
+    const cue = tokens[cueIndex].text.toLowerCase();
+    const next = tokens[i + 1];
+    if (cue === 'du' && next && !next.isPunctuation) return;
+
+    spans.push(createSpan(i, i, { type: 'PERSONIFICATION', domain: 'personifikation' }, 'personifikation'));
+  });
+
+  return spans;
+};
+
+/**
+ * Ordnet Modell-Entitäten über Zeichen-Offsets den Tokens zu
+ * Fehlen Offsets, wird das Entitätswort ab der letzten Fundstelle im Text gesucht.
+ * @private
+ */
+const alignModelEntities = (text, tokens, modelEntities) => {
+  const threshold = ANALYSIS_CONFIG.THRESHOLDS.ENTITY_CONFIDENCE;
+  let cursor = 0;
+
+  return mergeSubwords(modelEntities).flatMap(entity => {
+    // WICHTIG: Nur Entities mit hoher Confidence akzeptieren
+    if (entity.score < threshold) return [];
+
+    const range = locateEntity(text, entity, cursor);
+    if (!range) return [];
+    cursor = range.end;
+
+    const covered = tokens
+      .map((token, i) => ({ token, i }))
+      .filter(({ token }) => !token.isPunctuation && token.index < range.end && token.index + token.text.length > range.start)
+      .map(({ i }) => i);
+    if (covered.length === 0) return [];
+
+    const label = entity.entity_group || entity.entity;
+    return [{
+      ...createSpan(covered[0], covered[covered.length - 1], { type: normalizeEntityType(label), domain: null }, 'modell'),
+      score: entity.score,
+      label
+    }];
+  });
+};
+
+/**
+ * Fügt Subword-Fragmente ("##berg") und I-Fortsetzungen an die vorige Entität an
+ * @private
+ */
+const mergeSubwords = (entities) => entities.reduce((merged, entity) => {
+  const previous = merged[merged.length - 1];
+  const label = entity.entity_group || entity.entity || '';
+  const word = entity.word || '';
+
+  const isSubword = word.startsWith('##');
+  const continues = label.startsWith('I-') && previous
+    && normalizeEntityType(previous.entity_group || previous.entity) === normalizeEntityType(label);
+
+  if (previous && (isSubword || continues)) {
+    merged[merged.length - 1] = {
+      ...previous,
+      word: isSubword ? previous.word + word.slice(2) : `${previous.word} ${word}`,
+      end: Number.isInteger(entity.end) ? entity.end : previous.end,
+      score: Math.min(previous.score, entity.score)
+    };
+  } else {
+    merged.push({ ...entity, word: word.replace(/^##/, '').trim() });
+  }
+  return merged;
+}, []);
+
+/**
+ * Zeichenbereich einer Modell-Entität im Text
+ * @private
+ */
+const locateEntity = (text, entity, cursor) => {
+  if (Number.isInteger(entity.start) && Number.isInteger(entity.end) && entity.end > entity.start) {
+    return { start: entity.start, end: entity.end };
+  }
+
+  const word = entity.word;
+  if (!word) return null;
+
+  let start = text.indexOf(word, cursor);
+  if (start < 0) start = text.toLowerCase().indexOf(word.toLowerCase(), cursor);
+  if (start < 0) start = text.toLowerCase().indexOf(word.toLowerCase());
+  return start >= 0 ? { start, end: start + word.length } : null;
+};
+
+/**
+ * Literarische Spannen haben Vorrang; Modell-Spannen füllen Lücken, bestätigen oder erweitern sie
+ * @private
+ */
+const resolveSpans = (literarySpans, modelSpans) => {
+  const accepted = [];
+  literarySpans.forEach(span => {
+    if (!accepted.some(other => overlaps(span, other))) accepted.push(span);
+  });
+
+  modelSpans.forEach(modelSpan => {
+    const overlapping = accepted.filter(span => overlaps(span, modelSpan));
+    if (overlapping.length === 0) {
+      accepted.push(modelSpan);
+      return;
+    }
+
+    overlapping
+      .filter(span => span.source !== 'modell' && compatibleTypes(span.type, modelSpan.type))
+      .forEach(span => {
+        span.source = `${span.source}+modell`;
+        span.score = Math.min(1, Math.max(span.score, modelSpan.score) + AGREEMENT_BONUS);
+
+        // Modell erfasst den vollständigen Namen ("Johann Wolfgang Goethe")
+        if (overlapping.length === 1 && modelSpan.start <= span.start && modelSpan.end >= span.end) {
+          span.start = modelSpan.start;
+          span.end = modelSpan.end;
+        }
+      });
+  });
+
+  return accepted.sort((a, b) => a.start - b.start);
+};
+
+/**
+ * Schreibt Spannen mit BIO-Tags auf die Tokens
+ * @private
+ */
+const applySpans = (tokens, spans) => {
+  const annotated = [...tokens];
+
+  spans.forEach((span, id) => {
+    const first = tokens[span.start];
+    const last = tokens[span.end];
+
+    for (let i = span.start; i <= span.end; i++) {
+      if (tokens[i].isPunctuation) continue;
+      annotated[i] = {
+        ...tokens[i],
+        entity: span.label || span.type,
+        entityType: span.type,
+        entityScore: Math.round(span.score * 100) / 100,
+        entityStart: first.index,
+        entityEnd: last.index + last.text.length,
+        entityTag: `${i === span.start ? 'B' : 'I'}-${span.type}`,
+        entitySpan: id,
+        entitySource: span.source,
+        entityDomain: span.domain
+      };
+    }
+  });
+
+  return annotated;
+};
+
+const createSpan = (start, end, { type, domain }, source) => ({
+  start,
+  end,
+  type,
+  domain,
+  score: SOURCE_SCORES[source] ?? 0,
+  source
+});
+
+const overlaps = (a, b) => a.start <= b.end && b.start <= a.end;
+
+const compatibleTypes = (a, b) => a === b || (PERSON_TYPES.includes(a) && PERSON_TYPES.includes(b));
+
+const matchesPhrase = (tokens, start, words) => words.every((word, k) => {
+  const token = tokens[start + k];
+  return token && !token.isPunctuation && token.text === word;
+});
+
+/**
+ * Sucht einen Einzelnamen, auch im Genitiv ("Goethes", "Rheines", "Zeus'")
+ * @private
+ */
+const lookupName = (names, token) => {
+  if (!token || token.isPunctuation || !/^\p{Lu}/u.test(token.text)) return null;
+
+  const text = token.text.replace(/['’]$/, '');
+  if (names.has(text)) return names.get(text);
+  if (text.endsWith('es') && names.has(text.slice(0, -2))) return names.get(text.slice(0, -2));
+  if (text.endsWith('s') && names.has(text.slice(0, -1))) return names.get(text.slice(0, -1));
+  return null;
+};
+
+/**
+ * Index aller Gazetteer-Namen (lazy); bei Mehrfacheinträgen gilt der erste
+ * names: Name -> { type, domain }; phrases: erstes Wort -> Mehrwortnamen (längste zuerst)
+ * @private
+ */
+const getGazetteerIndex = () => {
+  if (gazetteerIndex) return gazetteerIndex;
+
+  const names = new Map();
+  const phrases = new Map();
+
+  GAZETTEER.forEach(({ type, domain, names: entries, phrases: phraseEntries = [] }) => {
+    entries.forEach(name => {
+      if (!names.has(name)) names.set(name, { type, domain });
+    });
+    phraseEntries.forEach(phrase => {
+      const words = phrase.split(' ');
+      if (!phrases.has(words[0])) phrases.set(words[0], []);
+      phrases.get(words[0]).push({ words, type, domain });
+    });
+  });
+
+  phrases.forEach(entries => entries.sort((a, b) => b.words.length - a.words.length));
+
+  gazetteerIndex = { names, phrases };
+  return gazetteerIndex;
+};
+
+export default {
+  recognizeEntities,
+  collectEntitySpans,
+  normalizeEntityType
+};
@@ -0,0 +1,468 @@
+import { METRIC_PATTERNS } from '../utils/constants';
+import { syllabify } from '../utils/syllabification';
+
+// Metren, die als Versmaß in Frage kommen (Spondeus nur als Ersatzfuß)
+const VERSE_METERS = ['IAMBUS', 'TROCHAEUS', 'DACTYLUS', 'ANAPEST'];
+
+// Zahlwörter für die Hebungszahl ("fünfhebiger Jambus")
+const FOOT_COUNT_NAMES = {
+  1: 'ein', 2: 'zwei', 3: 'drei', 4: 'vier', 5: 'fünf',
+  6: 'sechs', 7: 'sieben', 8: 'acht', 9: 'neun', 10: 'zehn'
+};
+
+// Wortarten, deren einsilbige Vertreter in der Regel unbetont sind
+const FUNCTION_POS = ['DET', 'ADP', 'CCONJ', 'SCONJ', 'PRON', 'AUX', 'PART'];
+
+// Wortarten, deren einsilbige Vertreter in der Regel betont sind
+const STRONG_POS = ['NOUN', 'ADJ', 'VERB', 'NUM', 'INTJ'];
+
+// Untrennbare, stets unbetonte Präfixe
+const UNSTRESSED_PREFIXES = ['be', 'ge', 'er', 'ver', 'zer', 'ent', 'emp'];
+
+// Adverbiale Zusammensetzungen mit Betonung auf dem zweiten Glied (vorüber, daher, hinauf)
+const ADVERBIAL_COMPOUND = /^(?:vor|hin|her|dar|da|wo|hier)(?:über|aus|ein|auf|ab|an|um|unter|bei|zu|hin|her|nach|mit|in|durch)/;
+
+// Fremdwort-Suffixe, die den Wortakzent tragen (vowel = betonter Vokal des Suffixes)
+const STRESSED_SUFFIXES = [
+  { pattern: /ion(?:en)?$/, vowel: 'o' },
+  { pattern: /tät(?:en)?$/, vowel: 'ä' },
+  { pattern: /ier(?:en|t|te|st|ten)?$/, vowel: 'ie' },
+  { pattern: /ie(?:n)?$/, vowel: 'ie' },
+  { pattern: /ei(?:en)?$/, vowel: 'ei' }
+];
+
+// Prominenz-Stufen einer Silbe
+const PROMINENCE = {
+  strong: 1,
+  ambiguous: 0.5,
+  weak: 0
+};
+
+/**
+ * Führt eine metrische Analyse (Skansion) aller Verse durch
+ * Bestimmt pro Silbe Hebung/Senkung und passt jedem Vers das beste Metrum an
+ *
+ * @param {Array} verses - Verse aus detectVerses (mit start/end Offsets)
+ * @param {Array} tokens - Annotierte Tokens (mit posTag)
+ * @returns {Object} Skansion pro Vers und dominierendes Metrum
+ */
+export const analyzeMeter = (verses, tokens = []) => {
+  if (!verses || verses.length === 0) {
+    return { verses: [], dominant: null };
+  }
+
+  const scannedVerses = verses.map(verse => scanVerse(verse, extractVerseTokens(verse, tokens)));
+
+  return {
+    verses: scannedVerses,
+    dominant: determineDominantMeter(scannedVerses)
+  };
+};
+
+/**
+ * Skandiert einen einzelnen Vers
+ *
+ * @param {Object} verse - Vers-Objekt
+ * @param {Array} verseTokens - Tokens des Verses
+ * @returns {Object} Silben mit Betonung, Betonungsmuster und Metrum
+ */
+export const scanVerse = (verse, verseTokens) => {
+  const words = verseTokens.length > 0
+    ? verseTokens.filter(t => !t.isPunctuation)
+    : verse.text.split(/\s+/).map(w => ({ text: w.replace(/[^\p{L}\p{M}-]/gu, ''), posTag: null }));
+
+  const syllables = [];
+  for (const word of words) {
+    if (!word.text) continue;
+
+    for (const syllable of getLexicalStress(word.text, word.posTag)) {
+      syllables.push({
+        ...syllable,
+        word: word.text,
+        tokenPosition: word.position ?? null
+      });
+    }
+  }
+
+  if (syllables.length === 0) {
+    return { verseIndex: verse.index, syllables: [], stressPattern: '', meter: null };
+  }
+
+  const meter = fitMeter(syllables);
+  const template = meter.template;
+
+  return {
+    verseIndex: verse.index,
+    syllables: syllables.map((s, i) => ({ ...s, mark: template[i] })),
+    stressPattern: template,
+    lexicalPattern: syllables.map(s => s.stress === 'strong' ? 'X' : s.stress === 'weak' ? 'x' : '?').join(''),
+    meter: {
+      type: meter.type,
+      label: meter.label,
+      feet: meter.feet,
+      name: meter.name,
+      cadence: meter.cadence,
+      fit: meter.fit,
+      deviations: meter.deviations,
+      alternatives: meter.alternatives
+    }
+  };
+};
+
+/**
+ * Bestimmt Silben und Wortakzent eines Wortes
+ * Berücksichtigt Präfixe, Fremdwort-Suffixe, Schwa-Silben und Funktionswörter
+ *
+ * @param {string} word - Wort
+ * @param {string} posTag - POS-Tag (optional)
+ * @returns {Array} Silben mit stress ('strong' | 'weak' | 'ambiguous') und prominence
+ */
+export const getLexicalStress = (word, posTag = null) => {
+  const { syllables } = syllabify(word);
+  const isFunctionWord = FUNCTION_POS.includes(posTag);
+
+  if (syllables.length === 0) return [];
+
+  // Einsilbler: Betonung hängt von der Wortart ab
+  if (syllables.length === 1) {
+    let stress = 'ambiguous';
+    let prominence = PROMINENCE.ambiguous;
+
+    if (STRONG_POS.includes(posTag) || (!posTag && /^\p{Lu}/u.test(word))) {
+      stress = 'strong';
+      prominence = PROMINENCE.strong;
+    } else if (isFunctionWord) {
+      prominence = 0.3;
+    }
+
+    return [{ text: syllables[0], stress, prominence, isMonosyllable: true }];
+  }
+
+  const lower = word.toLowerCase();
+  const lowerSyllables = syllables.map(s => s.toLowerCase());
+  const schwa = markSchwaSyllables(lowerSyllables);
+  const primary = findPrimaryStress(lower, lowerSyllables, schwa);
+
+  return syllables.map((text, i) => {
+    let stress;
+    if (i === primary) {
+      stress = 'strong';
+    } else if (schwa[i] || i < primary) {
+      stress = 'weak';
+    } else {
+      // Nebenakzent (z.B. in Komposita) - metrisch frei
+      stress = 'ambiguous';
+    }
+
+    // Mehrsilbige Funktionswörter tragen nur einen schwachen Akzent
+    if (isFunctionWord && stress !== 'weak') {
+      stress = 'ambiguous';
+    }
+
+    return {
+      text,
+      stress,
+      prominence: isFunctionWord && i === primary ? 0.6 : PROMINENCE[stress],
+      isMonosyllable: false
+    };
+  });
+};
+
+/**
+ * Bestimmt den Index der Hauptakzentsilbe
+ * @private
+ */
+const findPrimaryStress = (lower, syllables, schwa) => {
+  // Adverbiale Komposita: vorüber, daher, hinauf -> zweites Glied
+  if (ADVERBIAL_COMPOUND.test(lower) && syllables.length > 1) {
+    return 1;
+  }
+
+  // Betonte Fremdwort-Suffixe
+  const suffix = STRESSED_SUFFIXES.find(s => s.pattern.test(lower));
+  if (suffix) {
+    for (let i = syllables.length - 1; i > 0; i--) {
+      if (syllables[i].includes(suffix.vowel)) {
+        return i;
+      }
+    }
+  }
+
+  // Unbetonte Präfixe: Akzent auf der ersten Stammsilbe, auch bei e-Stamm ("erleben", "Gebete");
+  // zweisilbig nur, wenn keine Schwa-Endsilbe folgt (nicht bei "Erde", "geben")
+  if (UNSTRESSED_PREFIXES.includes(syllables[0]) && (syllables.length > 2 || !schwa[1])) {
+    return 1;
+  }
+
+  // Germanischer Stammakzent: erste Silbe
+  return 0;
+};
+
+/**
+ * Markiert Schwa-Silben (unbetontes e in Endsilben wie -e, -en, -er, -el, -et, -est)
+ * Im Wortinneren nur ein stammschließendes e vor einer weiteren Schwa-Endung
+ * ("Wan-de-rer", "wan-deln-de"), nicht Vollsilben wie in "Be-we-gung" oder "Be-schwer-den"
+ * @private
+ */
+const markSchwaSyllables = (syllables) => {
+  const schwa = syllables.map(() => false);
+
+  for (let i = syllables.length - 1; i > 0; i--) {
+    const syllable = syllables[i];
+    schwa[i] = i === syllables.length - 1
+      ? /^[^aeiouäöüy]*e(?:[lnrm]|[lnr]?[st]|st|nd|ns|rn|ln)?$/.test(syllable)
+      : /^[^aeiouäöüy]*e(?:[lnr]|ln|rn)?$/.test(syllable) && schwa[i + 1];
+  }
+
+  return schwa;
+};
+
+/**
+ * Passt die Silbenfolge an alle Versmaße an und wählt das beste
+ * @private
+ */
+const fitMeter = (syllables) => {
+  const candidates = VERSE_METERS.map(key => {
+    const { template, cost } = alignMeter(syllables, METER_RULES[key]);
+
+    const deviations = [];
+    for (let i = 0; i < syllables.length; i++) {
+      if (calculatePositionCost(syllables[i], template[i]) >= 0.6) {
+        deviations.push(describeDeviation(syllables, template, i));
+      }
+    }
+    deviations.push(...describeFillingVariations(syllables, template, METER_RULES[key]));
+    deviations.sort((a, b) => a.syllableIndex - b.syllableIndex);
+
+    const feet = (template.match(/X/g) || []).length;
+
+    return {
+      type: key,
+      label: METRIC_PATTERNS[key].label,
+      template,
+      feet,
+      name: `${FOOT_COUNT_NAMES[feet] || feet}hebiger ${METRIC_PATTERNS[key].label}`,
+      cadence: template.endsWith('X') ? 'männlich (stumpf)' : 'weiblich (klingend)',
+      cost,
+      fit: parseFloat(Math.max(0, 1 - cost / syllables.length).toFixed(3)),
+      deviations
+    };
+  });
+
+  // Stabile Sortierung: bei Gleichstand gewinnt die Reihenfolge in VERSE_METERS
+  const sorted = [...candidates].sort((a, b) => a.cost - b.cost);
+  const best = sorted[0];
+
+  return {
+    ...best,
+    alternatives: sorted.slice(1).map(c => ({ type: c.type, name: c.name, fit: c.fit }))
+  };
+};
+
+// Füllungsregeln je Metrum: erlaubte Auftakte und Senkungen zwischen zwei Hebungen
+// (Schlüssel = Anzahl Senkungssilben, Wert = Strafkosten für die Abweichung)
+const METER_RULES = {
+  IAMBUS: { upbeat: { 1: 0, 2: 0.3 }, gaps: { 1: 0, 2: 0.3, 0: 0.5 }, regularGap: 1 },
+  TROCHAEUS: { upbeat: { 0: 0 }, gaps: { 1: 0, 2: 0.3, 0: 0.5 }, regularGap: 1 },
+  DACTYLUS: { upbeat: { 0: 0 }, gaps: { 2: 0, 1: 0.3 }, regularGap: 2 },
+  ANAPEST: { upbeat: { 2: 0, 1: 0.3 }, gaps: { 2: 0, 1: 0.3 }, regularGap: 2 }
+};
+
+/**
+ * Richtet die Silben per dynamischer Programmierung am Metrum aus
+ * Zustand: Anzahl der Senkungen seit der letzten Hebung (bzw. im Auftakt)
+ * @private
+ */
+const alignMeter = (syllables, rules) => {
+  const maxUpbeat = Math.max(...Object.keys(rules.upbeat).map(Number));
+  const maxGap = Math.max(...Object.keys(rules.gaps).map(Number));
+  const n = syllables.length;
+
+  // best[i] = Map von Zustandsschlüssel -> { cost, prev, mark }
+  const best = [new Map([['u0', { cost: 0, prev: null, mark: null }]])];
+
+  for (let i = 0; i < n; i++) {
+    const next = new Map();
+    const relax = (key, cost, prev, mark) => {
+      const current = next.get(key);
+      if (!current || cost < current.cost) {
+        next.set(key, { cost, prev, mark });
+      }
+    };
+
+    for (const [key, entry] of best[i]) {
+      const inUpbeat = key.startsWith('u');
+      const count = parseInt(key.slice(1), 10);
+
+      // Hebung setzen
+      const penalty = inUpbeat ? rules.upbeat[count] : rules.gaps[count];
+      if (penalty !== undefined) {
+        relax('g0', entry.cost + penalty + calculatePositionCost(syllables[i], 'X'), key, 'X');
+      }
+
+      // Senkung setzen
+      const limit = inUpbeat ? maxUpbeat : maxGap;
+      if (count + 1 <= limit) {
+        relax(`${inUpbeat ? 'u' : 'g'}${count + 1}`, entry.cost + calculatePositionCost(syllables[i], 'x'), key, 'x');
+      }
+    }
+
+    best.push(next);
+  }
+
+  // Endzustand: mindestens eine Hebung, Kadenz höchstens regularGap + 1 Senkungen
+  let finalKey = null;
+  let finalCost = Infinity;
+  for (const [key, entry] of best[n]) {
+    if (key.startsWith('u')) continue;
+    if (parseInt(key.slice(1), 10) > rules.regularGap + 1) continue;
+    if (entry.cost < finalCost) {
+      finalCost = entry.cost;
+      finalKey = key;
+    }
+  }
+
+  // Kein gültiger Pfad (z.B. zu kurzer Vers): Alles als Hebung werten
+  if (finalKey === null) {
+    return { template: 'X'.repeat(n), cost: n };
+  }
+
+  const marks = [];
+  let key = finalKey;
+  for (let i = n; i > 0; i--) {
+    const entry = best[i].get(key);
+    marks.unshift(entry.mark);
+    key = entry.prev;
+  }
+
+  return { template: marks.join(''), cost: finalCost };
+};
+
+/**
+ * Beschreibt Abweichungen in der Senkungsfüllung (Doppelsenkung, Hebungsprall)
+ * @private
+ */
+const describeFillingVariations = (syllables, template, rules) => {
+  const variations = [];
+  let lastStress = -1;
+
+  for (let i = 0; i < template.length; i++) {
+    if (template[i] !== 'X') continue;
+
+    const gap = lastStress === -1 ? null : i - lastStress - 1;
+    if (gap !== null && gap !== rules.regularGap) {
+      variations.push({
+        syllableIndex: i,
+        syllable: syllables[i].text,
+        word: syllables[i].word,
+        tokenPosition: syllables[i].tokenPosition,
+        expected: `${rules.regularGap} Senkung(en)`,
+        actual: `${gap} Senkung(en)`,
+        type: gap === 0 ? 'Hebungsprall' : gap > rules.regularGap ? 'Doppelsenkung' : 'fehlende Senkung',
+        ...(gap === 0 ? { substitution: METRIC_PATTERNS.SPONDEUS.label } : {})
+      });
+    }
+    lastStress = i;
+  }
+
+  return variations;
+};
+
+/**
+ * Kosten einer Silbe an einer metrischen Position
+ * @private
+ */
+const calculatePositionCost = (syllable, expected) => {
+  const p = syllable.prominence;
+
+  if (expected === 'X') {
+    if (p >= 0.9) return 0;
+    if (p >= 0.5) return 0.2;
+    if (p >= 0.3) return 0.35;
+    return 1;
+  }
+
+  if (p >= 0.9) return syllable.isMonosyllable ? 0.6 : 1;
+  if (p >= 0.5) return 0.2;
+  return 0;
+};
+
+/**
+ * Beschreibt eine Abweichung vom Metrum
+ * @private
+ */
+const describeDeviation = (syllables, template, index) => {
+  const syllable = syllables[index];
+  const expected = template[index];
+  const deviation = {
+    syllableIndex: index,
+    syllable: syllable.text,
+    word: syllable.word,
+    tokenPosition: syllable.tokenPosition,
+    expected: expected === 'X' ? 'Hebung' : 'Senkung',
+    actual: syllable.stress === 'strong' ? 'betont' : syllable.stress === 'weak' ? 'unbetont' : 'schwach betont',
+    type: expected === 'X' ? 'unbetonte Hebung' : 'betonte Senkung'
+  };
+
+  // Betonte Senkung neben betonter Hebung ergibt einen Spondeus als Ersatzfuß
+  if (expected === 'x') {
+    const neighbours = [index - 1, index + 1].filter(i => i >= 0 && i < syllables.length);
+    if (neighbours.some(i => template[i] === 'X' && syllables[i].stress === 'strong')) {
+      deviation.substitution = METRIC_PATTERNS.SPONDEUS.label;
+    }
+  }
+
+  return deviation;
+};
+
+/**
+ * Bestimmt das im Text vorherrschende Metrum
+ * @private
+ */
+const determineDominantMeter = (scannedVerses) => {
+  const withMeter = scannedVerses.filter(v => v.meter);
+  if (withMeter.length === 0) return null;
+
+  const counts = new Map();
+  for (const verse of withMeter) {
+    const key = verse.meter.type;
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+
+  const [type, count] = Array.from(counts.entries()).sort((a, b) => b[1] - a[1])[0];
+  const matching = withMeter.filter(v => v.meter.type === type);
+
+  // Häufigste Hebungszahl innerhalb des dominierenden Metrums
+  const feetCounts = new Map();
+  for (const verse of matching) {
+    feetCounts.set(verse.meter.feet, (feetCounts.get(verse.meter.feet) || 0) + 1);
+  }
+  const feet = Array.from(feetCounts.entries()).sort((a, b) => b[1] - a[1])[0][0];
+
+  const avgFit = matching.reduce((sum, v) => sum + v.meter.fit, 0) / matching.length;
+
+  return {
+    type,
+    label: METRIC_PATTERNS[type].label,
+    feet,
+    name: `${FOOT_COUNT_NAMES[feet] || feet}hebiger ${METRIC_PATTERNS[type].label}`,
+    consistency: parseFloat((count / withMeter.length).toFixed(3)),
+    avgFit: parseFloat(avgFit.toFixed(3)),
+    deviationCount: withMeter.reduce((sum, v) => sum + v.meter.deviations.length, 0)
+  };
+};
+
+/**
+ * Extrahiert die Tokens eines Verses über die Zeichen-Offsets
+ * @private
+ */
+const extractVerseTokens = (verse, tokens) => {
+  if (verse.start === undefined || !tokens) return [];
+  return tokens.filter(t => t.index >= verse.start && t.index < verse.end);
+};
+
+export default {
+  analyzeMeter,
+  scanVerse,
+  getLexicalStress
+};
@@ -0,0 +1,761 @@
+import { NOUN_LEXICON, DERIVATION_SUFFIXES } from '../utils/nounLexicon';
+import { IRREGULAR_COMPARATIVES, INVARIABLE_WORDS } from '../utils/germanLexicon';
+import { UD_FEATURES } from '../utils/constants';
+import { analyzeVerbForm, linkVerbComplexes } from './verbAnalysis';
+
+/**
+ * Regelbasierte Morphologie für Deutsch
+ * Bestimmt Kasus, Genus und Numerus aus Nomenlexikon und Paradigmen und gleicht sie
+ * innerhalb von Nominalphrasen (Präposition – Determinierer – Adjektiv – Nomen) per Kongruenz ab.
+ * Verben erhalten Tempus, Modus, Person und Numerus aus dem Verbalkomplex ihres Teilsatzes.
+ * Ergebnis je Token: UD-Merkmalsbündel, offene Alternativen und eine Konfidenz.
+ */
+
+const CASES = ['NOM', 'ACC', 'DAT', 'GEN'];
+const GENDERS = ['MASC', 'FEM', 'NEUT'];
+const VERB_FORMS = ['FIN', 'INF', 'PART'];
+const MOODS = ['IND', 'SUBJ', 'IMP'];
+
+// Paradigmen: Kasus -> Spalte (Genus im Singular bzw. PLUR) -> Form oder Endung
+const DEFINITE_ARTICLE = {
+  NOM: { MASC: 'der', FEM: 'die', NEUT: 'das', PLUR: 'die' },
+  ACC: { MASC: 'den', FEM: 'die', NEUT: 'das', PLUR: 'die' },
+  DAT: { MASC: 'dem', FEM: 'der', NEUT: 'dem', PLUR: 'den' },
+  GEN: { MASC: 'des', FEM: 'der', NEUT: 'des', PLUR: 'der' }
+};
+
+// dieser, jener, jeder, mancher, solcher, welcher, aller
+const DEMONSTRATIVE_ENDINGS = {
+  NOM: { MASC: 'er', FEM: 'e', NEUT: 'es', PLUR: 'e' },
+  ACC: { MASC: 'en', FEM: 'e', NEUT: 'es', PLUR: 'e' },
+  DAT: { MASC: 'em', FEM: 'er', NEUT: 'em', PLUR: 'en' },
+  GEN: { MASC: 'es', FEM: 'er', NEUT: 'es', PLUR: 'er' }
+};
+
+// ein, kein und Possessiva
+const INDEFINITE_ENDINGS = {
+  NOM: { MASC: '', FEM: 'e', NEUT: '', PLUR: 'e' },
+  ACC: { MASC: 'en', FEM: 'e', NEUT: '', PLUR: 'e' },
+  DAT: { MASC: 'em', FEM: 'er', NEUT: 'em', PLUR: 'en' },
+  GEN: { MASC: 'es', FEM: 'er', NEUT: 'es', PLUR: 'er' }
+};
+
+// Adjektivdeklination: stark (ohne Artikel), schwach (nach der/dieser), gemischt (nach ein/kein/mein)
+const ADJECTIVE_ENDINGS = {
+  strong: {
+    NOM: { MASC: 'er', FEM: 'e', NEUT: 'es', PLUR: 'e' },
+    ACC: { MASC: 'en', FEM: 'e', NEUT: 'es', PLUR: 'e' },
+    DAT: { MASC: 'em', FEM: 'er', NEUT: 'em', PLUR: 'en' },
+    GEN: { MASC: 'en', FEM: 'er', NEUT: 'en', PLUR: 'er' }
+  },
+  weak: {
+    NOM: { MASC: 'e', FEM: 'e', NEUT: 'e', PLUR: 'en' },
+    ACC: { MASC: 'en', FEM: 'e', NEUT: 'e', PLUR: 'en' },
+    DAT: { MASC: 'en', FEM: 'en', NEUT: 'en', PLUR: 'en' },
+    GEN: { MASC: 'en', FEM: 'en', NEUT: 'en', PLUR: 'en' }
+  },
+  mixed: {
+    NOM: { MASC: 'er', FEM: 'e', NEUT: 'es', PLUR: 'en' },
+    ACC: { MASC: 'en', FEM: 'e', NEUT: 'es', PLUR: 'en' },
+    DAT: { MASC: 'en', FEM: 'en', NEUT: 'en', PLUR: 'en' },
+    GEN: { MASC: 'en', FEM: 'en', NEUT: 'en', PLUR: 'en' }
+  }
+};
+
+const ADJECTIVE_SUFFIXES = ['em', 'en', 'er', 'es', 'e'];
+
+const DEMONSTRATIVE_STEMS = ['dies', 'jen', 'jed', 'manch', 'solch', 'welch', 'all'];
+
+// Stamm -> Person des Besitzers (ein/kein ohne Person)
+const INDEFINITE_STEMS = {
+  unser: '1', unsr: '1', mein: '1', dein: '2', euer: '2', eur: '2', sein: '3', ihr: '3', kein: null, ein: null
+};
+
+// Präposition + Artikel: Kasus/Genus/Numerus des enthaltenen Artikels
+const CONTRACTIONS = {
+  im: 'DAT|MASC,NEUT', am: 'DAT|MASC,NEUT', vom: 'DAT|MASC,NEUT', zum: 'DAT|MASC,NEUT', beim: 'DAT|MASC,NEUT',
+  zur: 'DAT|FEM', ins: 'ACC|NEUT', ans: 'ACC|NEUT', aufs: 'ACC|NEUT', durchs: 'ACC|NEUT', fürs: 'ACC|NEUT',
+  übers: 'ACC|NEUT', unters: 'ACC|NEUT', ums: 'ACC|NEUT', vors: 'ACC|NEUT', hinters: 'ACC|NEUT'
+};
+
+// Kasusrektion der Präpositionen
+const PREPOSITION_CASES = {
+  aus: ['DAT'], bei: ['DAT'], mit: ['DAT'], nach: ['DAT'], seit: ['DAT'], von: ['DAT'], zu: ['DAT'],
+  gegenüber: ['DAT'], außer: ['DAT'], entgegen: ['DAT'], samt: ['DAT'], nebst: ['DAT'],
+  durch: ['ACC'], für: ['ACC'], gegen: ['ACC'], ohne: ['ACC'], um: ['ACC'], wider: ['ACC'], bis: ['ACC'],
+  wegen: ['GEN'], trotz: ['GEN'], während: ['GEN'], statt: ['GEN'], anstatt: ['GEN'], innerhalb: ['GEN'],
+  außerhalb: ['GEN'], jenseits: ['GEN'], diesseits: ['GEN'],
+  an: ['ACC', 'DAT'], auf: ['ACC', 'DAT'], hinter: ['ACC', 'DAT'], in: ['ACC', 'DAT'], neben: ['ACC', 'DAT'],
+  über: ['ACC', 'DAT'], unter: ['ACC', 'DAT'], vor: ['ACC', 'DAT'], zwischen: ['ACC', 'DAT']
+};
+
+// Personalpronomen: 'Kasus|Genus|Numerus|Person', mehrere Lesarten je Form
+const PERSONAL_PRONOUNS = {
+  ich: ['NOM||SING|1'], mich: ['ACC||SING|1'], mir: ['DAT||SING|1'], meiner: ['GEN||SING|1'],
+  du: ['NOM||SING|2'], dich: ['ACC||SING|2'], dir: ['DAT||SING|2'], deiner: ['GEN||SING|2'],
+  er: ['NOM|MASC|SING|3'], ihn: ['ACC|MASC|SING|3'], ihm: ['DAT|MASC|SING|3', 'DAT|NEUT|SING|3'],
+  seiner: ['GEN|MASC|SING|3', 'GEN|NEUT|SING|3'],
+  sie: ['NOM|FEM|SING|3', 'ACC|FEM|SING|3', 'NOM||PLUR|3', 'ACC||PLUR|3'],
+  es: ['NOM|NEUT|SING|3', 'ACC|NEUT|SING|3'],
+  wir: ['NOM||PLUR|1'], uns: ['ACC||PLUR|1', 'DAT||PLUR|1'], unser: ['GEN||PLUR|1'],
+  ihr: ['NOM||PLUR|2', 'DAT|FEM|SING|3'], euch: ['ACC||PLUR|2', 'DAT||PLUR|2'], euer: ['GEN||PLUR|2'],
+  ihnen: ['DAT||PLUR|3'], ihrer: ['GEN|FEM|SING|3', 'GEN||PLUR|3'],
+  sich: ['ACC|||3', 'DAT|||3'],
+  dessen: ['GEN|MASC|SING|3', 'GEN|NEUT|SING|3'], deren: ['GEN|FEM|SING|3', 'GEN||PLUR|3'], denen: ['DAT||PLUR|3']
+};
+
+// Adjektive, deren Stamm auf -er endet (kein Komparativ)
+const ER_STEM_ADJECTIVES = [
+  'ander', 'bitter', 'finster', 'heiter', 'munter', 'düster', 'sauer', 'teuer', 'lauter', 'sicher',
+  'tapfer', 'bieder', 'mager', 'sauber', 'wacker', 'heiser', 'hager', 'lecker', 'locker'
+];
+
+// Grundkonfidenz je Quelle der Analyse
+const SOURCE_CONFIDENCE = {
+  paradigma: 0.95,
+  lexikon: 0.9,
+  kompositum: 0.8,
+  suffix: 0.7,
+  regel: 0.5,
+  unbekannt: 0.4
+};
+
+const GENDER_CODES = { m: 'MASC', f: 'FEM', n: 'NEUT' };
+
+const UMLAUTS = { a: 'ä', o: 'ö', u: 'ü', au: 'äu', A: 'Ä', O: 'Ö', U: 'Ü', Au: 'Äu' };
+
+let nounIndex = null;
+let suffixIndex = null;
+
+/**
+ * Analysiert die Morphologie aller Tokens
+ * Nominalphrasen werden per Kongruenz disambiguiert; Präpositionen schränken den Kasus ein.
+ *
+ * @param {Array} tokens - Tokens mit posTag (inkl. Satzzeichen)
+ * @returns {Array} Pro Token { features, alternatives, ud, confidence, source, phrase, agreement, verbComplex } oder null
+ */
+export const analyzeMorphology = (tokens) => {
+  try {
+    const analyses = tokens.map(analyzeToken);
+
+    findNounPhrases(tokens, analyses).forEach((phrase, id) => {
+      applyAgreement(phrase, analyses, id);
+    });
+
+    linkVerbComplexes(tokens, analyses);
+
+    return analyses.map(analysis => analysis ? finalizeAnalysis(analysis) : null);
+  } catch (error) {
+    console.error('Morphologie-Analyse Fehler:', error);
+    return tokens.map(() => null);
+  }
+};
+
+/**
+ * Formatiert Merkmale als UD FEATS; offene Alternativen als Mehrfachwert (Case=Acc,Nom)
+ *
+ * @param {Object} features - Eindeutige Merkmale ({ case: 'NOM', ... })
+ * @param {Object} alternatives - Mehrdeutige Merkmale ({ case: ['NOM', 'ACC'] })
+ * @returns {string} UD FEATS oder '_'
+ */
+export const formatUDFeatures = (features = {}, alternatives = {}) => {
+  const keys = new Set([...Object.keys(features), ...Object.keys(alternatives)]);
+
+  const pairs = [...keys]
+    .map(key => {
+      const mapping = UD_FEATURES[key];
+      if (!mapping) return null;
+      const values = (alternatives[key] || [features[key]])
+        .map(value => mapping.values[value])
+        .filter(Boolean)
+        .sort();
+      return values.length > 0 ? `${mapping.name}=${values.join(',')}` : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.toLowerCase().localeCompare(b.toLowerCase()));
+
+  return pairs.length > 0 ? pairs.join('|') : '_';
+};
+
+/**
+ * Erste Analyse eines Tokens ohne Kontext
+ * @private
+ */
+const analyzeToken = (token) => {
+  if (!token || token.isPunctuation || !token.posTag) return null;
+
+  const lower = token.text.toLowerCase();
+
+  if (CONTRACTIONS[lower] && token.posTag !== 'NOUN') {
+    const [caseValue, genders] = CONTRACTIONS[lower].split('|');
+    return {
+      kind: 'contraction',
+      lower,
+      readings: genders.split(',').map(gender => ({ case: caseValue, gender, number: 'SING' })),
+      governs: [caseValue],
+      declension: 'weak',
+      source: 'paradigma',
+      features: {}
+    };
+  }
+
+  switch (token.posTag) {
+    case 'ADP':
+      return { kind: 'adp', lower, readings: null, governs: PREPOSITION_CASES[lower] || null, source: 'paradigma', features: {} };
+
+    case 'NOUN':
+    case 'PROPN':
+      return analyzeNoun(token.text, token.posTag);
+
+    case 'DET':
+      return analyzeDeterminer(lower) || { kind: 'det', lower, readings: null, source: 'unbekannt', features: {} };
+
+    case 'PRON':
+      return analyzePronoun(lower);
+
+    case 'ADJ':
+      return { kind: 'adj', lower, readings: null, source: 'regel', features: {} };
+
+    case 'VERB':
+    case 'AUX':
+      // Demonstrativa auf -en werden vom Regel-Tagging oft als Verb markiert ("allen", "jenen")
+      if (DEMONSTRATIVE_STEMS.some(stem => lower.startsWith(stem))) {
+        const determiner = analyzeDeterminer(lower);
+        if (determiner) return determiner;
+      }
+      return verbAnalysis(lower, analyzeVerbForm(lower), token.text);
+
+    case 'ADV':
+    case 'NUM':
+      return { kind: token.posTag.toLowerCase(), lower, readings: null, source: 'regel', features: {} };
+
+    default: {
+      // Ungetaggte Determinierer (dieser, jeden) und flektierte Adjektive
+      const determiner = analyzeDeterminer(lower);
+      if (determiner) return determiner;
+      // Ungetaggte Formen starker und unregelmäßiger Verben ("gab", "sah")
+      const lowercase = /^\p{Ll}/u.test(token.text);
+      const verb = lowercase ? analyzeVerbForm(lower, { rules: false }) : null;
+      if (verb) return verbAnalysis(lower, verb, token.text);
+
+      // Schwache Infinitive und Partizipien bleiben Kandidaten für eine Verbklammer ("musst … ändern")
+      const nonFinite = lowercase ? (analyzeVerbForm(lower)?.readings || []).filter(r => r.verbForm !== 'FIN') : [];
+      return {
+        kind: 'other',
+        lower,
+        readings: null,
+        verbReadings: nonFinite,
+        source: nonFinite.length > 0 ? 'regel' : 'unbekannt',
+        features: {},
+        adjectiveLike: isAdjectiveLike(token.text)
+      };
+    }
+  }
+};
+
+/**
+ * Analyse eines Verbs mit seinen Paradigma-Lesarten (ohne Treffer: nur als Verb markiert)
+ * @private
+ */
+const verbAnalysis = (lower, verb, text) => ({
+  kind: 'verb',
+  lower,
+  readings: null,
+  verbReadings: verb?.readings || [],
+  source: verb?.source || 'unbekannt',
+  features: {},
+  adjectiveLike: isAdjectiveLike(text)
+});
+
+/**
+ * Lesarten eines Nomens: Lexikon, Kompositum-Kopf, Ableitungssuffix oder unbestimmt
+ * @private
+ */
+const analyzeNoun = (text, posTag) => {
+  const lower = text.toLowerCase();
+  const index = getNounIndex();
+
+  if (index.has(lower)) {
+    return nounAnalysis(index.get(lower), 'lexikon');
+  }
+
+  if (posTag === 'NOUN') {
+    // Kompositum: längstes bekanntes Grundwort ("Abendwind" → Wind)
+    for (let i = 3; i <= lower.length - 3; i++) {
+      const head = index.get(lower.slice(i));
+      if (head) return nounAnalysis(head, 'kompositum');
+    }
+
+    // Ableitungssuffix ("Hoffnungen" → -ung, Plural)
+    const suffixes = getSuffixIndex();
+    for (let i = 2; i < lower.length; i++) {
+      const entry = suffixes.get(lower.slice(i));
+      if (entry && !(isVowel(lower[i]) && isVowel(lower[i - 1]))) {
+        return nounAnalysis(entry, 'suffix');
+      }
+    }
+  }
+
+  return {
+    kind: 'noun',
+    lower,
+    readings: allReadings(),
+    lexicalGender: null,
+    source: 'unbekannt',
+    features: {}
+  };
+};
+
+/**
+ * Erstellt die Analyse aus einem Index-Eintrag
+ * @private
+ */
+const nounAnalysis = (entry, source) => ({
+  kind: 'noun',
+  lower: entry.form,
+  readings: entry.readings,
+  lexicalGender: entry.gender,
+  lemma: entry.lemma,
+  source,
+  features: {}
+});
+
+/**
+ * Lesarten eines Determinierers (Artikel, Demonstrativ-, Possessivartikel)
+ * @private
+ */
+const analyzeDeterminer = (lower) => {
+  const definite = readingsFromTable(DEFINITE_ARTICLE, form => form === lower);
+  if (definite.length > 0) {
+    return { kind: 'det', lower, readings: definite, declension: 'weak', source: 'paradigma', features: {} };
+  }
+
+  const demonstrative = DEMONSTRATIVE_STEMS.find(stem => lower.startsWith(stem)
+    && readingsFromTable(DEMONSTRATIVE_ENDINGS, ending => stem + ending === lower).length > 0);
+  if (demonstrative) {
+    return {
+      kind: 'det',
+      lower,
+      readings: readingsFromTable(DEMONSTRATIVE_ENDINGS, ending => demonstrative + ending === lower),
+      declension: 'weak',
+      source: 'paradigma',
+      features: {}
+    };
+  }
+
+  const stem = Object.keys(INDEFINITE_STEMS)
+    .sort((a, b) => b.length - a.length)
+    .find(s => lower.startsWith(s) && readingsFromTable(INDEFINITE_ENDINGS, ending => s + ending === lower).length > 0);
+  if (stem) {
+    const readings = readingsFromTable(INDEFINITE_ENDINGS, ending => stem + ending === lower)
+      // "ein" hat keinen Plural
+      .filter(reading => stem !== 'ein' || reading.number === 'SING');
+    const features = INDEFINITE_STEMS[stem] ? { person: INDEFINITE_STEMS[stem] } : {};
+    return { kind: 'det', lower, readings, declension: 'mixed', source: 'paradigma', features };
+  }
+
+  return null;
+};
+
+/**
+ * Lesarten eines Pronomens (Personal-, Reflexiv-, Relativpronomen)
+ * @private
+ */
+const analyzePronoun = (lower) => {
+  if (PERSONAL_PRONOUNS[lower]) {
+    const readings = PERSONAL_PRONOUNS[lower].map(entry => {
+      const [caseValue, gender, number, person] = entry.split('|');
+      return { case: caseValue, gender: gender || null, number: number || null, person };
+    });
+    return { kind: 'pron', lower, readings, source: 'paradigma', features: {} };
+  }
+
+  // Relativ- und Demonstrativpronomen der, die, das
+  const relative = readingsFromTable(DEFINITE_ARTICLE, form => form === lower);
+  if (relative.length > 0) {
+    return { kind: 'pron', lower, readings: relative.map(r => ({ ...r, person: '3' })), source: 'paradigma', features: {} };
+  }
+
+  return { kind: 'pron', lower, readings: null, source: 'unbekannt', features: {} };
+};
+
+/**
+ * Lesarten eines attributiven Adjektivs nach Endung und Deklinationsart
+ * @private
+ */
+const adjectiveReadings = (lower, declension) => {
+  const endings = ADJECTIVE_SUFFIXES.filter(ending => lower.endsWith(ending) && lower.length > ending.length + 2);
+  if (endings.length === 0) return [];
+  return readingsFromTable(ADJECTIVE_ENDINGS[declension], ending => endings.includes(ending));
+};
+
+/**
+ * Sucht Nominalphrasen: [Präposition] [Determinierer] (Adjektiv | Adverb)* Nomen
+ * @private
+ */
+const findNounPhrases = (tokens, analyses) => {
+  const phrases = [];
+  let pending = emptyPhrase();
+
+  tokens.forEach((token, i) => {
+    const analysis = analyses[i];
+    if (!analysis) {
+      pending = emptyPhrase();
+      return;
+    }
+
+    switch (analysis.kind) {
+      case 'noun':
+        phrases.push({ ...pending, head: i });
+        pending = emptyPhrase();
+        return;
+
+      case 'contraction':
+        pending = { ...emptyPhrase(), governor: i, determiner: i };
+        return;
+
+      case 'adp':
+        pending = { ...emptyPhrase(), governor: i };
+        return;
+
+      case 'det':
+        pending = { ...emptyPhrase(), governor: pending.modifiers.length === 0 ? pending.governor : null, determiner: i };
+        return;
+
+      case 'adj':
+        pending.modifiers.push(i);
+        return;
+
+      case 'adv':
+      case 'num':
+        // Gradpartikeln und Zahlwörter innerhalb der Phrase überspringen ("die zwei sehr alten Bäume")
+        if (pending.determiner !== null || pending.governor !== null || pending.modifiers.length > 0) return;
+        break;
+
+      default:
+        // Flektierte Adjektive, die das POS-Tagging als Verb oder unbekannt markiert ("den dunklen Wald")
+        if (analysis.adjectiveLike && pending.determiner !== null) {
+          analyses[i] = { ...analysis, kind: 'adj', source: 'regel', features: {} };
+          pending.modifiers.push(i);
+          return;
+        }
+    }
+
+    pending = emptyPhrase();
+  });
+
+  return phrases;
+};
+
+const emptyPhrase = () => ({ governor: null, determiner: null, modifiers: [] });
+
+/**
+ * Gleicht Kasus, Genus und Numerus innerhalb einer Nominalphrase ab
+ * Glieder, die keine gemeinsame Lesart zulassen, bleiben bei ihrer eigenen Analyse.
+ * @private
+ */
+const applyAgreement = (phrase, analyses, id) => {
+  const head = analyses[phrase.head];
+  let readings = head.readings;
+  const members = [phrase.head];
+  const deviating = [];
+
+  const constrain = (index, candidates) => {
+    const next = intersectReadings(readings, candidates);
+    if (next.length > 0) {
+      readings = next;
+      members.push(index);
+    } else {
+      deviating.push(index);
+    }
+  };
+
+  if (phrase.determiner !== null) {
+    constrain(phrase.determiner, analyses[phrase.determiner].readings || []);
+  }
+
+  const declension = phrase.determiner !== null && members.includes(phrase.determiner)
+    ? analyses[phrase.determiner].declension
+    : 'strong';
+
+  phrase.modifiers.forEach(index => {
+    constrain(index, adjectiveReadings(analyses[index].lower, declension));
+  });
+
+  // Kasusrektion der Präposition
+  const governs = phrase.governor !== null ? analyses[phrase.governor].governs : null;
+  if (governs) {
+    const governed = readings.filter(reading => governs.includes(reading.case));
+    if (governed.length > 0) readings = governed;
+  }
+
+  // Kongruenz nur bewertbar, wenn die Phrase mehr als den Kopf enthält
+  const agreement = deviating.length > 0 ? false : members.length > 1 ? true : null;
+  members.forEach(index => {
+    analyses[index] = { ...analyses[index], readings, phrase: id, agreement };
+  });
+
+  deviating.forEach(index => {
+    analyses[index] = { ...analyses[index], phrase: id, agreement: false };
+  });
+};
+
+/**
+ * Leitet aus den verbleibenden Lesarten Merkmale, Alternativen, UD-Bündel und Konfidenz ab
+ * @private
+ */
+const finalizeAnalysis = (analysis) => {
+  const features = { ...analysis.features };
+  const alternatives = {};
+  const readings = analysis.readings || [];
+  const relevant = [];
+
+  const verbReadings = analysis.kind === 'verb' ? analysis.verbReadings || [] : [];
+
+  // Nichts zu bestimmen (Adverbien, Präpositionen, Konjunktionen)
+  if (readings.length === 0 && verbReadings.length === 0 && Object.keys(features).length === 0
+    && analysis.kind !== 'adj' && !analysis.verbComplex) {
+    return null;
+  }
+
+  if (readings.length > 0) {
+    relevant.push('case', 'number');
+    resolveFeature(features, alternatives, 'case', distinct(readings.map(r => r.case)), CASES);
+    resolveFeature(features, alternatives, 'number', distinct(readings.map(r => r.number)), ['SING', 'PLUR']);
+
+    if (analysis.kind === 'noun' && analysis.lexicalGender) {
+      // Genus ist beim Nomen inhärent, auch im Plural
+      features.gender = analysis.lexicalGender;
+    } else if (features.number !== 'PLUR' && readings.some(r => r.gender)) {
+      relevant.push('gender');
+      const genders = distinct(readings.filter(r => r.number !== 'PLUR').map(r => r.gender));
+      resolveFeature(features, alternatives, 'gender', genders, GENDERS);
+    }
+
+    const persons = distinct(readings.map(r => r.person));
+    if (persons.length === 1) features.person = persons[0];
+  }
+
+  if (verbReadings.length > 0) {
+    relevant.push('verbForm');
+    resolveFeature(features, alternatives, 'verbForm', distinct(verbReadings.map(r => r.verbForm)), VERB_FORMS);
+
+    if (features.verbForm === 'FIN') {
+      relevant.push('tense', 'mood', 'person', 'number');
+      resolveFeature(features, alternatives, 'tense', distinct(verbReadings.map(r => r.tense)), ['PRES', 'PAST']);
+      resolveFeature(features, alternatives, 'mood', distinct(verbReadings.map(r => r.mood)), MOODS);
+      resolveFeature(features, alternatives, 'person', distinct(verbReadings.map(r => r.person)), ['1', '2', '3']);
+      resolveFeature(features, alternatives, 'number', distinct(verbReadings.map(r => r.number)), ['SING', 'PLUR']);
+    }
+  }
+
+  if (analysis.kind === 'adj') {
+    features.degree = detectDegree(analysis.lower, analysis.phrase !== undefined);
+  }
+
+  const resolvedShare = relevant.length > 0
+    ? relevant.filter(key => features[key]).length / relevant.length
+    : 1;
+  let confidence = (SOURCE_CONFIDENCE[analysis.source] || SOURCE_CONFIDENCE.unbekannt) * (0.5 + 0.5 * resolvedShare);
+  if (analysis.agreement === false) confidence *= 0.8;
+
+  return {
+    features,
+    alternatives,
+    ud: formatUDFeatures(features, alternatives),
+    confidence: Math.round(confidence * 100) / 100,
+    source: analysis.source,
+    phrase: analysis.phrase ?? null,
+    agreement: analysis.agreement ?? null,
+    verbComplex: analysis.verbComplex ?? null
+  };
+};
+
+/**
+ * Setzt ein Merkmal bei genau einem Wert, sonst die geordneten Alternativen
+ * @private
+ */
+const resolveFeature = (features, alternatives, key, values, order) => {
+  if (values.length === 1) {
+    features[key] = values[0];
+  } else if (values.length > 1) {
+    alternatives[key] = values.sort((a, b) => order.indexOf(a) - order.indexOf(b));
+  }
+};
+
+/**
+ * Steigerungsstufe eines Adjektivs (Flexionsendung wird bei attributivem Gebrauch abgetrennt)
+ * @private
+ */
+const detectDegree = (lower, isAttributive) => {
+  const ending = isAttributive ? ADJECTIVE_SUFFIXES.find(e => lower.endsWith(e) && lower.length > e.length + 2) : null;
+  const stem = ending ? lower.slice(0, -ending.length) : lower;
+
+  if (IRREGULAR_COMPARATIVES[stem]) {
+    return /e?st$/.test(stem) ? 'SUP' : 'CMP';
+  }
+  if (/e?st$/.test(stem) && stem.length > 4 && !INVARIABLE_WORDS.includes(stem)) {
+    return 'SUP';
+  }
+  if (stem.endsWith('er') && !stem.startsWith('er') && !ER_STEM_ADJECTIVES.includes(stem)) {
+    return 'CMP';
+  }
+  return 'POS';
+};
+
+/**
+ * Kleingeschriebenes Wort mit adjektivischer Flexionsendung
+ * @private
+ */
+const isAdjectiveLike = (word) => /^\p{Ll}/u.test(word) && ADJECTIVE_SUFFIXES.some(e => word.endsWith(e)) && word.length > 3;
+
+/**
+ * Liest alle Lesarten aus einer Paradigmentabelle, deren Zelle das Prädikat erfüllt
+ * @private
+ */
+const readingsFromTable = (table, predicate) => {
+  const readings = [];
+  CASES.forEach(caseValue => {
+    Object.entries(table[caseValue]).forEach(([column, value]) => {
+      if (predicate(value)) {
+        readings.push(column === 'PLUR'
+          ? { case: caseValue, gender: null, number: 'PLUR' }
+          : { case: caseValue, gender: column, number: 'SING' });
+      }
+    });
+  });
+  return readings;
+};
+
+/**
+ * Alle Kasus-/Genus-/Numerus-Kombinationen (unbekanntes Nomen)
+ * @private
+ */
+const allReadings = () => readingsFromTable(DEFINITE_ARTICLE, () => true);
+
+/**
+ * Schnittmenge zweier Lesartenlisten (Genus im Plural wird nicht verglichen)
+ * @private
+ */
+const intersectReadings = (readings, candidates) => {
+  return readings.filter(reading => candidates.some(candidate =>
+    candidate.case === reading.case
+    && candidate.number === reading.number
+    && (reading.number === 'PLUR' || !candidate.gender || !reading.gender || candidate.gender === reading.gender)
+  ));
+};
+
+const distinct = (values) => [...new Set(values.filter(Boolean))];
+
+const isVowel = (char) => /[aeiouäöü]/.test(char);
+
+/**
+ * Vollformen-Index des Nomenlexikons (lazy)
+ * @private
+ */
+const getNounIndex = () => {
+  if (!nounIndex) nounIndex = buildIndex(NOUN_LEXICON);
+  return nounIndex;
+};
+
+const getSuffixIndex = () => {
+  if (!suffixIndex) suffixIndex = buildIndex(DERIVATION_SUFFIXES);
+  return suffixIndex;
+};
+
+/**
+ * Erzeugt aus 'Lemma|Genus|Pluralklasse' alle Flexionsformen mit ihren Lesarten
+ * @private
+ */
+const buildIndex = (entries) => {
+  const index = new Map();
+
+  const add = (form, lemma, gender, caseValues, number) => {
+    const key = form.toLowerCase();
+    if (!index.has(key)) index.set(key, { form: key, lemma, gender, readings: [] });
+    const entry = index.get(key);
+    caseValues.forEach(caseValue => {
+      const reading = { case: caseValue, gender: number === 'SING' ? gender : null, number };
+      if (!entry.readings.some(r => r.case === reading.case && r.gender === reading.gender && r.number === reading.number)) {
+        entry.readings.push(reading);
+      }
+    });
+  };
+
+  entries.forEach(line => {
+    const [lemma, genderCode, pluralClass = ''] = line.split('|');
+    const gender = GENDER_CODES[genderCode] || null;
+    const weak = pluralClass.startsWith('*');
+    const plural = pluralClass.replace('*', '');
+
+    // Pluraletantum (Leute)
+    if (genderCode === 'p') {
+      add(lemma, lemma, null, ['NOM', 'ACC', 'GEN'], 'PLUR');
+      add(dativePlural(lemma), lemma, null, ['DAT'], 'PLUR');
+      return;
+    }
+
+    // Singular
+    if (gender === 'FEM') {
+      add(lemma, lemma, gender, CASES, 'SING');
+    } else if (weak) {
+      const oblique = lemma + plural;
+      add(lemma, lemma, gender, gender === 'NEUT' ? ['NOM', 'ACC'] : ['NOM'], 'SING');
+      add(oblique, lemma, gender, gender === 'NEUT' ? ['DAT'] : ['ACC', 'DAT', 'GEN'], 'SING');
+      // Mischdeklination: des Gedankens, des Herzens
+      if (lemma.endsWith('e') || gender === 'NEUT') add(oblique + 's', lemma, gender, ['GEN'], 'SING');
+    } else {
+      add(lemma, lemma, gender, ['NOM', 'ACC', 'DAT'], 'SING');
+      genitiveForms(lemma).forEach(form => add(form, lemma, gender, ['GEN'], 'SING'));
+      // Poetischer Dativ auf -e ("im Walde", "am Tage")
+      if (!/(?:e|el|er|en|[aeiouäöüy])$/.test(lemma)) add(lemma + 'e', lemma, gender, ['DAT'], 'SING');
+    }
+
+    // Plural
+    if (!plural) return;
+    const pluralForm = weak ? lemma + plural : buildPlural(lemma, plural);
+    add(pluralForm, lemma, gender, ['NOM', 'ACC', 'GEN'], 'PLUR');
+    add(dativePlural(pluralForm), lemma, gender, ['DAT'], 'PLUR');
+  });
+
+  return index;
+};
+
+/**
+ * Pluralform aus Pluralklasse
+ * @private
+ */
+const buildPlural = (lemma, pluralClass) => {
+  switch (pluralClass) {
+    case '-': return lemma;
+    case '¨-': return umlaut(lemma);
+    case '¨e': return umlaut(lemma) + 'e';
+    case '¨er': return umlaut(lemma) + 'er';
+    default: return lemma + pluralClass;
+  }
+};
+
+/**
+ * Genitiv Singular stark: -es nach Zischlaut, -s nach Schwa-Silbe, sonst beides
+ * @private
+ */
+const genitiveForms = (lemma) => {
+  if (/(?:s|ß|x|z|sch)$/.test(lemma)) return [lemma + 'es'];
+  if (/(?:e|el|er|en|em|[aiouäöüy])$/.test(lemma)) return [lemma + 's'];
+  return [lemma + 's', lemma + 'es'];
+};
+
+const dativePlural = (form) => /[ns]$/.test(form) ? form : form + 'n';
+
+/**
+ * Umlautet den letzten Vollvokal (Vater → Väter, Haus → Häus-)
+ * @private
+ */
+const umlaut = (word) => {
+  return word.replace(/(au|Au|a|o|u|A|O|U)([^aeiouäöüAEIOUÄÖÜ]*(?:e[^aeiouäöü]*)?)$/, (match, vowel, rest) => UMLAUTS[vowel] + rest);
+};
+
+export default {
+  analyzeMorphology,
+  formatUDFeatures
+};
@@ -0,0 +1,443 @@
+import { RHYME_TYPES } from '../utils/constants';
+import { getLexicalStress } from './metricalAnalysis';
+
+// Vokal-Grapheme mit Lautwert (kurz/lang)
+const VOWELS = {
+  a: { short: 'a', long: 'aː' },
+  e: { short: 'ɛ', long: 'eː' },
+  i: { short: 'ɪ', long: 'iː' },
+  o: { short: 'ɔ', long: 'oː' },
+  u: { short: 'ʊ', long: 'uː' },
+  ä: { short: 'ɛ', long: 'ɛː' },
+  ö: { short: 'œ', long: 'øː' },
+  ü: { short: 'ʏ', long: 'yː' },
+  y: { short: 'ʏ', long: 'yː' }
+};
+
+// Diphthonge und Langvokal-Schreibungen (längste zuerst)
+const VOWEL_DIGRAPHS = {
+  'ie': 'iː',
+  'ei': 'aɪ',
+  'ai': 'aɪ',
+  'ey': 'aɪ',
+  'ay': 'aɪ',
+  'au': 'aʊ',
+  'eu': 'ɔʏ',
+  'äu': 'ɔʏ',
+  'aa': 'aː',
+  'ee': 'eː',
+  'oo': 'oː'
+};
+
+// Konsonanten-Grapheme (längste zuerst geprüft)
+const CONSONANT_GRAPHEMES = [
+  ['tsch', ['t', 'ʃ']],
+  ['sch', ['ʃ']],
+  ['chs', ['k', 's']],
+  ['ck', ['k']],
+  ['ph', ['f']],
+  ['th', ['t']],
+  ['qu', ['k', 'v']],
+  ['tz', ['t', 's']],
+  ['ng', ['ŋ']],
+  ['ß', ['s']],
+  ['z', ['t', 's']],
+  ['x', ['k', 's']],
+  ['v', ['f']],
+  ['w', ['v']],
+  ['j', ['j']],
+  ['c', ['k']]
+];
+
+// Stimmhafte Obstruenten und ihr Pendant bei Auslautverhärtung
+const FINAL_DEVOICING = { b: 'p', d: 't', g: 'k', v: 'f', z: 's' };
+
+// Vokale für Vokal-Erkennung in Phonemfolgen
+const VOWEL_PHONEMES = /^(?:aɪ|aʊ|ɔʏ|[aeiouyɛɪɔʊœøʏəɐ]ː?)$/;
+
+// Unbetonte Ableitungssilben, die keinen Reim tragen
+const NON_RHYMING_SUFFIXES = /(?:lich|ig|isch|ung|nis|chen|lein|sam|bar|haft)$/;
+
+// Geschlossene Einsilbler mit Kurzvokal trotz stimmhaftem Auslaut
+const SHORT_MONOSYLLABLES = new Set(['ab', 'ob', 'des', 'das', 'was', 'es', 'bis']);
+
+// Geschlossene Stammsilben mit Langvokal, die die Schreibung nicht anzeigt (Mond, Rat, Not)
+// Gilt auch flektiert und im Kompositum ("Mondes", "Vollmond", "Morgenrot")
+const LONG_VOWEL_STEMS = new Set([
+  'mond', 'rat', 'tat', 'not', 'brot', 'rot', 'tot', 'gebot', 'bot', 'gut', 'mut', 'glut', 'flut', 'blut',
+  'hut', 'wut', 'trost', 'ost', 'obst', 'vogt', 'jagd', 'magd', 'papst', 'wert', 'schwert',
+  'erz', 'art', 'bart', 'zart', 'geburt', 'kam', 'nun', 'schon', 'ton', 'plan', 'schwan', 'den', 'wen', 'grün'
+]);
+
+// Flexionsendungen, die beim Nachschlagen eines Langvokal-Stamms abgetrennt werden
+const STEM_ENDING = /(?:e|es|en|er|em|s|n)$/;
+
+// Lautklassen für unreine Reime (Entrundung, Vokallänge)
+const IMPURE_VOWEL_MAP = {
+  'yː': 'iː', 'ʏ': 'ɪ', 'øː': 'eː', 'œ': 'ɛ', 'ɔʏ': 'aɪ', 'ɛː': 'eː'
+};
+
+/**
+ * Wandelt ein deutsches Wort regelbasiert in eine Phonemfolge um (G2P)
+ * Berücksichtigt Vokallänge, Diphthonge, ch-Laute, Auslautverhärtung und Schwa
+ *
+ * @param {string} word - Wort
+ * @param {string} posTag - POS-Tag (für die Akzentbestimmung, optional)
+ * @returns {Object} Phoneme, Silben mit Betonung und IPA-String
+ */
+export const graphemeToPhoneme = (word, posTag = null) => {
+  const clean = (word || '').toLowerCase().replace(/[^\p{L}\p{M}]/gu, '');
+  if (!clean) {
+    return { word, phonemes: [], syllables: [], ipa: '' };
+  }
+
+  const stressSyllables = getLexicalStress(clean, posTag);
+  const syllableStarts = [];
+  let offset = 0;
+  for (const syllable of stressSyllables) {
+    syllableStarts.push(offset);
+    offset += syllable.text.length;
+  }
+
+  const phonemes = convertGraphemes(clean, stressSyllables, syllableStarts);
+
+  const syllables = stressSyllables.map((syllable, i) => {
+    const start = syllableStarts[i];
+    const end = i + 1 < syllableStarts.length ? syllableStarts[i + 1] : clean.length;
+    return {
+      text: syllable.text,
+      stress: syllable.stress,
+      phonemes: phonemes.filter(p => p.at >= start && p.at < end).map(p => p.symbol)
+    };
+  });
+
+  return {
+    word,
+    phonemes: phonemes.map(p => p.symbol),
+    syllables,
+    ipa: phonemes.map(p => p.symbol).join('')
+  };
+};
+
+/**
+ * Liefert den Anlaut eines Wortes für Alliterationen
+ * Vokalische Anlaute alliterieren untereinander ('V'), sp/st nur mit sich selbst.
+ *
+ * @param {string} word - Wort
+ * @returns {string|null} Anlaut-Phonem, 'V' oder null
+ */
+export const getOnset = (word) => {
+  const { phonemes } = graphemeToPhoneme(word);
+  if (phonemes.length === 0) return null;
+  if (VOWEL_PHONEMES.test(phonemes[0])) return 'V';
+  if (phonemes[0] === 'ʃ' && /^[pt]$/.test(phonemes[1] || '')) return phonemes[0] + phonemes[1];
+  return phonemes[0];
+};
+
+/**
+ * Liefert die Reimsilbe: Phoneme ab dem letzten betonten Vokal
+ *
+ * @param {string} word - Wort
+ * @param {string} posTag - POS-Tag (optional)
+ * @returns {Object} Reimsilbe, vollständige Transkription und Vokalfolge
+ */
+export const getRhymeSuffix = (word, posTag = null) => {
+  const transcription = graphemeToPhoneme(word, posTag);
+  const { syllables } = transcription;
+
+  if (syllables.length === 0) {
+    return { word, suffix: '', phonemes: [], vowels: [], ipa: '' };
+  }
+
+  // Letzte reimtragende Silbe: Haupt- oder Nebenakzent, keine Schwa- oder Ableitungssilbe
+  let stressedIndex = syllables.findIndex(s => s.stress === 'strong');
+  for (let i = syllables.length - 1; i > Math.max(stressedIndex, 0); i--) {
+    const syllable = syllables[i];
+    if (syllable.stress === 'ambiguous' && !NON_RHYMING_SUFFIXES.test(syllable.text.toLowerCase())) {
+      stressedIndex = i;
+      break;
+    }
+  }
+  if (stressedIndex === -1) stressedIndex = 0;
+
+  const tail = syllables.slice(stressedIndex).flatMap(s => s.phonemes);
+  const vowelIndex = tail.findIndex(p => VOWEL_PHONEMES.test(p));
+  const phonemes = vowelIndex === -1 ? tail : tail.slice(vowelIndex);
+
+  return {
+    word,
+    suffix: phonemes.join(''),
+    phonemes,
+    vowels: phonemes.filter(p => VOWEL_PHONEMES.test(p)),
+    ipa: transcription.ipa
+  };
+};
+
+/**
+ * Klassifiziert das Reimverhältnis zweier Wörter
+ * Identischer Reim, reiner Reim, unreiner Reim oder Assonanz
+ *
+ * @param {Object|string} first - Wort oder Ergebnis von getRhymeSuffix
+ * @param {Object|string} second - Wort oder Ergebnis von getRhymeSuffix
+ * @returns {Object|null} Reimtyp mit Ähnlichkeit, null wenn kein Reim
+ */
+export const classifyRhyme = (first, second) => {
+  const a = typeof first === 'string' ? getRhymeSuffix(first) : first;
+  const b = typeof second === 'string' ? getRhymeSuffix(second) : second;
+
+  if (!a.suffix || !b.suffix) return null;
+
+  if (a.ipa === b.ipa) {
+    return buildRhymeResult('IDENTICAL', 1.0);
+  }
+
+  if (a.suffix === b.suffix) {
+    return buildRhymeResult('PURE', 1.0);
+  }
+
+  if (normalizeForImpureRhyme(a.phonemes) === normalizeForImpureRhyme(b.phonemes)) {
+    return buildRhymeResult('IMPURE', 0.8);
+  }
+
+  const vowelsA = a.vowels.map(stripLength).join('|');
+  const vowelsB = b.vowels.map(stripLength).join('|');
+  if (vowelsA && vowelsA === vowelsB) {
+    return buildRhymeResult('ASSONANCE', 0.5);
+  }
+
+  return null;
+};
+
+/**
+ * Wandelt Grapheme in Phoneme um
+ * @private
+ */
+const convertGraphemes = (word, stressSyllables, syllableStarts) => {
+  const phonemes = [];
+  const syllableAt = (index) => {
+    let current = 0;
+    for (let i = 0; i < syllableStarts.length; i++) {
+      if (syllableStarts[i] <= index) current = i;
+    }
+    return current;
+  };
+
+  let i = 0;
+  while (i < word.length) {
+    const rest = word.slice(i);
+    const char = word[i];
+
+    // Vokal-Digraphen
+    const digraph = Object.keys(VOWEL_DIGRAPHS).find(d => rest.startsWith(d));
+    if (digraph) {
+      phonemes.push({ symbol: VOWEL_DIGRAPHS[digraph], at: i });
+      i += digraph.length;
+      // Dehnungs-h nach Langvokal
+      if (word[i] === 'h' && !isVowelChar(word[i + 1])) i++;
+      continue;
+    }
+
+    // Einzelvokale
+    if (VOWELS[char]) {
+      const syllable = stressSyllables[syllableAt(i)];
+      const isUnstressedE = char === 'e' && syllable && syllable.stress === 'weak' && stressSyllables.length > 1;
+
+      if (isUnstressedE) {
+        // -er im Auslaut unbetonter Silben wird vokalisiert
+        if (word[i + 1] === 'r' && (i + 2 === word.length || (word[i + 2] === 'n' && i + 3 === word.length))) {
+          phonemes.push({ symbol: 'ɐ', at: i });
+          i += 2;
+        } else {
+          phonemes.push({ symbol: 'ə', at: i });
+          i++;
+        }
+        continue;
+      }
+
+      // Dehnungs-h
+      if (word[i + 1] === 'h') {
+        phonemes.push({ symbol: VOWELS[char].long, at: i });
+        i += 2;
+        continue;
+      }
+
+      const long = isLongVowel(word, i) || isLongVowelStem(word, syllableStarts[syllableAt(i)]);
+      phonemes.push({ symbol: long ? VOWELS[char].long : VOWELS[char].short, at: i });
+      i++;
+      continue;
+    }
+
+    // -ig im Auslaut
+    if (rest === 'ig' || rest === 'igt' || rest === 'igs') {
+      phonemes.push({ symbol: 'ɪ', at: i }, { symbol: 'ç', at: i + 1 });
+      if (rest.length === 3) phonemes.push({ symbol: rest[2] === 't' ? 't' : 's', at: i + 2 });
+      break;
+    }
+
+    // ch: ach-Laut nach a, o, u, au; sonst ich-Laut; im Anlaut k
+    if (rest.startsWith('ch') && !rest.startsWith('chs')) {
+      const prev = phonemes[phonemes.length - 1]?.symbol || '';
+      let symbol = 'ç';
+      if (i === 0) symbol = 'k';
+      else if (/^(?:a|aː|ɔ|oː|ʊ|uː|aʊ)$/.test(prev)) symbol = 'x';
+      phonemes.push({ symbol, at: i });
+      i += 2;
+      continue;
+    }
+
+    // sp/st im Anlaut
+    if (i === 0 && (rest.startsWith('sp') || rest.startsWith('st'))) {
+      phonemes.push({ symbol: 'ʃ', at: i });
+      i++;
+      continue;
+    }
+
+    // nk -> ŋk
+    if (rest.startsWith('nk')) {
+      phonemes.push({ symbol: 'ŋ', at: i }, { symbol: 'k', at: i + 1 });
+      i += 2;
+      continue;
+    }
+
+    const grapheme = CONSONANT_GRAPHEMES.find(([g]) => rest.startsWith(g));
+    if (grapheme) {
+      for (const symbol of grapheme[1]) {
+        phonemes.push({ symbol, at: i });
+      }
+      i += grapheme[0].length;
+      continue;
+    }
+
+    // s: stimmhaft vor Vokal
+    if (char === 's') {
+      const next = word[i + 1];
+      if (word[i + 1] === 's') {
+        phonemes.push({ symbol: 's', at: i });
+        i += 2;
+        continue;
+      }
+      phonemes.push({ symbol: isVowelChar(next) ? 'z' : 's', at: i });
+      i++;
+      continue;
+    }
+
+    // h zwischen Vokalen bzw. im Anlaut
+    if (char === 'h') {
+      if (i === 0 || !isVowelChar(word[i - 1])) {
+        phonemes.push({ symbol: 'h', at: i });
+      }
+      i++;
+      continue;
+    }
+
+    // Doppelkonsonanten werden einfach gesprochen
+    if (word[i + 1] === char) {
+      phonemes.push({ symbol: char, at: i });
+      i += 2;
+      continue;
+    }
+
+    phonemes.push({ symbol: char, at: i });
+    i++;
+  }
+
+  return mergeGeminates(applyFinalDevoicing(phonemes));
+};
+
+/**
+ * Bestimmt die Länge eines Einzelvokals aus dem Folgekontext
+ * @private
+ */
+const isLongVowel = (word, index) => {
+  const following = word.slice(index + 1);
+
+  // Wortende: offene Silbe (da, so, du)
+  if (following.length === 0) return true;
+
+  // ß zeigt Länge an
+  if (following.startsWith('ß')) return true;
+
+  // Konsonantenfolge bis zum nächsten Vokal
+  const cluster = following.match(/^[^aeiouäöüy]*/)[0];
+  const isWordFinal = cluster.length === following.length;
+
+  // e vor rd: lang (Erde, Herde, werden, Beschwerden, Pferd)
+  if (word[index] === 'e' && cluster.startsWith('rd')) return true;
+
+  // Doppelkonsonanz, ck, tz, sch -> kurz
+  if (/^(?:ck|tz|sch|ch|ng|nk)/.test(cluster)) return false;
+  if (cluster.length >= 2 && cluster[0] === cluster[1]) return false;
+
+  if (cluster.length === 1) {
+    // Offene Silbe vor Vokal: lang (Stäbe, gäbe, leben)
+    if (!isWordFinal) return true;
+    // Auslautendes r: lang (war, nur, vor, schwer)
+    if (cluster === 'r') return true;
+    // Einsilbler mit stimmhaftem Auslaut: lang (Tag, Stab, Glas)
+    return /[bdgs]/.test(cluster) && !SHORT_MONOSYLLABLES.has(word);
+  }
+
+  return false;
+};
+
+/**
+ * Prüft, ob die Silbe ab syllableStart (ohne Flexionsendung) ein Langvokal-Stamm ist
+ * @private
+ */
+const isLongVowelStem = (word, syllableStart) => {
+  const rest = word.slice(syllableStart);
+  return LONG_VOWEL_STEMS.has(rest) || LONG_VOWEL_STEMS.has(rest.replace(STEM_ENDING, ''));
+};
+
+/**
+ * Fasst gleiche Konsonanten an der Fuge einer Elision zusammen (find't -> [fɪnt], nicht [fɪntt])
+ * @private
+ */
+const mergeGeminates = (phonemes) => phonemes.filter((phoneme, i) =>
+  i === 0 || phoneme.symbol !== phonemes[i - 1].symbol || VOWEL_PHONEMES.test(phoneme.symbol)
+);
+
+/**
+ * Wendet die Auslautverhärtung an (Stab -> [p], Hand -> [t], Tag -> [k])
+ * @private
+ */
+const applyFinalDevoicing = (phonemes) => {
+  return phonemes.map((phoneme, i) => {
+    const next = phonemes[i + 1];
+    const devoiced = FINAL_DEVOICING[phoneme.symbol];
+    if (!devoiced) return phoneme;
+
+    const isFinal = !next;
+    const beforeObstruent = next && /^[ptkfsʃçx]$/.test(next.symbol);
+    return isFinal || beforeObstruent ? { ...phoneme, symbol: devoiced } : phoneme;
+  });
+};
+
+/**
+ * Normalisiert eine Phonemfolge für den Vergleich unreiner Reime
+ * @private
+ */
+const normalizeForImpureRhyme = (phonemes) => {
+  return phonemes
+    .map(p => IMPURE_VOWEL_MAP[p] || p)
+    .map(stripLength)
+    .join('');
+};
+
+const stripLength = (phoneme) => phoneme.replace('ː', '');
+
+const isVowelChar = (char) => !!char && /[aeiouäöüy]/.test(char);
+
+const buildRhymeResult = (type, similarity) => ({
+  type,
+  label: RHYME_TYPES[type].label,
+  similarity,
+  isRhyme: type !== 'ASSONANCE'
+});
+
+export default {
+  graphemeToPhoneme,
+  getOnset,
+  getRhymeSuffix,
+  classifyRhyme
+};
@@ -0,0 +1,360 @@
+import { REPORT_TEMPLATES, POS_TAGS } from '../utils/constants';
+import { getSentimentRGB, getColorIntensity, getPOSHex } from '../utils/colorMapping';
+import { detectVerses } from '../utils/textPreprocessing';
+
+/**
+ * Erzeugt druckbare, eigenständige HTML-Berichte aus einem Analyse-Ergebnis
+ * Der Bericht enthält sein eigenes CSS und lässt sich im Browser als PDF drucken.
+ */
+
+const REPORT_STYLES = `
+  @page { size: A4; margin: 18mm 16mm; }
+  * { box-sizing: border-box; }
+  body { font-family: Georgia, 'Times New Roman', serif; color: #1f2937; margin: 0; padding: 24px; line-height: 1.5;
+    -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+  header { border-bottom: 2px solid #1f2937; margin-bottom: 20px; padding-bottom: 8px; }
+  header h1 { font-size: 22px; margin: 0; }
+  header .author { font-style: italic; color: #4b5563; }
+  header .meta { font-family: Arial, sans-serif; font-size: 11px; color: #6b7280; margin-top: 4px; }
+  h2 { font-family: Arial, sans-serif; font-size: 14px; text-transform: uppercase; letter-spacing: 0.05em;
+    color: #374151; border-bottom: 1px solid #d1d5db; padding-bottom: 2px; margin: 24px 0 8px; }
+  section { break-inside: avoid; }
+  table.poem { border-collapse: collapse; margin: 0 auto 8px; }
+  table.poem td { padding: 1px 6px; vertical-align: baseline; }
+  table.poem td.line-no { font-family: Arial, sans-serif; font-size: 10px; color: #9ca3af; text-align: right; width: 28px; }
+  table.poem td.verse { font-size: 15px; }
+  table.poem td.rhyme { font-family: Arial, sans-serif; font-weight: bold; color: #2563eb; width: 32px; text-align: center; }
+  table.poem td.rhyme.blank { border-bottom: 1px solid #9ca3af; }
+  table.poem tr.stanza-break td { height: 14px; }
+  .w { border-radius: 3px; padding: 0 1px; }
+  .legend { font-family: Arial, sans-serif; font-size: 11px; display: flex; flex-wrap: wrap; gap: 10px; }
+  .legend span.swatch { display: inline-block; width: 12px; height: 12px; border-radius: 2px; vertical-align: middle; margin-right: 4px; }
+  dl.facts { display: grid; grid-template-columns: max-content 1fr; gap: 2px 16px; font-family: Arial, sans-serif; font-size: 12px; margin: 0; }
+  dl.facts dt { color: #6b7280; }
+  dl.facts dd { margin: 0; font-weight: bold; }
+  ul.themes { list-style: none; padding: 0; margin: 0; display: flex; flex-wrap: wrap; gap: 6px; }
+  ul.themes li { font-family: Arial, sans-serif; font-size: 12px; border: 1px solid #93c5fd; background: #eff6ff; border-radius: 12px; padding: 2px 10px; }
+  ol.tasks { font-family: Arial, sans-serif; font-size: 13px; padding-left: 20px; }
+  ol.tasks li { margin-bottom: 10px; }
+  .answer-line { border-bottom: 1px solid #9ca3af; height: 26px; }
+  footer { margin-top: 32px; font-family: Arial, sans-serif; font-size: 10px; color: #9ca3af; text-align: center; }
+  @media print { body { padding: 0; } .no-print { display: none; } }
+`;
+
+/**
+ * Erzeugt einen vollständigen HTML-Bericht
+ *
+ * @param {Object} analysis - Analyse-Ergebnis aus textAnalyzer
+ * @param {Object} options - { template: 'worksheet'|'solution'|'brief', highlightMode: 'sentiment'|'pos', title, author }
+ * @returns {string} Eigenständiges HTML-Dokument
+ */
+export const generateReport = (analysis, options = {}) => {
+  if (!analysis?.text) {
+    throw new Error('Kein Analyse-Ergebnis für den Bericht');
+  }
+
+  const template = getReportTemplate(options.template);
+  const highlightMode = options.highlightMode === 'pos' ? 'pos' : 'sentiment';
+  const verses = detectVerses(analysis.text.normalized || analysis.text.original);
+  const title = options.title || verses[0]?.text || 'Gedichtanalyse';
+
+  const context = { analysis, template, highlightMode, verses };
+  const sections = template.sections
+    .map(section => SECTION_RENDERERS[section]?.(context))
+    .filter(Boolean);
+
+  return `<!DOCTYPE html>
+<html lang="de">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHTML(title)} – ${escapeHTML(template.label)}</title>
+<style>${REPORT_STYLES}</style>
+</head>
+<body>
+<header>
+  <h1>${escapeHTML(title)}</h1>
+  ${options.author ? `<div class="author">${escapeHTML(options.author)}</div>` : ''}
+  <div class="meta">${escapeHTML(template.label)} · ${new Date().toLocaleDateString('de-DE')}</div>
+</header>
+${sections.join('\n')}
+<footer>Erstellt mit Lyrik Analyse · Alle Analysen werden lokal im Browser durchgeführt</footer>
+</body>
+</html>`;
+};
+
+/**
+ * Liefert die Vorlage zu einer ID (Standard: Lehrer-Lösung)
+ *
+ * @param {string} templateId - Vorlagen-ID
+ * @returns {Object} Vorlage aus REPORT_TEMPLATES
+ */
+export const getReportTemplate = (templateId) => {
+  return Object.values(REPORT_TEMPLATES).find(t => t.id === templateId) || REPORT_TEMPLATES.SOLUTION;
+};
+
+/**
+ * Gedicht als Tabelle: Zeilennummer, Vers, Reimbuchstabe am Rand
+ * @private
+ */
+const renderPoem = ({ analysis, template, highlightMode, verses }) => {
+  const tokens = analysis.tokens?.all || [];
+  const rhymePattern = analysis.syntax?.rhymeScheme?.pattern || [];
+  const sentimentByPosition = new Map(
+    (analysis.sentiment?.words || []).map(w => [w.position, w.sentiment])
+  );
+
+  const rows = verses.map((verse, i) => {
+    const stanzaBreak = i > 0 && verses[i - 1].stanza !== verse.stanza
+      ? '<tr class="stanza-break"><td colspan="3"></td></tr>'
+      : '';
+
+    const verseTokens = tokens.filter(t => t.index >= verse.start && t.index < verse.end);
+    const content = template.annotatePoem && verseTokens.length > 0
+      ? renderAnnotatedVerse(verseTokens, highlightMode, sentimentByPosition)
+      : escapeHTML(verse.text);
+
+    let rhymeCell = '<td class="rhyme"></td>';
+    if (template.showRhymes && rhymePattern[verse.index]) {
+      rhymeCell = `<td class="rhyme">${escapeHTML(rhymePattern[verse.index].toLowerCase())}</td>`;
+    } else if (!template.showRhymes) {
+      rhymeCell = '<td class="rhyme blank"></td>';
+    }
+
+    const lineNo = (verse.index + 1) % 5 === 0 || verse.index === 0 ? verse.index + 1 : '';
+    return `${stanzaBreak}<tr><td class="line-no">${lineNo}</td><td class="verse">${content}</td>${rhymeCell}</tr>`;
+  });
+
+  return `<section class="poem-section">
+  <h2>Text</h2>
+  <table class="poem">${rows.join('')}</table>
+</section>`;
+};
+
+/**
+ * Vers mit farbig hinterlegten Wörtern (Sentiment oder Wortart)
+ * @private
+ */
+const renderAnnotatedVerse = (verseTokens, highlightMode, sentimentByPosition) => {
+  return verseTokens.map((token, i) => {
+    const previous = verseTokens[i - 1];
+    const space = previous && token.index > previous.index + previous.length ? ' ' : '';
+
+    if (token.isPunctuation) {
+      return `${space}${escapeHTML(token.text)}`;
+    }
+
+    let background = null;
+    let tooltip = token.posTag || '';
+    if (highlightMode === 'sentiment') {
+      const sentiment = sentimentByPosition.get(token.position);
+      if (sentiment && sentiment.score !== undefined) {
+        background = toRGBA(getSentimentRGB(sentiment.score), getColorIntensity(sentiment.confidence || 0.5));
+        tooltip = `${sentiment.label} (${sentiment.score.toFixed(2)})`;
+      }
+    } else if (token.posTag) {
+      background = getPOSHex(token.posTag);
+      tooltip = POS_TAGS[token.posTag]?.label || token.posTag;
+    }
+
+    const style = background ? ` style="background-color: ${background}"` : '';
+    return `${space}<span class="w"${style} title="${escapeHTML(tooltip)}">${escapeHTML(token.text)}</span>`;
+  }).join('');
+};
+
+/**
+ * Farblegende passend zum Hervorhebungsmodus
+ * @private
+ */
+const renderLegend = ({ analysis, highlightMode, template }) => {
+  if (!template.annotatePoem) return null;
+
+  let items;
+  if (highlightMode === 'sentiment') {
+    if (!analysis.sentiment?.words) return null;
+    items = [
+      ['Positiv', getSentimentRGB(0.8)],
+      ['Neutral', getSentimentRGB(0)],
+      ['Negativ', getSentimentRGB(-0.8)]
+    ];
+  } else {
+    const used = new Set((analysis.tokens?.words || []).map(t => t.posTag).filter(Boolean));
+    items = [...used].map(tag => [POS_TAGS[tag]?.label || tag, getPOSHex(tag)]);
+  }
+
+  return `<section>
+  <div class="legend">${items.map(([label, color]) =>
+    `<span><span class="swatch" style="background-color: ${color}"></span>${escapeHTML(label)}</span>`
+  ).join('')}</div>
+</section>`;
+};
+
+/**
+ * Zusammenfassung aus generateAdvancedSummary (Stimmung, Komplexität)
+ * @private
+ */
+const renderSummary = ({ analysis }) => {
+  const summary = analysis.summary;
+  if (!summary) return null;
+
+  const facts = [
+    ['Wörter', summary.basicStats?.wordCount],
+    ['Verschiedene Wörter', summary.basicStats?.uniqueWords],
+    ['Sätze', summary.basicStats?.sentenceCount],
+    ['Ø Wortlänge', summary.basicStats?.avgWordLength],
+    ['Gesamtstimmung', summary.sentiment
+      ? `${summary.sentiment.overall} (${(summary.sentiment.confidence * 100).toFixed(0)} %)`
+      : null],
+    ['Stimmungsverteilung', summary.sentiment?.distribution
+      ? `positiv ${summary.sentiment.distribution.positive} % · neutral ${summary.sentiment.distribution.neutral} % · negativ ${summary.sentiment.distribution.negative} %`
+      : null],
+    ['Komplexität', summary.complexity ? `${summary.complexity.level} (${summary.complexity.score}/100)` : null]
+  ];
+
+  return renderFactsSection('Zusammenfassung', facts);
+};
+
+/**
+ * Form und Stil: Reimschema, Metrum, Stilmittel
+ * @private
+ */
+const renderStyle = ({ analysis }) => {
+  const style = analysis.summary?.style;
+  if (!style) return null;
+
+  const devices = (style.stylisticDevices || [])
+    .map(d => `${d.label} (${d.count})`)
+    .join(', ');
+
+  const facts = [
+    ['Reimschema', `${style.rhymeScheme}${analysis.syntax?.rhymeScheme?.scheme ? ` – ${analysis.syntax.rhymeScheme.scheme.toLowerCase()}` : ''}`],
+    ['Metrum', style.meter],
+    ['Gedichtform', analysis.syntax?.form?.form?.explanation || style.form],
+    ['Tempus und Modus', style.tense ? `${style.tense}, ${style.mood}` : null],
+    ['Satzbau', style.syntacticComplexity],
+    ['Interpunktion', style.punctuationStyle],
+    ['Wiederholungen', style.repetitionsCount],
+    ['Parallelismen', style.parallelismsCount],
+    ['Stilmittel', devices || 'keine erkannt']
+  ];
+
+  return renderFactsSection('Form und Stil', facts);
+};
+
+/**
+ * Lesbarkeitswerte
+ * @private
+ */
+const renderReadability = ({ analysis }) => {
+  const readability = analysis.readability;
+  if (!readability) return null;
+
+  return renderFactsSection('Lesbarkeit', [
+    ['Einschätzung', readability.interpretation],
+    ['Flesch-Reading-Ease', readability.fleschReadingEase],
+    ['Wiener Sachtextformel', readability.wienerSachtextformel],
+    ['Lexikalische Dichte', readability.lexicalDensity !== undefined ? `${readability.lexicalDensity} %` : null]
+  ]);
+};
+
+/**
+ * Kernthemen (Schlüsselbegriffe)
+ * @private
+ */
+const renderThemes = ({ analysis }) => {
+  const themes = analysis.summary?.themes || [];
+  if (themes.length === 0) return null;
+
+  return `<section>
+  <h2>Kernthemen</h2>
+  <ul class="themes">${themes.map(t => `<li>${escapeHTML(t.phrase)}</li>`).join('')}</ul>
+</section>`;
+};
+
+/**
+ * Kennzahlen für den Kurzbericht
+ * @private
+ */
+const renderKeyFacts = ({ analysis, verses }) => {
+  const summary = analysis.summary || {};
+  const stanzaCount = new Set(verses.map(v => v.stanza)).size;
+
+  return renderFactsSection('Auf einen Blick', [
+    ['Umfang', `${stanzaCount} Strophe(n), ${verses.length} Verse, ${summary.basicStats?.wordCount ?? analysis.tokens?.words?.length ?? 0} Wörter`],
+    ['Reimschema', summary.style?.rhymeScheme],
+    ['Metrum', summary.style?.meter],
+    ['Gedichtform', summary.style?.form],
+    ['Stimmung', summary.sentiment?.overall],
+    ['Lesbarkeit', analysis.readability?.interpretation]
+  ]);
+};
+
+/**
+ * Arbeitsaufträge mit Antwortlinien für das Schüler-Arbeitsblatt
+ * @private
+ */
+const renderTasks = ({ verses }) => {
+  const stanzaCount = new Set(verses.map(v => v.stanza)).size;
+  const tasks = [
+    `Das Gedicht besteht aus ${stanzaCount} Strophe(n) mit insgesamt ${verses.length} Versen. Bestimme das Reimschema und trage die Reimbuchstaben rechts neben den Versen ein.`,
+    'Bestimme das Metrum der ersten Strophe. Markiere dazu die betonten Silben.',
+    'Untersuche die sprachlichen Mittel: Benenne mindestens drei Stilmittel mit Versangabe und erläutere ihre Wirkung.',
+    'Beschreibe die Stimmung des Gedichts und belege sie mit Wörtern aus dem Text.',
+    'Formuliere eine Deutungshypothese: Worum geht es in dem Gedicht?'
+  ];
+
+  return `<section>
+  <h2>Arbeitsaufträge</h2>
+  <ol class="tasks">${tasks.map(task =>
+    `<li>${escapeHTML(task)}<div class="answer-line"></div><div class="answer-line"></div></li>`
+  ).join('')}</ol>
+</section>`;
+};
+
+const SECTION_RENDERERS = {
+  poem: renderPoem,
+  legend: renderLegend,
+  summary: renderSummary,
+  style: renderStyle,
+  readability: renderReadability,
+  themes: renderThemes,
+  keyFacts: renderKeyFacts,
+  tasks: renderTasks
+};
+
+/**
+ * Abschnitt mit Begriff/Wert-Liste; leere Werte werden ausgelassen
+ * @private
+ */
+const renderFactsSection = (heading, facts) => {
+  const rows = facts
+    .filter(([, value]) => value !== null && value !== undefined && value !== '')
+    .map(([label, value]) => `<dt>${escapeHTML(label)}</dt><dd>${escapeHTML(value)}</dd>`);
+
+  if (rows.length === 0) return null;
+
+  return `<section>
+  <h2>${escapeHTML(heading)}</h2>
+  <dl class="facts">${rows.join('')}</dl>
+</section>`;
+};
+
+/**
+ * rgb(r, g, b) -> rgba(r, g, b, a)
+ * @private
+ */
+const toRGBA = (rgb, alpha) => rgb.replace(/^rgb\((.*)\)$/, `rgba($1, ${alpha.toFixed(2)})`);
+
+/**
+ * Maskiert HTML-Sonderzeichen
+ * @private
+ */
+const escapeHTML = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+export default {
+  generateReport,
+  getReportTemplate
+};
@@ -1,5 +1,6 @@
 import { getModel } from './modelLoader';
 import { ANALYSIS_CONFIG, FEATURES } from '../utils/constants';
+import { throwIfAborted, isCancellationError } from '../utils/errors';
 
 /**
  * Führt semantische Analyse durch
@@ -7,9 +8,10 @@ import { ANALYSIS_CONFIG, FEATURES } from '../utils/constants';
  * 
  * @param {string} text - Input Text
  * @param {Array} tokens - Token-Array
+ * @param {AbortSignal} signal - Optionales Signal zum Abbrechen
  * @returns {Promise<Object>} Semantische Analyse
  */
-export const analyzeSemantics = async (text, tokens) => {
+export const analyzeSemantics = async (text, tokens, signal = null) => {
   try {
     const model = getModel('EMBEDDINGS');
     if (!model) {
@@ -29,7 +31,9 @@ export const analyzeSemantics = async (text, tokens) => {
     const textEmbedding = await generateTextEmbedding(text, model);
     
     // 2. Generiere Word-Embeddings
-    const wordEmbeddings = await generateWordEmbeddings(tokens, model);
+    throwIfAborted(signal);
+    const wordEmbeddings = await generateWordEmbeddings(tokens, model, signal);
+    throwIfAborted(signal);
     
     // 3. Berechne semantische Ähnlichkeiten
     const similarities = calculateSemanticSimilarities(wordEmbeddings);
@@ -59,6 +63,7 @@ export const analyzeSemantics = async (text, tokens) => {
       thematicDevelopment
     };
   } catch (error) {
+    if (isCancellationError(error)) throw error;
     console.error('Semantische Analyse Fehler:', error);
     return {
       textEmbedding: null,
@@ -97,9 +102,10 @@ const generateTextEmbedding = async (text, model) => {
 
 /**
  * Generiert Embeddings für einzelne Wörter
+ * Prüft das AbortSignal vor jedem Batch
  * @private
  */
-const generateWordEmbeddings = async (tokens, model) => {
+const generateWordEmbeddings = async (tokens, model, signal = null) => {
   const wordTokens = tokens.filter(t => 
     !t.isPunctuation && 
     t.text.length >= ANALYSIS_CONFIG.TEXT.MIN_WORD_LENGTH
@@ -109,6 +115,7 @@ const generateWordEmbeddings = async (tokens, model) => {
   const batchSize = ANALYSIS_CONFIG.PROCESSING.BATCH_SIZE;
   
   for (let i = 0; i < wordTokens.length; i += batchSize) {
+    throwIfAborted(signal);
     const batch = wordTokens.slice(i, i + batchSize);
     const batchTexts = batch.map(t => t.text);
     
@@ -135,6 +142,7 @@ const generateWordEmbeddings = async (tokens, model) => {
           embeddings.push({
             token: batch[j],
             word: batch[j].text,
+            lemma: batch[j].lemma,
             embedding: batchResults[j],
             position: batch[j].position,
             posTag: batch[j].posTag,
@@ -154,7 +162,7 @@ const generateWordEmbeddings = async (tokens, model) => {
  * Berechnet Cosinus-Ähnlichkeit zwischen zwei Vektoren
  * @private
  */
-const cosineSimilarity = (vec1, vec2) => {
+export const cosineSimilarity = (vec1, vec2) => {
   if (!vec1 || !vec2 || vec1.length !== vec2.length || vec1.length === 0) {
     return 0;
   }
@@ -345,7 +353,7 @@ const calculateClusterCoherence = (embeddings) => {
 
 /**
  * Extrahiert Schlüsselphrasen
- * Basiert auf Zentralität im semantischen Raum
+ * Basiert auf Zentralität im semantischen Raum, Flexionsformen werden per Lemma zusammengefasst
  * @private
  */
 const extractKeyPhrases = (wordEmbeddings, textEmbedding, tokens) => {
@@ -355,6 +363,7 @@ const extractKeyPhrases = (wordEmbeddings, textEmbedding, tokens) => {
   // Berechne Zentralität jedes Wortes (Ähnlichkeit zum Text-Embedding)
   const centralities = wordEmbeddings.map(we => ({
     word: we.word,
+    lemma: we.lemma || we.word,
     position: we.position,
     posTag: we.posTag,
     entityType: we.entityType,
@@ -362,8 +371,23 @@ const extractKeyPhrases = (wordEmbeddings, textEmbedding, tokens) => {
     isContentWord: ['NOUN', 'VERB', 'ADJ', 'ADV'].includes(we.posTag)
   }));
   
+  // Fasse Formen desselben Lemmas zusammen (zentralste Form bleibt Repräsentant)
+  const byLemma = new Map();
+  for (const c of centralities) {
+    const key = c.lemma.toLowerCase();
+    const existing = byLemma.get(key);
+    if (!existing) {
+      byLemma.set(key, { ...c, occurrences: 1 });
+    } else {
+      existing.occurrences++;
+      if (c.centrality > existing.centrality) {
+        byLemma.set(key, { ...c, occurrences: existing.occurrences });
+      }
+    }
+  }
+  
   // Sortiere nach Zentralität
-  const sortedByRelevance = centralities
+  const sortedByRelevance = Array.from(byLemma.values())
     .sort((a, b) => b.centrality - a.centrality);
   
   // Bevorzuge Content Words
@@ -376,6 +400,8 @@ const extractKeyPhrases = (wordEmbeddings, textEmbedding, tokens) => {
     ...otherWords.slice(0, 2)
   ].map(c => ({
     phrase: c.word,
+    lemma: c.lemma,
+    occurrences: c.occurrences,
     type: c.isContentWord ? 'content-word' : 'function-word',
     importance: parseFloat(c.centrality.toFixed(3)),
     position: c.position,
@@ -415,6 +441,7 @@ const extractMultiWordPhrases = (keyWords, tokens) => {
       
       phrases.push({
         phrase: `${current.text} ${next.text}`,
+        lemma: `${current.lemma || current.text} ${next.lemma || next.text}`,
         type: 'multi-word',
         importance: avgImportance,
         position: current.position,
@@ -1,5 +1,8 @@
 import { getModel } from './modelLoader';
 import { ANALYSIS_CONFIG, SENTIMENT_LABELS } from '../utils/constants';
+import { throwIfAborted, isCancellationError } from '../utils/errors';
+import { getSentimentLabel } from '../utils/colorMapping';
+import { composeWordSentiment, getModifierType } from './compositionalSentiment';
 
 /**
  * Analysiert Sentiment für gesamten Text
@@ -15,18 +18,19 @@ export const analyzeSentiment = async (text) => {
       throw new Error('Sentiment Model nicht geladen');
     }
 
-    const results = await model(text);
-    const result = Array.isArray(results) ? results[0] : results;
+    // Vollständige Label-Verteilung anfordern
+    const results = await model(text, { topk: 0 });
     
     // Normalisiere Labels und Scores
-    const { label, score } = normalizeSentiment(result);
+    const { label, score, confidence, rawLabel, distribution } = normalizeSentiment(results);
     
     return {
       label,
       score,
-      confidence: result.score,
-      rawLabel: result.label,
-      rawScore: result.score
+      confidence,
+      rawLabel,
+      rawScore: confidence,
+      distribution
     };
   } catch (error) {
     console.error('Sentiment-Analyse Fehler:', error);
@@ -39,9 +43,10 @@ export const analyzeSentiment = async (text) => {
  * Nutzt Modell-basierte Analyse ohne Heuristiken
  * 
  * @param {Array} sentences - Array von Sätzen
+ * @param {AbortSignal} signal - Optionales Signal zum Abbrechen (geprüft zwischen Batches)
  * @returns {Promise<Array>} Array von Sentiment-Analysen
  */
-export const analyzeSentenceSentiment = async (sentences) => {
+export const analyzeSentenceSentiment = async (sentences, signal = null) => {
   try {
     const model = getModel('SENTIMENT');
     if (!model) {
@@ -52,29 +57,23 @@ export const analyzeSentenceSentiment = async (sentences) => {
     const results = [];
     
     for (let i = 0; i < sentences.length; i += batchSize) {
+      throwIfAborted(signal);
       const batch = sentences.slice(i, i + batchSize);
       const texts = batch.map(s => s.text);
       
-      const batchResults = await model(texts);
+      const batchResults = await model(texts, { topk: 0 });
       
       for (let j = 0; j < batch.length; j++) {
-        const modelResult = Array.isArray(batchResults[j]) ? batchResults[j][0] : batchResults[j];
-        const { label, score } = normalizeSentiment(modelResult);
-        
         results.push({
           ...batch[j],
-          sentiment: {
-            label,
-            score,
-            confidence: modelResult.score,
-            rawLabel: modelResult.label
-          }
+          sentiment: normalizeSentiment(batchResults[j])
         });
       }
     }
 
     return results;
   } catch (error) {
+    if (isCancellationError(error)) throw error;
     console.error('Satz-Sentiment-Analyse Fehler:', error);
     throw error;
   }
@@ -82,13 +81,16 @@ export const analyzeSentenceSentiment = async (sentences) => {
 
 /**
  * Analysiert Sentiment für jedes Wort mit Kontext
- * Verwendet Sliding-Window-Ansatz für kontextuelle Analyse
+ * Verwendet Sliding-Window-Ansatz für kontextuelle Analyse; Negationen und Verstärker
+ * werden aus dem Fenster entfernt und danach kompositionell angewendet
  * 
  * @param {string} text - Vollständiger Text
  * @param {Array} tokens - Token-Array (aus Preprocessing)
+ * @param {AbortSignal} signal - Optionales Signal zum Abbrechen (geprüft zwischen Batches)
+ * @param {Array} dependencies - Optionale Dependency-Analyse für den Negations-Skopus
  * @returns {Promise<Array>} Array von Word-Sentiments
  */
-export const analyzeWordSentiment = async (text, tokens) => {
+export const analyzeWordSentiment = async (text, tokens, signal = null, dependencies = null) => {
   try {
     const model = getModel('SENTIMENT');
     if (!model) {
@@ -103,6 +105,7 @@ export const analyzeWordSentiment = async (text, tokens) => {
     const batchSize = ANALYSIS_CONFIG.PROCESSING.BATCH_SIZE;
     
     for (let i = 0; i < wordTokens.length; i += batchSize) {
+      throwIfAborted(signal);
       const batch = wordTokens.slice(i, i + batchSize);
       const contextTexts = [];
       
@@ -111,26 +114,25 @@ export const analyzeWordSentiment = async (text, tokens) => {
         
         const contextStart = Math.max(0, tokenIndex - contextWindow);
         const contextEnd = Math.min(tokens.length, tokenIndex + contextWindow + 1);
-        const contextTokens = tokens.slice(contextStart, contextEnd);
+        const contextTokens = tokens
+          .slice(contextStart, contextEnd)
+          .filter(t => t.position === token.position || !getModifierType(t.text));
         const contextText = contextTokens.map(t => t.text).join(' ');
         
         contextTexts.push(contextText);
       }
       
-      const batchResults = await model(contextTexts);
+      const batchResults = await model(contextTexts, { topk: 0 });
       
       for (let j = 0; j < batch.length; j++) {
-        const modelResult = Array.isArray(batchResults[j]) ? batchResults[j][0] : batchResults[j];
-        const { label, score } = normalizeSentiment(modelResult);
+        const base = normalizeSentiment(batchResults[j]);
         
         wordSentiments.push({
           ...batch[j],
           sentiment: {
-            label,
-            score,
-            confidence: modelResult.score,
-            contextual: true,
-            rawLabel: modelResult.label
+            ...base,
+            baseScore: base.score,
+            contextual: true
           }
         });
       }
@@ -144,8 +146,9 @@ export const analyzeWordSentiment = async (text, tokens) => {
       return wordSentiment || { ...token, sentiment: null };
     });
     
-    return allTokens;
+    return composeWordSentiment(allTokens, dependencies);
   } catch (error) {
+    if (isCancellationError(error)) throw error;
     console.error('Wort-Sentiment-Analyse Fehler:', error);
     throw error;
   }
@@ -358,59 +361,73 @@ export const analyzeSentimentShifts = (sentiments) => {
 
 /**
  * Normalisiert Sentiment-Result aus verschiedenen Modellen
- * Konvertiert Star-Ratings und verschiedene Label-Formate
+ * Nutzt die vollständige Label-Verteilung (topk: 0): Score = Erwartungswert der Label-Polaritäten,
+ * z.B. Star-Ratings 1-5 → -1, -0.5, 0, 0.5, 1. Einzelne Labels werden wie eine Verteilung behandelt.
  * 
  * @private
  */
 const normalizeSentiment = (result) => {
-  if (!result || !result.label) {
+  const labelScores = (Array.isArray(result) ? result : [result])
+    .filter(item => item && item.label);
+
+  if (labelScores.length === 0) {
     return {
       label: SENTIMENT_LABELS.NEUTRAL.label,
-      score: 0
+      score: 0,
+      confidence: 0,
+      rawLabel: null,
+      distribution: {}
     };
   }
 
-  const label = result.label.toLowerCase();
-  const modelScore = result.score || 0;
-  
+  const top = labelScores.reduce((best, item) => (item.score > best.score ? item : best));
+  const known = labelScores
+    .map(item => ({ ...item, value: getLabelPolarity(item.label) }))
+    .filter(item => item.value !== null);
+
+  let score = 0;
+  if (known.length === 1 && labelScores.length === 1) {
+    // Nur Top-Label bekannt: Polarität mit Modell-Konfidenz gewichten
+    score = known[0].value * (known[0].score || 0);
+  } else if (known.length > 0) {
+    const total = known.reduce((sum, item) => sum + item.score, 0) || 1;
+    score = known.reduce((sum, item) => sum + item.value * item.score, 0) / total;
+  }
+
+  score = parseFloat(score.toFixed(3));
+
+  return {
+    label: getSentimentLabel(score),
+    score,
+    confidence: top.score,
+    rawLabel: top.label,
+    distribution: labelScores.reduce((dist, item) => ({ ...dist, [item.label]: parseFloat(item.score.toFixed(4)) }), {})
+  };
+};
+
+/**
+ * Polarität eines Modell-Labels (-1 bis 1), null wenn unbekannt
+ * @private
+ */
+const getLabelPolarity = (rawLabel) => {
+  const label = rawLabel.toLowerCase();
+
   // Star-Rating System (1-5 Sterne)
-  if (label.includes('star')) {
-    if (label.includes('5 stars') || label.includes('5 star')) {
-      return { label: SENTIMENT_LABELS.POSITIVE.label, score: 0.9 };
-    }
-    if (label.includes('4 stars') || label.includes('4 star')) {
-      return { label: SENTIMENT_LABELS.POSITIVE.label, score: 0.6 };
-    }
-    if (label.includes('3 stars') || label.includes('3 star')) {
-      return { label: SENTIMENT_LABELS.NEUTRAL.label, score: 0 };
-    }
-    if (label.includes('2 stars') || label.includes('2 star')) {
-      return { label: SENTIMENT_LABELS.NEGATIVE.label, score: -0.6 };
-    }
-    if (label.includes('1 star')) {
-      return { label: SENTIMENT_LABELS.NEGATIVE.label, score: -0.9 };
-    }
+  const stars = label.match(/^([1-5])\s*stars?$/);
+  if (stars) {
+    return (parseInt(stars[1], 10) - 3) / 2;
   }
-  
+
   // Direkte Label-Matches
   const positiveLabels = ['positive', 'positiv', 'pos', 'good', 'great'];
   const negativeLabels = ['negative', 'negativ', 'neg', 'bad', 'poor'];
   const neutralLabels = ['neutral', 'mixed'];
-  
-  if (positiveLabels.some(l => label.includes(l))) {
-    // Score bleibt positiv
-    return { label: SENTIMENT_LABELS.POSITIVE.label, score: Math.abs(modelScore) };
-  }
-  if (negativeLabels.some(l => label.includes(l))) {
-    // Score wird negativ
-    return { label: SENTIMENT_LABELS.NEGATIVE.label, score: -Math.abs(modelScore) };
-  }
-  if (neutralLabels.some(l => label.includes(l))) {
-    return { label: SENTIMENT_LABELS.NEUTRAL.label, score: 0 };
-  }
-  
-  // Fallback
-  return { label: SENTIMENT_LABELS.NEUTRAL.label, score: 0 };
+
+  if (negativeLabels.some(l => label.includes(l))) return -1;
+  if (positiveLabels.some(l => label.includes(l))) return 1;
+  if (neutralLabels.some(l => label.includes(l))) return 0;
+
+  return null;
 };
 
 /**
@@ -0,0 +1,310 @@
+import { detectVerses } from '../utils/textPreprocessing';
+import { findEmotionalPeaks } from './sentimentAnalysis';
+
+/**
+ * Sentiment-Verlauf (Arc) über Verse und Sätze
+ * Glättung per gleitendem Mittelwert und LOESS, Strophengrenzen, emotionale Spitzen,
+ * Wendepunkte und Volta-Erkennung (Umschwung der Stimmung, z.B. zwischen Oktett und Sextett).
+ */
+
+// Mindest-Amplitude, ab der ein lokales Extremum als Wendepunkt gilt
+const TURNING_POINT_THRESHOLD = 0.15;
+
+// Mindest-Stimmungsumschwung für eine Volta außerhalb von Sonetten
+const VOLTA_THRESHOLD = 0.3;
+
+/**
+ * Erstellt den Sentiment-Verlauf eines Analyse-Ergebnisses
+ * x-Achse: Versnummer (Sätze liegen anteilig zwischen den Versen)
+ *
+ * @param {Object} analysis - Analyse-Ergebnis aus textAnalyzer
+ * @param {Object} options - { windowSize, span }
+ * @returns {Object|null} Verlauf oder null ohne Sentiment-Daten
+ */
+export const buildSentimentArc = (analysis, options = {}) => {
+  const { windowSize = 3, span = 0.4 } = options;
+  const sentiment = analysis?.sentiment;
+  if (!sentiment) return null;
+
+  const verses = detectVerses(analysis.text?.normalized || analysis.text?.original || '');
+  if (verses.length === 0) return null;
+
+  const wordSentiments = (sentiment.words || []).filter(w => w.sentiment && typeof w.sentiment.score === 'number');
+  const sentenceSentiments = (sentiment.sentences || []).filter(s => s.sentiment && typeof s.sentiment.score === 'number');
+
+  const sentencePoints = sentenceSentiments.map((s, i) => ({
+    index: i,
+    text: s.text,
+    x: toVerseAxis(verses, s.start ?? s.index ?? 0),
+    verseIndex: findVerseIndex(verses, s.start ?? s.index ?? 0),
+    score: s.sentiment.score,
+    label: s.sentiment.label,
+    attribution: s.attribution || null
+  }));
+
+  const versePoints = verses.map(verse => {
+    const words = wordSentiments.filter(w => w.index >= verse.start && w.index < verse.end);
+    const scores = words.length > 0
+      ? words.map(w => w.sentiment.score)
+      : sentencePoints.filter(s => s.verseIndex === verse.index).map(s => s.score);
+
+    return {
+      index: verse.index,
+      stanza: verse.stanza,
+      text: verse.text,
+      x: verse.index,
+      score: scores.length > 0 ? mean(scores) : null
+    };
+  });
+
+  const scored = versePoints.filter(v => v.score !== null);
+  if (scored.length === 0 && sentencePoints.length === 0) return null;
+
+  const verseScores = scored.map(v => v.score);
+  const verseX = scored.map(v => v.x);
+  const smoothedVerses = smoothSeries(verseX, verseScores, windowSize, span);
+
+  const smoothedSentences = smoothSeries(
+    sentencePoints.map(s => s.x),
+    sentencePoints.map(s => s.score),
+    windowSize,
+    span
+  );
+
+  const peaks = findEmotionalPeaks(wordSentiments).map(peak => {
+    const token = wordSentiments.find(w => w.position === peak.position);
+    const verseIndex = token ? findVerseIndex(verses, token.index) : -1;
+    return { ...peak, verseIndex, x: verseIndex };
+  }).filter(p => p.verseIndex >= 0);
+
+  return {
+    verses: versePoints.map(v => ({ ...v, score: v.score === null ? null : round(v.score) })),
+    sentences: sentencePoints.map(s => ({ ...s, score: round(s.score) })),
+    smoothed: {
+      verses: smoothedVerses,
+      sentences: smoothedSentences
+    },
+    stanzaBoundaries: verses.filter((v, i) => i > 0 && v.stanza !== verses[i - 1].stanza).map(v => v.index),
+    peaks,
+    turningPoints: findTurningPoints(smoothedVerses.map(p => ({ x: p.x, y: p.loess }))),
+    volta: detectVolta(verses, scored)
+  };
+};
+
+/**
+ * Gleitender Mittelwert (zentriertes Fenster, am Rand verkürzt)
+ *
+ * @param {Array<number>} values - Werte
+ * @param {number} windowSize - Fenstergröße (ungerade empfohlen)
+ * @returns {Array<number>} Geglättete Werte
+ */
+export const movingAverage = (values, windowSize = 3) => {
+  const half = Math.floor(windowSize / 2);
+  return values.map((_, i) => {
+    const window = values.slice(Math.max(0, i - half), Math.min(values.length, i + half + 1));
+    return mean(window);
+  });
+};
+
+/**
+ * LOESS-Glättung (lokal gewichtete lineare Regression mit Tricube-Gewichten)
+ *
+ * @param {Array<number>} xs - x-Werte (aufsteigend)
+ * @param {Array<number>} ys - y-Werte
+ * @param {number} span - Anteil der Punkte pro lokaler Regression (0-1)
+ * @returns {Array<number>} Geglättete y-Werte
+ */
+export const loess = (xs, ys, span = 0.4) => {
+  const n = xs.length;
+  if (n < 3) return [...ys];
+
+  const neighbours = Math.min(n, Math.max(3, Math.ceil(span * n)));
+
+  return xs.map(x0 => {
+    const distances = xs.map(x => Math.abs(x - x0));
+    const maxDistance = [...distances].sort((a, b) => a - b)[neighbours - 1] || 1;
+
+    let sumW = 0;
+    let sumWX = 0;
+    let sumWY = 0;
+    let sumWXX = 0;
+    let sumWXY = 0;
+    for (let i = 0; i < n; i++) {
+      const u = distances[i] / (maxDistance * 1.0001);
+      if (u >= 1) continue;
+      const w = (1 - u ** 3) ** 3;
+      sumW += w;
+      sumWX += w * xs[i];
+      sumWY += w * ys[i];
+      sumWXX += w * xs[i] * xs[i];
+      sumWXY += w * xs[i] * ys[i];
+    }
+
+    if (sumW === 0) return ys[xs.indexOf(x0)];
+
+    const denominator = sumW * sumWXX - sumWX * sumWX;
+    if (Math.abs(denominator) < 1e-12) return sumWY / sumW;
+
+    const slope = (sumW * sumWXY - sumWX * sumWY) / denominator;
+    const intercept = (sumWY - slope * sumWX) / sumW;
+    return intercept + slope * x0;
+  });
+};
+
+/**
+ * Glättet eine Reihe mit beiden Verfahren
+ * @private
+ */
+const smoothSeries = (xs, ys, windowSize, span) => {
+  const averaged = movingAverage(ys, windowSize);
+  const loessed = loess(xs, ys, span);
+  return xs.map((x, i) => ({ x, movingAverage: round(averaged[i]), loess: round(loessed[i]) }));
+};
+
+/**
+ * Lokale Extrema und Vorzeichenwechsel der geglätteten Kurve
+ * @private
+ */
+const findTurningPoints = (points) => {
+  const turningPoints = [];
+
+  for (let i = 1; i < points.length - 1; i++) {
+    const previous = points[i - 1].y;
+    const current = points[i].y;
+    const next = points[i + 1].y;
+
+    const isMax = current > previous && current >= next;
+    const isMin = current < previous && current <= next;
+    const amplitude = Math.min(Math.abs(current - previous), Math.abs(current - next));
+
+    if ((isMax || isMin) && amplitude >= TURNING_POINT_THRESHOLD / 4) {
+      // Amplitude gegenüber dem letzten Wendepunkt bzw. Kurvenanfang prüfen
+      const reference = turningPoints.length > 0 ? turningPoints[turningPoints.length - 1].y : points[0].y;
+      if (Math.abs(current - reference) >= TURNING_POINT_THRESHOLD) {
+        turningPoints.push({ verseIndex: points[i].x, x: points[i].x, y: round(current), type: isMax ? 'maximum' : 'minimum' });
+      }
+    }
+  }
+
+  // Vorzeichenwechsel: Stimmung kippt zwischen zwei Versen
+  const signChanges = [];
+  for (let i = 0; i < points.length - 1; i++) {
+    const current = points[i].y;
+    const next = points[i + 1].y;
+    if (current !== 0 && next !== 0 && Math.sign(current) !== Math.sign(next)) {
+      signChanges.push({
+        verseIndex: points[i + 1].x,
+        x: (points[i].x + points[i + 1].x) / 2,
+        y: 0,
+        type: next > 0 ? 'toPositive' : 'toNegative'
+      });
+    }
+  }
+
+  return [...turningPoints, ...signChanges].sort((a, b) => a.x - b.x);
+};
+
+/**
+ * Sucht den stärksten Stimmungsumschwung (Änderungspunkt der Mittelwerte)
+ * Bei Sonetten wird zusätzlich die erwartete Volta-Position geprüft. Liegt der Umschwung
+ * unter VOLTA_THRESHOLD, meldet ein Sonett nur den Wert an der erwarteten Position (detected: false).
+ * @private
+ */
+const detectVolta = (verses, scored) => {
+  if (scored.length < 4) return null;
+
+  let best = null;
+  for (let k = 2; k <= scored.length - 2; k++) {
+    const before = mean(scored.slice(0, k).map(v => v.score));
+    const after = mean(scored.slice(k).map(v => v.score));
+    const shift = after - before;
+    if (!best || Math.abs(shift) > Math.abs(best.shift)) {
+      best = { verseIndex: scored[k].index, shift, before, after };
+    }
+  }
+
+  const expectedVerseIndex = expectedVoltaPosition(verses);
+  const isSonnet = expectedVerseIndex !== null;
+
+  const detected = Math.abs(best.shift) >= VOLTA_THRESHOLD;
+  if (!isSonnet && !detected) return null;
+
+  let expected = null;
+  if (isSonnet) {
+    const before = scored.filter(v => v.index < expectedVerseIndex).map(v => v.score);
+    const after = scored.filter(v => v.index >= expectedVerseIndex).map(v => v.score);
+    if (before.length > 0 && after.length > 0) {
+      expected = { verseIndex: expectedVerseIndex, shift: round(mean(after) - mean(before)) };
+    }
+  }
+
+  if (!detected) {
+    return expected ? { detected, isSonnet, expected, atExpectedPosition: false } : null;
+  }
+
+  return {
+    detected,
+    verseIndex: best.verseIndex,
+    shift: round(best.shift),
+    before: round(best.before),
+    after: round(best.after),
+    direction: best.shift > 0 ? 'positiv' : 'negativ',
+    isSonnet,
+    expected,
+    atExpectedPosition: isSonnet && Math.abs(best.verseIndex - expectedVerseIndex) <= 1
+  };
+};
+
+/**
+ * Erwartete Volta bei 14-zeiligen Gedichten:
+ * 4-4-3-3 (Petrarca) → Beginn des Sextetts, 4-4-4-2 bzw. ungegliedert (Shakespeare) → Couplet
+ * @private
+ */
+const expectedVoltaPosition = (verses) => {
+  if (verses.length !== 14) return null;
+
+  const stanzaSizes = [];
+  verses.forEach(v => {
+    stanzaSizes[v.stanza] = (stanzaSizes[v.stanza] || 0) + 1;
+  });
+  const shape = stanzaSizes.join('-');
+
+  if (shape === '4-4-3-3' || shape === '8-6') return 8;
+  if (shape === '4-4-4-2' || shape === '12-2' || shape === '14') return 12;
+  return null;
+};
+
+/**
+ * Position eines Zeichen-Offsets auf der Vers-Achse (Vers + Anteil innerhalb des Verses)
+ * @private
+ */
+const toVerseAxis = (verses, offset) => {
+  const verseIndex = findVerseIndex(verses, offset);
+  const verse = verses[verseIndex];
+  if (!verse) return 0;
+  const fraction = Math.min(1, Math.max(0, (offset - verse.start) / Math.max(1, verse.end - verse.start)));
+  return round(verse.index + fraction);
+};
+
+/**
+ * Vers, der einen Zeichen-Offset enthält (oder der letzte Vers davor)
+ * @private
+ */
+const findVerseIndex = (verses, offset) => {
+  let found = 0;
+  for (const verse of verses) {
+    if (verse.start <= offset) found = verse.index;
+    else break;
+  }
+  return found;
+};
+
+const mean = (values) => values.reduce((a, b) => a + b, 0) / values.length;
+
+const round = (value) => parseFloat(value.toFixed(3));
+
+export default {
+  buildSentimentArc,
+  movingAverage,
+  loess
+};
@@ -0,0 +1,348 @@
+import { SOUND_PATTERNS } from '../utils/constants';
+import { detectVerses } from '../utils/textPreprocessing';
+import { graphemeToPhoneme, getOnset, getRhymeSuffix } from './phoneticAnalysis';
+import { isContentToken } from './stylisticAnalysis';
+
+/**
+ * Klanganalyse (phonologische Ebene)
+ * Transkribiert jedes Wort per G2P und sucht Alliterationsketten, Assonanzen, Konsonanzen
+ * und Binnenreime innerhalb eines Verses und zwischen benachbarten Versen einer Strophe.
+ * Dazu die Verteilung heller und dunkler Vokale pro Strophe.
+ */
+
+// Satzzeichen, die eine Alliterationskette unterbrechen
+const BREAKING_PUNCT = /^[.!?;:…]$/;
+
+// Mindestlänge einer Alliterationskette (versübergreifend strenger)
+const MIN_ALLITERATION = 2;
+const MIN_ALLITERATION_ACROSS = 3;
+
+// Mindestanzahl gleicher Laute in einem Vers bzw. je Vers eines Verspaares
+const MIN_ECHO_IN_VERSE = 3;
+const MIN_ECHO_PER_VERSE_ACROSS = 2;
+
+const VOWEL = /^(?:aɪ|aʊ|ɔʏ|[aeiouyɛɪɔʊœøʏ]ː?)$/;
+const SCHWA = /^[əɐ]$/;
+
+// Vokalfarbe: hell (vorne) und dunkel (hinten)
+const LIGHT_VOWELS = /^(?:[ieɛyʏøœɪ]ː?|aɪ)$/;
+const DARK_VOWELS = /^(?:[aoɔuʊ]ː?|aʊ)$/;
+
+// Ab diesem Anteil gilt eine Strophe als hell bzw. dunkel getönt
+const COLOUR_DOMINANCE = 0.6;
+
+// Priorität für die Hervorhebung, wenn ein Wort zu mehreren Mustern gehört
+const PATTERN_PRIORITY = ['INTERNAL_RHYME', 'ALLITERATION', 'ASSONANCE', 'CONSONANCE'];
+
+/**
+ * Analysiert die Klangmuster eines Textes
+ *
+ * @param {Array} tokens - Annotierte Tokens (mit posTag, index)
+ * @param {string} text - Normalisierter Text (für die Vers-Erkennung)
+ * @returns {Object} { words, patterns, counts, vowelColour }
+ */
+export const analyzeSound = (tokens, text) => {
+  try {
+    const verses = detectVerses(text || '');
+    const words = tokens
+      .filter(token => !token.isPunctuation)
+      .map(token => transcribeWord(token, verses));
+
+    const patterns = [
+      ...findAlliterations(tokens, words),
+      ...findEchoes(words, verses, 'ASSONANCE', w => w.vowel),
+      ...findEchoes(words, verses, 'CONSONANCE', w => w.coda),
+      ...findInternalRhymes(words, verses)
+    ].map((pattern, id) => ({ id, ...pattern }));
+
+    const annotated = words.map(word => {
+      const memberships = patterns.filter(p => p.positions.includes(word.position));
+      const types = PATTERN_PRIORITY.filter(type => memberships.some(p => p.type === type));
+      return {
+        ...word,
+        patterns: memberships.map(p => p.id),
+        dominant: types[0] || null
+      };
+    });
+
+    const counts = Object.keys(SOUND_PATTERNS).reduce((result, type) => ({
+      ...result,
+      [type]: patterns.filter(p => p.type === type).length
+    }), {});
+
+    return {
+      words: annotated,
+      patterns,
+      counts,
+      vowelColour: analyzeVowelColour(words, verses)
+    };
+  } catch (error) {
+    console.error('Klanganalyse Fehler:', error);
+    throw error;
+  }
+};
+
+/**
+ * Transkribiert ein Wort und bestimmt Anlaut, betonten Vokal und Konsonanten danach
+ * @private
+ */
+const transcribeWord = (token, verses) => {
+  const transcription = graphemeToPhoneme(token.text, token.posTag);
+  const verse = verses.find(v => token.index >= v.start && token.index < v.end) || null;
+
+  const flat = transcription.syllables.flatMap(syllable =>
+    syllable.phonemes.map(symbol => ({ symbol, stress: syllable.stress }))
+  );
+
+  // Betonter Vokal: Hauptakzent, sonst erster Vollvokal (Einsilbler sind 'ambiguous')
+  let vowelIndex = flat.findIndex(p => p.stress === 'strong' && VOWEL.test(p.symbol));
+  if (vowelIndex === -1) vowelIndex = flat.findIndex(p => VOWEL.test(p.symbol));
+
+  const coda = [];
+  for (let i = vowelIndex + 1; vowelIndex >= 0 && i < flat.length; i++) {
+    if (VOWEL.test(flat[i].symbol) || SCHWA.test(flat[i].symbol)) break;
+    coda.push(flat[i].symbol);
+  }
+
+  // Vokale der (neben-)betonten Silben für die Vokalfarbe
+  const fullVowels = flat
+    .filter(p => p.stress !== 'weak' && VOWEL.test(p.symbol))
+    .map(p => p.symbol);
+
+  return {
+    position: token.position,
+    index: token.index,
+    text: token.text,
+    ipa: transcription.ipa,
+    onset: getOnset(token.text),
+    vowel: vowelIndex >= 0 ? stripLength(flat[vowelIndex].symbol) : null,
+    coda: coda.join('') || null,
+    vowels: fullVowels,
+    colour: vowelIndex >= 0 ? vowelColour(flat[vowelIndex].symbol) : null,
+    verseIndex: verse ? verse.index : null,
+    stanza: verse ? verse.stanza : null,
+    isContent: isContentToken(token)
+  };
+};
+
+/**
+ * Alliterationsketten: Inhaltswörter mit gleichem Anlaut, höchstens ein Funktionswort dazwischen
+ * Ketten dürfen über das Versende laufen, nicht aber über die Strophengrenze.
+ * @private
+ */
+const findAlliterations = (tokens, words) => {
+  const results = [];
+  const byPosition = new Map(words.map(w => [w.position, w]));
+  let chain = [];
+  let gap = 0;
+
+  const closeChain = () => {
+    const verseSpan = [...new Set(chain.map(w => w.verseIndex))];
+    const minimum = verseSpan.length > 1 ? MIN_ALLITERATION_ACROSS : MIN_ALLITERATION;
+    if (chain.length >= minimum) {
+      const onset = chain[0].onset === 'V' ? 'Vokal' : `/${chain[0].onset}/`;
+      results.push(createPattern('ALLITERATION', chain, onset,
+        `${chain.length} Wörter mit Anlaut ${onset}: ${chain.map(w => w.text).join(', ')}`));
+    }
+    chain = [];
+    gap = 0;
+  };
+
+  tokens.forEach(token => {
+    if (token.isPunctuation) {
+      if (BREAKING_PUNCT.test(token.text)) closeChain();
+      return;
+    }
+
+    const word = byPosition.get(token.position);
+    if (!word) return;
+
+    if (chain.length > 0 && word.stanza !== chain[chain.length - 1].stanza) closeChain();
+
+    if (!word.isContent) {
+      if (chain.length > 0 && ++gap > 1) closeChain();
+      return;
+    }
+
+    if (!word.onset) return;
+    if (chain.length > 0 && chain[0].onset !== word.onset) closeChain();
+    chain.push(word);
+    gap = 0;
+  });
+  closeChain();
+
+  return results;
+};
+
+/**
+ * Assonanz (gleicher betonter Vokal) bzw. Konsonanz (gleiche Konsonanten nach dem betonten Vokal)
+ * Im Vers ab MIN_ECHO_IN_VERSE Wörtern, zwischen benachbarten Versen ab MIN_ECHO_PER_VERSE_ACROSS je Vers.
+ * @private
+ */
+const findEchoes = (words, verses, type, keyOf) => {
+  const results = [];
+  const content = words.filter(w => w.isContent && keyOf(w));
+  const groupsOf = (verseIndex) => groupBy(content.filter(w => w.verseIndex === verseIndex), keyOf);
+
+  // Konsonanz nur bei wechselndem Vokal – gleicher Vokal samt Konsonanten ist ein Reim
+  const isValid = (group) => type !== 'CONSONANCE' || new Set(group.map(w => w.vowel)).size > 1;
+  const sound = (key) => (type === 'ASSONANCE' ? key : `-${key}`);
+  const reported = new Set();
+
+  verses.forEach(verse => {
+    groupsOf(verse.index).forEach((group, key) => {
+      if (group.length < MIN_ECHO_IN_VERSE || !isValid(group)) return;
+      reported.add(`${verse.index}:${key}`);
+      results.push(createPattern(type, group, sound(key),
+        `${group.length}× ${sound(key)} in Vers ${verse.index + 1}: ${group.map(w => w.text).join(', ')}`));
+    });
+  });
+
+  verses.slice(1).forEach((verse, i) => {
+    const previous = verses[i];
+    if (previous.stanza !== verse.stanza) return;
+
+    const first = groupsOf(previous.index);
+    groupsOf(verse.index).forEach((group, key) => {
+      const earlier = first.get(key) || [];
+      if (earlier.length < MIN_ECHO_PER_VERSE_ACROSS || group.length < MIN_ECHO_PER_VERSE_ACROSS) return;
+      if (reported.has(`${previous.index}:${key}`) || reported.has(`${verse.index}:${key}`)) return;
+
+      const combined = [...earlier, ...group];
+      if (!isValid(combined)) return;
+      results.push(createPattern(type, combined, sound(key),
+        `${sound(key)} in Vers ${previous.index + 1} und ${verse.index + 1}: ${combined.map(w => w.text).join(', ')}`));
+    });
+  });
+
+  return results;
+};
+
+/**
+ * Binnenreime: gleiche Reimsilbe bei Wörtern im Versinneren bzw. zwischen Versinnerem
+ * und Versende desselben oder des folgenden Verses (Endreime allein zählen nicht)
+ * @private
+ */
+const findInternalRhymes = (words, verses) => {
+  const results = [];
+  const seen = new Set();
+  const lastWordOf = new Map();
+  words.forEach(w => {
+    if (w.verseIndex !== null) lastWordOf.set(w.verseIndex, w.position);
+  });
+
+  const rhymeOf = new Map(words
+    .filter(w => w.isContent)
+    .map(w => [w.position, getRhymeSuffix(w.text).suffix]));
+
+  verses.forEach((verse, i) => {
+    const next = verses[i + 1] && verses[i + 1].stanza === verse.stanza ? verses[i + 1] : null;
+    const window = words.filter(w =>
+      rhymeOf.get(w.position) && (w.verseIndex === verse.index || (next && w.verseIndex === next.index))
+    );
+
+    groupBy(window, w => rhymeOf.get(w.position)).forEach((group, suffix) => {
+      const forms = new Set(group.map(w => w.text.toLowerCase()));
+      const internal = group.filter(w => lastWordOf.get(w.verseIndex) !== w.position);
+      // Mindestens ein Wort im Versinneren, mindestens eines im aktuellen Vers
+      if (forms.size < 2 || internal.length === 0 || !group.some(w => w.verseIndex === verse.index)) return;
+      if (suffix.length < 2) return;
+
+      const key = group.map(w => w.position).join(',');
+      if (seen.has(key)) return;
+      seen.add(key);
+
+      results.push(createPattern('INTERNAL_RHYME', group, `-${suffix}`,
+        `Binnenreim auf -${suffix}: ${group.map(w => w.text).join(', ')}`));
+    });
+  });
+
+  // Teilmengen späterer Fenster entfernen (Verspaar enthält bereits den Einzelvers)
+  return results.filter(pattern => !results.some(other =>
+    other !== pattern &&
+    other.positions.length > pattern.positions.length &&
+    pattern.positions.every(p => other.positions.includes(p))
+  ));
+};
+
+/**
+ * Verteilung heller und dunkler Vokale pro Strophe und gesamt
+ * @private
+ */
+const analyzeVowelColour = (words, verses) => {
+  const stanzaIndices = [...new Set(verses.map(v => v.stanza))];
+
+  return {
+    stanzas: stanzaIndices.map(stanza => ({
+      stanza,
+      ...summarizeColour(words.filter(w => w.stanza === stanza))
+    })),
+    overall: summarizeColour(words)
+  };
+};
+
+/**
+ * Zählt helle und dunkle Vokale und bestimmt die Tönung
+ * @private
+ */
+const summarizeColour = (words) => {
+  const vowels = words.flatMap(w => w.vowels);
+  const light = vowels.filter(v => LIGHT_VOWELS.test(v)).length;
+  const dark = vowels.filter(v => DARK_VOWELS.test(v)).length;
+  const total = light + dark;
+
+  const lightShare = total > 0 ? light / total : 0;
+  const darkShare = total > 0 ? dark / total : 0;
+
+  let colour = 'gemischt';
+  if (total === 0) colour = null;
+  else if (lightShare >= COLOUR_DOMINANCE) colour = 'hell';
+  else if (darkShare >= COLOUR_DOMINANCE) colour = 'dunkel';
+
+  return {
+    light,
+    dark,
+    lightShare: round(lightShare),
+    darkShare: round(darkShare),
+    colour
+  };
+};
+
+/**
+ * Baut ein Klangmuster aus den beteiligten Wörtern
+ * @private
+ */
+const createPattern = (type, members, sound, explanation) => {
+  const verseIndices = [...new Set(members.map(w => w.verseIndex))].filter(v => v !== null);
+  return {
+    type,
+    label: SOUND_PATTERNS[type].label,
+    sound,
+    positions: members.map(w => w.position),
+    words: members.map(w => w.text),
+    verses: verseIndices,
+    scope: verseIndices.length > 1 ? 'versübergreifend' : 'vers',
+    explanation
+  };
+};
+
+const vowelColour = (vowel) => {
+  if (LIGHT_VOWELS.test(vowel)) return 'hell';
+  if (DARK_VOWELS.test(vowel)) return 'dunkel';
+  return null;
+};
+
+const groupBy = (items, keyOf) => items.reduce((groups, item) => {
+  const key = keyOf(item);
+  if (!groups.has(key)) groups.set(key, []);
+  groups.get(key).push(item);
+  return groups;
+}, new Map());
+
+const stripLength = (phoneme) => phoneme.replace('ː', '');
+
+const round = (value) => parseFloat(value.toFixed(3));
+
+export default {
+  analyzeSound
+};
@@ -0,0 +1,760 @@
+import { getModel } from './modelLoader';
+import { cosineSimilarity } from './semanticAnalysis';
+import { getOnset } from './phoneticAnalysis';
+import { STYLISTIC_DEVICES } from '../utils/constants';
+
+// Inhaltswörter für Alliteration und Chiasmus
+const CONTENT_POS = ['NOUN', 'PROPN', 'VERB', 'ADJ', 'ADV'];
+
+// Funktionswörter, die das regelbasierte POS-Tagging nicht erfasst
+const UNTAGGED_FUNCTION_WORDS = new Set([
+  'was', 'wer', 'wen', 'wem', 'wo', 'wohin', 'woher', 'warum', 'nichts', 'mehr', 'daß',
+  'man', 'kein', 'keine', 'keinen', 'diese', 'dieser', 'dieses', 'alle', 'alles', 'etwas'
+]);
+
+// Satzzeichen, die eine Alliterationskette unterbrechen
+const BREAKING_PUNCT = /^[.!?;:…]$/;
+
+// Wortstämme menschlicher Handlungen (Personifikation)
+const HUMAN_ACTION_STEMS = [
+  'lach', 'lächel', 'wein', 'sing', 'sang', 'sprech', 'sprich', 'sprach', 'sag', 'flüster',
+  'träum', 'denk', 'dach', 'schlaf', 'schlief', 'tanz', 'ruf', 'rief', 'schrei', 'lieb', 'hass',
+  'hoff', 'klag', 'seufz', 'schweig', 'schwieg', 'grüß', 'küss', 'erzähl', 'weiß', 'wiss',
+  'sehn', 'fürcht', 'trauer', 'freu', 'zürn', 'lausch', 'blick', 'schau', 'sieh', 'sah', 'weck', 'spiel'
+];
+
+// Nomen, die belebte Wesen bezeichnen
+const ANIMATE_NOUNS = new Set([
+  'mensch', 'mann', 'frau', 'kind', 'mutter', 'vater', 'sohn', 'tochter', 'bruder', 'schwester',
+  'freund', 'freundin', 'herr', 'dame', 'knabe', 'mädchen', 'greis', 'volk', 'leute', 'gott',
+  'könig', 'königin', 'prinz', 'prinzessin', 'dichter', 'held', 'engel', 'geliebte', 'liebste'
+]);
+
+// Prototypen für die Embedding-Abstimmung (Personifikation)
+const HUMAN_PROTOTYPES = ['Mensch', 'Person', 'Frau', 'Mann', 'Kind'];
+const INANIMATE_PROTOTYPES = ['Ding', 'Stein', 'Wind', 'Nacht', 'Baum'];
+const HUMAN_ACTION_PROTOTYPES = ['lachen', 'weinen', 'sprechen', 'träumen', 'denken'];
+const PHYSICAL_ACTION_PROTOTYPES = ['fallen', 'fließen', 'liegen', 'wachsen', 'stehen'];
+
+// Hyperbolische Ausdrücke
+const HYPERBOLIC_NUMERALS = /^(?:hundert|tausend|millionen?|milliarden?|abertausend|unzählige[nrs]?)$/;
+const HYPERBOLIC_PREFIXES = /^(?:tod|stein|blut|himmel|hunde|bären|riesen|mords|stink|stock)\p{Ll}{4,}$/u;
+const HYPERBOLIC_WORDS = new Set(['ewig', 'ewiglich', 'unendlich', 'endlos', 'niemals', 'unermesslich', 'grenzenlos', 'allzeit']);
+
+// Wertwörter und Marker für Ironie-Hinweise
+const POSITIVE_EVALUATIONS = new Set(['toll', 'schön', 'herrlich', 'prima', 'wunderbar', 'großartig', 'super', 'fabelhaft', 'reizend', 'prächtig']);
+const IRONY_MARKERS = new Set(['na', 'ja', 'natürlich', 'selbstverständlich', 'echt', 'wirklich']);
+
+/**
+ * Erkennt Stilmittel aus dem STYLISTIC_DEVICES-Katalog
+ * Jede Fundstelle enthält Token-Spanne, Konfidenz und Erklärung
+ *
+ * @param {Object} data - Analyse-Zwischenergebnisse
+ * @param {string} data.text - Normalisierter Text
+ * @param {Array} data.tokens - Annotierte Tokens
+ * @param {Object} data.syntax - Syntax-Analyse (Dependencies, Verse, Satzstruktur)
+ * @param {Object} data.sentiment - Sentiment-Analyse (optional)
+ * @param {Object} data.semantics - Semantische Analyse (optional, Wort-Embeddings)
+ * @returns {Promise<Object>} Gefundene Stilmittel
+ */
+export const analyzeStylisticDevices = async ({ text, tokens, syntax = null, sentiment = null, semantics = null }) => {
+  try {
+    const units = getTextUnits(syntax);
+    const embeddings = await createEmbeddingLookup(semantics);
+    if (embeddings) {
+      await embeddings.ensure(collectDependencyWords(syntax));
+    }
+
+    const devices = [
+      ...detectMetaphors(tokens, syntax, embeddings),
+      ...detectSimiles(text, tokens),
+      ...detectPersonifications(tokens, syntax, embeddings),
+      ...detectAlliterations(text, tokens),
+      ...detectAnaphoras(units, tokens),
+      ...detectEpiphoras(units, tokens),
+      ...detectParallelisms(syntax, tokens),
+      ...detectChiasmus(text, tokens),
+      ...detectHyperboles(tokens),
+      ...detectIrony(tokens, sentiment)
+    ].sort((a, b) => a.span.start - b.span.start || b.confidence - a.confidence);
+
+    const byType = {};
+    const counts = {};
+    for (const type of Object.keys(STYLISTIC_DEVICES)) {
+      byType[type] = devices.filter(d => d.type === type);
+      counts[type] = byType[type].length;
+    }
+
+    return {
+      devices,
+      byType,
+      counts,
+      total: devices.length,
+      usedEmbeddings: embeddings !== null
+    };
+  } catch (error) {
+    console.error('Stilmittel-Analyse Fehler:', error);
+    return {
+      devices: [],
+      byType: {},
+      counts: {},
+      total: 0,
+      usedEmbeddings: false,
+      error: error.message
+    };
+  }
+};
+
+/**
+ * Metapher: Kopula-Metapher ("X ist ein Y") und Genitivmetapher ("Meer der Tränen")
+ * Ohne Embeddings nur Kopula-Muster mit niedriger Konfidenz
+ * @private
+ */
+const detectMetaphors = (tokens, syntax, embeddings) => {
+  const results = [];
+
+  forEachDependencySentence(syntax, (deps) => {
+    deps.forEach(dep => {
+      const head = deps.find(d => d.id === dep.head);
+      if (!head || !isNoun(dep) || !isNoun(head)) return;
+
+      // Kopula-Metapher: Subjekt-Nomen an prädikativem Nomen mit Kopula
+      const hasCopula = deps.some(d => d.head === head.id && d.relation === 'COP');
+      const isCopulaMetaphor = dep.relation === 'NSUBJ' && hasCopula;
+      // Genitivmetapher: Genitivattribut an Nomen
+      const isGenitiveMetaphor = dep.relation === 'NMOD' && !deps.some(d => d.head === dep.id && d.relation === 'CASE');
+      if (!isCopulaMetaphor && !isGenitiveMetaphor) return;
+
+      const similarity = embeddings ? embeddings.similarity(dep.word, head.word) : null;
+      if (isGenitiveMetaphor && (similarity === null || similarity > 0.3)) return;
+      if (isCopulaMetaphor && similarity !== null && similarity > 0.45) return;
+
+      const confidence = similarity === null
+        ? 0.35
+        : Math.min(0.85, 0.45 + (0.45 - similarity));
+      const [first, second] = dep.tokenPosition < head.tokenPosition ? [dep, head] : [head, dep];
+
+      results.push(createDevice('METAPHOR', tokens, first.tokenPosition, second.tokenPosition, confidence,
+        isCopulaMetaphor
+          ? `„${dep.word}" wird mit „${head.word}" gleichgesetzt, ohne Vergleichswort`
+          : `Genitivverbindung „${first.word} … ${second.word}" verknüpft entfernte Bildbereiche`,
+        similarity !== null ? { semanticSimilarity: parseFloat(similarity.toFixed(3)) } : {}));
+    });
+  });
+
+  return results;
+};
+
+/**
+ * Vergleich: "wie" + Nominalphrase, "als ob"/"als wenn", "gleichsam"
+ * @private
+ */
+const detectSimiles = (text, tokens) => {
+  const results = [];
+
+  tokens.forEach((token, i) => {
+    if (token.isPunctuation) return;
+    const word = token.text.toLowerCase();
+    const next = nextWord(tokens, i);
+
+    let confidence = 0;
+    let explanation = '';
+    let endPosition = token.position;
+
+    if (word === 'wie') {
+      // Fragewort am Satzanfang ausschließen
+      const prev = previousToken(tokens, i);
+      if (!prev || BREAKING_PUNCT.test(prev.text)) return;
+
+      const comparedNoun = findNounAfter(tokens, i, 3);
+      if (!comparedNoun) return;
+      confidence = 0.75;
+      endPosition = comparedNoun.position;
+      explanation = `Vergleichswort „wie" verbindet mit „${comparedNoun.text}"`;
+    } else if (word === 'als' && next && ['ob', 'wenn'].includes(next.text.toLowerCase())) {
+      confidence = 0.7;
+      endPosition = findClauseEnd(text, tokens, i);
+      explanation = `Irrealer Vergleich mit „als ${next.text.toLowerCase()}"`;
+    } else if (word === 'gleichsam' || word === 'gleichwie') {
+      confidence = 0.6;
+      endPosition = findClauseEnd(text, tokens, i);
+      explanation = `Vergleichspartikel „${token.text}"`;
+    } else {
+      return;
+    }
+
+    // Vergleichsgegenstand: vorausgehendes Inhaltswort im selben Satz
+    const anchor = findContentWordBefore(tokens, i, 4);
+    const startPosition = anchor ? anchor.position : token.position;
+
+    results.push(createDevice('SIMILE', tokens, startPosition, endPosition, confidence, explanation));
+  });
+
+  return results;
+};
+
+/**
+ * Personifikation: unbelebtes Nomen als Subjekt einer menschlichen Handlung
+ * Lexikon-Stämme, mit Embeddings gegen Prototypen abgeglichen
+ * @private
+ */
+const detectPersonifications = (tokens, syntax, embeddings) => {
+  const results = [];
+
+  forEachDependencySentence(syntax, (deps) => {
+    deps
+      .filter(dep => dep.relation === 'NSUBJ' && isNoun(dep))
+      .forEach(subject => {
+        const verb = deps.find(d => d.id === subject.head);
+        if (!verb || verb.posTag !== 'VERB') return;
+
+        const token = tokens[subject.tokenPosition];
+        if (isAnimate(subject.word, token)) return;
+
+        const lexicalMatch = HUMAN_ACTION_STEMS.some(stem => verb.word.toLowerCase().startsWith(stem));
+        let embeddingScore = null;
+        if (embeddings) {
+          const humanVerb = embeddings.contrast(verb.word, HUMAN_ACTION_PROTOTYPES, PHYSICAL_ACTION_PROTOTYPES);
+          const inanimateNoun = embeddings.contrast(subject.word, INANIMATE_PROTOTYPES, HUMAN_PROTOTYPES);
+          embeddingScore = (humanVerb + inanimateNoun) / 2;
+        }
+
+        let confidence;
+        if (lexicalMatch) {
+          confidence = embeddingScore === null ? 0.6 : 0.6 + Math.max(-0.2, Math.min(0.25, embeddingScore * 2));
+        } else if (embeddingScore !== null && embeddingScore > 0.05) {
+          confidence = Math.min(0.6, 0.4 + embeddingScore * 2);
+        } else {
+          return;
+        }
+
+        const [first, second] = subject.tokenPosition < verb.tokenPosition ? [subject, verb] : [verb, subject];
+        results.push(createDevice('PERSONIFICATION', tokens, first.tokenPosition, second.tokenPosition, confidence,
+          `Unbelebtes „${subject.word}" als Subjekt der menschlichen Handlung „${verb.word}"`,
+          embeddingScore !== null ? { embeddingScore: parseFloat(embeddingScore.toFixed(3)) } : {}));
+      });
+  });
+
+  return results;
+};
+
+/**
+ * Alliteration: aufeinanderfolgende Inhaltswörter mit gleichem Anlaut
+ * Vergleicht den ersten Laut (G2P), höchstens ein Funktionswort dazwischen
+ * @private
+ */
+const detectAlliterations = (text, tokens) => {
+  const results = [];
+  let chain = [];
+  let gap = 0;
+
+  const closeChain = () => {
+    if (chain.length >= 2) {
+      const first = chain[0];
+      const last = chain[chain.length - 1];
+      const confidence = Math.min(0.95, 0.55 + 0.15 * (chain.length - 2) + (gap === 0 ? 0.1 : 0));
+      results.push(createDevice('ALLITERATION', tokens, first.token.position, last.token.position, confidence,
+        `${chain.length} Wörter mit Anlaut /${first.onset}/: ${chain.map(c => c.token.text).join(', ')}`));
+    }
+    chain = [];
+    gap = 0;
+  };
+
+  tokens.forEach((token, i) => {
+    if (token.isPunctuation) {
+      if (BREAKING_PUNCT.test(token.text)) closeChain();
+      return;
+    }
+
+    if (isLineBreakBefore(text, tokens, i)) closeChain();
+
+    if (!isContentToken(token)) {
+      if (chain.length > 0 && ++gap > 1) closeChain();
+      return;
+    }
+
+    const onset = getOnset(token.text);
+    if (!onset) return;
+
+    if (chain.length > 0 && chain[0].onset !== onset) {
+      closeChain();
+    }
+    chain.push({ token, onset });
+  });
+  closeChain();
+
+  return results;
+};
+
+/**
+ * Anapher: aufeinanderfolgende Verse/Sätze mit gleichem Anfangswort
+ * @private
+ */
+const detectAnaphoras = (units, tokens) => {
+  return detectUnitRepetitions(units, tokens, 'first').map(run => createDevice(
+    'ANAPHORA', tokens, run.startPosition, run.endPosition,
+    Math.min(0.95, 0.6 + 0.1 * (run.count - 2) + (run.isContentWord ? 0.1 : 0)),
+    `${run.count} aufeinanderfolgende ${run.unitLabel} beginnen mit „${run.word}"`
+  ));
+};
+
+/**
+ * Epipher: aufeinanderfolgende Verse/Sätze mit gleichem Schlusswort
+ * @private
+ */
+const detectEpiphoras = (units, tokens) => {
+  return detectUnitRepetitions(units, tokens, 'last').map(run => createDevice(
+    'EPIPHORA', tokens, run.startPosition, run.endPosition,
+    Math.min(0.95, 0.6 + 0.1 * (run.count - 2) + (run.isContentWord ? 0.1 : 0)),
+    `${run.count} aufeinanderfolgende ${run.unitLabel} enden mit „${run.word}"`
+  ));
+};
+
+/**
+ * Parallelismus: benachbarte Sätze mit (nahezu) gleicher Wortartenfolge
+ * @private
+ */
+const detectParallelisms = (syntax, tokens) => {
+  const structures = syntax?.sentenceStructure || [];
+  const results = [];
+
+  for (let i = 0; i < structures.length - 1; i++) {
+    const a = structures[i];
+    const b = structures[i + 1];
+    if (a.posPattern.length < 3 || b.posPattern.length < 3) continue;
+
+    const similarity = sequenceSimilarity(a.posPattern, b.posPattern);
+    if (similarity < 0.75) continue;
+
+    const span = tokensInRange(tokens, a.start, b.end);
+    if (span.length === 0) continue;
+
+    results.push(createDevice('PARALLELISM', tokens, span[0].position, span[span.length - 1].position,
+      Math.min(0.9, similarity * 0.85),
+      `Gleichlaufende Wortartenfolge (${a.posPattern.join(' ')}) in zwei aufeinanderfolgenden Sätzen`,
+      { structuralSimilarity: parseFloat(similarity.toFixed(3)) }));
+  }
+
+  return results;
+};
+
+/**
+ * Chiasmus: Überkreuzstellung AB–BA
+ * Lexikalisch (gleiche Wörter innerhalb eines Satzes/Verses) oder
+ * syntaktisch (Wortarten in benachbarten Satzgliedern)
+ * @private
+ */
+const detectChiasmus = (text, tokens) => {
+  const results = [];
+  const lexicalSpans = [];
+
+  // Lexikalischer Chiasmus: A B … B A
+  splitSentences(text, tokens).forEach(sentence => {
+    const words = sentence.filter(t => isContentToken(t) || t.posTag === 'AUX');
+    const cross = findLexicalCross(words);
+    if (!cross) return;
+
+    const [a, b, , d] = cross;
+    lexicalSpans.push([a.position, d.position]);
+    results.push(createDevice('CHIASMUS', tokens, a.position, d.position, 0.8,
+      `Überkreuzte Wiederholung „${a.text} … ${b.text}" / „${b.text} … ${a.text}"`));
+  });
+
+  // Syntaktischer Chiasmus: Wortart A … B | B … A
+  const segments = splitSegments(text, tokens);
+  for (let i = 0; i < segments.length - 1; i++) {
+    const first = segments[i].filter(isContentToken);
+    const second = segments[i + 1].filter(isContentToken);
+    if (first.length < 2 || second.length < 2 || first.length > 3 || second.length > 3) continue;
+
+    const startPosition = segments[i][0].position;
+    const endPosition = segments[i + 1][segments[i + 1].length - 1].position;
+    if (lexicalSpans.some(([start, end]) => startPosition <= end && endPosition >= start)) continue;
+
+    const a1 = simplifyPos(first[0].posTag);
+    const b1 = simplifyPos(first[first.length - 1].posTag);
+    const b2 = simplifyPos(second[0].posTag);
+    const a2 = simplifyPos(second[second.length - 1].posTag);
+    if (a1 !== b1 && a1 === a2 && b1 === b2) {
+      results.push(createDevice('CHIASMUS', tokens, startPosition, endPosition, 0.45,
+        `Überkreuzstellung der Wortarten ${a1}–${b1} / ${b2}–${a2}`));
+    }
+  }
+
+  return results;
+};
+
+/**
+ * Hyperbel: Übertreibung durch große Zahlen, Verstärkungskomposita, Absolutheitswörter
+ * @private
+ */
+const detectHyperboles = (tokens) => {
+  const results = [];
+
+  tokens.forEach((token, i) => {
+    if (token.isPunctuation) return;
+    const word = token.text.toLowerCase();
+    const next = nextWord(tokens, i);
+
+    if (HYPERBOLIC_NUMERALS.test(word) && next && ['NOUN', 'PROPN'].includes(next.posTag)) {
+      results.push(createDevice('HYPERBOLE', tokens, token.position, next.position, 0.6,
+        `Übertreibende Mengenangabe „${token.text} ${next.text}"`));
+    } else if (/^aller\p{Ll}+ste[nmrs]?$/u.test(word)) {
+      results.push(createDevice('HYPERBOLE', tokens, token.position, token.position, 0.55,
+        `Verstärkter Superlativ „${token.text}"`));
+    } else if (token.posTag !== 'NOUN' && HYPERBOLIC_PREFIXES.test(word)) {
+      results.push(createDevice('HYPERBOLE', tokens, token.position, token.position, 0.5,
+        `Verstärkendes Kompositum „${token.text}"`));
+    } else if (HYPERBOLIC_WORDS.has(word)) {
+      results.push(createDevice('HYPERBOLE', tokens, token.position, token.position, 0.35,
+        `Absolutheitsausdruck „${token.text}" (mögliche Übertreibung)`));
+    }
+  });
+
+  return results;
+};
+
+/**
+ * Ironie: nur Hinweise – positives Wertwort in negativ bewertetem Satz
+ * oder nach typischem Ironiesignal ("na toll", "wie schön")
+ * @private
+ */
+const detectIrony = (tokens, sentiment) => {
+  const results = [];
+  const sentences = sentiment?.sentences || [];
+
+  tokens.forEach((token, i) => {
+    if (token.isPunctuation) return;
+    const word = token.text.toLowerCase();
+    if (!POSITIVE_EVALUATIONS.has(word)) return;
+
+    const prev = previousToken(tokens, i);
+    const hasMarker = prev && !prev.isPunctuation &&
+      (IRONY_MARKERS.has(prev.text.toLowerCase()) || prev.text.toLowerCase() === 'wie');
+    const sentence = sentences.find(s => s.start !== undefined && token.index >= s.start && token.index < s.end);
+    const negativeContext = sentence?.sentiment && sentence.sentiment.score < -0.4;
+
+    if (!hasMarker && !negativeContext) return;
+
+    const confidence = hasMarker && negativeContext ? 0.55 : (negativeContext ? 0.4 : 0.3);
+    const reasons = [
+      hasMarker ? `Ironiesignal „${prev.text}"` : null,
+      negativeContext ? 'negativ bewerteter Satz' : null
+    ].filter(Boolean).join(', ');
+
+    results.push(createDevice('IRONY', tokens, hasMarker ? prev.position : token.position, token.position, confidence,
+      `Positives Wertwort „${token.text}" (${reasons}) – Deutung am Kontext prüfen`));
+  });
+
+  return results;
+};
+
+// ===================== Hilfsfunktionen =====================
+
+/**
+ * Erstellt eine Stilmittel-Fundstelle
+ * @private
+ */
+const createDevice = (type, tokens, startPosition, endPosition, confidence, explanation, extra = {}) => {
+  const startToken = tokens[startPosition];
+  const endToken = tokens[endPosition];
+  const spanTokens = tokens.slice(startPosition, endPosition + 1);
+
+  return {
+    type,
+    label: STYLISTIC_DEVICES[type].label,
+    span: {
+      start: startPosition,
+      end: endPosition,
+      charStart: startToken.index,
+      charEnd: endToken.index + endToken.length,
+      text: spanTokens.map(t => t.text).join(' ').replace(/ ([.,!?;:])/g, '$1')
+    },
+    confidence: parseFloat(confidence.toFixed(3)),
+    explanation,
+    ...extra
+  };
+};
+
+/**
+ * Verse (bei Gedichten) bzw. Sätze als Einheiten für Anapher/Epipher
+ * @private
+ */
+const getTextUnits = (syntax) => {
+  const verses = syntax?.verseStructure?.verses;
+  if (verses && verses.length > 1) {
+    return { label: 'Verse', items: verses };
+  }
+  return { label: 'Sätze', items: syntax?.sentenceStructure || [] };
+};
+
+/**
+ * Findet Läufe gleicher Anfangs- bzw. Schlusswörter in aufeinanderfolgenden Einheiten
+ * @private
+ */
+const detectUnitRepetitions = (units, tokens, edge) => {
+  const runs = [];
+  const words = units.items.map(unit => {
+    const unitTokens = tokensInRange(tokens, unit.start, unit.end).filter(t => !t.isPunctuation);
+    if (unitTokens.length === 0) return null;
+    const token = edge === 'first' ? unitTokens[0] : unitTokens[unitTokens.length - 1];
+    return { token, word: token.text.toLowerCase(), unitTokens };
+  });
+
+  let i = 0;
+  while (i < words.length) {
+    let j = i;
+    while (words[i] && words[j + 1] && words[j + 1].word === words[i].word) j++;
+
+    if (j > i) {
+      const firstUnit = words[i].unitTokens;
+      const lastUnit = words[j].unitTokens;
+      runs.push({
+        word: words[i].token.text,
+        count: j - i + 1,
+        unitLabel: units.label,
+        isContentWord: CONTENT_POS.includes(words[i].token.posTag),
+        startPosition: firstUnit[0].position,
+        endPosition: lastUnit[lastUnit.length - 1].position
+      });
+    }
+    i = j + 1;
+  }
+
+  return runs;
+};
+
+/**
+ * Erstellt Embedding-Hilfsfunktionen (Wort-Ähnlichkeit, Prototyp-Kontrast)
+ * Nutzt vorhandene Wort-Embeddings und berechnet fehlende über das Modell
+ * @private
+ */
+const createEmbeddingLookup = async (semantics) => {
+  const model = getModel('EMBEDDINGS');
+  if (!model) return null;
+
+  const cache = new Map();
+  (semantics?.wordEmbeddings || []).forEach(we => cache.set(we.word.toLowerCase(), we.embedding));
+
+  const embed = async (word) => {
+    const key = word.toLowerCase();
+    if (!cache.has(key)) {
+      try {
+        const result = await model(word, { pooling: 'mean', normalize: true });
+        cache.set(key, Array.from(result.data || result));
+      } catch (error) {
+        console.warn(`Fehler bei Stilmittel-Embedding für "${word}":`, error);
+        cache.set(key, null);
+      }
+    }
+    return cache.get(key);
+  };
+
+  // Prototypen vorab einbetten, damit die Abfragen synchron bleiben
+  const prototypes = [...HUMAN_PROTOTYPES, ...INANIMATE_PROTOTYPES, ...HUMAN_ACTION_PROTOTYPES, ...PHYSICAL_ACTION_PROTOTYPES];
+  await Promise.all(prototypes.map(embed));
+
+  return {
+    similarity: (a, b) => {
+      const va = cache.get(a.toLowerCase());
+      const vb = cache.get(b.toLowerCase());
+      return va && vb ? cosineSimilarity(va, vb) : null;
+    },
+    contrast: (word, positive, negative) => {
+      const vector = cache.get(word.toLowerCase());
+      if (!vector) return 0;
+      const avg = (list) => list.reduce((sum, p) => sum + cosineSimilarity(vector, cache.get(p.toLowerCase())), 0) / list.length;
+      return avg(positive) - avg(negative);
+    },
+    ensure: async (words) => {
+      await Promise.all(words.map(embed));
+    }
+  };
+};
+
+/**
+ * Sammelt Nomen und Verben aus den Dependencies (für Embedding-Abfragen)
+ * @private
+ */
+const collectDependencyWords = (syntax) => {
+  const words = new Set();
+  forEachDependencySentence(syntax, (deps) => {
+    deps
+      .filter(d => isNoun(d) || d.posTag === 'VERB')
+      .forEach(d => words.add(d.word));
+  });
+  return Array.from(words);
+};
+
+/**
+ * Iteriert über die Dependency-Analysen der Sätze
+ * @private
+ */
+const forEachDependencySentence = (syntax, callback) => {
+  (syntax?.dependencies || []).forEach(sentence => {
+    if (sentence.dependencies?.length && sentence.dependencies[0].head !== undefined) {
+      callback(sentence.dependencies);
+    }
+  });
+};
+
+const isNoun = (dep) => dep.posTag === 'NOUN' || dep.posTag === 'PROPN';
+
+const isAnimate = (word, token) => {
+  if (['PER', 'MYTH', 'BIBL'].includes(token?.entityType)) return true;
+  const lower = word.toLowerCase();
+  if (ANIMATE_NOUNS.has(lower)) return true;
+  // Personenbezeichnungen auf -in/-innen bzw. Nomina Agentis auf -er
+  return /(?:innen|erin)$/.test(lower) || (/[^aeiouäöü]er$/.test(lower) && lower.length > 5 && !/(?:wasser|feuer|fenster|zimmer|winter|sommer|meer|messer)$/.test(lower));
+};
+
+const previousToken = (tokens, index) => tokens[index - 1] || null;
+
+const nextWord = (tokens, index) => {
+  const next = tokens[index + 1];
+  return next && !next.isPunctuation ? next : null;
+};
+
+const findNounAfter = (tokens, index, maxDistance) => {
+  for (let i = index + 1; i <= Math.min(index + maxDistance, tokens.length - 1); i++) {
+    const token = tokens[i];
+    if (token.isPunctuation) return null;
+    if (token.posTag === 'NOUN' || token.posTag === 'PROPN') return token;
+  }
+  return null;
+};
+
+const findContentWordBefore = (tokens, index, maxDistance) => {
+  for (let i = index - 1; i >= Math.max(0, index - maxDistance); i--) {
+    const token = tokens[i];
+    if (token.isPunctuation && BREAKING_PUNCT.test(token.text)) return null;
+    if (CONTENT_POS.includes(token.posTag)) return token;
+  }
+  return null;
+};
+
+const findClauseEnd = (text, tokens, index) => {
+  let i = index + 1;
+  while (i < tokens.length &&
+    !(tokens[i].isPunctuation && /^[.,!?;:…]$/.test(tokens[i].text)) &&
+    !isLineBreakBefore(text, tokens, i)) {
+    i++;
+  }
+  return tokens[i - 1].position;
+};
+
+const isLineBreakBefore = (text, tokens, index) => {
+  const prev = tokens[index - 1];
+  return !!prev && text.slice(prev.index + prev.length, tokens[index].index).includes('\n');
+};
+
+const tokensInRange = (tokens, start, end) => {
+  if (start === undefined) return [];
+  return tokens.filter(t => t.index >= start && t.index < end);
+};
+
+/**
+ * Zerlegt den Text an Komma, Satzende, Zeilenende und "und" in Satzglieder
+ * @private
+ */
+const splitSegments = (text, tokens) => {
+  const segments = [];
+  let current = [];
+
+  tokens.forEach((token, i) => {
+    const lineBreak = isLineBreakBefore(text, tokens, i);
+    const isBoundary = token.isPunctuation || token.text.toLowerCase() === 'und';
+
+    if ((isBoundary || lineBreak) && current.length > 0) {
+      segments.push(current);
+      current = [];
+    }
+    if (!isBoundary) current.push(token);
+  });
+  if (current.length > 0) segments.push(current);
+
+  return segments;
+};
+
+/**
+ * Zerlegt den Text an Satzende und Zeilenende
+ * @private
+ */
+const splitSentences = (text, tokens) => {
+  const sentences = [];
+  let current = [];
+
+  tokens.forEach((token, i) => {
+    if (isLineBreakBefore(text, tokens, i) && current.length > 0) {
+      sentences.push(current);
+      current = [];
+    }
+    current.push(token);
+    if (token.isPunctuation && /^[.!?…]$/.test(token.text)) {
+      sentences.push(current);
+      current = [];
+    }
+  });
+  if (current.length > 0) sentences.push(current);
+
+  return sentences;
+};
+
+/**
+ * Sucht die Folge A B … B A (A ≠ B, Paare höchstens drei Wörter auseinander)
+ * @private
+ */
+const findLexicalCross = (words) => {
+  const lower = words.map(t => t.text.toLowerCase());
+
+  for (let a = 0; a < lower.length; a++) {
+    for (let b = a + 1; b <= Math.min(a + 3, lower.length - 1); b++) {
+      if (lower[a] === lower[b]) continue;
+      for (let c = b + 1; c < lower.length; c++) {
+        if (lower[c] !== lower[b]) continue;
+        for (let d = c + 1; d <= Math.min(c + 3, lower.length - 1); d++) {
+          if (lower[d] === lower[a]) return [words[a], words[b], words[c], words[d]];
+        }
+      }
+    }
+  }
+  return null;
+};
+
+const simplifyPos = (posTag) => {
+  if (posTag === 'PROPN') return 'NOUN';
+  if (posTag === 'AUX') return 'VERB';
+  // Unbekannte kleingeschriebene Wörter sind meist Adjektive/Adverbien
+  if (posTag === 'X') return 'ADJ';
+  return posTag;
+};
+
+/**
+ * Prüft, ob ein Token ein Inhaltswort ist (auch bei unvollständigem POS-Tagging)
+ *
+ * @param {Object} token - Annotiertes Token
+ * @returns {boolean} true für Nomen, Verben, Adjektive und Adverbien
+ */
+export const isContentToken = (token) => {
+  if (token.isPunctuation) return false;
+  if (CONTENT_POS.includes(token.posTag)) return true;
+  return token.posTag === 'X' && token.text.length > 2 && !UNTAGGED_FUNCTION_WORDS.has(token.text.toLowerCase());
+};
+
+const sequenceSimilarity = (seq1, seq2) => {
+  // LCS-Quote der beiden Sequenzen
+  const dp = Array.from({ length: seq1.length + 1 }, () => new Array(seq2.length + 1).fill(0));
+  for (let i = 1; i <= seq1.length; i++) {
+    for (let j = 1; j <= seq2.length; j++) {
+      dp[i][j] = seq1[i - 1] === seq2[j - 1]
+        ? dp[i - 1][j - 1] + 1
+        : Math.max(dp[i - 1][j], dp[i][j - 1]);
+    }
+  }
+  return dp[seq1.length][seq2.length] / Math.max(seq1.length, seq2.length);
+};
+
+export default {
+  analyzeStylisticDevices,
+  isContentToken
+};
@@ -0,0 +1,274 @@
+import { extractWords, countWordFrequencies, normalizeUTF8 } from '../utils/textPreprocessing';
+import { GERMAN_POS_RULES } from '../utils/constants';
+
+/**
+ * Stilometrie: Autorschaftszuschreibung mit Delta-Maßen
+ * Arbeitet auf den relativen Häufigkeiten der häufigsten Wortformen (MFW)
+ * eines Referenzkorpus mit bekannten Autoren.
+ *
+ * - Burrows' Delta: Mittelwert der absoluten z-Score-Differenzen
+ * - Cosine Delta (Smith & Aldridge 2011): 1 − Kosinus der z-Score-Vektoren
+ * - Eder's Delta (2015): wie Burrows, häufigere Wörter werden stärker gewichtet
+ */
+
+export const DELTA_METHODS = {
+  BURROWS: { id: 'burrows', label: "Burrows' Delta" },
+  COSINE: { id: 'cosine', label: 'Cosine Delta' },
+  EDER: { id: 'eder', label: "Eder's Delta" }
+};
+
+export const FEATURE_SETS = {
+  MFW: { id: 'mfw', label: 'Häufigste Wörter' },
+  FUNCTION_WORDS: { id: 'functionWords', label: 'Nur Funktionswörter' }
+};
+
+// Funktionswörter aus den POS-Regeln (geschlossene Wortklassen)
+const FUNCTION_WORDS = new Set([
+  ...GERMAN_POS_RULES.ARTICLES,
+  ...GERMAN_POS_RULES.PRONOUNS,
+  ...GERMAN_POS_RULES.POSSESSIVE,
+  ...GERMAN_POS_RULES.PREPOSITIONS,
+  ...GERMAN_POS_RULES.CONJUNCTIONS,
+  ...GERMAN_POS_RULES.SUBJUNCTIONS,
+  ...GERMAN_POS_RULES.AUXILIARIES,
+  ...GERMAN_POS_RULES.MODALS,
+  ...GERMAN_POS_RULES.PARTICLES,
+  ...GERMAN_POS_RULES.ADVERBS
+]);
+
+const DEFAULT_OPTIONS = {
+  mfw: 100,
+  featureSet: FEATURE_SETS.MFW.id,
+  topContributions: 10
+};
+
+/**
+ * Erstellt eine stilometrische Textprobe (Wortformen in Kleinschreibung)
+ *
+ * @param {string} text - Gedichttext
+ * @param {Object} meta - { author, title }
+ * @returns {Object} { author, title, counts: Map, total }
+ */
+export const createSample = (text, meta = {}) => {
+  const words = extractWords(normalizeUTF8(text || ''));
+  return {
+    author: (meta.author || '').trim(),
+    title: meta.title || '',
+    counts: countWordFrequencies(words),
+    total: words.length
+  };
+};
+
+/**
+ * Fasst Referenzproben zu Autorprofilen zusammen
+ *
+ * @param {Array} samples - Proben aus createSample (mit author)
+ * @returns {Array} [{ author, counts, total, sampleCount }]
+ */
+export const buildAuthorProfiles = (samples) => {
+  const profiles = new Map();
+
+  samples.filter(s => s.author && s.total > 0).forEach(sample => {
+    if (!profiles.has(sample.author)) {
+      profiles.set(sample.author, { author: sample.author, counts: new Map(), total: 0, sampleCount: 0 });
+    }
+    const profile = profiles.get(sample.author);
+    sample.counts.forEach((count, word) => {
+      profile.counts.set(word, (profile.counts.get(word) || 0) + count);
+    });
+    profile.total += sample.total;
+    profile.sampleCount++;
+  });
+
+  return [...profiles.values()];
+};
+
+/**
+ * Bestimmt die Merkmalswörter: die n häufigsten Wörter des Referenzkorpus
+ *
+ * @param {Array} profiles - Autorprofile
+ * @param {Object} options - { mfw, featureSet }
+ * @returns {Array<string>} Wörter nach Korpushäufigkeit absteigend
+ */
+export const selectFeatures = (profiles, options = {}) => {
+  const { mfw, featureSet } = { ...DEFAULT_OPTIONS, ...options };
+  const corpusCounts = new Map();
+
+  profiles.forEach(profile => {
+    profile.counts.forEach((count, word) => {
+      corpusCounts.set(word, (corpusCounts.get(word) || 0) + count);
+    });
+  });
+
+  return [...corpusCounts.entries()]
+    .filter(([word]) => featureSet !== FEATURE_SETS.FUNCTION_WORDS.id || FUNCTION_WORDS.has(word))
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0], 'de'))
+    .slice(0, mfw)
+    .map(([word]) => word);
+};
+
+/**
+ * Rangliste der Kandidaten für einen anonymen Text
+ *
+ * @param {string} unknownText - Text unbekannter Autorschaft
+ * @param {Array} references - [{ author, title, text }]
+ * @param {Object} options - { mfw, featureSet, method, topContributions }
+ * @returns {Object} { features, candidates, method, warnings }
+ */
+export const attributeAuthorship = (unknownText, references, options = {}) => {
+  const settings = { ...DEFAULT_OPTIONS, method: DELTA_METHODS.BURROWS.id, ...options };
+  const samples = references.map(r => createSample(r.text, r)).filter(s => s.author && s.total > 0);
+  const profiles = buildAuthorProfiles(samples);
+  const unknown = createSample(unknownText);
+  const warnings = [];
+
+  if (profiles.length < 2) {
+    throw new Error('Mindestens zwei Autoren mit Referenztexten werden benötigt');
+  }
+  if (unknown.total === 0) {
+    throw new Error('Der anonyme Text enthält keine Wörter');
+  }
+
+  const features = selectFeatures(profiles, settings);
+  const sampleFrequencies = samples.map(s => relativeFrequencies(s, features));
+  const unknownFrequencies = relativeFrequencies(unknown, features);
+
+  // z-Standardisierung über die einzelnen Texte (Referenzen und anonymer Text), nicht über
+  // die Autorprofile – bei zwei Autoren wären sonst alle z-Werte ±1
+  const corpusFrequencies = [...sampleFrequencies, unknownFrequencies];
+  const stats = features.map((_, k) => meanAndStd(corpusFrequencies.map(f => f[k])));
+  const usable = stats.map(s => s.std > 0);
+  const usedFeatures = features.filter((_, k) => usable[k]);
+
+  if (usedFeatures.length < features.length) {
+    warnings.push(`${features.length - usedFeatures.length} Wörter ohne Streuung zwischen den Texten ignoriert`);
+  }
+  if (usedFeatures.length === 0) {
+    throw new Error('Keine unterscheidenden Merkmalswörter im Referenzkorpus gefunden');
+  }
+  if (profiles.some(p => p.total < 200) || unknown.total < 200) {
+    warnings.push('Kurze Texte (< 200 Wörter) machen Delta-Werte unzuverlässig');
+  }
+
+  const toZ = (frequencies) => frequencies
+    .map((f, k) => (usable[k] ? (f - stats[k].mean) / stats[k].std : null))
+    .filter(z => z !== null);
+
+  const unknownZ = toZ(unknownFrequencies);
+  const sampleZ = sampleFrequencies.map(toZ);
+
+  const candidates = profiles.map(profile => {
+    // Autorzentroid im z-Raum: Mittelwert der z-Vektoren seiner Texte
+    const authorSamples = sampleZ.filter((_, i) => samples[i].author === profile.author);
+    const authorZ = unknownZ.map((_, k) => authorSamples.reduce((sum, z) => sum + z[k], 0) / authorSamples.length);
+    const distances = {
+      [DELTA_METHODS.BURROWS.id]: burrowsDelta(unknownZ, authorZ),
+      [DELTA_METHODS.COSINE.id]: cosineDelta(unknownZ, authorZ),
+      [DELTA_METHODS.EDER.id]: edersDelta(unknownZ, authorZ)
+    };
+
+    return {
+      author: profile.author,
+      sampleCount: profile.sampleCount,
+      wordCount: profile.total,
+      distances,
+      distance: distances[settings.method],
+      contributions: explainDistance(usedFeatures, unknownZ, authorZ, settings.topContributions)
+    };
+  });
+
+  candidates.sort((a, b) => a.distance - b.distance);
+  candidates.forEach((candidate, rank) => {
+    candidate.rank = rank + 1;
+  });
+
+  return {
+    method: settings.method,
+    features: usedFeatures,
+    unknownWordCount: unknown.total,
+    candidates,
+    warnings
+  };
+};
+
+/**
+ * Burrows' Delta: mittlere absolute z-Differenz
+ * @private
+ */
+const burrowsDelta = (z1, z2) => {
+  const sum = z1.reduce((total, z, k) => total + Math.abs(z - z2[k]), 0);
+  return round(sum / z1.length);
+};
+
+/**
+ * Cosine Delta: 1 − Kosinus-Ähnlichkeit der z-Vektoren
+ * @private
+ */
+const cosineDelta = (z1, z2) => {
+  let dot = 0;
+  let norm1 = 0;
+  let norm2 = 0;
+  for (let k = 0; k < z1.length; k++) {
+    dot += z1[k] * z2[k];
+    norm1 += z1[k] * z1[k];
+    norm2 += z2[k] * z2[k];
+  }
+  if (norm1 === 0 || norm2 === 0) return 1;
+  return round(1 - dot / (Math.sqrt(norm1) * Math.sqrt(norm2)));
+};
+
+/**
+ * Eder's Delta: z-Differenzen mit absteigendem Rang-Gewicht (n − i + 1) / n
+ * @private
+ */
+const edersDelta = (z1, z2) => {
+  const n = z1.length;
+  const sum = z1.reduce((total, z, k) => total + Math.abs(z - z2[k]) * ((n - k) / n), 0);
+  return round(sum / n);
+};
+
+/**
+ * Wörter mit dem größten Beitrag zur Distanz
+ * direction: 'more' = im anonymen Text häufiger als beim Autor
+ * @private
+ */
+const explainDistance = (features, unknownZ, authorZ, limit) => {
+  return features
+    .map((word, k) => ({
+      word,
+      unknownZ: round(unknownZ[k]),
+      authorZ: round(authorZ[k]),
+      contribution: round(Math.abs(unknownZ[k] - authorZ[k])),
+      direction: unknownZ[k] > authorZ[k] ? 'more' : 'less'
+    }))
+    .sort((a, b) => b.contribution - a.contribution)
+    .slice(0, limit);
+};
+
+/**
+ * Relative Häufigkeiten der Merkmalswörter (pro 1000 Wörter)
+ * @private
+ */
+const relativeFrequencies = (sample, features) => {
+  return features.map(word => ((sample.counts.get(word) || 0) / sample.total) * 1000);
+};
+
+/**
+ * @private
+ */
+const meanAndStd = (values) => {
+  const mean = values.reduce((a, b) => a + b, 0) / values.length;
+  const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length;
+  return { mean, std: Math.sqrt(variance) };
+};
+
+const round = (value) => parseFloat(value.toFixed(4));
+
+export default {
+  DELTA_METHODS,
+  FEATURE_SETS,
+  createSample,
+  buildAuthorProfiles,
+  selectFeatures,
+  attributeAuthorship
+};
@@ -1,6 +1,14 @@
 import { getModel } from './modelLoader';
-import { DEPENDENCY_RELATIONS, RHYME_SCHEMES, STYLISTIC_DEVICES, ANALYSIS_CONFIG } from '../utils/constants';
+import { DEPENDENCY_RELATIONS, RHYME_SCHEMES, STYLISTIC_DEVICES, ANALYSIS_CONFIG, FEATURES } from '../utils/constants';
 import { sentenceSegmentation, detectVerses, estimateSyllables } from '../utils/textPreprocessing';
+import { analyzeMeter } from './metricalAnalysis';
+import { getRhymeSuffix, classifyRhyme } from './phoneticAnalysis';
+import { getLemmaKey } from './lemmatizer';
+import { parseDependencies } from './dependencyParser';
+import { analyzeLineBreaks } from './lineBreakAnalysis';
+import { recognizeForm } from './formRecognition';
+import { summarizeVerbComplexes } from './verbAnalysis';
+import { throwIfAborted, isCancellationError } from '../utils/errors';
 
 /**
  * Führt vollständige Syntax-Analyse durch
@@ -8,31 +16,37 @@ import { sentenceSegmentation, detectVerses, estimateSyllables } from '../utils/
  * 
  * @param {string} text - Input Text
  * @param {Array} tokens - Token-Array mit POS/NER Annotationen
+ * @param {AbortSignal} signal - Optionales Signal zum Abbrechen (geprüft zwischen den Schritten)
  * @returns {Promise<Object>} Syntax-Analyse Ergebnis
  */
-export const analyzeSyntax = async (text, tokens) => {
+export const analyzeSyntax = async (text, tokens, signal = null) => {
   const sentences = sentenceSegmentation(text);
   const verses = detectVerses(text);
   
-  // 1. Dependency Parsing (wenn Modell verfügbar)
+  // 1. Dependency Parsing (Modell oder regelbasierter Fallback)
   let dependencies = null;
   const depModel = getModel('DEPENDENCY');
   if (depModel) {
-    dependencies = await analyzeDependencies(text, sentences, depModel);
+    dependencies = await analyzeDependencies(text, sentences, depModel, signal);
+  } else if (FEATURES.RULE_BASED_DEPENDENCY) {
+    dependencies = analyzeRuleBasedDependencies(sentences, tokens);
   }
   
   // 2. Satzstruktur-Analyse (modellbasiert)
+  throwIfAborted(signal);
   const sentenceStructure = await analyzeSentenceStructure(sentences, tokens, dependencies);
   
-  // 3. Vers-Struktur (für Gedichte)
-  const verseStructure = analyzeVerseStructure(verses);
+  // 3. Vers-Struktur inkl. Metrik (für Gedichte)
+  const verseStructure = analyzeVerseStructure(verses, tokens);
   
   // 4. Reimschema-Analyse (phonetisch-modellbasiert)
+  throwIfAborted(signal);
   const rhymeScheme = verses.length > 0 
     ? await analyzeRhymeScheme(verses, tokens)
     : null;
   
   // 5. Repetitions-Analyse (datengetrieben)
+  throwIfAborted(signal);
   const repetitions = analyzeRepetitions(tokens);
   
   // 6. Parallelismus-Analyse (strukturbasiert)
@@ -42,7 +56,20 @@ export const analyzeSyntax = async (text, tokens) => {
   const punctuationPattern = analyzePunctuation(tokens);
   
   // 8. Syntaktische Komplexität
-  const complexity = calculateSyntacticComplexity(sentences, dependencies, tokens);
+  const complexity = calculateSyntacticComplexity(sentenceStructure, dependencies, tokens);
+
+  // 9. Zeilenstil, Enjambement und Zäsur (Satzgrenzen vs. Versenden)
+  const lineBreaks = verses.length > 1
+    ? analyzeLineBreaks({ text, verses, tokens, verseStructure })
+    : null;
+
+  // 10. Gedichtform (Strophenbau, Reimschema, Silben, Metrum, Zäsuren)
+  const form = verses.length > 0
+    ? recognizeForm({ verses, verseStructure, rhymeScheme, lineBreaks })
+    : null;
+
+  // 11. Verbalkomplexe je Teilsatz (Tempus, Modus, Genus verbi, Verbklammer über Versgrenzen)
+  const verbComplexes = summarizeVerbComplexes(tokens, verses);
 
   return {
     sentenceStructure,
@@ -52,7 +79,10 @@ export const analyzeSyntax = async (text, tokens) => {
     repetitions,
     parallelism,
     punctuationPattern,
-    complexity
+    complexity,
+    lineBreaks,
+    form,
+    verbComplexes
   };
 };
 
@@ -60,11 +90,12 @@ export const analyzeSyntax = async (text, tokens) => {
  * Analysiert Dependencies (syntaktische Abhängigkeiten)
  * @private
  */
-const analyzeDependencies = async (text, sentences, model) => {
+const analyzeDependencies = async (text, sentences, model, signal = null) => {
   try {
     const allDependencies = [];
     
     for (const sentence of sentences) {
+      throwIfAborted(signal);
       // Verwende Token-Classification für Dependency Parsing
       const depResults = await model(sentence.text, {
         aggregation_strategy: 'simple'
@@ -89,11 +120,28 @@ const analyzeDependencies = async (text, sentences, model) => {
     
     return allDependencies;
   } catch (error) {
+    if (isCancellationError(error)) throw error;
     console.error('Dependency Parsing Fehler:', error);
     return null;
   }
 };
 
+/**
+ * Analysiert Dependencies mit dem regelbasierten Parser
+ * @private
+ */
+const analyzeRuleBasedDependencies = (sentences, tokens) => {
+  try {
+    return parseDependencies(sentences, tokens).map(parsed => ({
+      ...parsed,
+      graph: buildDependencyGraph(parsed.dependencies)
+    }));
+  } catch (error) {
+    console.error('Regelbasiertes Dependency Parsing Fehler:', error);
+    return null;
+  }
+};
+
 /**
  * Analysiert Satzstruktur modellbasiert
  * @private
@@ -113,18 +161,21 @@ const analyzeSentenceStructure = async (sentences, tokens, dependencies) => {
     // Dependency-basierte Features
     let dependencyDepth = 0;
     let dependencyBreadth = 0;
-    if (dependencies) {
-      const sentenceDep = dependencies.find(d => d.sentenceIndex === sentence.index);
-      if (sentenceDep) {
-        const depMetrics = calculateDependencyMetrics(sentenceDep.graph);
-        dependencyDepth = depMetrics.maxDepth;
-        dependencyBreadth = depMetrics.avgBreadth;
-      }
+    const sentenceDependencies = dependencies?.find(d => d.sentenceIndex === sentence.index);
+    if (sentenceDependencies) {
+      const depMetrics = calculateDependencyMetrics(sentenceDependencies.graph);
+      dependencyDepth = depMetrics.maxDepth;
+      dependencyBreadth = depMetrics.avgBreadth;
     }
     
-    // Clause-Erkennung (basierend auf Konjunktionen)
-    const subordinateClauses = words.filter(t => t.posTag === 'SCONJ').length;
-    const coordinateClauses = words.filter(t => t.posTag === 'CCONJ').length;
+    // Clause-Erkennung (Teilsätze des Parsers, sonst Konjunktionen)
+    const clauses = sentenceDependencies?.clauses;
+    const subordinateClauses = clauses
+      ? clauses.filter(c => c.type !== 'main').length
+      : words.filter(t => t.posTag === 'SCONJ').length;
+    const coordinateClauses = clauses
+      ? clauses.filter(c => c.coordinated).length
+      : words.filter(t => t.posTag === 'CCONJ').length;
     
     structures.push({
       ...sentence,
@@ -136,7 +187,8 @@ const analyzeSentenceStructure = async (sentences, tokens, dependencies) => {
       dependencyBreadth,
       subordinateClauses,
       coordinateClauses,
-      clauseCount: 1 + subordinateClauses + coordinateClauses,
+      clauseCount: clauses ? Math.max(clauses.length, 1) : 1 + subordinateClauses + coordinateClauses,
+      clauses: clauses || null,
       complexity: calculateSentenceComplexity(words, subordinateClauses, dependencyDepth),
       type: classifySentenceType(sentenceTokens)
     });
@@ -147,17 +199,23 @@ const analyzeSentenceStructure = async (sentences, tokens, dependencies) => {
 
 /**
  * Analysiert Vers-Struktur
+ * Skandiert jeden Vers und bestimmt das vorherrschende Metrum
  * @private
  */
-const analyzeVerseStructure = (verses) => {
+const analyzeVerseStructure = (verses, tokens) => {
   if (verses.length === 0) return null;
   
+  const meter = analyzeMeter(verses, tokens);
+  
   return {
-    verses: verses.map(verse => ({
+    verses: verses.map((verse, i) => ({
       ...verse,
       syllableCount: estimateSyllables(verse.text),
-      stressPattern: null // Könnte durch Phonetik-Modell ergänzt werden
+      stressPattern: meter.verses[i].stressPattern,
+      scansion: meter.verses[i].syllables,
+      meter: meter.verses[i].meter
     })),
+    meter: meter.dominant,
     totalVerses: verses.length,
     avgWordsPerVerse: (verses.reduce((sum, v) => sum + v.wordCount, 0) / verses.length).toFixed(2),
     avgSyllablesPerVerse: (verses.reduce((sum, v) => sum + estimateSyllables(v.text), 0) / verses.length).toFixed(2),
@@ -166,27 +224,32 @@ const analyzeVerseStructure = (verses) => {
 };
 
 /**
- * Analysiert Reimschema modellbasiert
- * Verwendet phonetische Ähnlichkeit statt einfacher String-Vergleiche
+ * Analysiert das Reimschema phonetisch
+ * Vergleicht die Reimsilben (ab dem letzten betonten Vokal) der Versendwörter
  * @private
  */
 const analyzeRhymeScheme = async (verses, tokens) => {
   if (verses.length < 2) return null;
   
-  // Extrahiere letzte Wörter jedes Verses
+  // Extrahiere letzte Wörter jedes Verses samt Reimsilbe
   const verseEndings = verses.map(verse => {
+    const lastToken = findLastVerseToken(verse, tokens);
     const verseWords = verse.text.trim().split(/\s+/);
-    const lastWord = verseWords[verseWords.length - 1].replace(/[.,!?;:]$/g, '');
+    const lastWord = lastToken
+      ? lastToken.text
+      : verseWords[verseWords.length - 1].replace(/[.,!?;:]+$/g, '');
+    const rhyme = getRhymeSuffix(lastWord, lastToken?.posTag || null);
     return {
       verseIndex: verse.index,
       word: lastWord.toLowerCase(),
-      // Extrahiere phonetische Endung (letzte 2-3 Zeichen als Proxy)
-      ending: extractPhoneticEnding(lastWord)
+      ending: rhyme.suffix,
+      rhyme
     };
   });
   
-  // Finde Reimpaare basierend auf phonetischer Ähnlichkeit
+  // Finde Reimpaare; Assonanzen werden gesondert erfasst
   const rhymePairs = [];
+  const assonances = [];
   const rhymePattern = new Array(verses.length).fill(null);
   let currentLabel = 'A';
   
@@ -199,32 +262,46 @@ const analyzeRhymeScheme = async (verses, tokens) => {
     for (let j = i + 1; j < verseEndings.length; j++) {
       if (rhymePattern[j] !== null) continue;
       
-      const similarity = calculatePhoneticSimilarity(
-        verseEndings[i].ending,
-        verseEndings[j].ending
-      );
+      const classification = classifyRhyme(verseEndings[i].rhyme, verseEndings[j].rhyme);
+      if (!classification) continue;
+      
+      const pair = {
+        verse1: i,
+        verse2: j,
+        word1: verseEndings[i].word,
+        word2: verseEndings[j].word,
+        ending1: verseEndings[i].ending,
+        ending2: verseEndings[j].ending,
+        type: classification.type,
+        typeLabel: classification.label,
+        similarity: classification.similarity.toFixed(3)
+      };
       
-      if (similarity > 0.7) { // Schwellenwert für Reim
+      if (classification.isRhyme) {
         rhymePattern[j] = currentLabel;
-        rhymePairs.push({
-          verse1: i,
-          verse2: j,
-          word1: verseEndings[i].word,
-          word2: verseEndings[j].word,
-          similarity: similarity.toFixed(3)
-        });
+        rhymePairs.push(pair);
+      } else {
+        assonances.push(pair);
       }
     }
     
     currentLabel = String.fromCharCode(currentLabel.charCodeAt(0) + 1);
   }
   
+  const typeDistribution = {};
+  [...rhymePairs, ...assonances].forEach(pair => {
+    typeDistribution[pair.type] = (typeDistribution[pair.type] || 0) + 1;
+  });
+  
   const schemeString = rhymePattern.join('');
   
   return {
     pattern: rhymePattern,
     scheme: schemeString,
     pairs: rhymePairs,
+    assonances,
+    endings: verseEndings.map(({ verseIndex, word, ending }) => ({ verseIndex, word, ending })),
+    typeDistribution,
     description: identifyRhymeSchemeType(schemeString),
     quality: calculateRhymeQuality(rhymePairs, verses.length)
   };
@@ -238,13 +315,15 @@ const analyzeRepetitions = (tokens) => {
   const wordTokens = tokens.filter(t => !t.isPunctuation && t.text.length > 2);
   const repetitions = new Map();
   
-  // Sammle alle Wiederholungen
+  // Sammle alle Wiederholungen (nach Lemma, damit Flexionsformen zusammenfallen)
   for (const token of wordTokens) {
-    const word = token.text.toLowerCase();
+    const key = getLemmaKey(token);
     
-    if (!repetitions.has(word)) {
-      repetitions.set(word, {
+    if (!repetitions.has(key)) {
+      repetitions.set(key, {
         word: token.text,
+        lemma: token.lemma || token.text,
+        forms: [],
         count: 0,
         positions: [],
         posTag: token.posTag,
@@ -252,9 +331,12 @@ const analyzeRepetitions = (tokens) => {
       });
     }
     
-    const entry = repetitions.get(word);
+    const entry = repetitions.get(key);
     entry.count++;
     entry.positions.push(token.position);
+    if (!entry.forms.includes(token.text)) {
+      entry.forms.push(token.text);
+    }
   }
   
   // Filtere relevante Wiederholungen
@@ -401,7 +483,10 @@ const calculateSyntacticComplexity = (sentences, dependencies, tokens) => {
 // ===================== Hilfsfunktionen =====================
 
 const extractSentenceTokens = (sentence, tokens) => {
-  // Einfache Heuristik: Tokens die im Satz-Text vorkommen
+  // Zeichen-Offsets aus sentenceSegmentation, sonst Heuristik über den Satz-Text
+  if (sentence.start !== undefined) {
+    return tokens.filter(t => t.index >= sentence.start && t.index < sentence.end);
+  }
   return tokens.filter(t => sentence.text.includes(t.text));
 };
 
@@ -416,29 +501,54 @@ const calculatePOSDistribution = (words) => {
 };
 
 const parseDependencyRelation = (label) => {
-  if (!label) return 'dep';
-  const cleanLabel = label.replace(/^[BI]-/, '').toLowerCase();
-  return DEPENDENCY_RELATIONS[cleanLabel] ? cleanLabel : 'dep';
+  if (!label) return 'DEP';
+  const cleanLabel = label.replace(/^[BI]-/, '').split(':')[0].toUpperCase();
+  return DEPENDENCY_RELATIONS[cleanLabel] ? cleanLabel : 'DEP';
 };
 
 const buildDependencyGraph = (dependencies) => {
-  // Vereinfachter Graph: Liste von Relationen
+  // Graph: Liste von Relationen (from = Kopf, to = Dependent; nur bei Parser-Output)
   return {
     nodes: dependencies.length,
     edges: dependencies.map(d => ({
+      from: d.head,
+      to: d.id,
       relation: d.relation,
       word: d.word
-    }))
+    })),
+    root: dependencies.find(d => d.relation === 'ROOT')?.id ?? null
   };
 };
 
 const calculateDependencyMetrics = (graph) => {
   if (!graph || !graph.edges) return { maxDepth: 0, avgBreadth: 0 };
   
-  // Vereinfachte Metriken
+  // Ohne Köpfe (Modell-Output) nur geschätzte Metriken
+  if (!graph.edges.every(e => e.from !== undefined && e.to !== undefined)) {
+    return {
+      maxDepth: Math.ceil(Math.log2(graph.nodes + 1)), // Geschätzte Tiefe
+      avgBreadth: graph.nodes / Math.max(1, Math.ceil(Math.log2(graph.nodes + 1)))
+    };
+  }
+  
+  // Tiefe = längster Pfad von der Wurzel, Breite = Dependenten pro innerem Knoten
+  const heads = new Map(graph.edges.map(e => [e.to, e.from]));
+  const depthOf = (id) => {
+    let depth = 0;
+    let current = id;
+    while (heads.get(current) && depth <= graph.nodes) {
+      current = heads.get(current);
+      depth++;
+    }
+    return depth;
+  };
+  
+  const maxDepth = graph.edges.reduce((max, e) => Math.max(max, depthOf(e.to)), 0);
+  const governors = new Set(graph.edges.filter(e => e.from > 0).map(e => e.from));
+  
   return {
-    maxDepth: Math.ceil(Math.log2(graph.nodes + 1)), // Geschätzte Tiefe
-    avgBreadth: graph.nodes / Math.max(1, Math.ceil(Math.log2(graph.nodes + 1)))
+    maxDepth,
+    avgBreadth: governors.size > 0 ? (graph.edges.length - 1) / governors.size : 0
   };
 };
 
@@ -484,48 +594,17 @@ const checkStructuralRegularity = (verses) => {
   return variance < 4; // Niedrige Varianz = regelmäßig
 };
 
-const extractPhoneticEnding = (word) => {
-  const clean = word.toLowerCase().replace(/[^a-zäöüß]/g, '');
-  return clean.slice(-3); // Letzte 3 Zeichen als Proxy für Phonectic
-};
-
-const calculatePhoneticSimilarity = (ending1, ending2) => {
-  if (ending1 === ending2) return 1.0;
-  if (ending1.length === 0 || ending2.length === 0) return 0;
-  
-  // Levenshtein-Distanz
-  const maxLen = Math.max(ending1.length, ending2.length);
-  const distance = levenshteinDistance(ending1, ending2);
-  
-  return 1 - (distance / maxLen);
-};
-
-const levenshteinDistance = (str1, str2) => {
-  const matrix = [];
-  
-  for (let i = 0; i <= str2.length; i++) {
-    matrix[i] = [i];
-  }
-  
-  for (let j = 0; j <= str1.length; j++) {
-    matrix[0][j] = j;
-  }
-  
-  for (let i = 1; i <= str2.length; i++) {
-    for (let j = 1; j <= str1.length; j++) {
-      if (str2.charAt(i - 1) === str1.charAt(j - 1)) {
-        matrix[i][j] = matrix[i - 1][j - 1];
-      } else {
-        matrix[i][j] = Math.min(
-          matrix[i - 1][j - 1] + 1,
-          matrix[i][j - 1] + 1,
-          matrix[i - 1][j] + 1
-        );
-      }
-    }
-  }
+/**
+ * Findet das letzte Wort-Token eines Verses über die Zeichen-Offsets
+ * @private
+ */
+const findLastVerseToken = (verse, tokens) => {
+  if (!tokens || verse.start === undefined) return null;
   
-  return matrix[str2.length][str1.length];
+  const verseTokens = tokens.filter(t =>
+    !t.isPunctuation && t.index >= verse.start && t.index < verse.end
+  );
+  return verseTokens.length > 0 ? verseTokens[verseTokens.length - 1] : null;
 };
 
 const identifyRhymeSchemeType = (scheme) => {
@@ -603,7 +682,7 @@ const detectSymploce = (repetitions, tokens) => {
   const anaphoras = detectAnaphora(repetitions, tokens);
   const epiphoras = detectEpiphora(repetitions, tokens);
   
-  return anaphoras.filter(a => epiphoras.some(e => e.word === a.word));
+  return anaphoras.filter(a => epiphoras.some(e => e.lemma === a.lemma));
 };
 
 const calculateStructuralSimilarity = (sent1, sent2) => {
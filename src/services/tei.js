@@ -0,0 +1,317 @@
+import { detectVerses, normalizeUTF8 } from '../utils/textPreprocessing';
+
+/**
+ * TEI P5 Export und Import für Gedichte
+ * Export: <lg type="stanza"> / <l n="…"> mit <w lemma pos ana> und <rhyme label>
+ * Import: Verse und Strophen aus TEI-Korpora (z.B. DTA, TextGrid) als Analyse-Text
+ */
+
+const TEI_NAMESPACE = 'http://www.tei-c.org/ns/1.0';
+
+// Entitätstypen -> TEI Namens-Elemente
+const ENTITY_ELEMENTS = {
+  PER: 'persName',
+  MYTH: 'persName',
+  BIBL: 'persName',
+  LOC: 'placeName',
+  ORG: 'orgName'
+};
+
+const SENTIMENT_LABELS = ['positiv', 'negativ', 'neutral'];
+
+// Elemente, deren Inhalt beim Import nicht zum Verstext gehört
+const SKIPPED_ELEMENTS = new Set(['note', 'fw', 'del', 'sic', 'orig', 'abbr', 'speaker', 'head', 'figure']);
+
+/**
+ * Exportiert ein Analyse-Ergebnis als TEI P5 XML
+ *
+ * @param {Object} analysis - Analyse-Ergebnis aus textAnalyzer
+ * @param {Object} details - { title, author }
+ * @returns {string} TEI-XML
+ */
+export const exportToTEI = (analysis, details = {}) => {
+  const text = analysis?.text?.normalized || analysis?.text?.original || '';
+  const tokens = analysis?.tokens?.all || [];
+  const verses = detectVerses(text);
+  const rhymePattern = analysis?.syntax?.rhymeScheme?.pattern || [];
+  const sentimentByPosition = new Map(
+    (analysis?.sentiment?.words || [])
+      .filter(w => w.sentiment?.label)
+      .map(w => [w.position, w.sentiment.label])
+  );
+
+  const title = details.title || verses[0]?.text || 'Ohne Titel';
+  const stanzas = groupByStanza(verses);
+
+  const body = stanzas.map(stanza => {
+    const stanzaRhyme = stanza.map(v => rhymePattern[v.index] || '').join('');
+    const rhymeAttr = stanzaRhyme.length === stanza.length ? ` rhyme="${stanzaRhyme}"` : '';
+    const lines = stanza.map(verse => {
+      const verseTokens = tokens.filter(t => t.index >= verse.start && t.index < verse.end);
+      const content = verseTokens.length > 0
+        ? serializeVerseTokens(verseTokens, sentimentByPosition, rhymePattern[verse.index])
+        : escapeXML(verse.text);
+      return `          <l n="${verse.index + 1}">${content}</l>`;
+    });
+    return `        <lg type="stanza" n="${stanza[0].stanza + 1}"${rhymeAttr}>\n${lines.join('\n')}\n        </lg>`;
+  });
+
+  const usedSentiments = SENTIMENT_LABELS.filter(label =>
+    [...sentimentByPosition.values()].includes(label)
+  );
+  const back = usedSentiments.length > 0
+    ? [
+      '    <back>',
+      '      <interpGrp type="sentiment">',
+      ...usedSentiments.map(label => `        <interp xml:id="sentiment.${label}">${label}</interp>`),
+      '      </interpGrp>',
+      '    </back>'
+    ].join('\n')
+    : null;
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<TEI xmlns="${TEI_NAMESPACE}">`,
+    '  <teiHeader>',
+    '    <fileDesc>',
+    '      <titleStmt>',
+    `        <title>${escapeXML(title)}</title>`,
+    details.author ? `        <author>${escapeXML(details.author)}</author>` : null,
+    '      </titleStmt>',
+    '      <publicationStmt>',
+    '        <p>Exportiert aus Lyrik Analyse</p>',
+    '      </publicationStmt>',
+    '      <sourceDesc>',
+    `        <p>Automatisch annotiert am ${escapeXML(analysis?.metadata?.analyzedAt || new Date().toISOString())}</p>`,
+    '      </sourceDesc>',
+    '    </fileDesc>',
+    '  </teiHeader>',
+    '  <text>',
+    '    <body>',
+    '      <lg type="poem">',
+    ...body,
+    '      </lg>',
+    '    </body>',
+    back,
+    '  </text>',
+    '</TEI>',
+    ''
+  ].filter(line => line !== null).join('\n');
+};
+
+/**
+ * Liest ein TEI-Dokument und baut daraus den Gedichttext
+ * Strophen werden durch Leerzeilen getrennt, damit detectVerses die Struktur wiederfindet.
+ *
+ * @param {string} xml - TEI-XML
+ * @returns {Object} { text, title, author, stanzaCount, verseCount }
+ */
+export const parseTEI = (xml) => {
+  if (!xml || typeof xml !== 'string') {
+    throw new Error('Leere TEI-Datei');
+  }
+  if (typeof DOMParser === 'undefined') {
+    throw new Error('XML-Parser nicht verfügbar');
+  }
+
+  const doc = new DOMParser().parseFromString(xml, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('Ungültiges XML');
+  }
+
+  const title = firstText(doc, 'titleStmt', 'title');
+  const author = firstText(doc, 'titleStmt', 'author');
+
+  const root = findElements(doc, 'body')[0] || findElements(doc, 'text')[0] || doc.documentElement;
+  const lineElements = findElements(root, 'l');
+
+  let stanzas;
+  if (lineElements.length > 0) {
+    // Verse nach umgebender <lg> gruppieren
+    stanzas = [];
+    let currentGroup = null;
+    for (const line of lineElements) {
+      const group = closestGroup(line);
+      const verse = extractText(line);
+      if (!verse) continue;
+
+      if (stanzas.length === 0 || group !== currentGroup) {
+        stanzas.push([]);
+        currentGroup = group;
+      }
+      stanzas[stanzas.length - 1].push(verse);
+    }
+  } else {
+    // Prosa oder unmarkierte Verse: Absätze mit <lb/> als Zeilen
+    stanzas = findElements(root, 'p')
+      .map(p => extractText(p, true).split('\n').map(l => l.trim()).filter(Boolean))
+      .filter(lines => lines.length > 0);
+  }
+
+  if (stanzas.length === 0) {
+    throw new Error('Keine Verse (<l>) oder Absätze (<p>) im TEI-Dokument gefunden');
+  }
+
+  return {
+    text: normalizeUTF8(stanzas.map(lines => lines.join('\n')).join('\n\n')),
+    title,
+    author,
+    stanzaCount: stanzas.length,
+    verseCount: stanzas.reduce((sum, lines) => sum + lines.length, 0)
+  };
+};
+
+/**
+ * Serialisiert die Tokens eines Verses als <w>/<pc>, Entitäten als Namens-Elemente
+ * Das letzte Wort wird in <rhyme label> gefasst.
+ * @private
+ */
+const serializeVerseTokens = (verseTokens, sentimentByPosition, rhymeLabel) => {
+  const lastWordIndex = verseTokens.map(t => t.isPunctuation).lastIndexOf(false);
+  let output = '';
+  let openEntity = null;
+
+  verseTokens.forEach((token, i) => {
+    const previous = verseTokens[i - 1];
+    const spaced = previous && token.index > previous.index + previous.length;
+    const entity = !token.isPunctuation && ENTITY_ELEMENTS[token.entityType] ? token.entityType : null;
+
+    // Neue Spanne (B-Tag) schließt auch eine direkt vorangehende Entität gleichen Typs
+    if (openEntity && (entity !== openEntity || token.entityTag?.startsWith('B-'))) {
+      output += `</${ENTITY_ELEMENTS[openEntity]}>`;
+      openEntity = null;
+    }
+    if (spaced) output += ' ';
+    if (entity && !openEntity) {
+      output += `<${ENTITY_ELEMENTS[entity]}>`;
+      openEntity = entity;
+    }
+
+    let element = serializeToken(token, sentimentByPosition.get(token.position));
+    if (i === lastWordIndex && rhymeLabel) {
+      element = `<rhyme label="${escapeXML(rhymeLabel)}">${element}</rhyme>`;
+    }
+    output += element;
+  });
+
+  if (openEntity) {
+    output += `</${ENTITY_ELEMENTS[openEntity]}>`;
+  }
+  return output;
+};
+
+/**
+ * Serialisiert ein Token
+ * @private
+ */
+const serializeToken = (token, sentiment) => {
+  if (token.isPunctuation) {
+    return `<pc>${escapeXML(token.text)}</pc>`;
+  }
+
+  const attributes = [];
+  if (token.lemma) attributes.push(`lemma="${escapeXML(token.lemma)}"`);
+  if (token.posTag) attributes.push(`pos="${escapeXML(token.posTag)}"`);
+  if (sentiment) attributes.push(`ana="#sentiment.${escapeXML(sentiment)}"`);
+
+  return `<w${attributes.length > 0 ? ' ' + attributes.join(' ') : ''}>${escapeXML(token.text)}</w>`;
+};
+
+/**
+ * Gruppiert Verse nach Strophe
+ * @private
+ */
+const groupByStanza = (verses) => {
+  const stanzas = [];
+  for (const verse of verses) {
+    const last = stanzas[stanzas.length - 1];
+    if (last && last[0].stanza === verse.stanza) {
+      last.push(verse);
+    } else {
+      stanzas.push([verse]);
+    }
+  }
+  return stanzas;
+};
+
+/**
+ * Sucht Elemente nach lokalem Namen (mit oder ohne TEI-Namespace)
+ * @private
+ */
+const findElements = (node, localName) => {
+  const namespaced = node.getElementsByTagNameNS
+    ? Array.from(node.getElementsByTagNameNS(TEI_NAMESPACE, localName))
+    : [];
+  return namespaced.length > 0 ? namespaced : Array.from(node.getElementsByTagName(localName));
+};
+
+/**
+ * Text des ersten Elements innerhalb eines Containers
+ * @private
+ */
+const firstText = (doc, containerName, localName) => {
+  const container = findElements(doc, containerName)[0];
+  const element = container ? findElements(container, localName)[0] : null;
+  return element ? element.textContent.replace(/\s+/g, ' ').trim() : '';
+};
+
+/**
+ * Nächste umgebende <lg> (oder der Elternknoten, falls keine existiert)
+ * @private
+ */
+const closestGroup = (element) => {
+  let current = element.parentNode;
+  while (current && current.nodeType === 1) {
+    if (current.localName === 'lg' && current.getAttribute('type') !== 'poem') {
+      return current;
+    }
+    current = current.parentNode;
+  }
+  return element.parentNode;
+};
+
+/**
+ * Extrahiert den lesbaren Text eines Elements
+ * Bevorzugt <corr>/<reg>/<expan> gegenüber <sic>/<orig>/<abbr>, überspringt Anmerkungen.
+ * @private
+ */
+const extractText = (element, keepLineBreaks = false) => {
+  let text = '';
+
+  const walk = (node) => {
+    if (node.nodeType === 3) {
+      text += node.nodeValue;
+      return;
+    }
+    if (node.nodeType !== 1) return;
+
+    const name = node.localName;
+    if (SKIPPED_ELEMENTS.has(name)) return;
+    if (name === 'lb') {
+      text += keepLineBreaks ? '\n' : ' ';
+      return;
+    }
+    node.childNodes.forEach(walk);
+  };
+
+  element.childNodes.forEach(walk);
+
+  return keepLineBreaks
+    ? text.replace(/[ \t\r]+/g, ' ').replace(/ ?\n ?/g, '\n').trim()
+    : text.replace(/\s+/g, ' ').trim();
+};
+
+/**
+ * Maskiert XML-Sonderzeichen
+ * @private
+ */
+const escapeXML = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+export default {
+  exportToTEI,
+  parseTEI
+};
@@ -1,10 +1,22 @@
 import { prepareForModel, validateText } from '../utils/textPreprocessing';
 import { analyzeSentiment, analyzeSentenceSentiment, analyzeWordSentiment, calculateSentimentStatistics, findEmotionalPeaks, analyzeSentimentTrend } from './sentimentAnalysis';
 import { analyzeTokens, analyzeWordFrequencies, findCompoundWords, findRareWords, analyzeTokenDiversity } from './tokenAnalysis';
+import { collectEntitySpans } from './literaryNER';
 import { analyzeSyntax } from './syntaxAnalysis';
 import { analyzeSemantics, analyzeThematicDevelopment, calculateSemanticDiversity } from './semanticAnalysis';
+import { analyzeStylisticDevices } from './stylisticAnalysis';
+import { analyzeEmotions } from './emotionAnalysis';
+import { analyzeSound } from './soundAnalysis';
+import { composeWordSentiment, attributeSentiment } from './compositionalSentiment';
+import { formatFormName } from './formRecognition';
+import { buildComparisonMatrices } from './textComparison';
 import { isModelLoaded } from './modelLoader';
-import { FEATURES, MODEL_GROUPS } from '../utils//constants';
+import analysisCache from './analysisCache';
+import { throwIfAborted, isCancellationError } from '../utils/errors';
+import { FEATURES, MODEL_GROUPS, MORPHOLOGICAL_FEATURES } from '../utils//constants';
+
+// Fließt in den Cache-Schlüssel ein: neue Version verwirft alte Cache-Einträge
+const ANALYSIS_VERSION = '2.9.0';
 
 /**
  * Hauptklasse für Text-Analyse
@@ -14,7 +26,6 @@ class TextAnalyzer {
   constructor() {
     this.currentAnalysis = null;
     this.isAnalyzing = false;
-    this.analysisCache = new Map();
   }
 
   /**
@@ -22,11 +33,12 @@ class TextAnalyzer {
    * Komplett modellbasiert, keine Heuristiken
    * 
    * @param {string} text - Input Text
-   * @param {Object} options - Analyse-Optionen
+   * @param {Object} options - Analyse-Optionen (useCache: false erzwingt Neuberechnung)
    * @param {function} progressCallback - Callback für Fortschritt
+   * @param {AbortSignal} signal - Optionales Signal; bricht zwischen Schritten und Batches mit AnalysisCancelledError ab
    * @returns {Promise<Object>} Vollständiges Analyse-Ergebnis
    */
-  async analyze(text, options = {}, progressCallback = null) {
+  async analyze(text, options = {}, progressCallback = null, signal = null) {
     // Validiere Input
     const validation = validateText(text);
     if (!validation.valid) {
@@ -40,15 +52,32 @@ class TextAnalyzer {
       const {
         enabledModules = ['all'],
         detailedAnalysis = true,
-        includeMetrics = true
+        includeMetrics = true,
+        useCache = true
       } = options;
 
+      // Cache: Schlüssel aus Text, Optionen und geladenen Models
+      const cacheKey = await analysisCache.createKey(validation.text, options, this.getUsedModels(), ANALYSIS_VERSION);
+      if (useCache) {
+        const cached = await analysisCache.get(cacheKey);
+        throwIfAborted(signal);
+        if (cached) {
+          const analysis = { ...cached, metadata: { ...cached.metadata, fromCache: true } };
+          this.currentAnalysis = analysis;
+          this.isAnalyzing = false;
+          this.updateProgress(progressCallback, 100, 'Analyse aus Cache geladen');
+          return analysis;
+        }
+      }
+
       // Schritt 1: Text-Vorbereitung (5%)
+      throwIfAborted(signal);
       this.updateProgress(progressCallback, 5, 'Bereite Text vor...');
       const prepared = prepareForModel(validation.text);
       const { tokens, sentences, statistics, readability } = prepared;
 
       // Schritt 2: Token-Level-Analyse (20%)
+      throwIfAborted(signal);
       this.updateProgress(progressCallback, 20, 'Analysiere Tokens (POS, NER)...');
       let tokenAnalysis = tokens;
       let frequencies = null;
@@ -66,36 +95,62 @@ class TextAnalyzer {
       }
 
       // Schritt 3: Sentiment-Analyse (40%)
+      throwIfAborted(signal);
       this.updateProgress(progressCallback, 40, 'Analysiere Sentiment...');
       let sentimentResults = null;
       
       if (this.shouldRunModule('sentiment', enabledModules) && isModelLoaded('SENTIMENT')) {
         sentimentResults = {
           overall: await analyzeSentiment(validation.text),
-          sentences: await analyzeSentenceSentiment(sentences),
-          words: await analyzeWordSentiment(validation.text, tokenAnalysis),
+          sentences: await analyzeSentenceSentiment(sentences, signal),
+          words: await analyzeWordSentiment(validation.text, tokenAnalysis, signal),
           statistics: null,
           peaks: null,
-          trend: null
+          trend: null,
+          irony: null
         };
-        
-        sentimentResults.statistics = calculateSentimentStatistics(sentimentResults.words);
-        
-        if (detailedAnalysis) {
-          sentimentResults.peaks = findEmotionalPeaks(sentimentResults.words);
-          sentimentResults.trend = analyzeSentimentTrend(sentimentResults.words);
-        }
+      }
+
+      // Emotionen (lexikonbasiert, kein Modell erforderlich)
+      let emotionResults = null;
+      if (this.shouldRunModule('emotion', enabledModules)) {
+        emotionResults = analyzeEmotions(tokenAnalysis, prepared.normalized);
+      }
+
+      // Klangmuster (G2P-basiert, kein Modell erforderlich)
+      let soundResults = null;
+      if (this.shouldRunModule('sound', enabledModules)) {
+        soundResults = analyzeSound(tokenAnalysis, prepared.normalized);
       }
 
       // Schritt 4: Syntaktische Analyse (60%)
+      throwIfAborted(signal);
       this.updateProgress(progressCallback, 60, 'Analysiere Syntax...');
       let syntaxAnalysis = null;
       
       if (this.shouldRunModule('syntax', enabledModules)) {
-        syntaxAnalysis = await analyzeSyntax(validation.text, tokenAnalysis);
+        syntaxAnalysis = await analyzeSyntax(validation.text, tokenAnalysis, signal);
+      }
+
+      // Kompositionelles Sentiment: Negations-Skopus über Dependencies, Attribution pro Satz
+      if (sentimentResults) {
+        if (syntaxAnalysis?.dependencies) {
+          sentimentResults.words = composeWordSentiment(sentimentResults.words, syntaxAnalysis.dependencies);
+        }
+        sentimentResults.sentences = attributeSentiment(sentimentResults.sentences, sentimentResults.words);
+        sentimentResults.irony = sentimentResults.sentences
+          .filter(s => s.attribution?.irony)
+          .map(s => ({ index: s.index, text: s.text, ...s.attribution.irony }));
+        sentimentResults.statistics = calculateSentimentStatistics(sentimentResults.words);
+        
+        if (detailedAnalysis) {
+          sentimentResults.peaks = findEmotionalPeaks(sentimentResults.words);
+          sentimentResults.trend = analyzeSentimentTrend(sentimentResults.words);
+        }
       }
 
       // Schritt 5: Semantische Analyse (80%)
+      throwIfAborted(signal);
       this.updateProgress(progressCallback, 80, 'Analysiere Semantik...');
       let semanticResults = null;
       let semanticDiversity = null;
@@ -103,14 +158,30 @@ class TextAnalyzer {
       if (this.shouldRunModule('semantics', enabledModules) && 
           isModelLoaded('EMBEDDINGS') && 
           FEATURES.SEMANTIC_SIMILARITY) {
-        semanticResults = await analyzeSemantics(validation.text, tokenAnalysis);
+        semanticResults = await analyzeSemantics(validation.text, tokenAnalysis, signal);
         
         if (detailedAnalysis && semanticResults.wordEmbeddings.length > 0) {
           semanticDiversity = calculateSemanticDiversity(semanticResults.wordEmbeddings);
         }
       }
 
-      // Schritt 6: Zusammenfassung und Metriken (95%)
+      // Schritt 6: Stilmittel (88%)
+      throwIfAborted(signal);
+      this.updateProgress(progressCallback, 88, 'Erkenne Stilmittel...');
+      let stylisticDevices = null;
+      
+      if (this.shouldRunModule('stylistics', enabledModules) && FEATURES.STYLISTIC_DEVICES) {
+        stylisticDevices = await analyzeStylisticDevices({
+          text: prepared.normalized,
+          tokens: tokenAnalysis,
+          syntax: syntaxAnalysis,
+          sentiment: sentimentResults,
+          semantics: semanticResults
+        });
+      }
+
+      // Schritt 7: Zusammenfassung und Metriken (95%)
+      throwIfAborted(signal);
       this.updateProgress(progressCallback, 95, 'Erstelle Zusammenfassung...');
       
       const summary = this.generateAdvancedSummary({
@@ -121,12 +192,13 @@ class TextAnalyzer {
         sentiment: sentimentResults,
         syntax: syntaxAnalysis,
         semantics: semanticResults,
+        stylisticDevices,
         frequencies,
         tokenDiversity,
         semanticDiversity
       });
 
-      // Schritt 7: Qualitäts-Metriken (100%)
+      // Schritt 8: Qualitäts-Metriken (100%)
       this.updateProgress(progressCallback, 100, 'Analyse abgeschlossen!');
       
       let qualityMetrics = null;
@@ -146,7 +218,7 @@ class TextAnalyzer {
           processingTime: Date.now() - startTime,
           textLength: validation.text.length,
           modelsUsed: this.getUsedModels(),
-          analysisVersion: '2.0.0',
+          analysisVersion: ANALYSIS_VERSION,
           options
         },
         text: {
@@ -158,7 +230,8 @@ class TextAnalyzer {
           all: tokenAnalysis,
           count: tokenAnalysis.length,
           words: tokenAnalysis.filter(t => !t.isPunctuation),
-          punctuation: tokenAnalysis.filter(t => t.isPunctuation)
+          punctuation: tokenAnalysis.filter(t => t.isPunctuation),
+          entities: collectEntitySpans(tokenAnalysis)
         },
         sentences: {
           all: sentences,
@@ -169,9 +242,12 @@ class TextAnalyzer {
         compounds,
         tokenDiversity,
         sentiment: sentimentResults,
+        emotions: emotionResults,
+        sound: soundResults,
         syntax: syntaxAnalysis,
         semantics: semanticResults,
         semanticDiversity,
+        stylisticDevices,
         summary,
         qualityMetrics
       };
@@ -180,12 +256,14 @@ class TextAnalyzer {
       this.isAnalyzing = false;
       
       // Cache Ergebnis
-      this.cacheAnalysis(validation.text, analysis);
+      await analysisCache.set(cacheKey, analysis);
       
       return analysis;
 
     } catch (error) {
       this.isAnalyzing = false;
+      // Abbruch ist kein Fehler: unverändert weiterreichen
+      if (isCancellationError(error)) throw error;
       console.error('Analyse Fehler:', error);
       throw new Error(`Analyse fehlgeschlagen: ${error.message}`);
     }
@@ -196,9 +274,10 @@ class TextAnalyzer {
    * 
    * @param {string} text - Input Text
    * @param {Array} aspects - Gewünschte Analyse-Aspekte
+   * @param {AbortSignal} signal - Optionales Signal zum Abbrechen
    * @returns {Promise<Object>} Partial Analyse
    */
-  async analyzePartial(text, aspects = ['tokens', 'sentiment']) {
+  async analyzePartial(text, aspects = ['tokens', 'sentiment'], signal = null) {
     const validation = validateText(text);
     if (!validation.valid) {
       throw new Error(validation.error);
@@ -216,26 +295,30 @@ class TextAnalyzer {
     const { tokens } = prepared;
 
     // Tokens
+    throwIfAborted(signal);
     if (aspects.includes('tokens')) {
       result.tokens = await analyzeTokens(validation.text, tokens);
     }
 
     // Sentiment
+    throwIfAborted(signal);
     if (aspects.includes('sentiment') && isModelLoaded('SENTIMENT')) {
       result.sentiment = {
         overall: await analyzeSentiment(validation.text),
-        words: await analyzeWordSentiment(validation.text, tokens)
+        words: await analyzeWordSentiment(validation.text, tokens, signal)
       };
     }
 
     // Syntax
+    throwIfAborted(signal);
     if (aspects.includes('syntax')) {
-      result.syntax = await analyzeSyntax(validation.text, tokens);
+      result.syntax = await analyzeSyntax(validation.text, tokens, signal);
     }
 
     // Semantik
+    throwIfAborted(signal);
     if (aspects.includes('semantics') && isModelLoaded('EMBEDDINGS')) {
-      result.semantics = await analyzeSemantics(validation.text, tokens);
+      result.semantics = await analyzeSemantics(validation.text, tokens, signal);
     }
 
     return result;
@@ -298,12 +381,13 @@ class TextAnalyzer {
    * 
    * @param {string} text1 - Erster Text
    * @param {string} text2 - Zweiter Text
+   * @param {AbortSignal} signal - Optionales Signal zum Abbrechen
    * @returns {Promise<Object>} Vergleichs-Ergebnis
    */
-  async compareTexts(text1, text2) {
+  async compareTexts(text1, text2, signal = null) {
     const [analysis1, analysis2] = await Promise.all([
-      this.analyze(text1, { detailedAnalysis: false }),
-      this.analyze(text2, { detailedAnalysis: false })
+      this.analyze(text1, { detailedAnalysis: false }, null, signal),
+      this.analyze(text2, { detailedAnalysis: false }, null, signal)
     ]);
 
     return {
@@ -344,12 +428,74 @@ class TextAnalyzer {
     };
   }
 
+  /**
+   * Vergleicht beliebig viele Texte paarweise
+   * Liefert Ähnlichkeitsmatrizen (Semantik, Stilometrie, Reim/Metrum, Sentiment-Verlauf)
+   * und pro Paar die Details für die Drill-down-Ansicht.
+   *
+   * @param {Array<string|Object>} texts - Texte oder { title, text }
+   * @param {function} progressCallback - Callback für Fortschritt
+   * @param {AbortSignal} signal - Optionales Signal zum Abbrechen
+   * @returns {Promise<Object>} { texts, matrices, pairs }
+   */
+  async compareMany(texts, progressCallback = null, signal = null) {
+    const documents = texts.map((entry, i) => (
+      typeof entry === 'string'
+        ? { title: `Text ${i + 1}`, text: entry }
+        : { title: entry.title || `Text ${i + 1}`, text: entry.text }
+    ));
+
+    if (documents.length < 2) {
+      throw new Error('Für einen Vergleich werden mindestens zwei Texte benötigt');
+    }
+
+    // Nacheinander analysieren: die Modelle im Worker sind nicht parallelisierbar
+    const analyses = [];
+    for (let i = 0; i < documents.length; i++) {
+      throwIfAborted(signal);
+      const analysis = await this.analyze(
+        documents[i].text,
+        {},
+        (progress) => this.updateProgress(
+          progressCallback,
+          Math.round(((i + progress.progress / 100) / documents.length) * 95),
+          `Text ${i + 1}/${documents.length}: ${progress.message}`
+        ),
+        signal
+      );
+      analyses.push(analysis);
+    }
+
+    this.updateProgress(progressCallback, 95, 'Berechne Ähnlichkeitsmatrizen...');
+    const { matrices, pairs } = buildComparisonMatrices(analyses);
+
+    // Klassische Paarvergleiche für die Detailansicht ergänzen
+    pairs.forEach(pair => {
+      const a = analyses[pair.i];
+      const b = analyses[pair.j];
+      pair.sentiment = this.compareSentiment(a.sentiment, b.sentiment);
+      pair.themes = this.compareThemes(a.semantics, b.semantics);
+    });
+
+    this.updateProgress(progressCallback, 100, 'Vergleich abgeschlossen');
+
+    return {
+      texts: documents.map((doc, i) => ({
+        title: doc.title,
+        length: doc.text.length,
+        summary: analyses[i].summary
+      })),
+      matrices,
+      pairs
+    };
+  }
+
   /**
    * Generiert erweiterte Zusammenfassung
    * @private
    */
   generateAdvancedSummary(data) {
-    const { tokens, sentences, readability, statistics, sentiment, syntax, semantics, frequencies, tokenDiversity, semanticDiversity } = data;
+    const { tokens, sentences, readability, statistics, sentiment, syntax, semantics, stylisticDevices, frequencies, tokenDiversity, semanticDiversity } = data;
 
     const words = tokens.filter(t => !t.isPunctuation);
     const avgWordLength = words.length > 0
@@ -381,8 +527,25 @@ class TextAnalyzer {
         punctuationStyle: syntax?.punctuationPattern?.dominantType || 'Neutral',
         hasRhymes: syntax?.rhymeScheme !== null,
         rhymeScheme: syntax?.rhymeScheme?.description?.label || 'Keins',
+        meter: syntax?.verseStructure?.meter?.name || 'Kein Metrum',
+        form: formatFormName(syntax?.form?.form) || 'Keine feste Form',
+        tense: MORPHOLOGICAL_FEATURES.TENSE[syntax?.verbComplexes?.dominant?.tense] || 'Unbekannt',
+        mood: MORPHOLOGICAL_FEATURES.MOOD[syntax?.verbComplexes?.dominant?.mood] || 'Unbekannt',
         repetitionsCount: syntax?.repetitions?.total || 0,
-        parallelismsCount: syntax?.parallelism?.length || 0
+        parallelismsCount: syntax?.parallelism?.length || 0,
+        alliterationsCount: stylisticDevices?.counts?.ALLITERATION || 0,
+        stylisticDevicesCount: stylisticDevices?.total || 0,
+        stylisticDevices: stylisticDevices
+          ? Object.entries(stylisticDevices.byType)
+            .filter(([, instances]) => instances.length > 0)
+            .map(([type, instances]) => ({
+              type,
+              label: instances[0].label,
+              count: instances.length,
+              maxConfidence: Math.max(...instances.map(d => d.confidence))
+            }))
+            .sort((a, b) => b.count - a.count)
+          : []
       },
       
       themes: semantics && semantics.keyPhrases ? 
@@ -420,6 +583,7 @@ class TextAnalyzer {
       textType: this.classifyTextType({
         hasVerses: syntax?.verseStructure !== null,
         hasRhymes: syntax?.rhymeScheme !== null,
+        form: syntax?.form?.form || null,
         avgSentenceLength: parseFloat(readability.avgWordsPerSentence),
         complexity: syntax?.complexity
       })
@@ -518,6 +682,14 @@ class TextAnalyzer {
    * @private
    */
   classifyTextType(features) {
+    if (features.form) {
+      return {
+        type: formatFormName(features.form),
+        confidence: features.form.score,
+        form: features.form.key,
+        explanation: features.form.explanation
+      };
+    }
     if (features.hasVerses && features.hasRhymes) {
       return { type: 'Gedicht (gereimt)', confidence: 0.9 };
     }
@@ -579,8 +751,9 @@ class TextAnalyzer {
   compareThemes(sem1, sem2) {
     if (!sem1?.keyPhrases || !sem2?.keyPhrases) return null;
 
-    const phrases1 = new Set(sem1.keyPhrases.map(p => p.phrase.toLowerCase()));
-    const phrases2 = new Set(sem2.keyPhrases.map(p => p.phrase.toLowerCase()));
+    // Vergleich über Lemmata, damit "Stäbe" und "Stab" als gleiches Thema gelten
+    const phrases1 = new Set(sem1.keyPhrases.map(p => (p.lemma || p.phrase).toLowerCase()));
+    const phrases2 = new Set(sem2.keyPhrases.map(p => (p.lemma || p.phrase).toLowerCase()));
 
     const intersection = new Set([...phrases1].filter(x => phrases2.has(x)));
     const union = new Set([...phrases1, ...phrases2]);
@@ -643,30 +816,6 @@ class TextAnalyzer {
     return ((value - min) / (max - min)).toFixed(3);
   }
 
-  cacheAnalysis(text, analysis) {
-    const hash = this.hashText(text);
-    this.analysisCache.set(hash, {
-      analysis,
-      timestamp: Date.now()
-    });
-    
-    // Limit cache size
-    if (this.analysisCache.size > 10) {
-      const firstKey = this.analysisCache.keys().next().value;
-      this.analysisCache.delete(firstKey);
-    }
-  }
-
-  hashText(text) {
-    let hash = 0;
-    for (let i = 0; i < text.length; i++) {
-      const char = text.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash;
-    }
-    return hash;
-  }
-
   getCurrentAnalysis() {
     return this.currentAnalysis;
   }
@@ -676,7 +825,7 @@ class TextAnalyzer {
   }
 
   clearCache() {
-    this.analysisCache.clear();
+    return analysisCache.clear();
   }
 }
 
@@ -686,14 +835,17 @@ const textAnalyzer = new TextAnalyzer();
 export default textAnalyzer;
 
 // Export wichtiger Funktionen
-export const analyzeText = (text, options, progressCallback) => 
-  textAnalyzer.analyze(text, options, progressCallback);
+export const analyzeText = (text, options, progressCallback, signal) => 
+  textAnalyzer.analyze(text, options, progressCallback, signal);
 
-export const analyzePartialText = (text, aspects) => 
-  textAnalyzer.analyzePartial(text, aspects);
+export const analyzePartialText = (text, aspects, signal) => 
+  textAnalyzer.analyzePartial(text, aspects, signal);
 
 export const analyzeWord = (word, context) => 
   textAnalyzer.analyzeWord(word, context);
 
-export const compareTexts = (text1, text2) => 
-  textAnalyzer.compareTexts(text1, text2);
\ No newline at end of file
+export const compareTexts = (text1, text2, signal) => 
+  textAnalyzer.compareTexts(text1, text2, signal);
+
+export const compareMany = (texts, progressCallback, signal) =>
+  textAnalyzer.compareMany(texts, progressCallback, signal);
\ No newline at end of file
@@ -0,0 +1,294 @@
+import { cosineSimilarity } from './semanticAnalysis';
+import { getLemmaKey } from './lemmatizer';
+
+/**
+ * N-Wege-Textvergleich
+ * Berechnet paarweise Ähnlichkeitsmatrizen aus fertigen Analyse-Ergebnissen:
+ * Embedding-Kosinus, stilometrische Ähnlichkeit, Reim/Metrum-Übereinstimmung
+ * und Korrelation der Sentiment-Verläufe.
+ */
+
+// Matrizen des Vergleichs (range: Wertebereich für die Heatmap-Färbung)
+export const COMPARISON_METRICS = {
+  embedding: {
+    label: 'Semantik',
+    description: 'Kosinus-Ähnlichkeit der Text-Embeddings',
+    range: [0, 1],
+    scheme: 'heat'
+  },
+  stylometry: {
+    label: 'Stilometrie',
+    description: '1 − mittlere relative Abweichung stilistischer Merkmale',
+    range: [0, 1],
+    scheme: 'heat'
+  },
+  prosody: {
+    label: 'Reim & Metrum',
+    description: 'Übereinstimmung von Reimschema und Versmaß',
+    range: [0, 1],
+    scheme: 'heat'
+  },
+  sentimentArc: {
+    label: 'Sentiment-Verlauf',
+    description: 'Pearson-Korrelation der Satz-Sentiments (auf gleiche Länge interpoliert)',
+    range: [-1, 1],
+    scheme: 'diverging'
+  }
+};
+
+// Stilometrische Merkmale
+const STYLE_FEATURES = {
+  meanWordLength: 'Ø Wortlänge',
+  meanSentenceLength: 'Ø Satzlänge',
+  typeTokenRatio: 'Type-Token-Ratio',
+  lexicalDensity: 'Lexikalische Dichte',
+  punctuationRate: 'Satzzeichen pro Wort',
+  NOUN: 'Anteil Substantive',
+  VERB: 'Anteil Verben',
+  ADJ: 'Anteil Adjektive',
+  ADV: 'Anteil Adverbien',
+  PRON: 'Anteil Pronomen',
+  DET: 'Anteil Artikel',
+  ADP: 'Anteil Präpositionen',
+  CONJ: 'Anteil Konjunktionen'
+};
+
+const CONTENT_POS = ['NOUN', 'PROPN', 'VERB', 'ADJ', 'ADV'];
+
+// Stützstellen für den Vergleich von Sentiment-Verläufen
+const ARC_POINTS = 20;
+
+/**
+ * Erstellt paarweise Ähnlichkeitsmatrizen für n Analysen
+ *
+ * @param {Array} analyses - Analyse-Ergebnisse aus textAnalyzer
+ * @returns {Object} { matrices: { metric: number[][] }, pairs: [{ i, j, ... }] }
+ */
+export const buildComparisonMatrices = (analyses) => {
+  const profiles = analyses.map(buildProfile);
+  const n = profiles.length;
+
+  const matrices = Object.fromEntries(
+    Object.keys(COMPARISON_METRICS).map(key => [
+      key,
+      Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => (i === j ? 1 : null)))
+    ])
+  );
+
+  const pairs = [];
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      const pair = comparePair(profiles[i], profiles[j]);
+      pairs.push({ i, j, ...pair });
+
+      Object.keys(COMPARISON_METRICS).forEach(key => {
+        const value = pair[key]?.value ?? null;
+        matrices[key][i][j] = value;
+        matrices[key][j][i] = value;
+      });
+    }
+  }
+
+  // Diagonale leer lassen, wenn die Metrik für den Text nicht bestimmbar ist
+  profiles.forEach((profile, i) => {
+    if (!profile.embedding) matrices.embedding[i][i] = null;
+    if (!profile.prosody.rhyme && !profile.prosody.meter) matrices.prosody[i][i] = null;
+    if (!profile.sentimentArc) matrices.sentimentArc[i][i] = null;
+  });
+
+  return { matrices, pairs };
+};
+
+/**
+ * Sucht den Paarvergleich zweier Texte
+ *
+ * @param {Object} comparison - Ergebnis von buildComparisonMatrices / compareMany
+ * @param {number} i - Index des ersten Textes
+ * @param {number} j - Index des zweiten Textes
+ * @returns {Object|null} Paar-Details
+ */
+export const getPair = (comparison, i, j) => {
+  const [a, b] = i < j ? [i, j] : [j, i];
+  return comparison?.pairs?.find(p => p.i === a && p.j === b) || null;
+};
+
+/**
+ * Vergleicht zwei Profile
+ * @private
+ */
+const comparePair = (p1, p2) => {
+  const embedding = p1.embedding && p2.embedding
+    ? { value: round(cosineSimilarity(p1.embedding, p2.embedding), 3) }
+    : null;
+
+  return {
+    embedding,
+    stylometry: compareStyleFeatures(p1.features, p2.features),
+    prosody: compareProsody(p1.prosody, p2.prosody),
+    sentimentArc: compareSentimentArcs(p1.sentimentArc, p2.sentimentArc)
+  };
+};
+
+/**
+ * Baut das Vergleichsprofil einer Analyse
+ * @private
+ */
+const buildProfile = (analysis) => {
+  const words = analysis.tokens?.words || [];
+  const allTokens = analysis.tokens?.all || [];
+  const sentenceCount = analysis.sentences?.count || analysis.summary?.basicStats?.sentenceCount || 1;
+  const wordCount = words.length || 1;
+
+  const posCounts = {};
+  words.forEach(t => {
+    const tag = t.posTag === 'CCONJ' || t.posTag === 'SCONJ' ? 'CONJ' : t.posTag;
+    posCounts[tag] = (posCounts[tag] || 0) + 1;
+  });
+
+  const features = {
+    meanWordLength: words.reduce((sum, t) => sum + t.text.length, 0) / wordCount,
+    meanSentenceLength: words.length / sentenceCount,
+    typeTokenRatio: new Set(words.map(getLemmaKey)).size / wordCount,
+    lexicalDensity: words.filter(t => CONTENT_POS.includes(t.posTag)).length / wordCount,
+    punctuationRate: allTokens.filter(t => t.isPunctuation).length / wordCount
+  };
+  ['NOUN', 'VERB', 'ADJ', 'ADV', 'PRON', 'DET', 'ADP', 'CONJ'].forEach(tag => {
+    features[tag] = (posCounts[tag] || 0) / wordCount;
+  });
+
+  const sentenceScores = (analysis.sentiment?.sentences || [])
+    .filter(s => s.sentiment && typeof s.sentiment.score === 'number')
+    .map(s => s.sentiment.score);
+
+  const rhymeScheme = analysis.syntax?.rhymeScheme;
+  const meter = analysis.syntax?.verseStructure?.meter;
+
+  return {
+    embedding: analysis.semantics?.textEmbedding?.vector || null,
+    features,
+    prosody: {
+      rhyme: rhymeScheme?.description?.label && rhymeScheme.description.label !== 'Keins'
+        ? { label: rhymeScheme.description.label, scheme: rhymeScheme.scheme }
+        : null,
+      meter: meter ? { type: meter.type, feet: meter.feet, name: meter.name } : null
+    },
+    sentimentArc: sentenceScores.length >= 2 ? sentenceScores : null
+  };
+};
+
+/**
+ * Stilometrische Ähnlichkeit: 1 − mittlere relative Abweichung der Merkmale
+ * Die größten Unterschiede werden für die Detailansicht mitgeliefert.
+ * @private
+ */
+const compareStyleFeatures = (f1, f2) => {
+  const differences = Object.keys(STYLE_FEATURES).map(key => {
+    const a = f1[key];
+    const b = f2[key];
+    const scale = Math.max(Math.abs(a), Math.abs(b));
+    return {
+      feature: key,
+      label: STYLE_FEATURES[key],
+      value1: round(a, 3),
+      value2: round(b, 3),
+      difference: scale > 0 ? round(Math.abs(a - b) / scale, 3) : 0
+    };
+  });
+
+  const meanDifference = differences.reduce((sum, d) => sum + d.difference, 0) / differences.length;
+
+  return {
+    value: round(1 - meanDifference, 3),
+    features: differences.sort((a, b) => b.difference - a.difference)
+  };
+};
+
+/**
+ * Übereinstimmung von Reimschema und Metrum
+ * Gleicher Metrum-Typ mit anderer Hebungszahl zählt halb.
+ * @private
+ */
+const compareProsody = (p1, p2) => {
+  const rhymeMatch = p1.rhyme && p2.rhyme ? (p1.rhyme.label === p2.rhyme.label ? 1 : 0) : null;
+
+  let meterMatch = null;
+  if (p1.meter && p2.meter) {
+    if (p1.meter.type !== p2.meter.type) meterMatch = 0;
+    else meterMatch = p1.meter.feet === p2.meter.feet ? 1 : 0.5;
+  }
+
+  const components = [rhymeMatch, meterMatch].filter(v => v !== null);
+
+  return {
+    value: components.length > 0 ? round(components.reduce((a, b) => a + b, 0) / components.length, 3) : null,
+    rhyme1: p1.rhyme?.label || 'Keins',
+    rhyme2: p2.rhyme?.label || 'Keins',
+    meter1: p1.meter?.name || 'Kein Metrum',
+    meter2: p2.meter?.name || 'Kein Metrum',
+    rhymeMatch,
+    meterMatch
+  };
+};
+
+/**
+ * Korrelation zweier Sentiment-Verläufe
+ * @private
+ */
+const compareSentimentArcs = (arc1, arc2) => {
+  if (!arc1 || !arc2) return null;
+
+  const resampled1 = resample(arc1, ARC_POINTS);
+  const resampled2 = resample(arc2, ARC_POINTS);
+  const correlation = pearson(resampled1, resampled2);
+
+  return {
+    value: correlation === null ? null : round(correlation, 3),
+    arc1: resampled1.map(v => round(v, 3)),
+    arc2: resampled2.map(v => round(v, 3))
+  };
+};
+
+/**
+ * Interpoliert eine Folge linear auf eine feste Anzahl Punkte
+ * @private
+ */
+const resample = (values, points) => {
+  if (values.length === 1) return Array(points).fill(values[0]);
+
+  return Array.from({ length: points }, (_, k) => {
+    const position = (k / (points - 1)) * (values.length - 1);
+    const lower = Math.floor(position);
+    const upper = Math.min(lower + 1, values.length - 1);
+    const weight = position - lower;
+    return values[lower] * (1 - weight) + values[upper] * weight;
+  });
+};
+
+/**
+ * Pearson-Korrelation (null bei konstanter Folge)
+ * @private
+ */
+const pearson = (x, y) => {
+  const meanX = x.reduce((a, b) => a + b, 0) / x.length;
+  const meanY = y.reduce((a, b) => a + b, 0) / y.length;
+
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  for (let k = 0; k < x.length; k++) {
+    covariance += (x[k] - meanX) * (y[k] - meanY);
+    varianceX += (x[k] - meanX) ** 2;
+    varianceY += (y[k] - meanY) ** 2;
+  }
+
+  if (varianceX === 0 || varianceY === 0) return null;
+  return covariance / Math.sqrt(varianceX * varianceY);
+};
+
+const round = (value, digits) => parseFloat(value.toFixed(digits));
+
+export default {
+  COMPARISON_METRICS,
+  buildComparisonMatrices,
+  getPair
+};
@@ -1,5 +1,9 @@
 import { getModel } from './modelLoader';
-import { UNIVERSAL_POS_TAGS, ENTITY_LABELS, MORPHOLOGICAL_FEATURES, ANALYSIS_CONFIG, GERMAN_POS_RULES, FEATURES } from '../utils/constants';
+import { lemmatizeTokens, getLemmaKey } from './lemmatizer';
+import { analyzeMorphology } from './morphologyAnalysis';
+import { recognizeEntities } from './literaryNER';
+import { UNIVERSAL_POS_TAGS, ENTITY_LABELS, MORPHOLOGICAL_FEATURES, GERMAN_POS_RULES, FEATURES } from '../utils/constants';
+import { syllabify, countSyllables } from '../utils/syllabification';
 
 /**
  * Analysiert Token-Level Features (POS-Tagging, NER, Morphologie)
@@ -17,15 +21,17 @@ export const analyzeTokens = async (text, tokens) => {
       entity: null,
       entityType: null,
       entityScore: null,
+      entityTag: null,
+      entitySpan: null,
       posTag: null,
       posScore: null,
       morphology: null,
       lemma: null
     }));
 
-    // 1. Named Entity Recognition (mit strengem Confidence-Threshold)
+    // 1. Named Entity Recognition (Modell und literarischer Gazetteer)
     const nerModel = getModel('NER');
-    if (nerModel) {
+    if (nerModel || FEATURES.LITERARY_NER) {
       annotatedTokens = await applyNER(text, annotatedTokens, nerModel);
     }
 
@@ -45,7 +51,10 @@ export const analyzeTokens = async (text, tokens) => {
       annotatedTokens = applyGermanMorphology(annotatedTokens);
     }
 
-    // 4. Berechne abgeleitete Features
+    // 4. Lemmatisierung (Lexikon + Flexionsregeln)
+    annotatedTokens = lemmatizeTokens(annotatedTokens);
+
+    // 5. Berechne abgeleitete Features
     annotatedTokens = enrichTokensWithDerivedFeatures(annotatedTokens);
 
     return annotatedTokens;
@@ -65,54 +74,24 @@ export const analyzeTokens = async (text, tokens) => {
 
 /**
  * Wendet Named Entity Recognition an
- * Mit STRENGEM Confidence-Threshold für bessere Präzision
+ * Modell-Entitäten (mit STRENGEM Confidence-Threshold) werden über Zeichen-Offsets zugeordnet
+ * und mit dem literarischen Gazetteer zu BIO-getaggten Spannen kombiniert
  * @private
  */
 const applyNER = async (text, tokens, model) => {
-  try {
-    const results = await model(text, {
-      aggregation_strategy: 'simple'
-    });
+  let results = [];
 
-    const annotated = [...tokens];
-    const threshold = ANALYSIS_CONFIG.THRESHOLDS.ENTITY_CONFIDENCE;
-    
-    for (const entity of results) {
-      // WICHTIG: Nur Entities mit hoher Confidence akzeptieren
-      if (entity.score < threshold) {
-        continue;
-      }
-      
-      const entityWord = entity.word.replace(/^##/, '').trim();
-      
-      // Finde passende Tokens
-      for (let i = 0; i < annotated.length; i++) {
-        const token = annotated[i];
-        
-        if (token.isPunctuation) continue;
-        
-        const tokenText = token.text.toLowerCase();
-        const entityText = entityWord.toLowerCase();
-        
-        // Nur bei starker Übereinstimmung
-        if (tokenText === entityText) {
-          annotated[i] = {
-            ...token,
-            entity: entity.entity_group || entity.entity,
-            entityType: normalizeEntityType(entity.entity_group || entity.entity),
-            entityScore: entity.score,
-            entityStart: entity.start,
-            entityEnd: entity.end
-          };
-        }
-      }
+  if (model) {
+    try {
+      results = await model(text, {
+        aggregation_strategy: 'simple'
+      });
+    } catch (error) {
+      console.error('NER Fehler:', error);
     }
-
-    return annotated;
-  } catch (error) {
-    console.error('NER Fehler:', error);
-    return tokens;
   }
+
+  return recognizeEntities(text, tokens, results, { literary: FEATURES.LITERARY_NER });
 };
 
 /**
@@ -312,38 +291,34 @@ const extractPOSFromModel = (result) => {
 
 /**
  * Wendet deutsche morphologische Analyse an (regelbasiert)
+ * Kasus, Genus und Numerus stammen aus morphologyAnalysis (Lexikon + Kongruenz)
  * @private
  */
 const applyGermanMorphology = (tokens) => {
-  return tokens.map(token => {
+  const analyses = analyzeMorphology(tokens);
+
+  return tokens.map((token, i) => {
     if (token.isPunctuation || !token.posTag) {
       return token;
     }
 
+    const syllabification = syllabify(token.text);
+    const analysis = analyses[i];
     const morphology = {
-      features: {},
-      syllables: estimateSyllables(token.text),
+      features: analysis?.features || {},
+      alternatives: analysis?.alternatives || {},
+      ud: analysis?.ud || '_',
+      confidence: analysis?.confidence ?? null,
+      source: analysis?.source || null,
+      phrase: analysis?.phrase ?? null,
+      agreement: analysis?.agreement ?? null,
+      verbComplex: analysis?.verbComplex ?? null,
+      syllables: syllabification.count,
+      hyphenation: syllabification.hyphenated,
+      hyphenationPoints: syllabification.points,
       complexity: estimateComplexity(token.text)
     };
 
-    // Morphologische Features basierend auf POS-Tag
-    switch (token.posTag) {
-      case 'NOUN':
-        morphology.features = analyzeNounMorphology(token.text);
-        break;
-      case 'VERB':
-      case 'AUX':
-        morphology.features = analyzeVerbMorphology(token.text);
-        break;
-      case 'ADJ':
-        morphology.features = analyzeAdjectiveMorphology(token.text);
-        break;
-      case 'PRON':
-      case 'DET':
-        morphology.features = analyzePronounMorphology(token.text);
-        break;
-    }
-
     return {
       ...token,
       morphology
@@ -351,151 +326,13 @@ const applyGermanMorphology = (tokens) => {
   });
 };
 
-/**
- * Analysiert Nomen-Morphologie
- * @private
- */
-const analyzeNounMorphology = (word) => {
-  const features = {};
-  
-  // Genus (sehr vereinfacht, nur Heuristiken)
-  if (word.endsWith('ung') || word.endsWith('heit') || word.endsWith('keit')) {
-    features.gender = 'FEM';
-  } else if (word.endsWith('chen') || word.endsWith('lein')) {
-    features.gender = 'NEUT';
-  }
-  
-  // Numerus
-  if (word.endsWith('e') || word.endsWith('en') || word.endsWith('er') || word.endsWith('s')) {
-    features.number = 'PLUR';
-  } else {
-    features.number = 'SING';
-  }
-  
-  return features;
-};
-
-/**
- * Analysiert Verb-Morphologie
- * @private
- */
-const analyzeVerbMorphology = (word) => {
-  const features = {};
-  const lower = word.toLowerCase();
-  
-  // Infinitiv
-  if (lower.endsWith('en')) {
-    features.verbForm = 'INF';
-  }
-  // Partizip Perfekt
-  else if (lower.startsWith('ge') && lower.endsWith('t')) {
-    features.verbForm = 'PART';
-    features.tense = 'PAST';
-  }
-  // Konjugierte Formen
-  else if (lower.endsWith('t') || lower.endsWith('st') || lower.endsWith('e')) {
-    features.verbForm = 'FIN';
-    features.tense = 'PRES';
-    
-    if (lower.endsWith('st')) {
-      features.person = '2';
-    } else if (lower.endsWith('t')) {
-      features.person = '3';
-    } else if (lower.endsWith('e')) {
-      features.person = '1';
-    }
-  }
-  
-  return features;
-};
-
-/**
- * Analysiert Adjektiv-Morphologie
- * @private
- */
-const analyzeAdjectiveMorphology = (word) => {
-  const features = {};
-  
-  // Komparativ
-  if (word.endsWith('er') && !word.startsWith('er')) {
-    features.degree = 'CMP';
-  }
-  // Superlativ
-  else if (word.endsWith('st') || word.endsWith('ste')) {
-    features.degree = 'SUP';
-  }
-  // Positiv
-  else {
-    features.degree = 'POS';
-  }
-  
-  return features;
-};
-
-/**
- * Analysiert Pronomen-Morphologie
- * @private
- */
-const analyzePronounMorphology = (word) => {
-  const features = {};
-  const lower = word.toLowerCase();
-  
-  // Person
-  if (['ich', 'mich', 'mir', 'mein'].includes(lower)) {
-    features.person = '1';
-    features.number = 'SING';
-  } else if (['du', 'dich', 'dir', 'dein'].includes(lower)) {
-    features.person = '2';
-    features.number = 'SING';
-  } else if (['er', 'sie', 'es', 'ihm', 'ihr', 'sein'].includes(lower)) {
-    features.person = '3';
-    features.number = 'SING';
-  } else if (['wir', 'uns', 'unser'].includes(lower)) {
-    features.person = '1';
-    features.number = 'PLUR';
-  } else if (['ihr', 'euch', 'euer'].includes(lower)) {
-    features.person = '2';
-    features.number = 'PLUR';
-  } else if (['sie', 'ihnen'].includes(lower)) {
-    features.person = '3';
-    features.number = 'PLUR';
-  }
-  
-  return features;
-};
-
-/**
- * Schätzt Silbenzahl
- * @private
- */
-const estimateSyllables = (word) => {
-  if (!word || word.length === 0) return 0;
-  
-  const lower = word.toLowerCase();
-  const vowels = lower.match(/[aeiouäöüy]+/g);
-  if (!vowels) return 1;
-  
-  let count = vowels.length;
-  
-  // Korrigiere für deutsche Diphthonge
-  const diphthongs = ['au', 'äu', 'ei', 'eu', 'ai', 'ie'];
-  for (const diphthong of diphthongs) {
-    const matches = lower.match(new RegExp(diphthong, 'g'));
-    if (matches) {
-      count -= matches.length * 0.5;
-    }
-  }
-  
-  return Math.max(1, Math.round(count));
-};
-
 /**
  * Schätzt Wort-Komplexität
  * @private
  */
 const estimateComplexity = (word) => {
   const length = word.length;
-  const syllables = estimateSyllables(word);
+  const syllables = countSyllables(word);
   
   // Einfach: kurz und wenige Silben
   if (length <= 5 && syllables <= 2) return 'simple';
@@ -565,34 +402,9 @@ const deriveLinguisticFeatures = (token) => {
   return features;
 };
 
-/**
- * Normalisiert Entity-Types zu einheitlichem Format
- * @private
- */
-const normalizeEntityType = (entityLabel) => {
-  if (!entityLabel) return null;
-  
-  // Entferne B- und I- Präfixe (BIO-Tagging)
-  const cleanLabel = entityLabel.replace(/^[BI]-/, '');
-  
-  const mapping = {
-    'PER': 'PER',
-    'PERSON': 'PER',
-    'LOC': 'LOC',
-    'LOCATION': 'LOC',
-    'ORG': 'ORG',
-    'ORGANIZATION': 'ORG',
-    'ORGANISATION': 'ORG',
-    'MISC': 'MISC',
-    'MISCELLANEOUS': 'MISC'
-  };
-  
-  const normalized = mapping[cleanLabel.toUpperCase()] || cleanLabel;
-  return ENTITY_LABELS[normalized]?.label || cleanLabel;
-};
-
 /**
  * Analysiert Wort-Frequenzen
+ * Aggregiert nach Lemma, sodass Flexionsformen ("Stäbe", "Stäben", "Stab") zusammen gezählt werden
  * 
  * @param {Array} tokens - Token-Array
  * @returns {Object} Frequenz-Analyse
@@ -602,22 +414,29 @@ export const analyzeWordFrequencies = (tokens) => {
   const frequencies = new Map();
   const firstOccurrence = new Map();
   
+  const forms = new Set();
+  
   for (const token of wordTokens) {
-    const word = token.text.toLowerCase();
+    const key = getLemmaKey(token);
+    forms.add(token.text.toLowerCase());
     
-    if (!frequencies.has(word)) {
-      frequencies.set(word, {
+    if (!frequencies.has(key)) {
+      frequencies.set(key, {
         count: 0,
         word: token.text,
+        lemma: token.lemma || token.text,
+        forms: [],
         firstOccurrence: token.position,
         posTag: token.posTag,
         entityType: token.entityType
       });
     }
     
-    const freq = frequencies.get(word);
+    const freq = frequencies.get(key);
     freq.count++;
-    frequencies.set(word, freq);
+    if (!freq.forms.includes(token.text)) {
+      freq.forms.push(token.text);
+    }
   }
   
   const sorted = Array.from(frequencies.values())
@@ -626,6 +445,7 @@ export const analyzeWordFrequencies = (tokens) => {
   return {
     total: wordTokens.length,
     unique: frequencies.size,
+    uniqueForms: forms.size,
     typeTokenRatio: (frequencies.size / wordTokens.length).toFixed(3),
     topWords: sorted.slice(0, 20),
     hapaxLegomena: sorted.filter(f => f.count === 1).length
@@ -721,7 +541,8 @@ export const analyzeTokenDiversity = (tokens) => {
     entityDistribution: Object.entries(entityDistribution).map(([type, count]) => ({
       type,
       count,
-      percentage: ((count / total) * 100).toFixed(1)
+      percentage: ((count / total) * 100).toFixed(1),
+      label: ENTITY_LABELS[type]?.label || type
     })).sort((a, b) => b.count - a.count),
     
     contentWordRatio: (wordTokens.filter(t => 
@@ -0,0 +1,639 @@
+import { STRONG_VERBS, SEPARABLE_PARTICLES, INSEPARABLE_PREFIXES } from '../utils/germanLexicon';
+import { applyUmlaut, WEAK_PRETERITE_STEM } from './lemmatizer';
+
+/**
+ * Verbmorphologie und Verbalkomplexe
+ * Bestimmt Tempus, Modus (Indikativ, Konjunktiv I/II, Imperativ), Person und Numerus
+ * finiter Verben aus einem Ablaut-Paradigma und verknüpft Hilfs- und Modalverben mit
+ * ihren Partizipien und Infinitiven – auch über die Versgrenze hinweg (Verbklammer).
+ * Je Teilsatz ergibt sich so analytisches Tempus, Modus und Genus verbi.
+ */
+
+// Hilfs- und Modalverben: Infinitiv|1. 2. 3. Person Singular Präsens|Präteritum|Partizip
+const AUXILIARY_PARADIGMS = [
+  'haben|habe hast hat|hatte|gehabt', 'werden|werde wirst wird|wurde|geworden', 'tun|tue tust tut|tat|getan',
+  'können|kann kannst kann|konnte|gekonnt', 'müssen|muss musst muss|musste|gemusst',
+  'dürfen|darf darfst darf|durfte|gedurft', 'sollen|soll sollst soll|sollte|gesollt',
+  'wollen|will willst will|wollte|gewollt', 'mögen|mag magst mag|mochte|gemocht',
+  'wissen|weiß weißt weiß|wusste|gewusst'
+];
+
+// "sein" ist vollständig unregelmäßig: Form -> 'Verbform|Tempus|Modus|Person|Numerus'
+const SEIN_FORMS = {
+  sein: ['INF'], gewesen: ['PART'],
+  bin: ['FIN|PRES|IND|1|SING'], bist: ['FIN|PRES|IND|2|SING'], ist: ['FIN|PRES|IND|3|SING'],
+  sind: ['FIN|PRES|IND|1|PLUR', 'FIN|PRES|IND|3|PLUR'], seid: ['FIN|PRES|IND|2|PLUR', 'FIN|PRES|IMP|2|PLUR'],
+  sei: ['FIN|PRES|SUBJ|1|SING', 'FIN|PRES|SUBJ|3|SING', 'FIN|PRES|IMP|2|SING'],
+  seist: ['FIN|PRES|SUBJ|2|SING'], seiest: ['FIN|PRES|SUBJ|2|SING'],
+  seien: ['FIN|PRES|SUBJ|1|PLUR', 'FIN|PRES|SUBJ|3|PLUR'], seiet: ['FIN|PRES|SUBJ|2|PLUR'],
+  war: ['FIN|PAST|IND|1|SING', 'FIN|PAST|IND|3|SING'], warst: ['FIN|PAST|IND|2|SING'],
+  waren: ['FIN|PAST|IND|1|PLUR', 'FIN|PAST|IND|3|PLUR'], wart: ['FIN|PAST|IND|2|PLUR'],
+  wäre: ['FIN|PAST|SUBJ|1|SING', 'FIN|PAST|SUBJ|3|SING'], wär: ['FIN|PAST|SUBJ|1|SING', 'FIN|PAST|SUBJ|3|SING'],
+  wärst: ['FIN|PAST|SUBJ|2|SING'], wärest: ['FIN|PAST|SUBJ|2|SING'],
+  wären: ['FIN|PAST|SUBJ|1|PLUR', 'FIN|PAST|SUBJ|3|PLUR'], wäret: ['FIN|PAST|SUBJ|2|PLUR'], wärt: ['FIN|PAST|SUBJ|2|PLUR']
+};
+
+// Veraltete und elidierte Nebenformen
+const EXTRA_FORMS = {
+  ward: ['werden', 'FIN|PAST|IND|1|SING', 'FIN|PAST|IND|3|SING'],
+  worden: ['werden', 'PART'],
+  hab: ['haben', 'FIN|PRES|IND|1|SING', 'FIN|PRES|IMP|2|SING']
+};
+
+// Konjunktiv II ohne Umlaut, gebildet wie das schwache Präteritum (sollte, brennte)
+const NO_UMLAUT_SUBJUNCTIVE = ['sollen', 'wollen', 'brennen', 'kennen', 'nennen', 'rennen', 'senden', 'wenden'];
+
+const MODAL_VERBS = ['können', 'müssen', 'dürfen', 'sollen', 'wollen', 'mögen'];
+
+const TEMPORAL_AUXILIARIES = ['haben', 'sein', 'werden'];
+
+// Verben der Fortbewegung und Zustandsveränderung: Perfekt mit "sein" statt Zustandspassiv
+// (auch mit Präfix: "ist verschwunden", "ist hinabgestiegen")
+const SEIN_PERFECT_VERBS = [
+  'gehen', 'kommen', 'fallen', 'sterben', 'werden', 'sein', 'bleiben', 'fliegen', 'fliehen', 'laufen',
+  'reiten', 'schwimmen', 'sinken', 'springen', 'steigen', 'wachsen', 'schwinden', 'geschehen', 'gelingen',
+  'fahren', 'ziehen', 'fließen', 'folgen', 'weichen', 'schleichen', 'treten', 'rinnen', 'quellen', 'gleiten',
+  'sprießen', 'schmelzen', 'erlöschen', 'eilen', 'reisen', 'wandern', 'kehren', 'stürzen', 'erwachen',
+  'schreiten', 'kriechen', 'dringen', 'begegnen', 'erscheinen', 'entstehen', 'verstummen', 'welken',
+  'verblühen', 'erblassen', 'erstarren', 'erkalten', 'entschlafen', 'einschlafen'
+];
+
+// Perfekt und Plusquamperfekt aus dem Tempus des Hilfsverbs
+const PERFECT_TENSES = { PRES: 'PERF', PAST: 'PLUP' };
+
+const CLAUSE_BOUNDARY = /^[,;:.!?…–—]$/;
+
+// Schwaches Partizip II mit optionaler Verbpartikel: gesagt, angelacht
+const WEAK_PARTICIPLE = new RegExp(`^(${SEPARABLE_PARTICLES.join('|')})?ge(\\p{L}{2,}?)e?t$`, 'u');
+
+let verbIndex = null;
+
+/**
+ * Lesarten einer Verbform aus Paradigma oder Flexionsregeln
+ *
+ * @param {string} word - Wortform
+ * @param {Object} options - { rules: Flexionsregeln für unbekannte Formen anwenden }
+ * @returns {Object|null} { readings, source } mit Lesarten { lemma, verbForm, tense, mood, person, number }
+ */
+export const analyzeVerbForm = (word, { rules = true } = {}) => {
+  const lower = (word || '').toLowerCase();
+  if (lower.length < 2) return null;
+
+  const known = lookupVerb(lower);
+  if (known) return { readings: known, source: 'lexikon' };
+
+  const derived = rules ? weakReadings(lower) : [];
+  return derived.length > 0 ? { readings: derived, source: 'regel' } : null;
+};
+
+/**
+ * Verknüpft finite Verben mit Partizipien, Infinitiven und Verbpartikeln ihres Teilsatzes
+ * Teilsätze enden nur an Satzzeichen, nicht am Versende, damit die Verbklammer
+ * über Verse hinweg geschlossen wird. Schränkt die Lesarten der beteiligten Verben ein
+ * (Subjekt-Kongruenz, Rolle im Komplex) und vermerkt den Komplex an jeder Analyse.
+ *
+ * @param {Array} tokens - Tokens mit posTag (inkl. Satzzeichen)
+ * @param {Array} analyses - Morphologie-Analysen je Token ({ kind, readings, verbReadings, ... }), werden ergänzt
+ * @returns {Array} Verbalkomplexe { id, lemma, tense, mood, voice, auxiliary, modal, construction, analytic, members }
+ */
+export const linkVerbComplexes = (tokens, analyses) => {
+  const complexes = [];
+
+  splitClauses(tokens).forEach(indices => {
+    // Ungetaggte Wörter mit Infinitiv-/Partizipendung (kind 'other') können nur die Klammer schließen
+    let open = indices.filter(i => ['verb', 'other'].includes(analyses[i]?.kind) && analyses[i].verbReadings?.length > 0);
+    const subject = findSubject(indices, tokens, analyses);
+
+    while (open.length > 0) {
+      const complex = buildComplex(open, indices, tokens, analyses, subject);
+      if (!complex) break;
+
+      complex.id = complexes.length;
+      complexes.push(complex);
+      open = open.filter(i => !complex.members.some(member => member.index === i));
+    }
+  });
+
+  complexes.forEach(complex => {
+    const shared = {
+      id: complex.id,
+      lemma: complex.lemma,
+      tense: complex.tense,
+      mood: complex.mood,
+      moodAlternatives: complex.moodAlternatives,
+      voice: complex.voice,
+      auxiliary: complex.auxiliary,
+      modal: complex.modal,
+      construction: complex.construction,
+      analytic: complex.analytic
+    };
+
+    complex.members.forEach(({ index, role, readings }) => {
+      const analysis = analyses[index] || { kind: 'other', readings: null, source: 'regel', features: {} };
+      analyses[index] = {
+        ...analysis,
+        kind: analysis.kind === 'other' && readings ? 'verb' : analysis.kind,
+        verbReadings: readings || analysis.verbReadings,
+        verbComplex: { ...shared, role }
+      };
+    });
+  });
+
+  return complexes;
+};
+
+/**
+ * Fasst die Verbalkomplexe eines Textes je Teilsatz zusammen
+ *
+ * @param {Array} tokens - Tokens mit morphology.verbComplex
+ * @param {Array} verses - Verse mit start/end (Zeichen-Offsets)
+ * @returns {Object|null} { clauses, counts, dominant, analytic, bracketSpans } oder null ohne Verben
+ */
+export const summarizeVerbComplexes = (tokens, verses = []) => {
+  try {
+    const groups = new Map();
+    tokens.forEach(token => {
+      const complex = token.morphology?.verbComplex;
+      if (!complex) return;
+      if (!groups.has(complex.id)) groups.set(complex.id, { complex, members: [] });
+      groups.get(complex.id).members.push(token);
+    });
+
+    if (groups.size === 0) return null;
+
+    const clauses = [...groups.values()].map(({ complex, members }) => {
+      const verseNumbers = distinct(members.map(token => {
+        const verse = verses.find(v => token.index >= v.start && token.index < v.end);
+        return verse ? verse.index + 1 : null;
+      }));
+      const confidences = members.map(token => token.morphology?.confidence).filter(c => c !== null && c !== undefined);
+
+      return {
+        id: complex.id,
+        text: members.map(token => token.text).join(' … '),
+        words: members.map(token => ({ text: token.text, index: token.index, role: token.morphology.verbComplex.role })),
+        lemma: complex.lemma,
+        tense: complex.tense,
+        mood: complex.mood,
+        moodAlternatives: complex.moodAlternatives,
+        voice: complex.voice,
+        auxiliary: complex.auxiliary,
+        modal: complex.modal,
+        construction: complex.construction,
+        analytic: complex.analytic,
+        verses: verseNumbers,
+        spansVerses: verseNumbers.length > 1,
+        confidence: confidences.length > 0
+          ? Math.round(confidences.reduce((sum, c) => sum + c, 0) / confidences.length * 100) / 100
+          : null
+      };
+    });
+
+    const counts = {
+      tense: countValues(clauses.map(c => c.tense)),
+      mood: countValues(clauses.map(c => c.mood)),
+      voice: countValues(clauses.map(c => c.voice))
+    };
+
+    return {
+      clauses,
+      counts,
+      dominant: {
+        tense: mostFrequent(counts.tense),
+        mood: mostFrequent(counts.mood)
+      },
+      analytic: clauses.filter(c => c.analytic).length,
+      bracketSpans: clauses.filter(c => c.analytic && c.spansVerses).length
+    };
+  } catch (error) {
+    console.error('Verbalkomplex-Analyse Fehler:', error);
+    return null;
+  }
+};
+
+/**
+ * Teilsätze als Token-Indizes, getrennt an Satzzeichen
+ * @private
+ */
+const splitClauses = (tokens) => {
+  const clauses = [[]];
+  tokens.forEach((token, i) => {
+    if (token.isPunctuation) {
+      if (CLAUSE_BOUNDARY.test(token.text) && clauses[clauses.length - 1].length > 0) clauses.push([]);
+      return;
+    }
+    clauses[clauses.length - 1].push(i);
+  });
+  return clauses.filter(clause => clause.length > 0);
+};
+
+/**
+ * Person und Numerus des Subjekts: erstes Pronomen im Nominativ, sonst erstes Nomen im Nominativ
+ * @private
+ */
+const findSubject = (indices, tokens, analyses) => {
+  for (const i of indices) {
+    if (tokens[i].text.toLowerCase() === 'man') return [{ person: '3', number: 'SING' }];
+    const analysis = analyses[i];
+    if (analysis?.kind !== 'pron' || !analysis.readings) continue;
+    const nominative = analysis.readings.filter(r => r.case === 'NOM');
+    if (nominative.length > 0) return nominative.map(r => ({ person: r.person, number: r.number }));
+  }
+
+  for (const i of indices) {
+    const analysis = analyses[i];
+    if (analysis?.kind !== 'noun' || !analysis.readings) continue;
+    const nominative = analysis.readings.filter(r => r.case === 'NOM');
+    if (nominative.length > 0) return distinct(nominative.map(r => r.number)).map(number => ({ person: '3', number }));
+  }
+
+  return null;
+};
+
+/**
+ * Bildet einen Verbalkomplex um das finite Verb aus den noch offenen Verben des Teilsatzes
+ * @private
+ */
+const buildComplex = (open, clause, tokens, analyses, subject) => {
+  const candidates = open.filter(i => readingsOf(analyses[i], 'FIN').length > 0);
+  if (candidates.length === 0) return null;
+
+  const hasNonFinite = (i) => open.some(j => j !== i && (hasForm(analyses[j], 'PART') || hasForm(analyses[j], 'INF')));
+  const finite = candidates.find(i => isAuxiliary(lemmaOf(analyses[i], 'FIN')) && hasNonFinite(i)) ?? candidates[0];
+
+  const finiteReadings = matchSubject(readingsOf(analyses[finite], 'FIN'), subject);
+  const finiteLemma = finiteReadings[0].lemma;
+  const others = open.filter(i => i !== finite);
+
+  const passiveMarker = others.find(i => tokens[i].text.toLowerCase() === 'worden');
+  const participle = others.find(i => i !== passiveMarker && hasForm(analyses[i], 'PART'));
+  // Formen wie "vergessen" sind Partizip und Infinitiv; neben einem Hilfsverb gilt das Partizip
+  const allInfinitives = others.filter(i => hasForm(analyses[i], 'INF') && !isPossessive(tokens, i));
+  const infinitives = allInfinitives.filter(i => i !== participle);
+  const auxInfinitive = infinitives.find(i => TEMPORAL_AUXILIARIES.includes(lemmaOf(analyses[i], 'INF')));
+  // Das lexikalische Verb steht am Ende der Klammer ("musst den dunklen Weg gehen")
+  const infinitive = infinitives.filter(i => i !== auxInfinitive).pop();
+
+  const tenses = distinct(finiteReadings.map(r => r.tense));
+  const moods = distinct(finiteReadings.map(moodOf));
+  const baseTense = tenses.length === 1 ? tenses[0] : null;
+
+  const complex = {
+    lemma: finiteLemma,
+    tense: baseTense,
+    mood: moods.length === 1 ? moods[0] : null,
+    moodAlternatives: moods.length > 1 ? moods : [],
+    voice: 'ACT',
+    auxiliary: null,
+    modal: null,
+    construction: null,
+    members: [{ index: finite, role: 'finite', readings: finiteReadings }]
+  };
+
+  const addMember = (index, role, verbForm) => {
+    complex.members.push({ index, role, readings: readingsOf(analyses[index], verbForm) });
+  };
+  const perfectTense = PERFECT_TENSES[baseTense] || null;
+
+  if (finiteLemma === 'haben' && participle !== undefined) {
+    complex.auxiliary = 'haben';
+    complex.tense = perfectTense;
+    complex.lemma = lemmaOf(analyses[participle], 'PART');
+    addMember(participle, 'participle', 'PART');
+  } else if (finiteLemma === 'sein' && participle !== undefined) {
+    complex.auxiliary = 'sein';
+    complex.lemma = lemmaOf(analyses[participle], 'PART');
+    addMember(participle, 'participle', 'PART');
+
+    if (passiveMarker !== undefined) {
+      // ist gesehen worden: Perfekt Passiv
+      complex.voice = 'PASS';
+      complex.tense = perfectTense;
+      addMember(passiveMarker, 'auxiliary', 'PART');
+    } else if (takesSein(complex.lemma)) {
+      complex.tense = perfectTense;
+    } else {
+      complex.voice = 'STATE';
+    }
+  } else if (finiteLemma === 'werden' && (participle !== undefined || infinitives.length > 0)) {
+    complex.auxiliary = 'werden';
+    const perfect = participle !== undefined && auxInfinitive !== undefined && lemmaOf(analyses[auxInfinitive], 'INF') !== 'werden';
+
+    if (participle !== undefined) {
+      complex.lemma = lemmaOf(analyses[participle], 'PART');
+      addMember(participle, 'participle', 'PART');
+      // wird gesehen / wird gesehen werden; wird gesehen haben ist Futur II Aktiv
+      if (!perfect) complex.voice = 'PASS';
+    } else {
+      complex.lemma = lemmaOf(analyses[infinitive ?? auxInfinitive], 'INF');
+      addMember(infinitive ?? auxInfinitive, 'infinitive', 'INF');
+    }
+    if (auxInfinitive !== undefined && participle !== undefined) {
+      addMember(auxInfinitive, 'auxiliary', 'INF');
+    }
+
+    const future = infinitives.length > 0;
+    if (complex.mood === 'SUBJ2' && future) {
+      // würde + Infinitiv: Konjunktiv-II-Umschreibung
+      complex.construction = 'würde';
+      complex.tense = perfect ? 'PLUP' : 'PRES';
+    } else if (future) {
+      complex.tense = perfect ? 'FUT2' : 'FUT';
+    }
+  } else if (MODAL_VERBS.includes(finiteLemma) && allInfinitives.length > 0) {
+    complex.modal = finiteLemma;
+    complex.construction = 'modal';
+
+    if (participle !== undefined && auxInfinitive !== undefined) {
+      // muss gesehen haben / muss gesehen werden
+      complex.lemma = lemmaOf(analyses[participle], 'PART');
+      if (lemmaOf(analyses[auxInfinitive], 'INF') === 'werden') complex.voice = 'PASS';
+      addMember(participle, 'participle', 'PART');
+      addMember(auxInfinitive, 'auxiliary', 'INF');
+    } else {
+      const main = allInfinitives.filter(i => i !== auxInfinitive).pop() ?? auxInfinitive;
+      complex.lemma = lemmaOf(analyses[main], 'INF');
+      addMember(main, 'infinitive', 'INF');
+    }
+  } else {
+    // Synthetische Form, ggf. mit abgetrennter Verbpartikel am Teilsatzende ("ging vorüber")
+    const last = clause[clause.length - 1];
+    const particle = tokens[last].text.toLowerCase();
+    if (last > finite && !open.includes(last) && particle !== 'zu' && SEPARABLE_PARTICLES.includes(particle)) {
+      complex.lemma = particle + finiteLemma;
+      complex.members.push({ index: last, role: 'particle', readings: null });
+    }
+  }
+
+  complex.members.sort((a, b) => a.index - b.index);
+  complex.analytic = complex.members.some(member => member.role !== 'finite' && member.role !== 'particle');
+  return complex;
+};
+
+/**
+ * Schränkt finite Lesarten auf Person und Numerus des Subjekts ein (ohne Treffer: unverändert)
+ * Ein Konjunktiv, der mit dem Indikativ gleicher Person zusammenfällt ("ich habe", "er sollte"),
+ * gilt als Indikativ.
+ * @private
+ */
+const matchSubject = (readings, subject) => {
+  if (!subject) return readings;
+  const matching = readings.filter(r => r.mood !== 'IMP'
+    && subject.some(s => s.person === r.person && (!s.number || s.number === r.number)));
+  if (matching.length === 0) return readings;
+
+  return matching.filter(r => r.mood !== 'SUBJ' || !matching.some(other =>
+    other.mood === 'IND' && other.tense === r.tense && other.person === r.person && other.number === r.number
+  ));
+};
+
+/**
+ * Modus einer finiten Lesart: Konjunktiv I aus Präsens-, Konjunktiv II aus Präteritalstamm
+ * @private
+ */
+const moodOf = (reading) => {
+  if (reading.mood !== 'SUBJ') return reading.mood;
+  return reading.tense === 'PAST' ? 'SUBJ2' : 'SUBJ1';
+};
+
+const readingsOf = (analysis, verbForm) => (analysis?.verbReadings || []).filter(r => r.verbForm === verbForm);
+
+const hasForm = (analysis, verbForm) => readingsOf(analysis, verbForm).length > 0;
+
+const lemmaOf = (analysis, verbForm) => readingsOf(analysis, verbForm)[0]?.lemma || null;
+
+const isAuxiliary = (lemma) => TEMPORAL_AUXILIARIES.includes(lemma) || MODAL_VERBS.includes(lemma);
+
+const takesSein = (lemma) => !!lemma && SEIN_PERFECT_VERBS.some(verb => lemma === verb || lemma.endsWith(verb));
+
+/**
+ * "sein" vor Nomen oder Adjektiv ist Possessivum, kein Infinitiv ("wird sein Herz")
+ * @private
+ */
+const isPossessive = (tokens, index) => {
+  if (tokens[index].text.toLowerCase() !== 'sein') return false;
+  const next = tokens.slice(index + 1).find(token => !token.isPunctuation);
+  return !!next && ['NOUN', 'PROPN', 'ADJ'].includes(next.posTag);
+};
+
+/**
+ * Sucht eine Form im Paradigma, auch mit trennbarer Partikel oder untrennbarem Präfix
+ * @private
+ */
+const lookupVerb = (lower) => {
+  const { forms, cores } = getVerbIndex();
+  if (forms.has(lower)) return forms.get(lower);
+
+  for (const particle of SEPARABLE_PARTICLES) {
+    if (!lower.startsWith(particle) || lower.length - particle.length < 3) continue;
+    const rest = lower.slice(particle.length);
+
+    // zu-Infinitiv: "anzusehen"
+    const zuInfinitive = rest.startsWith('zu') ? (forms.get(rest.slice(2)) || []).filter(r => r.verbForm === 'INF') : [];
+    const readings = zuInfinitive.length > 0 ? zuInfinitive : (forms.get(rest) || []).filter(r => r.mood !== 'IMP');
+    if (readings.length > 0) return readings.map(r => ({ ...r, lemma: particle + r.lemma }));
+  }
+
+  for (const prefix of INSEPARABLE_PREFIXES) {
+    if (!lower.startsWith(prefix) || lower.length - prefix.length < 3) continue;
+    const rest = lower.slice(prefix.length);
+
+    // Partizip ohne "ge-": "vergangen"
+    if (cores.has(rest)) return [createReading(prefix + cores.get(rest), 'PART')];
+
+    const readings = (forms.get(rest) || []).filter(r => r.verbForm !== 'PART' && r.mood !== 'IMP');
+    if (readings.length > 0) return readings.map(r => ({ ...r, lemma: prefix + r.lemma }));
+  }
+
+  return null;
+};
+
+/**
+ * Lesarten schwacher Verben nach Flexionsendung
+ * @private
+ */
+const weakReadings = (lower) => {
+  const lemmaOfStem = (stem) => /e[lr]$/.test(stem) ? stem + 'n' : stem + 'en';
+
+  // -ieren: studiert
+  if (/.{3,}iert$/.test(lower)) {
+    const lemma = lemmaOfStem(lower.slice(0, -1));
+    return ['PART', 'FIN|PRES|IND|3|SING', 'FIN|PRES|IND|2|PLUR'].map(code => createReading(lemma, code));
+  }
+
+  // Partizip II: (Partikel) ge + Stamm + (e)t
+  const participle = lower.match(WEAK_PARTICIPLE);
+  if (participle) {
+    return [createReading((participle[1] || '') + lemmaOfStem(participle[2]), 'PART')];
+  }
+
+  // Partizip II ohne "ge-" nach untrennbarem Präfix: verliebt, erwacht
+  const prefix = INSEPARABLE_PREFIXES.find(p => lower.startsWith(p) && lower.length > p.length + 3);
+  if (prefix && lower.endsWith('t') && !lower.endsWith('st')) {
+    const lemma = lemmaOfStem(lower.replace(/e?t$/, ''));
+    return ['PART', 'FIN|PRES|IND|3|SING', 'FIN|PRES|IND|2|PLUR'].map(code => createReading(lemma, code));
+  }
+
+  // Präteritum: sag-te, wart-e-te (Stammauslaut wie beim Lemmatisieren geprüft, nicht "warte")
+  const preterite = lower.match(/^(\p{L}{2,}?)(e?)te(st|n|t)?$/u);
+  if (preterite && (preterite[2] === 'e' ? /[td]$/.test(preterite[1]) : WEAK_PRETERITE_STEM.test(preterite[1]))) {
+    const lemma = lemmaOfStem(preterite[1]);
+    const codes = {
+      '': ['FIN|PAST|IND|1|SING', 'FIN|PAST|IND|3|SING'],
+      st: ['FIN|PAST|IND|2|SING'],
+      n: ['FIN|PAST|IND|1|PLUR', 'FIN|PAST|IND|3|PLUR'],
+      t: ['FIN|PAST|IND|2|PLUR']
+    }[preterite[3] || ''];
+    return codes.map(code => createReading(lemma, code));
+  }
+
+  // Präsens, Konjunktiv I und Infinitiv nach Personalendung
+  const endings = [
+    ['est', ['FIN|PRES|IND|2|SING', 'FIN|PRES|SUBJ|2|SING']],
+    ['st', ['FIN|PRES|IND|2|SING']],
+    ['et', ['FIN|PRES|IND|3|SING', 'FIN|PRES|IND|2|PLUR', 'FIN|PRES|SUBJ|2|PLUR']],
+    ['en', ['INF', 'FIN|PRES|IND|1|PLUR', 'FIN|PRES|IND|3|PLUR']],
+    ['t', ['FIN|PRES|IND|3|SING', 'FIN|PRES|IND|2|PLUR']],
+    ['e', ['FIN|PRES|IND|1|SING', 'FIN|PRES|SUBJ|1|SING', 'FIN|PRES|SUBJ|3|SING']],
+    ['n', ['INF', 'FIN|PRES|IND|1|PLUR', 'FIN|PRES|IND|3|PLUR']]
+  ];
+  const match = endings.find(([ending]) => lower.endsWith(ending) && lower.length > ending.length + 1);
+  if (!match) return [];
+
+  const [ending, codes] = match;
+  const stem = lower.slice(0, -ending.length);
+  if (ending === 'n' && !/e[lr]$/.test(stem)) return [];
+  const lemma = ending === 'en' || ending === 'n' ? lower : lemmaOfStem(stem);
+  return codes.map(code => createReading(lemma, code));
+};
+
+/**
+ * Erzeugt eine Lesart aus 'Verbform|Tempus|Modus|Person|Numerus'
+ * @private
+ */
+const createReading = (lemma, code) => {
+  const [verbForm, tense, mood, person, number] = code.split('|');
+  return {
+    lemma,
+    verbForm,
+    tense: tense || null,
+    mood: mood || null,
+    person: person || null,
+    number: number || null
+  };
+};
+
+/**
+ * Vollformen-Index aller Paradigmen (lazy)
+ * forms: Form -> Lesarten; cores: Partizip ohne "ge-" -> Infinitiv (für untrennbare Präfixe)
+ * @private
+ */
+const getVerbIndex = () => {
+  if (verbIndex) return verbIndex;
+
+  const forms = new Map();
+  const cores = new Map();
+  const seen = new Set();
+  const add = (form, lemma, codes) => {
+    const variants = form.includes('ss') ? [form, form.replace(/ss/g, 'ß')] : [form];
+    variants.forEach(variant => {
+      if (!forms.has(variant)) forms.set(variant, []);
+      codes.forEach(code => {
+        const key = `${variant}|${lemma}|${code}`;
+        if (seen.has(key)) return;
+        seen.add(key);
+        forms.get(variant).push(createReading(lemma, code));
+      });
+    });
+  };
+
+  Object.entries(SEIN_FORMS).forEach(([form, codes]) => add(form, 'sein', codes));
+  AUXILIARY_PARADIGMS.forEach(entry => addParadigm(add, cores, entry, true));
+  STRONG_VERBS.forEach(entry => addParadigm(add, cores, entry, false));
+  Object.entries(EXTRA_FORMS).forEach(([form, [lemma, ...codes]]) => add(form, lemma, codes));
+
+  verbIndex = { forms, cores };
+  return verbIndex;
+};
+
+/**
+ * Erzeugt alle Formen eines Paradigmas: Präsens, Imperativ, Konjunktiv I,
+ * Präteritum, Konjunktiv II (Umlaut des Präteritalstamms), Infinitiv und Partizip
+ * @private
+ */
+const addParadigm = (add, cores, entry, fullPresent) => {
+  const [infinitive, present, preterite, participle] = entry.split('|');
+  const stem = infinitive.replace(/e?n$/, '');
+  const joint = /(?:[td]|[^aeiouäöülrh][mn])$/.test(stem) ? 'e' : '';
+  const sibilant = /[sßzx]$/.test(stem);
+  const changed = present.split(' ').filter(Boolean);
+
+  let firstPerson = stem + 'e';
+  let secondPerson;
+  let thirdPerson;
+  let imperative = null;
+  if (fullPresent) {
+    [firstPerson, secondPerson, thirdPerson] = changed;
+  } else {
+    // Vokalwechsel: 2./3. Person auf -t, Imperativ ohne Endung ("gibst gibt gib")
+    const personal = changed.filter(form => form.endsWith('t'));
+    imperative = changed.find(form => !form.endsWith('t')) || stem;
+    secondPerson = personal[0] || stem + (sibilant ? 't' : joint + 'st');
+    thirdPerson = personal[1] || personal[0] || stem + joint + 't';
+  }
+
+  add(infinitive, infinitive, ['INF', 'FIN|PRES|IND|1|PLUR', 'FIN|PRES|IND|3|PLUR']);
+  add(firstPerson, infinitive, ['FIN|PRES|IND|1|SING']);
+  add(secondPerson, infinitive, ['FIN|PRES|IND|2|SING']);
+  add(thirdPerson, infinitive, ['FIN|PRES|IND|3|SING']);
+  add(stem + joint + 't', infinitive, ['FIN|PRES|IND|2|PLUR']);
+  if (imperative) add(imperative, infinitive, ['FIN|PRES|IMP|2|SING']);
+
+  // Konjunktiv I (1./3. Person Plural fallen mit dem Indikativ zusammen)
+  add(stem + 'e', infinitive, ['FIN|PRES|SUBJ|1|SING', 'FIN|PRES|SUBJ|3|SING']);
+  add(stem + 'est', infinitive, ['FIN|PRES|SUBJ|2|SING']);
+  add(stem + 'et', infinitive, ['FIN|PRES|SUBJ|2|PLUR']);
+
+  // Präteritum: schwache Bildung auf -e (hatte, brachte) oder starker Ablaut (gab, ging)
+  if (preterite.endsWith('e')) {
+    add(preterite, infinitive, ['FIN|PAST|IND|1|SING', 'FIN|PAST|IND|3|SING']);
+    add(preterite + 'st', infinitive, ['FIN|PAST|IND|2|SING']);
+    add(preterite + 'n', infinitive, ['FIN|PAST|IND|1|PLUR', 'FIN|PAST|IND|3|PLUR']);
+    add(preterite + 't', infinitive, ['FIN|PAST|IND|2|PLUR']);
+  } else {
+    const preteriteJoint = /[sßztd]$/.test(preterite) ? 'e' : '';
+    add(preterite, infinitive, ['FIN|PAST|IND|1|SING', 'FIN|PAST|IND|3|SING']);
+    add(preterite + preteriteJoint + 'st', infinitive, ['FIN|PAST|IND|2|SING']);
+    add(preterite + 'en', infinitive, ['FIN|PAST|IND|1|PLUR', 'FIN|PAST|IND|3|PLUR']);
+    add(preterite + preteriteJoint + 't', infinitive, ['FIN|PAST|IND|2|PLUR']);
+  }
+
+  // Konjunktiv II: umgelauteter Präteritalstamm (gäbe, hätte, würde)
+  const subjunctiveStem = NO_UMLAUT_SUBJUNCTIVE.includes(infinitive)
+    ? stem + joint + 't'
+    : applyUmlaut(preterite.replace(/e$/, ''));
+  add(subjunctiveStem + 'e', infinitive, ['FIN|PAST|SUBJ|1|SING', 'FIN|PAST|SUBJ|3|SING']);
+  add(subjunctiveStem + 'est', infinitive, ['FIN|PAST|SUBJ|2|SING']);
+  add(subjunctiveStem + 'en', infinitive, ['FIN|PAST|SUBJ|1|PLUR', 'FIN|PAST|SUBJ|3|PLUR']);
+  add(subjunctiveStem + 'et', infinitive, ['FIN|PAST|SUBJ|2|PLUR']);
+
+  add(participle, infinitive, ['PART']);
+  if (participle.startsWith('ge') && participle.length > 5) {
+    cores.set(participle.slice(2), infinitive);
+  }
+};
+
+const distinct = (values) => [...new Set(values.filter(value => value !== null && value !== undefined))];
+
+const countValues = (values) => values.reduce((counts, value) => {
+  if (value) counts[value] = (counts[value] || 0) + 1;
+  return counts;
+}, {});
+
+const mostFrequent = (counts) => Object.entries(counts).sort((a, b) => b[1] - a[1])[0]?.[0] || null;
+
+export default {
+  analyzeVerbForm,
+  linkVerbComplexes,
+  summarizeVerbComplexes
+};
@@ -1,4 +1,4 @@
-import { SENTIMENT_COLORS, SENTIMENT_LABELS } from './constants';
+import { SENTIMENT_COLORS, SENTIMENT_LABELS, ENTITY_LABELS } from './constants';
 
 /**
  * Mappt Sentiment-Score zu RGB-Farbe
@@ -109,12 +109,42 @@ export const getPOSColor = (posTag) => {
   return colors[posTag] || colors.X;
 };
 
+/**
+ * Gibt Hex-Hintergrundfarbe für POS-Tag zurück (gleiche Palette wie getPOSColor)
+ * Für Ausgaben ohne Tailwind, z.B. gedruckte Berichte
+ * @param {string} posTag - POS Tag
+ * @returns {string} Farbe als Hex
+ */
+export const getPOSHex = (posTag) => {
+  const colors = {
+    'NOUN': '#dbeafe',
+    'VERB': '#dcfce7',
+    'ADJ': '#fef9c3',
+    'ADV': '#f3e8ff',
+    'PRON': '#fce7f3',
+    'DET': '#e0e7ff',
+    'ADP': '#ffedd5',
+    'CCONJ': '#ccfbf1',
+    'SCONJ': '#cffafe',
+    'NUM': '#fee2e2',
+    'AUX': '#ecfccb',
+    'PART': '#fef3c7',
+    'INTJ': '#ffe4e6',
+    'PUNCT': '#f3f4f6',
+    'X': '#f3f4f6'
+  };
+
+  return colors[posTag] || colors.X;
+};
+
 /**
  * Gibt Farbe für Named Entity zurück
- * @param {string} entityType - Entity Type
+ * @param {string} entityType - Entity Type (Code wie PER/MYTH oder deutsches Label)
  * @returns {string} Farbe als Hex
  */
 export const getEntityColor = (entityType) => {
+  if (ENTITY_LABELS[entityType]) return ENTITY_LABELS[entityType].color;
+
   const colors = {
     'Person': '#fbbf24',
     'Ort': '#3b82f6',
@@ -254,6 +284,7 @@ export default {
   getSentimentLabel,
   getSentimentColor,
   getPOSColor,
+  getPOSHex,
   getEntityColor,
   interpolateColor,
   getSentimentGradient,
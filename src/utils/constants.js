@@ -47,12 +47,13 @@ export const MODELS = {
     language: 'multilingual'
   },
   
-  // Emotion Detection - Englisch (funktioniert teilweise für Deutsch)
+  // Emotion Detection - Lexikonbasiert für Deutsch (Kategorien aus EMOTIONS)
   EMOTION: {
-    name: 'Xenova/distilbert-base-uncased-finetuned-sst-2-english',
-    task: 'text-classification',
-    label: 'Emotion Erkennung (Englisch)',
-    language: 'en'
+    name: null,
+    task: 'emotion',
+    label: 'Emotionserkennung (Lexikon, Deutsch)',
+    language: 'de',
+    useRules: true
   },
   
   // Zero-Shot Classification - Regelbasiert
@@ -222,8 +223,10 @@ export const DEPENDENCY_RELATIONS = {
   NSUBJ: { label: 'Subjekt', description: 'Nominales Subjekt' },
   OBJ: { label: 'Objekt', description: 'Direktes Objekt' },
   IOBJ: { label: 'Indirektes Objekt', description: 'Indirektes Objekt' },
+  OBL: { label: 'Adverbiale', description: 'Präpositionale Ergänzung des Verbs' },
   NMOD: { label: 'Nominalmodifikator', description: 'Nominale Ergänzung' },
   AMOD: { label: 'Adjektivmodifikator', description: 'Attributives Adjektiv' },
+  NUMMOD: { label: 'Zahlmodifikator', description: 'Attributives Numerale' },
   ADVMOD: { label: 'Adverbmodifikator', description: 'Adverbiale Bestimmung' },
   DET: { label: 'Determiner', description: 'Artikel/Determiner' },
   CASE: { label: 'Kasusmarkierung', description: 'Präposition' },
@@ -232,7 +235,13 @@ export const DEPENDENCY_RELATIONS = {
   MARK: { label: 'Marker', description: 'Subordinierende Konjunktion' },
   AUX: { label: 'Hilfsverb', description: 'Hilfsverb' },
   COP: { label: 'Kopula', description: 'Kopulaverb (sein)' },
-  PUNCT: { label: 'Interpunktion', description: 'Satzzeichen' }
+  XCOMP: { label: 'Infinitivergänzung', description: 'Abhängiges Verb im Verbalkomplex' },
+  COMPOUND: { label: 'Verbpartikel', description: 'Abgetrennte Partikel eines Partikelverbs' },
+  CCOMP: { label: 'Ergänzungssatz', description: 'Subjekt- oder Objektsatz (dass/ob)' },
+  ADVCL: { label: 'Adverbialsatz', description: 'Adverbialer Nebensatz' },
+  ACL: { label: 'Relativsatz', description: 'Attributiver Nebensatz' },
+  PUNCT: { label: 'Interpunktion', description: 'Satzzeichen' },
+  DEP: { label: 'Unbestimmt', description: 'Nicht näher bestimmte Abhängigkeit' }
 };
 
 // Named Entity Labels
@@ -261,6 +270,24 @@ export const ENTITY_LABELS = {
     description: 'Sonstige Entitäten',
     examples: ['Deutsch', 'Euro', 'Internet']
   },
+  MYTH: {
+    label: 'Mythologische Gestalt',
+    color: '#f97316',
+    description: 'Götter, Heroen und Sagengestalten',
+    examples: ['Zeus', 'Orpheus', 'Loreley']
+  },
+  BIBL: {
+    label: 'Biblische Gestalt',
+    color: '#a16207',
+    description: 'Gestalten aus Altem und Neuem Testament',
+    examples: ['Adam', 'Christus', 'Heiliger Geist']
+  },
+  PERSONIFICATION: {
+    label: 'Personifikation',
+    color: '#14b8a6',
+    description: 'Als Person angesprochene Abstrakta und Naturgrößen',
+    examples: ['O Tod', 'Gevatter Tod', 'Frau Sonne']
+  },
   DATE: { 
     label: 'Datum', 
     color: '#10b981', 
@@ -302,15 +329,35 @@ export const MORPHOLOGICAL_FEATURES = {
     PAST: 'Präteritum',
     PERF: 'Perfekt',
     PLUP: 'Plusquamperfekt',
-    FUT: 'Futur'
+    FUT: 'Futur',
+    FUT2: 'Futur II'
   },
   MOOD: {
     IND: 'Indikativ',
     IMP: 'Imperativ',
-    SUBJ: 'Konjunktiv'
+    SUBJ: 'Konjunktiv',
+    SUBJ1: 'Konjunktiv I',
+    SUBJ2: 'Konjunktiv II'
+  },
+  VOICE: {
+    ACT: 'Aktiv',
+    PASS: 'Vorgangspassiv',
+    STATE: 'Zustandspassiv'
   }
 };
 
+// Interne Morphologie-Features -> Universal Dependencies
+export const UD_FEATURES = {
+  case: { name: 'Case', values: { NOM: 'Nom', ACC: 'Acc', DAT: 'Dat', GEN: 'Gen' } },
+  gender: { name: 'Gender', values: { MASC: 'Masc', FEM: 'Fem', NEUT: 'Neut' } },
+  number: { name: 'Number', values: { SING: 'Sing', PLUR: 'Plur' } },
+  person: { name: 'Person', values: { 1: '1', 2: '2', 3: '3' } },
+  tense: { name: 'Tense', values: { PRES: 'Pres', PAST: 'Past', FUT: 'Fut' } },
+  mood: { name: 'Mood', values: { IND: 'Ind', IMP: 'Imp', SUBJ: 'Sub' } },
+  verbForm: { name: 'VerbForm', values: { FIN: 'Fin', INF: 'Inf', PART: 'Part' } },
+  degree: { name: 'Degree', values: { POS: 'Pos', CMP: 'Cmp', SUP: 'Sup' } }
+};
+
 // Stilistische Mittel
 export const STYLISTIC_DEVICES = {
   METAPHOR: { label: 'Metapher', description: 'Bildlicher Vergleich ohne "wie"' },
@@ -334,13 +381,43 @@ export const RHYME_SCHEMES = {
   FREE: { label: 'Freies Reimschema', description: 'Kein festes Schema' }
 };
 
+// Gedichtformen (Strophen- und Versformen)
+export const POETIC_FORMS = {
+  SONNET: { label: 'Sonett', description: '14 Verse, zwei Quartette und zwei Terzette bzw. drei Quartette und Couplet' },
+  TERZINE: { label: 'Terzine', description: 'Dreizeilige Strophen in Kettenreim (aba bcb cdc …)' },
+  STANZE: { label: 'Stanze', description: 'Achtzeilige Strophe, Reimschema abababcc, fünfhebiger Jambus' },
+  VOLKSLIEDSTROPHE: { label: 'Volksliedstrophe', description: 'Vierzeilig, drei- bis vierhebig, Kreuzreim, wechselnde Kadenzen' },
+  KNITTELVERS: { label: 'Knittelvers', description: 'Vierhebige Paarreimverse mit freier Senkungsfüllung' },
+  ALEXANDRINER: { label: 'Alexandriner', description: 'Sechshebiger Jambus mit Zäsur nach der sechsten Silbe' },
+  FREE_RHYTHMS: { label: 'Hymne / freie Rhythmen', description: 'Reimlos, ohne festes Metrum, wechselnde Verslängen' },
+  HAIKU: { label: 'Haiku', description: 'Drei Verse mit 5-7-5 Silben' },
+  GHAZAL: { label: 'Ghasel', description: 'Verspaare mit durchgehendem Reim aa ba ca …, oft mit Refrain (Radif)' }
+};
+
+// Reimtypen (phonetisch ab dem letzten betonten Vokal)
+export const RHYME_TYPES = {
+  PURE: { label: 'Reiner Reim', description: 'Lautgleichheit ab dem letzten betonten Vokal' },
+  IMPURE: { label: 'Unreiner Reim', description: 'Abweichung in Rundung oder Vokallänge (Glück/Blick)' },
+  ASSONANCE: { label: 'Assonanz', description: 'Nur die Vokale stimmen überein' },
+  IDENTICAL: { label: 'Identischer Reim', description: 'Gleichlautende Wörter' }
+};
+
+// Klangmuster (phonologische Ebene, Farben für die Hervorhebung)
+export const SOUND_PATTERNS = {
+  INTERNAL_RHYME: { label: 'Binnenreim', color: '#f472b6', description: 'Reim im Versinneren oder zwischen Versinnerem und Versende' },
+  ALLITERATION: { label: 'Alliteration', color: '#60a5fa', description: 'Gleicher Anlaut aufeinanderfolgender Wörter' },
+  ASSONANCE: { label: 'Assonanz', color: '#fbbf24', description: 'Wiederkehrender Vokal in betonten Silben' },
+  CONSONANCE: { label: 'Konsonanz', color: '#34d399', description: 'Gleiche Konsonanten nach dem betonten Vokal bei wechselndem Vokal' }
+};
+
 // Metrik-Patterns
+// template: Versfuß als Folge von Hebung (X) und Senkung (x)
 export const METRIC_PATTERNS = {
-  IAMBUS: { label: 'Jambus', pattern: 'unbetont-betont', description: 'x X' },
-  TROCHAEUS: { label: 'Trochäus', pattern: 'betont-unbetont', description: 'X x' },
-  DACTYLUS: { label: 'Daktylus', pattern: 'betont-unbetont-unbetont', description: 'X x x' },
-  ANAPEST: { label: 'Anapäst', pattern: 'unbetont-unbetont-betont', description: 'x x X' },
-  SPONDEUS: { label: 'Spondeus', pattern: 'betont-betont', description: 'X X' }
+  IAMBUS: { label: 'Jambus', pattern: 'unbetont-betont', description: 'x X', template: 'xX' },
+  TROCHAEUS: { label: 'Trochäus', pattern: 'betont-unbetont', description: 'X x', template: 'Xx' },
+  DACTYLUS: { label: 'Daktylus', pattern: 'betont-unbetont-unbetont', description: 'X x x', template: 'Xxx' },
+  ANAPEST: { label: 'Anapäst', pattern: 'unbetont-unbetont-betont', description: 'x x X', template: 'xxX' },
+  SPONDEUS: { label: 'Spondeus', pattern: 'betont-betont', description: 'X X', template: 'XX' }
 };
 
 // Analyse-Konfiguration
@@ -377,7 +454,16 @@ export const ANALYSIS_CONFIG = {
   CACHE: {
     MODEL_CACHE_NAME: 'transformers-cache',
     MAX_CACHE_SIZE: 1024 * 1024 * 1024,
-    CACHE_DURATION: 30 * 24 * 60 * 60 * 1000
+    CACHE_DURATION: 30 * 24 * 60 * 60 * 1000,
+    // Analyse-Cache (Arbeitsspeicher + IndexedDB)
+    MAX_MEMORY_ENTRIES: 10,
+    MAX_PERSISTENT_ENTRIES: 50,
+    ANALYSIS_DB_NAME: 'lyrik-analyzer',
+    ANALYSIS_DB_VERSION: 1,
+    ANALYSIS_STORE: 'analyses',
+    // Bibliothek gespeicherter Analysen (gleiche Datenbank): Zusammenfassungen und vollständige Ergebnisse getrennt
+    LIBRARY_STORE: 'library',
+    LIBRARY_RESULTS_STORE: 'libraryResults'
   }
 };
 
@@ -392,8 +478,32 @@ export const FEATURES = {
   RHYTHM_ANALYSIS: false,
   VERSE_STRUCTURE: true,
   RULE_BASED_POS: true,
+  RULE_BASED_DEPENDENCY: true,
   STRICT_NER: true,
-  UTF8_NORMALIZATION: true
+  LITERARY_NER: true,
+  UTF8_NORMALIZATION: true,
+  ANALYSIS_WORKER: true,
+  PERSISTENT_ANALYSIS_CACHE: true
+};
+
+// Nachrichtentypen zwischen UI-Thread und Analyse-Worker
+export const WORKER_MESSAGES = {
+  // Anfragen (UI -> Worker)
+  ANALYZE: 'analyze',
+  ANALYZE_PARTIAL: 'analyzePartial',
+  ANALYZE_WORD: 'analyzeWord',
+  COMPARE_TEXTS: 'compareTexts',
+  COMPARE_MANY: 'compareMany',
+  CLEAR_ANALYSIS: 'clearAnalysis',
+  LOAD_MODEL: 'loadModel',
+  LOAD_MODELS: 'loadMultipleModels',
+  UNLOAD_MODEL: 'unloadModel',
+  UNLOAD_ALL_MODELS: 'unloadAllModels',
+  CANCEL: 'cancel',
+  // Antworten (Worker -> UI)
+  PROGRESS: 'progress',
+  RESULT: 'result',
+  ERROR: 'error'
 };
 
 // UI-Konfiguration
@@ -404,6 +514,34 @@ export const UI_CONFIG = {
   TOOLTIP_DELAY: 200
 };
 
+// Druckbare Berichte (reportGenerator)
+export const REPORT_TEMPLATES = {
+  WORKSHEET: {
+    id: 'worksheet',
+    label: 'Schüler-Arbeitsblatt',
+    description: 'Gedicht mit Zeilennummern, leerem Reimrand und Arbeitsaufträgen',
+    sections: ['poem', 'tasks'],
+    annotatePoem: false,
+    showRhymes: false
+  },
+  SOLUTION: {
+    id: 'solution',
+    label: 'Lehrer-Lösung',
+    description: 'Annotiertes Gedicht mit Reimschema, Zusammenfassung, Lesbarkeit und Themen',
+    sections: ['poem', 'legend', 'summary', 'style', 'readability', 'themes'],
+    annotatePoem: true,
+    showRhymes: true
+  },
+  BRIEF: {
+    id: 'brief',
+    label: 'Kurzbericht',
+    description: 'Eine Seite: Gedicht mit Reimschema, Kennzahlen und Themen',
+    sections: ['poem', 'keyFacts', 'themes'],
+    annotatePoem: false,
+    showRhymes: true
+  }
+};
+
 // Regelbasierte deutsche Wortartenerkennung
 export const GERMAN_POS_RULES = {
   // Artikel
@@ -442,11 +580,17 @@ export default {
   DEPENDENCY_RELATIONS,
   ENTITY_LABELS,
   MORPHOLOGICAL_FEATURES,
+  UD_FEATURES,
   STYLISTIC_DEVICES,
   RHYME_SCHEMES,
+  POETIC_FORMS,
+  RHYME_TYPES,
+  SOUND_PATTERNS,
   METRIC_PATTERNS,
   ANALYSIS_CONFIG,
   FEATURES,
+  WORKER_MESSAGES,
   UI_CONFIG,
+  REPORT_TEMPLATES,
   GERMAN_POS_RULES
 };
\ No newline at end of file
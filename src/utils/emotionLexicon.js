@@ -0,0 +1,99 @@
+/**
+ * Deutsches Emotionslexikon (NRC-Stil: Wort ↔ Emotion, binäre Zuordnung)
+ * Grundformen in Kleinschreibung, Schwerpunkt auf Wortschatz der Lyrik.
+ * Ein Wort darf mehreren Emotionen zugeordnet sein (z.B. "schrecken": Angst, Überraschung).
+ * Kategorien entsprechen den Schlüsseln von EMOTIONS in constants.js.
+ */
+export const EMOTION_LEXICON = {
+  JOY: [
+    'freude', 'freuen', 'froh', 'fröhlich', 'frohlocken', 'glück', 'glücklich', 'selig', 'seligkeit',
+    'wonne', 'wonnig', 'lust', 'lustig', 'heiter', 'heiterkeit', 'jubel', 'jubeln', 'jauchzen',
+    'lachen', 'lächeln', 'liebe', 'lieben', 'lieblich', 'hold', 'holde', 'süß', 'schön', 'schönheit',
+    'herrlich', 'pracht', 'prächtig', 'glanz', 'glänzen', 'strahlen', 'licht', 'hell', 'sonne',
+    'frühling', 'blühen', 'blüte', 'singen', 'gesang', 'tanzen', 'tanz', 'spielen', 'spiel', 'friede',
+    'frieden', 'ruhe', 'sanft', 'zart', 'zärtlich', 'hoffnung', 'hoffen', 'trost', 'trösten', 'segen',
+    'segnen', 'gnade', 'dank', 'danken', 'vergnügen', 'entzücken', 'entzückt', 'begeistert', 'feier',
+    'feiern', 'heil', 'himmlisch', 'paradies', 'sehnsucht', 'gut', 'treu', 'treue',
+    'küssen', 'kuss', 'umarmen', 'lenz', 'mai', 'morgenrot', 'wärme', 'warm', 'golden'
+  ],
+  SADNESS: [
+    'trauer', 'trauern', 'traurig', 'leid', 'leiden', 'schmerz', 'schmerzen', 'schmerzlich', 'weh',
+    'wehmut', 'wehmütig', 'klage', 'klagen', 'weinen', 'träne', 'tränen', 'seufzen', 'seufzer',
+    'kummer', 'gram', 'jammer', 'jammern', 'elend', 'einsam', 'einsamkeit', 'allein', 'verlassen',
+    'verlust', 'verlieren', 'verloren', 'tod', 'tot', 'sterben', 'grab', 'gruft', 'welken', 'welk',
+    'vergehen', 'vergänglich', 'vergänglichkeit', 'eitelkeit', 'herbst', 'winter', 'nacht', 'dunkel',
+    'finster', 'schatten', 'grau', 'kalt', 'kälte', 'öde', 'leer', 'leere', 'müde', 'matt', 'sehnsucht',
+    'heimweh', 'abschied', 'scheiden', 'trennung', 'fern', 'ferne', 'schwermut', 'schwermütig',
+    'melancholie', 'bitter', 'bang', 'ach', 'armut', 'not', 'sorge', 'sorgen', 'verzweiflung',
+    'verzweifeln', 'hoffnungslos', 'vergeblich', 'asche', 'staub', 'ruine', 'fallen', 'sinken'
+  ],
+  ANGER: [
+    'wut', 'wütend', 'zorn', 'zornig', 'grimm', 'grimmig', 'rache', 'rächen', 'hass', 'hassen',
+    'ärger', 'ärgern', 'empörung', 'empört', 'toben', 'rasen', 'rasend', 'raserei', 'groll',
+    'grollen', 'fluch', 'fluchen', 'verfluchen', 'verflucht', 'streit', 'streiten', 'kampf', 'kämpfen',
+    'krieg', 'schlacht', 'feind', 'feindlich', 'gewalt', 'brand', 'brennen', 'flamme', 'donner',
+    'sturm', 'stürmen', 'blitz', 'schwert', 'blut', 'blutig', 'mord', 'morden', 'zerstören',
+    'zerschlagen', 'brüllen', 'schreien', 'schrei', 'trotz', 'trotzen', 'neid', 'bosheit', 'böse',
+    'tyrann', 'knecht', 'joch', 'ketten', 'unrecht', 'frevel', 'lästern'
+  ],
+  FEAR: [
+    'angst', 'ängstlich', 'furcht', 'fürchten', 'furchtbar', 'fürchterlich', 'schrecken',
+    'schrecklich', 'erschrecken', 'entsetzen', 'entsetzlich', 'grauen', 'grausam', 'grausig', 'bang',
+    'bange', 'bangen', 'zittern', 'beben', 'schaudern', 'schauder', 'schauer', 'gefahr', 'gefährlich',
+    'bedrohen', 'drohen', 'drohung', 'panik', 'sorge', 'sorgen', 'unruhe', 'unheimlich', 'gespenst',
+    'geist', 'dämon', 'teufel', 'hölle', 'abgrund', 'tod', 'sterben', 'nacht', 'finster', 'dunkel',
+    'sturm', 'gewitter', 'donner', 'wolf', 'nebel', 'irre', 'irren', 'verirren', 'flucht', 'fliehen',
+    'verfolgen', 'gericht', 'strafe', 'ungewiss', 'krieg', 'pest', 'seuche'
+  ],
+  SURPRISE: [
+    'überraschung', 'überraschen', 'überrascht', 'staunen', 'erstaunen', 'erstaunt', 'wunder',
+    'wundern', 'verwundert', 'wunderbar', 'wundersam', 'plötzlich', 'jäh', 'unversehens', 'unerwartet',
+    'erschrecken', 'schrecken', 'blitz', 'aufblitzen', 'erwachen', 'erblicken',
+    'entdecken', 'zauber', 'zaubern', 'verzaubert', 'seltsam', 'sonderbar', 'rätsel', 'rätselhaft',
+    'geheimnis', 'geheimnisvoll', 'offenbaren', 'erscheinen', 'erscheinung', 'oh'
+  ],
+  DISGUST: [
+    'ekel', 'ekeln', 'ekelhaft', 'widerlich', 'abscheu', 'abscheulich', 'verabscheuen', 'scheußlich',
+    'grässlich', 'hässlich', 'schmutz', 'schmutzig', 'dreck', 'kot', 'schleim', 'fäulnis', 'faul',
+    'faulen', 'verfaulen', 'moder', 'verwesen', 'verwesung', 'gestank', 'stinken', 'eiter',
+    'wurm', 'würmer', 'aas', 'leiche', 'pest', 'seuche', 'schande', 'schändlich', 'schmach',
+    'sünde', 'sündig', 'laster', 'verderben', 'verdorben', 'gift', 'giftig', 'kotzen', 'speien',
+    'spucken', 'verachten', 'verachtung', 'gemein', 'niedrig', 'pfui'
+  ]
+};
+
+// Negationen: kehren die Emotion eines folgenden Wortes im selben Satzteil um
+export const NEGATION_WORDS = [
+  'nicht', 'nie', 'niemals', 'nimmer', 'nimmermehr', 'nichts', 'niemand', 'nirgends', 'ohne',
+  'kein', 'keine', 'keinen', 'keinem', 'keiner', 'keines', 'weder'
+];
+
+// Verstärker und Abschwächer: Faktor für die Intensität des folgenden Wortes
+export const INTENSIFIERS = {
+  sehr: 1.5,
+  so: 1.3,
+  ganz: 1.3,
+  gar: 1.3,
+  recht: 1.2,
+  höchst: 1.6,
+  äußerst: 1.6,
+  überaus: 1.6,
+  allzu: 1.5,
+  unendlich: 1.5,
+  unsäglich: 1.6,
+  tief: 1.3,
+  ewig: 1.3,
+  voll: 1.2,
+  kaum: 0.4,
+  wenig: 0.6,
+  etwas: 0.7,
+  leicht: 0.7,
+  fast: 0.8,
+  beinahe: 0.8
+};
+
+export default {
+  EMOTION_LEXICON,
+  NEGATION_WORDS,
+  INTENSIFIERS
+};
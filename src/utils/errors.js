@@ -0,0 +1,41 @@
+/**
+ * Fehlerklassen und Hilfsfunktionen für die Analyse-Pipeline
+ */
+
+/**
+ * Wird geworfen, wenn eine Analyse über ein AbortSignal abgebrochen wurde.
+ * Die UI behandelt diesen Fall als Abbruch, nicht als Fehler.
+ */
+export class AnalysisCancelledError extends Error {
+  constructor(message = 'Analyse abgebrochen') {
+    super(message);
+    this.name = 'AnalysisCancelledError';
+  }
+}
+
+/**
+ * Wirft AnalysisCancelledError, wenn das Signal abgebrochen wurde
+ * Wird zwischen Batches und Analyse-Schritten aufgerufen (kooperativer Abbruch)
+ *
+ * @param {AbortSignal} signal - Optionales AbortSignal
+ */
+export const throwIfAborted = (signal) => {
+  if (signal?.aborted) {
+    throw new AnalysisCancelledError();
+  }
+};
+
+/**
+ * Prüft, ob ein Fehler einen Abbruch signalisiert (auch nach Serialisierung aus dem Worker)
+ *
+ * @param {Error} error - Gefangener Fehler
+ * @returns {boolean}
+ */
+export const isCancellationError = (error) =>
+  error instanceof AnalysisCancelledError || error?.name === 'AnalysisCancelledError';
+
+export default {
+  AnalysisCancelledError,
+  throwIfAborted,
+  isCancellationError
+};
@@ -0,0 +1,67 @@
+/**
+ * Hilfsfunktionen für Datei-Exporte im Browser
+ */
+
+/**
+ * Serialisiert Daten als JSON
+ * Typed Arrays (z.B. Float32Array-Embeddings aus dem Worker) werden als normale Arrays geschrieben.
+ *
+ * @param {*} data - Zu serialisierende Daten
+ * @param {number} space - Einrückung
+ * @returns {string} JSON-String
+ */
+export const toJSONString = (data, space = 2) => JSON.stringify(
+  data,
+  (key, value) => (ArrayBuffer.isView(value) ? Array.from(value) : value),
+  space
+);
+
+/**
+ * Startet den Download einer Datei
+ *
+ * @param {string|Blob} content - Dateiinhalt
+ * @param {string} filename - Dateiname
+ * @param {string} mimeType - MIME-Typ (nur für Strings)
+ */
+export const downloadFile = (content, filename, mimeType = 'text/plain') => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Druckt ein HTML-Dokument über einen unsichtbaren iframe
+ * Im Druckdialog des Browsers kann als PDF gespeichert werden.
+ *
+ * @param {string} html - Vollständiges HTML-Dokument
+ */
+export const printHTML = (html) => {
+  const frame = document.createElement('iframe');
+  frame.style.position = 'fixed';
+  frame.style.width = '0';
+  frame.style.height = '0';
+  frame.style.border = '0';
+  frame.setAttribute('aria-hidden', 'true');
+
+  frame.onload = () => {
+    frame.contentWindow.focus();
+    frame.contentWindow.print();
+    // Erst nach dem Druckdialog entfernen
+    setTimeout(() => frame.remove(), 1000);
+  };
+
+  frame.srcdoc = html;
+  document.body.appendChild(frame);
+};
+
+export default {
+  toJSONString,
+  downloadFile,
+  printHTML
+};
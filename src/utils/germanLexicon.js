@@ -0,0 +1,170 @@
+/**
+ * Kompaktes deutsches Lexikon für die Lemmatisierung
+ * Enthält nur, was sich nicht per Regel ableiten lässt: Funktionswörter,
+ * Hilfs- und Modalverben, starke Verben sowie häufige Nomen der Lyrik
+ */
+
+// Funktionswörter: Wortform -> Lemma
+export const FUNCTION_WORD_LEMMAS = {
+  // Artikel
+  der: 'der', die: 'der', das: 'der', den: 'der', dem: 'der', des: 'der',
+  ein: 'ein', eine: 'ein', einen: 'ein', einem: 'ein', einer: 'ein', eines: 'ein',
+  kein: 'kein', keine: 'kein', keinen: 'kein', keinem: 'kein', keiner: 'kein', keines: 'kein',
+  // Personalpronomen
+  ich: 'ich', mich: 'ich', mir: 'ich',
+  du: 'du', dich: 'du', dir: 'du',
+  er: 'er', ihn: 'er', ihm: 'er',
+  sie: 'sie', ihnen: 'sie',
+  es: 'es',
+  wir: 'wir', uns: 'wir',
+  euch: 'ihr',
+  sich: 'sich',
+  // Demonstrativ- und Relativpronomen
+  dieser: 'dieser', diese: 'dieser', dieses: 'dieser', diesen: 'dieser', diesem: 'dieser',
+  jener: 'jener', jene: 'jener', jenes: 'jener', jenen: 'jener', jenem: 'jener',
+  welcher: 'welcher', welche: 'welcher', welches: 'welcher', welchen: 'welcher', welchem: 'welcher',
+  dessen: 'der', deren: 'der', denen: 'der',
+  // Kontraktionen
+  im: 'in', ins: 'in', am: 'an', ans: 'an', vom: 'von', zum: 'zu', zur: 'zu', beim: 'bei',
+  aufs: 'auf', durchs: 'durch', fürs: 'für', übers: 'über', unters: 'unter'
+};
+
+// Possessivstämme (mein, meine, meinem ... -> mein)
+export const POSSESSIVE_STEMS = ['mein', 'dein', 'sein', 'ihr', 'unser', 'euer', 'eur'];
+
+// Hilfs- und Modalverben: Infinitiv -> Formen (inkl. apokopierter Formen der Lyrik: wär, hätt, möcht)
+export const AUXILIARY_FORMS = {
+  sein: ['bin', 'bist', 'ist', 'sind', 'seid', 'war', 'warst', 'waren', 'wart', 'wäre', 'wär', 'wärst', 'wärest', 'wären', 'wäret', 'gewesen', 'sei', 'seist', 'seien', 'seiet'],
+  haben: ['habe', 'hab', 'hast', 'hat', 'habt', 'hatte', 'hatt', 'hattest', 'hatten', 'hattet', 'hätte', 'hätt', 'hättest', 'hätten', 'hättet', 'gehabt'],
+  werden: ['werde', 'wirst', 'wird', 'werdet', 'wurde', 'wurd', 'ward', 'wurdest', 'wurden', 'wurdet', 'würde', 'würd', 'würdest', 'würden', 'würdet', 'geworden', 'worden'],
+  können: ['kann', 'kannst', 'könnt', 'konnte', 'konnt', 'konntest', 'konnten', 'konntet', 'könnte', 'könntest', 'könnten', 'könntet', 'gekonnt'],
+  müssen: ['muss', 'muß', 'musst', 'mußt', 'müsst', 'müßt', 'musste', 'mußte', 'mussten', 'mußten', 'müsste', 'müßte', 'müssten', 'müßten', 'gemusst', 'gemußt'],
+  dürfen: ['darf', 'darfst', 'dürft', 'durfte', 'durften', 'dürfte', 'dürften', 'gedurft'],
+  sollen: ['soll', 'sollst', 'sollt', 'sollte', 'solltest', 'sollten', 'solltet', 'gesollt'],
+  wollen: ['will', 'willst', 'wollt', 'wollte', 'wollt', 'wolltest', 'wollten', 'wolltet', 'gewollt'],
+  mögen: ['mag', 'magst', 'mögt', 'mochte', 'mochtest', 'mochten', 'möchte', 'möcht', 'möchtest', 'möchten', 'möchtet', 'gemocht'],
+  wissen: ['weiß', 'weißt', 'wisst', 'wißt', 'wusste', 'wußte', 'wusstest', 'wussten', 'wußten', 'wüsste', 'wüßte', 'wüssten', 'wüßten', 'gewusst', 'gewußt'],
+  tun: ['tu', 'tue', 'tust', 'tut', 'tat', 'tatst', 'taten', 'tätet', 'täte', 'tät', 'täten', 'getan']
+};
+
+// Starke und unregelmäßige Verben: Infinitiv|Präsens mit Vokalwechsel|Präteritalstamm|Partizip
+// Präteritum- und Konjunktiv-II-Formen werden aus dem Präteritalstamm erzeugt
+export const STRONG_VERBS = [
+  'backen||buk|gebacken', 'befehlen|befiehlst befiehlt|befahl|befohlen', 'beginnen||begann|begonnen',
+  'beißen||biss|gebissen', 'bergen|birgst birgt|barg|geborgen', 'bersten|birst|barst|geborsten',
+  'betrügen||betrog|betrogen', 'biegen||bog|gebogen', 'bieten||bot|geboten', 'binden||band|gebunden',
+  'bitten||bat|gebeten', 'blasen|bläst|blies|geblasen', 'bleiben||blieb|geblieben',
+  'braten|brätst brät|briet|gebraten', 'brechen|brichst bricht|brach|gebrochen',
+  'brennen||brannte|gebrannt', 'bringen||brachte|gebracht', 'denken||dachte|gedacht',
+  'dringen||drang|gedrungen', 'empfehlen|empfiehlst empfiehlt|empfahl|empfohlen',
+  'erlöschen|erlischst erlischt|erlosch|erloschen', 'erschrecken|erschrickst erschrickt|erschrak|erschrocken',
+  'essen|isst ißt|aß|gegessen', 'fahren|fährst fährt|fuhr|gefahren', 'fallen|fällst fällt|fiel|gefallen',
+  'fangen|fängst fängt|fing|gefangen', 'finden||fand|gefunden', 'flechten|flichtst flicht|flocht|geflochten',
+  'fliegen||flog|geflogen', 'fliehen||floh|geflohen', 'fließen||floss|geflossen',
+  'fressen|frisst frißt|fraß|gefressen', 'frieren||fror|gefroren', 'gebären|gebierst gebiert|gebar|geboren',
+  'geben|gibst gibt gib|gab|gegeben', 'gedeihen||gedieh|gediehen', 'gehen||ging|gegangen',
+  'gelingen||gelang|gelungen', 'gelten|giltst gilt|galt|gegolten', 'genießen||genoss|genossen',
+  'geschehen|geschieht|geschah|geschehen', 'gewinnen||gewann|gewonnen', 'gießen||goss|gegossen',
+  'gleichen||glich|geglichen', 'gleiten||glitt|geglitten', 'glimmen||glomm|geglommen',
+  'graben|gräbst gräbt|grub|gegraben', 'greifen||griff|gegriffen', 'halten|hältst hält|hielt|gehalten',
+  'hängen||hing|gehangen', 'heben||hob|gehoben', 'heißen||hieß|geheißen', 'helfen|hilfst hilft hilf|half|geholfen',
+  'kennen||kannte|gekannt', 'klingen||klang|geklungen', 'kommen||kam|gekommen', 'kriechen||kroch|gekrochen',
+  'laden|lädst lädt|lud|geladen', 'lassen|lässt läßt|ließ|gelassen', 'laufen|läufst läuft|lief|gelaufen',
+  'leiden||litt|gelitten', 'leihen||lieh|geliehen', 'lesen|liest lies|las|gelesen', 'liegen||lag|gelegen',
+  'lügen||log|gelogen', 'meiden||mied|gemieden', 'messen|misst mißt|maß|gemessen',
+  'nehmen|nimmst nimmt nimm|nahm|genommen', 'nennen||nannte|genannt', 'pfeifen||pfiff|gepfiffen',
+  'preisen||pries|gepriesen', 'quellen|quillst quillt|quoll|gequollen', 'raten|rätst rät|riet|geraten',
+  'reiben||rieb|gerieben', 'reißen||riss|gerissen', 'reiten||ritt|geritten', 'rennen||rannte|gerannt',
+  'riechen||roch|gerochen', 'ringen||rang|gerungen', 'rinnen||rann|geronnen', 'rufen||rief|gerufen',
+  'saufen|säufst säuft|soff|gesoffen', 'saugen||sog|gesogen', 'schaffen||schuf|geschaffen',
+  'scheiden||schied|geschieden', 'scheinen||schien|geschienen', 'schelten|schiltst schilt|schalt|gescholten',
+  'schieben||schob|geschoben', 'schießen||schoss|geschossen', 'schlafen|schläfst schläft|schlief|geschlafen',
+  'schlagen|schlägst schlägt|schlug|geschlagen', 'schleichen||schlich|geschlichen',
+  'schließen||schloss|geschlossen', 'schlingen||schlang|geschlungen', 'schmelzen|schmilzt|schmolz|geschmolzen',
+  'schneiden||schnitt|geschnitten', 'schreiben||schrieb|geschrieben', 'schreien||schrie|geschrien',
+  'schreiten||schritt|geschritten', 'schweigen||schwieg|geschwiegen', 'schwellen|schwillst schwillt|schwoll|geschwollen',
+  'schwimmen||schwamm|geschwommen', 'schwinden||schwand|geschwunden', 'schwingen||schwang|geschwungen',
+  'schwören||schwor|geschworen', 'sehen|siehst sieht sieh|sah|gesehen', 'senden||sandte|gesandt',
+  'singen||sang|gesungen', 'sinken||sank|gesunken', 'sinnen||sann|gesonnen', 'sitzen||saß|gesessen',
+  'sprechen|sprichst spricht sprich|sprach|gesprochen', 'sprießen||spross|gesprossen',
+  'springen||sprang|gesprungen', 'stechen|stichst sticht|stach|gestochen', 'stehen||stand|gestanden',
+  'stehlen|stiehlst stiehlt|stahl|gestohlen', 'steigen||stieg|gestiegen', 'sterben|stirbst stirbt|starb|gestorben',
+  'stoßen|stößt|stieß|gestoßen', 'streichen||strich|gestrichen', 'streiten||stritt|gestritten',
+  'tragen|trägst trägt|trug|getragen', 'treffen|triffst trifft|traf|getroffen', 'treiben||trieb|getrieben',
+  'treten|trittst tritt|trat|getreten', 'trinken||trank|getrunken', 'trügen||trog|getrogen',
+  'verderben|verdirbst verdirbt|verdarb|verdorben', 'vergessen|vergisst vergißt|vergaß|vergessen',
+  'verlieren||verlor|verloren', 'verschwinden||verschwand|verschwunden', 'verzeihen||verzieh|verziehen',
+  'wachsen|wächst|wuchs|gewachsen', 'waschen|wäschst wäscht|wusch|gewaschen', 'weben||wob|gewoben',
+  'weichen||wich|gewichen', 'weisen||wies|gewiesen', 'wenden||wandte|gewandt', 'werben|wirbst wirbt|warb|geworben',
+  'werfen|wirfst wirft|warf|geworfen', 'wiegen||wog|gewogen', 'winden||wand|gewunden',
+  'ziehen||zog|gezogen', 'zwingen||zwang|gezwungen'
+];
+
+// Häufige Nomen (Grundformen), v.a. aus dem Wortschatz der Lyrik
+// Dient als Bestätigung für Kandidaten der Regel-Lemmatisierung
+export const NOUN_LEMMAS = [
+  'Abend', 'Arm', 'Atem', 'Auge', 'Bach', 'Baum', 'Berg', 'Bett', 'Bild', 'Blatt', 'Blick', 'Blume', 'Blut', 'Blüte',
+  'Boden', 'Boot', 'Brücke', 'Brief', 'Brot', 'Brust', 'Buch', 'Burg', 'Dach', 'Ding', 'Dorf', 'Duft', 'Engel', 'Erde',
+  'Fall', 'Faden', 'Feld', 'Fels', 'Fenster', 'Feuer', 'Fisch', 'Flamme', 'Flucht', 'Flügel', 'Fluss', 'Flut',
+  'Freund', 'Frieden', 'Frucht', 'Frühling', 'Fuß', 'Garten', 'Gast', 'Geist', 'Gesang', 'Gesicht', 'Glanz',
+  'Glas', 'Glück', 'Gott', 'Grab', 'Gras', 'Grund', 'Güte', 'Haar', 'Hafen', 'Hain', 'Hals', 'Hand', 'Haupt', 'Haus',
+  'Haut', 'Heer', 'Held', 'Herr', 'Herbst', 'Himmel', 'Hirt', 'Höhe', 'Hölle', 'Hof', 'Hügel', 'Hütte', 'Hund', 'Jahr', 'Kind', 'Kleid',
+  'Klang', 'König', 'Kopf', 'Kraft', 'Kranz', 'Kreis', 'Kuss', 'Küste', 'Kälte', 'Land', 'Laub', 'Leben', 'Leib', 'Licht', 'Lied',
+  'Luft', 'Lust', 'Macht', 'Mann', 'Mantel', 'Meer', 'Mensch', 'Mönch', 'Mond', 'Mühe', 'Morgen', 'Mund', 'Mutter', 'Nacht',
+  'Nähe', 'Nebel', 'Ofen', 'Ohr', 'Ort', 'Pfad', 'Prinz', 'Rad', 'Rand', 'Rat', 'Raum', 'Regen', 'Reich', 'Ring',
+  'Rose', 'Rücken', 'Ruf', 'Saal', 'Saite', 'Schatten', 'Schein', 'Schiff', 'Schlaf', 'Schloss', 'Schmerz',
+  'Schnee', 'Schoß', 'Schritt', 'Schuh', 'Schwert', 'See', 'Seele', 'Segen', 'Sinn', 'Sohn', 'Sommer', 'Sonne',
+  'Spiel', 'Stab', 'Stadt', 'Stamm', 'Stein', 'Stern', 'Stimme', 'Strahl', 'Strand', 'Straße', 'Strom',
+  'Stunde', 'Sturm', 'Sünde', 'Tag', 'Tal', 'Tanz', 'Teich', 'Tier', 'Tisch', 'Tochter', 'Tod', 'Ton', 'Tor', 'Traum',
+  'Träne', 'Tür', 'Turm', 'Ufer', 'Vater', 'Vogel', 'Volk', 'Wagen', 'Wald', 'Wand', 'Wärme', 'Weg', 'Weib', 'Wein', 'Welle',
+  'Welt', 'Wesen', 'Wind', 'Winter', 'Wolke', 'Wort', 'Wunde', 'Wunsch', 'Wüste', 'Zahn', 'Zeichen', 'Zeit', 'Zweig'
+];
+
+// Unregelmäßige Nomenformen: Wortform -> Lemma
+export const IRREGULAR_NOUN_FORMS = {
+  mütter: 'Mutter', töchter: 'Tochter', väter: 'Vater', brüder: 'Bruder', gärten: 'Garten', öfen: 'Ofen',
+  mäntel: 'Mantel', vögel: 'Vogel', äpfel: 'Apfel', böden: 'Boden', läden: 'Laden', gräben: 'Graben',
+  herzen: 'Herz', herzens: 'Herz', namen: 'Name', namens: 'Name', willen: 'Wille', willens: 'Wille',
+  glauben: 'Glaube', glaubens: 'Glaube', gedanken: 'Gedanke', gedankens: 'Gedanke', leute: 'Leute',
+  häuser: 'Haus', götter: 'Gott', wörter: 'Wort', bücher: 'Buch', männer: 'Mann', wälder: 'Wald'
+};
+
+// Unregelmäßige Steigerungsformen: Stamm -> Grundform
+export const IRREGULAR_COMPARATIVES = {
+  besser: 'gut', best: 'gut', mehr: 'viel', meist: 'viel', höher: 'hoch', höchst: 'hoch',
+  näher: 'nah', nächst: 'nah', lieber: 'gern', liebst: 'gern', größer: 'groß', größt: 'groß',
+  älter: 'alt', ältest: 'alt', jünger: 'jung', jüngst: 'jung', länger: 'lang', längst: 'lang',
+  kürzer: 'kurz', kürzest: 'kurz', wärmer: 'warm', wärmst: 'warm', kälter: 'kalt', kältest: 'kalt',
+  stärker: 'stark', stärkst: 'stark', schwächer: 'schwach', schwächst: 'schwach', ärmer: 'arm', ärmst: 'arm'
+};
+
+// Unflektierbare oder häufig als Verb fehlgetaggte Wörter (bleiben unverändert)
+export const INVARIABLE_WORDS = [
+  'gut', 'leicht', 'kalt', 'alt', 'laut', 'sanft', 'zart', 'weit', 'breit', 'sacht', 'schlicht', 'licht',
+  'dicht', 'recht', 'schlecht', 'echt', 'seicht', 'feucht', 'hart', 'fest', 'fast', 'selbst', 'erst',
+  'zuerst', 'sonst', 'einst', 'längst', 'jetzt', 'nicht', 'nichts', 'bereit', 'bunt', 'tot', 'rot', 'satt',
+  'matt', 'glatt', 'oft', 'heut', 'offen', 'eben', 'oben', 'unten', 'hinten',
+  'selten', 'trocken', 'golden', 'seiden', 'gestern', 'morgen', 'gern', 'gerne', 'innen', 'außen'
+];
+
+// Abtrennbare Verbpartikeln (für Partizipien wie "angesehen")
+export const SEPARABLE_PARTICLES = [
+  'zurück', 'hinauf', 'hinaus', 'herein', 'heraus', 'vorbei', 'vorüber', 'entgegen', 'empor',
+  'fort', 'weg', 'nach', 'auf', 'aus', 'ein', 'mit', 'vor', 'bei', 'ab', 'an', 'zu', 'hin', 'her', 'los', 'dar'
+];
+
+// Untrennbare Präfixe (Partizip ohne "ge-": "vergangen", "erschienen")
+export const INSEPARABLE_PREFIXES = ['miss', 'emp', 'ent', 'ver', 'zer', 'be', 'er', 'ge'];
+
+export default {
+  FUNCTION_WORD_LEMMAS,
+  POSSESSIVE_STEMS,
+  AUXILIARY_FORMS,
+  STRONG_VERBS,
+  NOUN_LEMMAS,
+  IRREGULAR_NOUN_FORMS,
+  IRREGULAR_COMPARATIVES,
+  INVARIABLE_WORDS,
+  SEPARABLE_PARTICLES,
+  INSEPARABLE_PREFIXES
+};
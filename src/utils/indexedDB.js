@@ -0,0 +1,189 @@
+import { ANALYSIS_CONFIG } from './constants';
+
+/**
+ * Schlanke Promise-Hülle um IndexedDB
+ * Funktioniert im UI-Thread und im Web Worker
+ */
+
+// Geteilte Verbindung zur App-Datenbank
+let appDatabasePromise = null;
+
+/**
+ * Prüft, ob IndexedDB in der aktuellen Umgebung verfügbar ist
+ * @returns {boolean}
+ */
+export const isIndexedDBAvailable = () => typeof indexedDB !== 'undefined' && indexedDB !== null;
+
+/**
+ * Wandelt einen IDBRequest in ein Promise
+ * @private
+ */
+const promisifyRequest = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * Öffnet (und erstellt bei Bedarf) eine Datenbank
+ *
+ * @param {string} name - Datenbankname
+ * @param {number} version - Schema-Version
+ * @param {function} upgrade - Callback (db, oldVersion) zum Anlegen der Object Stores
+ * @returns {Promise<IDBDatabase>}
+ */
+export const openDatabase = (name, version, upgrade) => {
+  if (!isIndexedDBAvailable()) {
+    return Promise.reject(new Error('IndexedDB nicht verfügbar'));
+  }
+
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(name, version);
+    request.onupgradeneeded = (event) => {
+      upgrade?.(request.result, event.oldVersion);
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => reject(new Error(`Datenbank ${name} ist blockiert`));
+  });
+};
+
+/**
+ * Öffnet die Datenbank der App mit allen Object Stores
+ * Die Verbindung wird wiederverwendet; bei Fehlern wird beim nächsten Aufruf neu versucht.
+ *
+ * @returns {Promise<IDBDatabase>}
+ */
+export const openAppDatabase = () => {
+  if (!appDatabasePromise) {
+    const { ANALYSIS_DB_NAME, ANALYSIS_DB_VERSION, ANALYSIS_STORE, LIBRARY_STORE, LIBRARY_RESULTS_STORE } = ANALYSIS_CONFIG.CACHE;
+    appDatabasePromise = openDatabase(ANALYSIS_DB_NAME, ANALYSIS_DB_VERSION, (db) => {
+      if (!db.objectStoreNames.contains(ANALYSIS_STORE)) {
+        const analyses = db.createObjectStore(ANALYSIS_STORE, { keyPath: 'key' });
+        analyses.createIndex('timestamp', 'timestamp');
+      }
+      if (!db.objectStoreNames.contains(LIBRARY_STORE)) {
+        const library = db.createObjectStore(LIBRARY_STORE, { keyPath: 'id' });
+        library.createIndex('createdAt', 'createdAt');
+        library.createIndex('analyzedAt', 'analyzedAt');
+      }
+      if (!db.objectStoreNames.contains(LIBRARY_RESULTS_STORE)) {
+        db.createObjectStore(LIBRARY_RESULTS_STORE, { keyPath: 'id' });
+      }
+    }).catch(error => {
+      appDatabasePromise = null;
+      throw error;
+    });
+  }
+  return appDatabasePromise;
+};
+
+/**
+ * Führt eine Operation in einer Transaktion aus
+ * @private
+ */
+const withStore = (db, storeName, mode, operation) => {
+  const transaction = db.transaction(storeName, mode);
+  const store = transaction.objectStore(storeName);
+  return promisifyRequest(operation(store));
+};
+
+/**
+ * Liest einen Eintrag
+ * @param {IDBDatabase} db - Datenbank
+ * @param {string} storeName - Object Store
+ * @param {*} key - Schlüssel
+ * @returns {Promise<*>} Eintrag oder undefined
+ */
+export const getRecord = (db, storeName, key) =>
+  withStore(db, storeName, 'readonly', store => store.get(key));
+
+/**
+ * Liest alle Einträge eines Stores
+ * @param {IDBDatabase} db - Datenbank
+ * @param {string} storeName - Object Store
+ * @returns {Promise<Array>}
+ */
+export const getAllRecords = (db, storeName) =>
+  withStore(db, storeName, 'readonly', store => store.getAll());
+
+/**
+ * Liest alle Einträge eines Stores mit einem bestimmten Indexwert
+ * @param {IDBDatabase} db - Datenbank
+ * @param {string} storeName - Object Store
+ * @param {string} indexName - Index
+ * @param {*} value - Gesuchter Indexwert
+ * @returns {Promise<Array>}
+ */
+export const getRecordsByIndex = (db, storeName, indexName, value) =>
+  withStore(db, storeName, 'readonly', store => store.index(indexName).getAll(value));
+
+/**
+ * Schreibt einen Eintrag (überschreibt vorhandene)
+ * @param {IDBDatabase} db - Datenbank
+ * @param {string} storeName - Object Store
+ * @param {Object} value - Eintrag (mit keyPath-Feld)
+ * @returns {Promise<*>} Schlüssel des Eintrags
+ */
+export const putRecord = (db, storeName, value) =>
+  withStore(db, storeName, 'readwrite', store => store.put(value));
+
+/**
+ * Löscht einen Eintrag
+ * @param {IDBDatabase} db - Datenbank
+ * @param {string} storeName - Object Store
+ * @param {*} key - Schlüssel
+ * @returns {Promise<void>}
+ */
+export const deleteRecord = (db, storeName, key) =>
+  withStore(db, storeName, 'readwrite', store => store.delete(key));
+
+/**
+ * Leert einen Store
+ * @param {IDBDatabase} db - Datenbank
+ * @param {string} storeName - Object Store
+ * @returns {Promise<void>}
+ */
+export const clearStore = (db, storeName) =>
+  withStore(db, storeName, 'readwrite', store => store.clear());
+
+/**
+ * Löscht die ältesten Einträge nach einem Index: alle mit Indexwert unter olderThan
+ * und darüber hinaus so viele, dass höchstens maxEntries übrig bleiben
+ * @param {IDBDatabase} db - Datenbank
+ * @param {string} storeName - Object Store
+ * @param {string} indexName - Aufsteigend sortierender Index (z.B. Zeitstempel)
+ * @param {Object} limits - { olderThan, maxEntries }
+ * @returns {Promise<number>} Anzahl gelöschter Einträge
+ */
+export const pruneRecords = (db, storeName, indexName, { olderThan = -Infinity, maxEntries = Infinity } = {}) =>
+  new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, 'readwrite');
+    const store = transaction.objectStore(storeName);
+    let deleted = 0;
+
+    promisifyRequest(store.count()).then(count => {
+      store.index(indexName).openCursor().onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor || (cursor.key >= olderThan && count - deleted <= maxEntries)) return;
+        cursor.delete();
+        deleted++;
+        cursor.continue();
+      };
+    }, reject);
+
+    transaction.oncomplete = () => resolve(deleted);
+    transaction.onerror = () => reject(transaction.error);
+  });
+
+export default {
+  isIndexedDBAvailable,
+  openDatabase,
+  openAppDatabase,
+  getRecord,
+  getAllRecords,
+  getRecordsByIndex,
+  putRecord,
+  deleteRecord,
+  clearStore,
+  pruneRecords
+};
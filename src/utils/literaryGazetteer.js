@@ -0,0 +1,128 @@
+/**
+ * Gazetteer literarischer Eigennamen für die Entitätenerkennung
+ * Mythologie, Bibel, Geographie und Geschichte, wie sie in deutscher Lyrik vorkommen.
+ * Mehrwortnamen werden als Ganzes erkannt ("Karl der Große"); Genitiv-s wird beim Abgleich toleriert.
+ * Mehrdeutige Namen, die zugleich gewöhnliche Wörter sind ("Echo", "Oder", "Faust"), fehlen bewusst.
+ */
+export const GAZETTEER = [
+  {
+    type: 'MYTH',
+    domain: 'mythologie',
+    names: [
+      // Griechisch-römisch
+      'Zeus', 'Jupiter', 'Jovis', 'Apollo', 'Apollon', 'Apoll', 'Phöbus', 'Phoebus', 'Venus', 'Aphrodite',
+      'Amor', 'Eros', 'Cupido', 'Athene', 'Pallas', 'Minerva', 'Hera', 'Juno', 'Hermes', 'Merkur',
+      'Poseidon', 'Neptun', 'Hades', 'Pluto', 'Persephone', 'Proserpina', 'Demeter', 'Ceres', 'Dionysos',
+      'Bacchus', 'Artemis', 'Diana', 'Ares', 'Mars', 'Hephaistos', 'Vulkan', 'Hestia', 'Vesta', 'Kronos',
+      'Saturn', 'Uranos', 'Gaia', 'Helios', 'Selene', 'Luna', 'Aurora', 'Eos', 'Nemesis', 'Fortuna',
+      'Prometheus', 'Epimetheus', 'Pandora', 'Orpheus', 'Eurydike', 'Narziss', 'Narziß', 'Psyche', 'Pan',
+      'Sisyphos', 'Sisyphus', 'Tantalus', 'Ganymed', 'Medusa', 'Odysseus', 'Ulysses', 'Penelope',
+      'Achill', 'Achilles', 'Hektor', 'Helena', 'Kassandra', 'Ikarus', 'Dädalus', 'Herakles',
+      'Herkules', 'Atlas', 'Iphigenie', 'Antigone', 'Ödipus', 'Medea', 'Ariadne', 'Theseus', 'Danae',
+      'Leda', 'Io', 'Niobe', 'Philomele', 'Hyperion', 'Phaethon', 'Adonis', 'Endymion', 'Kalypso',
+      'Circe', 'Kirke', 'Charon', 'Kerberos', 'Zerberus', 'Morpheus', 'Hypnos', 'Thanatos', 'Chronos',
+      'Erato', 'Kalliope', 'Melpomene', 'Thalia', 'Polyhymnia', 'Urania', 'Klio', 'Euterpe', 'Terpsichore',
+      'Diotima', 'Äneas', 'Aeneas', 'Dido',
+      // Germanisch und Sage
+      'Odin', 'Wotan', 'Wodan', 'Thor', 'Donar', 'Freya', 'Frigg', 'Loki', 'Baldur', 'Balder', 'Siegfried',
+      'Sigurd', 'Brünhild', 'Brunhild', 'Kriemhild', 'Gunther', 'Hagen', 'Loreley', 'Lorelei', 'Rübezahl',
+      'Erlkönig', 'Holle', 'Tannhäuser', 'Parzival', 'Lohengrin', 'Tristan', 'Isolde', 'Artus', 'Merlin',
+      'Mephisto', 'Mephistopheles', 'Gretchen', 'Undine', 'Melusine', 'Oberon', 'Titania'
+    ]
+  },
+  {
+    type: 'LOC',
+    domain: 'mythologie',
+    names: [
+      'Olymp', 'Olympos', 'Parnass', 'Parnassus', 'Helikon', 'Arkadien', 'Elysium', 'Elysion', 'Styx',
+      'Lethe', 'Acheron', 'Tartarus', 'Tartaros', 'Orkus', 'Walhall', 'Walhalla', 'Asgard', 'Midgard',
+      'Atlantis', 'Troja', 'Ilion', 'Ithaka', 'Kythera', 'Cythera', 'Hesperiden', 'Avalon', 'Thule'
+    ]
+  },
+  {
+    type: 'BIBL',
+    domain: 'bibel',
+    names: [
+      'Jesus', 'Christus', 'Maria', 'Josef', 'Joseph', 'Adam', 'Eva', 'Kain', 'Abel', 'Noah', 'Abraham',
+      'Isaak', 'Jakob', 'Moses', 'Mose', 'Aaron', 'David', 'Goliath', 'Salomo', 'Salomon', 'Simson',
+      'Hiob', 'Jona', 'Jonas', 'Daniel', 'Elias', 'Judas', 'Petrus', 'Paulus', 'Johannes', 'Lazarus',
+      'Magdalena', 'Pilatus', 'Herodes', 'Salome', 'Luzifer', 'Satan', 'Beelzebub', 'Michael', 'Gabriel',
+      'Raphael', 'Jehova', 'Jahwe', 'Messias', 'Heiland', 'Immanuel'
+    ],
+    phrases: ['Heiliger Geist', 'Heilige Geist', 'Jungfrau Maria', 'Mutter Gottes', 'Sohn Gottes']
+  },
+  {
+    type: 'LOC',
+    domain: 'bibel',
+    names: [
+      'Eden', 'Paradies', 'Golgatha', 'Bethlehem', 'Jerusalem', 'Zion', 'Nazareth', 'Babel', 'Babylon',
+      'Jordan', 'Sinai', 'Kanaan', 'Gethsemane', 'Sodom', 'Gomorrha', 'Ninive', 'Galiläa', 'Ägypten'
+    ],
+    phrases: ['Heiliges Land', 'Heilige Land', 'Gelobtes Land', 'Gelobte Land', 'Rotes Meer', 'Rote Meer', 'Tote Meer', 'Totes Meer']
+  },
+  {
+    type: 'LOC',
+    domain: 'geographie',
+    names: [
+      // Flüsse und Landschaften
+      'Rhein', 'Donau', 'Elbe', 'Main', 'Neckar', 'Weser', 'Mosel', 'Saale', 'Ilm', 'Spree', 'Havel',
+      'Isar', 'Inn', 'Nil', 'Tiber', 'Ganges', 'Euphrat', 'Tigris', 'Harz', 'Brocken', 'Alpen', 'Rhön',
+      'Eifel', 'Taunus', 'Schwarzwald', 'Odenwald', 'Ostsee', 'Nordsee', 'Mittelmeer', 'Ätna', 'Vesuv',
+      // Länder und Regionen
+      'Deutschland', 'Germanien', 'Italien', 'Welschland', 'Griechenland', 'Hellas', 'Frankreich',
+      'England', 'Spanien', 'Russland', 'Polen', 'Böhmen', 'Mähren', 'Ungarn', 'Schweiz', 'Österreich',
+      'Tirol', 'Schwaben', 'Bayern', 'Franken', 'Sachsen', 'Thüringen', 'Preußen', 'Westfalen', 'Holstein',
+      'Friesland', 'Pommern', 'Schlesien', 'Sizilien', 'Kreta', 'Lesbos', 'Zypern', 'Europa', 'Asien',
+      'Afrika', 'Amerika', 'Indien', 'Persien', 'Arabien', 'Orient', 'Morgenland', 'Abendland', 'Skandinavien',
+      // Städte
+      'Rom', 'Athen', 'Sparta', 'Delphi', 'Korinth', 'Karthago', 'Weimar', 'Jena', 'Heidelberg', 'Tübingen',
+      'Frankfurt', 'Leipzig', 'Dresden', 'Berlin', 'Wien', 'Prag', 'München', 'Hamburg', 'Köln', 'Paris',
+      'London', 'Venedig', 'Florenz', 'Neapel', 'Mailand', 'Genua', 'Byzanz', 'Konstantinopel', 'Moskau',
+      'Bingen', 'Worms', 'Aachen', 'Nürnberg', 'Lübeck', 'Danzig', 'Königsberg'
+    ],
+    phrases: ['Vater Rhein', 'Schwarzes Meer', 'Schwarze Meer', 'Neue Welt', 'Heiliges Römisches Reich']
+  },
+  {
+    type: 'PER',
+    domain: 'geschichte',
+    names: [
+      // Dichter, Denker, Künstler
+      'Homer', 'Sappho', 'Pindar', 'Anakreon', 'Horaz', 'Vergil', 'Virgil', 'Ovid', 'Catull', 'Properz',
+      'Sokrates', 'Platon', 'Plato', 'Aristoteles', 'Empedokles', 'Heraklit', 'Dante', 'Petrarca',
+      'Shakespeare', 'Milton', 'Byron', 'Goethe', 'Schiller', 'Hölderlin', 'Heine', 'Novalis', 'Klopstock',
+      'Lessing', 'Herder', 'Wieland', 'Kleist', 'Eichendorff', 'Mörike', 'Uhland', 'Rückert', 'Platen',
+      'Lenau', 'Droste', 'Rilke', 'George', 'Trakl', 'Kant', 'Fichte', 'Hegel', 'Luther', 'Dürer',
+      'Raffael', 'Michelangelo', 'Mozart', 'Beethoven',
+      // Herrscher und historische Gestalten
+      'Napoleon', 'Cäsar', 'Caesar', 'Augustus', 'Nero', 'Alexander', 'Hannibal', 'Perikles', 'Leonidas',
+      'Barbarossa', 'Charlemagne', 'Arminius', 'Hermann', 'Kolumbus', 'Columbus', 'Wallenstein', 'Tell',
+      'Egmont', 'Luise', 'Blücher'
+    ],
+    phrases: [
+      'Karl der Große', 'Karl des Großen', 'Friedrich der Große', 'Friedrich des Großen', 'Alexander der Große',
+      'Alexander des Großen', 'Wilhelm Tell', 'Johann Wolfgang von Goethe', 'Friedrich Schiller',
+      'Friedrich Hölderlin', 'Heinrich Heine', 'Joseph von Eichendorff'
+    ]
+  }
+];
+
+// Abstrakta und Naturgrößen, die in der Lyrik häufig personifiziert werden
+export const PERSONIFIABLE_NOUNS = [
+  'Tod', 'Liebe', 'Zeit', 'Natur', 'Schicksal', 'Hoffnung', 'Freiheit', 'Tugend', 'Glück', 'Frühling',
+  'Sommer', 'Herbst', 'Winter', 'Nacht', 'Tag', 'Morgen', 'Abend', 'Sonne', 'Mond', 'Schlaf', 'Traum',
+  'Sehnsucht', 'Seele', 'Freude', 'Schmerz', 'Ruhm', 'Wahrheit', 'Vernunft', 'Unschuld', 'Treue', 'Jugend',
+  'Alter', 'Sturm', 'Wind', 'Meer', 'Erde', 'Himmel', 'Welt', 'Einsamkeit', 'Stille', 'Schönheit',
+  'Sorge', 'Angst', 'Trauer', 'Wehmut', 'Muse', 'Phantasie', 'Fantasie', 'Dichtung', 'Kunst', 'Friede', 'Frieden'
+];
+
+// Anrede und Epitheta, die ein Abstraktum als Person markieren ("O Tod", "Gevatter Tod", "Frau Sonne")
+export const PERSONIFICATION_CUES = {
+  vocative: ['o', 'oh', 'du'],
+  epithets: ['Frau', 'Herr', 'Mutter', 'Vater', 'Bruder', 'Schwester', 'Gevatter', 'Freund', 'König', 'Königin', 'Fürst']
+};
+
+export default {
+  GAZETTEER,
+  PERSONIFIABLE_NOUNS,
+  PERSONIFICATION_CUES
+};
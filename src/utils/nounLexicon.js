@@ -0,0 +1,66 @@
+/**
+ * Deutsches Nomenlexikon mit Genus und Pluralklasse
+ * Grundlage für die Kasus-/Genus-/Numerusbestimmung in der Morphologie-Analyse.
+ * Format: 'Lemma|Genus|Pluralklasse'
+ *   Genus: m, f, n (p = Pluraletantum)
+ *   Pluralklasse: e, ¨e, er, ¨er, n, en, s, - (endungslos), ¨- (nur Umlaut),
+ *                 leer = kein Plural; * = schwache Deklination (n-Deklination: des Menschen)
+ */
+export const NOUN_LEXICON = [
+  // Natur und Landschaft
+  'Abend|m|e', 'Ast|m|¨e', 'Atem|m|', 'Bach|m|¨e', 'Baum|m|¨e', 'Berg|m|e', 'Blatt|n|¨er', 'Blume|f|n',
+  'Blüte|f|n', 'Boden|m|¨-', 'Dunkel|n|', 'Duft|m|¨e', 'Eiche|f|n', 'Erde|f|n', 'Feld|n|er', 'Fels|m|*en',
+  'Ferne|f|n', 'Feuer|n|-', 'Flamme|f|n', 'Flur|f|en', 'Fluss|m|¨e', 'Flut|f|en', 'Frucht|f|¨e',
+  'Frühling|m|e', 'Garten|m|¨-', 'Gipfel|m|-', 'Hauch|m|e', 'Glanz|m|', 'Gras|n|¨er', 'Grund|m|¨e', 'Hain|m|e',
+  'Heide|f|n', 'Herbst|m|e', 'Himmel|m|-', 'Höhe|f|n', 'Hügel|m|-', 'Kälte|f|', 'Küste|f|n', 'Land|n|¨er',
+  'Laub|n|', 'Licht|n|er', 'Linde|f|n', 'Luft|f|¨e', 'Meer|n|e', 'Mond|m|e', 'Morgen|m|-', 'Nacht|f|¨e',
+  'Nebel|m|-', 'Quelle|f|n', 'Regen|m|-', 'Rose|f|n', 'Schatten|m|-', 'Schnee|m|', 'See|m|n', 'Sommer|m|-',
+  'Sonne|f|n', 'Stern|m|e', 'Stein|m|e', 'Strahl|m|en', 'Strand|m|¨e', 'Strom|m|¨e', 'Sturm|m|¨e',
+  'Tag|m|e', 'Tal|n|¨er', 'Tanne|f|n', 'Teich|m|e', 'Tiefe|f|n', 'Ufer|n|-', 'Wald|m|¨er', 'Wasser|n|-',
+  'Welle|f|n', 'Welt|f|en', 'Wiese|f|n', 'Wind|m|e', 'Winter|m|-', 'Wipfel|m|-', 'Woge|f|n', 'Wolke|f|n', 'Wüste|f|n',
+  'Zweig|m|e',
+  // Tiere
+  'Adler|m|-', 'Fisch|m|e', 'Hirsch|m|e', 'Hund|m|e', 'Lerche|f|n', 'Nachtigall|f|en', 'Pferd|n|e',
+  'Reh|n|e', 'Ross|n|e', 'Schwan|m|¨e', 'Tier|n|e', 'Vogel|m|¨-',
+  // Menschen und Figuren
+  'Bruder|m|¨-', 'Dichter|m|-', 'Engel|m|-', 'Frau|f|en', 'Freund|m|e', 'Fürst|m|*en', 'Gast|m|¨e',
+  'Gott|m|¨er', 'Held|m|*en', 'Herr|m|*en', 'Hirt|m|*en', 'Jungfrau|f|en', 'Kaiser|m|-', 'Kind|n|er',
+  'Knabe|m|*n', 'Knecht|m|e', 'König|m|e', 'Leute|p|', 'Mädchen|n|-', 'Magd|f|¨e', 'Mann|m|¨er',
+  'Mensch|m|*en', 'Mönch|m|e', 'Muse|f|n', 'Mutter|f|¨-', 'Prinz|m|*en', 'Reiter|m|-', 'Ritter|m|-',
+  'Sänger|m|-', 'Schwester|f|n', 'Sohn|m|¨e', 'Tochter|f|¨-', 'Vater|m|¨-', 'Volk|n|¨er', 'Wanderer|m|-',
+  'Weib|n|er',
+  // Körper
+  'Arm|m|e', 'Auge|n|n', 'Blut|n|', 'Brust|f|¨e', 'Fuß|m|¨e', 'Haar|n|e', 'Hals|m|¨e', 'Hand|f|¨e',
+  'Haupt|n|¨er', 'Haut|f|¨e', 'Herz|n|*en', 'Leib|m|er', 'Lippe|f|n', 'Mund|m|¨er', 'Ohr|n|en',
+  'Rücken|m|-', 'Stirn|f|en', 'Wange|f|n', 'Zahn|m|¨e',
+  // Dinge und Orte
+  'Bett|n|en', 'Bild|n|er', 'Boot|n|e', 'Brief|m|e', 'Brot|n|e', 'Brücke|f|n', 'Buch|n|¨er', 'Burg|f|en',
+  'Dach|n|¨er', 'Ding|n|e', 'Dorf|n|¨er', 'Fenster|n|-', 'Glas|n|¨er', 'Glocke|f|n', 'Grab|n|¨er',
+  'Hafen|m|¨-', 'Harfe|f|n', 'Haus|n|¨er', 'Heimat|f|en', 'Hof|m|¨e', 'Hütte|f|n', 'Kerze|f|n',
+  'Kleid|n|er', 'Kranz|m|¨e', 'Lampe|f|n', 'Leier|f|n', 'Mantel|m|¨-', 'Ofen|m|¨-', 'Ort|m|e', 'Pfad|m|e',
+  'Rad|n|¨er', 'Rand|m|¨er', 'Raum|m|¨e', 'Reich|n|e', 'Ring|m|e', 'Saite|f|n', 'Schiff|n|e',
+  'Schloss|n|¨er', 'Schuh|m|e', 'Schwert|n|er', 'Stab|m|¨e', 'Stadt|f|¨e', 'Straße|f|n', 'Tisch|m|e',
+  'Tor|n|e', 'Turm|m|¨e', 'Tür|f|en', 'Wagen|m|-', 'Wand|f|¨e', 'Weg|m|e', 'Wein|m|e',
+  // Abstrakta
+  'Fall|m|¨e', 'Flucht|f|en', 'Freude|f|n', 'Frieden|m|', 'Gedanke|m|*n', 'Geist|m|er', 'Gesang|m|¨e',
+  'Gesicht|n|er', 'Glaube|m|*n', 'Glück|n|', 'Hölle|f|n', 'Jahr|n|e', 'Klage|f|n', 'Klang|m|¨e',
+  'Kraft|f|¨e', 'Kreis|m|e', 'Kuss|m|¨e', 'Leben|n|-', 'Leid|n|', 'Liebe|f|', 'Lied|n|er', 'Lust|f|¨e',
+  'Macht|f|¨e', 'Mühe|f|n', 'Nähe|f|', 'Name|m|*n', 'Rat|m|¨e', 'Reim|m|e', 'Ruf|m|e', 'Ruh|f|', 'Ruhe|f|',
+  'Schein|m|e', 'Schlaf|m|', 'Schmerz|m|en', 'Schoß|m|¨e', 'Schritt|m|e', 'Schweigen|n|', 'Seele|f|n',
+  'Segen|m|-', 'Sehnsucht|f|¨e', 'Sinn|m|e', 'Spiel|n|e', 'Stille|f|', 'Stimme|f|n', 'Stunde|f|n',
+  'Sünde|f|n', 'Tanz|m|¨e', 'Tod|m|', 'Ton|m|¨e', 'Träne|f|n', 'Traum|m|¨e', 'Trauer|f|', 'Vers|m|e',
+  'Wärme|f|', 'Wesen|n|-', 'Wille|m|*n', 'Wort|n|¨er', 'Wunde|f|n', 'Wunsch|m|¨e', 'Zeichen|n|-',
+  'Zeit|f|en'
+];
+
+// Ableitungssuffixe mit festem Genus und Pluralklasse (für Nomen außerhalb des Lexikons)
+// Gleiches Format wie NOUN_LEXICON; abweichende Pluralendungen werden direkt angehängt (-in → -innen)
+export const DERIVATION_SUFFIXES = [
+  'ung|f|en', 'heit|f|en', 'keit|f|en', 'schaft|f|en', 'ion|f|en', 'tät|f|en', 'ei|f|en', 'ik|f|en',
+  'enz|f|en', 'in|f|nen', 'chen|n|-', 'lein|n|-', 'ment|n|e', 'ling|m|e', 'ist|m|*en', 'eur|m|e'
+];
+
+export default {
+  NOUN_LEXICON,
+  DERIVATION_SUFFIXES
+};
@@ -0,0 +1,300 @@
+/**
+ * Silbentrennung für Deutsch (regelbasiert)
+ * Zerlegt Wörter zuerst in Präfixe und Kompositionsglieder und trennt diese dann nach
+ * Silbenkernen (Diphthonge, Langvokale, Hiatus) und der Maximum-Onset-Regel.
+ * Liefert die Silben samt Trennstellen, z.B. "Vor·ü·ber·gehn".
+ */
+
+export const HYPHENATION_MARK = '·';
+
+// Silbenkerne: Diphthonge und Langvokal-Schreibungen vor Einzelvokalen
+const NUCLEUS = /(?:ie|ei|ai|au|äu|eu|ey|ay|aa|ee|oo|[aeiouäöüy])/g;
+
+// Untrennbare Konsonanten-Grapheme
+const CONSONANT_UNITS = ['sch', 'ch', 'ck', 'ph', 'th', 'qu'];
+
+// Präfixe und Partikeln, nach denen eine Morphemgrenze liegt (längste zuerst)
+const PREFIXES = [
+  'zurück', 'wieder', 'hinter', 'durch', 'unter', 'empor', 'nieder',
+  'über', 'miss', 'fort', 'dar', 'ent', 'emp', 'ver', 'zer', 'vor', 'auf', 'aus', 'bei',
+  'ein', 'mit', 'nach', 'hin', 'her', 'ab', 'an', 'be', 'ge', 'er', 'um', 'un', 'ur', 'zu', 'da'
+];
+
+// Wortstämme, die nur scheinbar mit einem Präfix beginnen
+const FALSE_PREFIX_STEMS = ['abend', 'abenteuer', 'aber', 'erika', 'hering'];
+
+// Zulässige Silbenanlaute aus mehreren Konsonanten
+const VALID_ONSETS = new Set([
+  'bl', 'br', 'ch', 'dr', 'fl', 'fr', 'gl', 'gn', 'gr', 'kl', 'kn', 'kr', 'ph', 'pf', 'pfl', 'pfr',
+  'pl', 'pr', 'qu', 'sch', 'schl', 'schm', 'schn', 'schr', 'schw', 'sk', 'sp', 'spr', 'spl', 'st',
+  'str', 'th', 'tr', 'wr', 'zw'
+]);
+
+// Vokalisch anlautende Kompositionsglieder ("Haus·arzt", "Som·mer·abend")
+// Kurze, mehrdeutige Glieder wie "art" (Gegenwart) oder "ende" (Legende) fehlen bewusst.
+const VOWEL_INITIAL_HEADS = [
+  'abend', 'abgrund', 'acker', 'adler', 'anfang', 'angst', 'antlitz', 'antwort', 'apfel', 'arbeit',
+  'arzt', 'asche', 'atem', 'auge', 'eiche', 'engel', 'ernte', 'esel', 'insel', 'ohr', 'ufer', 'uhr'
+];
+
+// Präfixe, die nicht auf ein anderes untrennbares Präfix folgen ("be·geg·nen", nicht "be·ge·gnen")
+const INSEPARABLE_PREFIXES = ['miss', 'ent', 'emp', 'ver', 'zer', 'be', 'ge', 'er'];
+
+// Flexionsendungen, die nach einer Kompositionsfuge kein eigenes Glied bilden ("Hoff·nun·gen")
+const INFLECTION = /^(?:e|em|en|er|es|n|s)?$/;
+
+// Ableitungssuffixe, nach denen (mit Fugen-s) ein neues Glied beginnt ("Hoffnungs·anker")
+const SUFFIX_JOINT = /(?:ungs?|heits?|keits?|schafts?|tums?|nis|lings?|tions?)(?=[aeiouäöü])/g;
+
+// Wortausgänge mit Hiatus i-e statt langem ie ("Fa·mi·li·e", "Tra·gö·di·e")
+const HIATUS_IE_STEMS = [
+  'famil', 'lil', 'lin', 'tragöd', 'komöd', 'histor', 'ser', 'ar', 'akaz', 'host', 'stud', 'glor',
+  'graz', 'petersil', 'mater', 'begon', 'geran', 'petun', 'kastan', 'pin'
+];
+
+// Diminutiv auf -chen nach s ("Rös·chen", "Häus·chen"), nicht "wa·schen"
+const DIMINUTIVE_SCHEN = /^\p{Lu}.*(?:[äöü]|äu)[^aeiouäöüy]*schen$/u;
+
+/**
+ * Zerlegt ein Wort in Silben
+ *
+ * @param {string} word - Wort (Satzzeichen und Apostrophe werden entfernt)
+ * @returns {Object} { word, syllables, count, points, hyphenated }
+ */
+export const syllabify = (word) => {
+  const clean = (word || '').replace(/[^\p{L}\p{M}]/gu, '');
+  if (!clean) {
+    return { word, syllables: [], count: 0, points: [], hyphenated: '' };
+  }
+
+  const lower = clean.toLowerCase();
+  const points = [];
+
+  let offset = 0;
+  for (const morpheme of segmentMorphemes(lower, clean)) {
+    if (offset > 0) points.push(offset);
+    splitMorpheme(morpheme).forEach(boundary => points.push(offset + boundary));
+    offset += morpheme.length;
+  }
+
+  const syllables = [];
+  let start = 0;
+  for (const point of [...points, clean.length]) {
+    syllables.push(clean.slice(start, point));
+    start = point;
+  }
+
+  return {
+    word,
+    syllables,
+    count: syllables.length,
+    points,
+    hyphenated: syllables.join(HYPHENATION_MARK)
+  };
+};
+
+/**
+ * Zählt die Silben eines Wortes oder Textes
+ * Wörter ohne Vokal (Abkürzungen, Interjektionen wie "hm") zählen als eine Silbe.
+ *
+ * @param {string} text - Wort oder Text
+ * @returns {number} Silbenanzahl
+ */
+export const countSyllables = (text) => {
+  if (!text) return 0;
+
+  return text
+    .split(/[\s\-–—/]+/)
+    .map(part => part.replace(/[^\p{L}\p{M}]/gu, ''))
+    .filter(part => part.length > 0)
+    .reduce((sum, part) => sum + syllabify(part).count, 0);
+};
+
+/**
+ * Trennt ein Wort mit Trennzeichen ("Vor·ü·ber·gehn")
+ *
+ * @param {string} word - Wort
+ * @param {string} separator - Trennzeichen (Standard: Mittelpunkt)
+ * @returns {string} Wort mit Trennstellen
+ */
+export const hyphenate = (word, separator = HYPHENATION_MARK) => syllabify(word).syllables.join(separator);
+
+/**
+ * Zerlegt ein Wort in Morpheme: Präfixe, Kompositionsfugen, Diminutiv -chen
+ * Liefert Teilstücke des Originalworts (Groß-/Kleinschreibung bleibt erhalten).
+ * @private
+ */
+const segmentMorphemes = (lower, original) => {
+  const cuts = new Set();
+
+  // 1. Präfixe (auch mehrere: "vor|über|gehn")
+  let position = 0;
+  const falseStem = FALSE_PREFIX_STEMS.find(stem => lower.startsWith(stem));
+  if (falseStem) {
+    // Der Stamm selbst ist Vorderglied ("Abend·röte", "Aber·glaube")
+    if (!INFLECTION.test(lower.slice(falseStem.length))) cuts.add(falseStem.length);
+  } else {
+    let prefix;
+    let previous = null;
+    while ((prefix = findPrefix(lower.slice(position)))) {
+      if (INSEPARABLE_PREFIXES.includes(previous) && INSEPARABLE_PREFIXES.includes(prefix)) break;
+      position += prefix.length;
+      cuts.add(position);
+      previous = prefix;
+    }
+  }
+
+  // 2. Kompositionsfugen nach Ableitungssuffix oder vor vokalisch anlautendem Glied
+  const stem = lower.slice(position);
+  for (const match of stem.matchAll(SUFFIX_JOINT)) {
+    const cut = position + match.index + match[0].length;
+    if (countNuclei(lower.slice(position, cut)) > 1 && !INFLECTION.test(lower.slice(cut))) cuts.add(cut);
+  }
+  VOWEL_INITIAL_HEADS.forEach(head => {
+    const index = stem.lastIndexOf(head);
+    if (index < 3) return;
+    const rest = stem.slice(index + head.length);
+    const before = stem[index - 1];
+    if (INFLECTION.test(rest) && !isVowel(before) && countNuclei(stem.slice(0, index)) > 0) {
+      cuts.add(position + index);
+    }
+  });
+
+  // 3. Diminutiv -chen nach s
+  if (DIMINUTIVE_SCHEN.test(original)) {
+    cuts.add(lower.length - 4);
+  }
+
+  const sorted = [...cuts].filter(cut => cut > 0 && cut < lower.length).sort((a, b) => a - b);
+  const morphemes = [];
+  let start = 0;
+  for (const cut of sorted) {
+    morphemes.push(lower.slice(start, cut));
+    start = cut;
+  }
+  morphemes.push(lower.slice(start));
+  return morphemes;
+};
+
+/**
+ * Sucht ein Präfix am Wortanfang, das eine plausible Morphemgrenze ergibt
+ * @private
+ */
+const findPrefix = (rest) => {
+  return PREFIXES.find(prefix => {
+    if (!rest.startsWith(prefix)) return false;
+    const remainder = rest.slice(prefix.length);
+    if (countNuclei(remainder) === 0) return false;
+
+    if (isVowel(remainder[0])) {
+      // Vokalischer Anschluss nur bei ausreichend langem Rest ("un|endlich", nicht "ab|er")
+      // oder wenn der Rest selbst eine Partikel ist ("her|ab")
+      if (remainder.length < 3 && !PREFIXES.includes(remainder)) return false;
+      // Kein Diphthong bzw. Doppelvokal über die Grenze ("Geist", "Beere"), außer be|enden, ge|ehrt
+      const joint = prefix[prefix.length - 1] + remainder[0];
+      if (/^(?:ei|eu|ie|au|ai|ee)$/.test(joint) && !(joint === 'ee' && remainder.length >= 4)) return false;
+      return true;
+    }
+
+    const onset = remainder.match(/^[^aeiouäöüy]*/)[0];
+    return onset.length === 1 || VALID_ONSETS.has(onset);
+  });
+};
+
+/**
+ * Trennstellen innerhalb eines Morphems (Offsets relativ zum Morphem)
+ * @private
+ */
+const splitMorpheme = (morpheme) => {
+  const nuclei = findNuclei(morpheme);
+  const boundaries = [];
+
+  for (let i = 0; i < nuclei.length - 1; i++) {
+    const cluster = morpheme.slice(nuclei[i].end, nuclei[i + 1].start);
+    let boundary = nuclei[i + 1].start;
+
+    if (cluster.length > 0) {
+      // Kompositionsfuge: Anlaut des Folgeglieds bleibt zusammen ("Au·gen·blick", "Le·bens·freu·de")
+      const onset = findJointOnset(cluster, i);
+      // Untrennbare Grapheme gehen als Ganzes in den Anlaut der nächsten Silbe ("Zu·cker", "wa·schen")
+      const unit = CONSONANT_UNITS.find(u => cluster.endsWith(u));
+      boundary = nuclei[i + 1].start - (onset || unit || cluster.slice(-1)).length;
+    }
+
+    boundaries.push(boundary);
+  }
+
+  return boundaries;
+};
+
+/**
+ * Erkennt eine Kompositionsfuge in einer Konsonantenfolge: Fugenelement bzw. Auslaut des
+ * Vorderglieds (-n-, -s-, -ens-, -nd-) und ein mehrkonsonantischer Anlaut aus VALID_ONSETS.
+ * Nach der ersten Silbe erst ab fünf Konsonanten ("Winds·braut", aber "Fens·ter", "kämp·fen").
+ * @private
+ */
+const findJointOnset = (cluster, nucleusIndex) => {
+  if (cluster.length < (nucleusIndex > 0 ? 3 : 5)) return null;
+
+  for (let length = Math.min(4, cluster.length - 1); length >= 2; length--) {
+    const onset = cluster.slice(-length);
+    if (VALID_ONSETS.has(onset)) return onset;
+  }
+  return null;
+};
+
+/**
+ * Silbenkerne eines Morphems (kleingeschrieben)
+ * Behandelt qu, Hiatus bei ie, -eum/-äum und Vokalfolgen ohne Digraph ("Po·e·sie")
+ * @private
+ */
+const findNuclei = (morpheme) => {
+  const nuclei = [];
+  for (const match of morpheme.matchAll(NUCLEUS)) {
+    const start = match.index;
+    const text = match[0];
+
+    // u nach q ist konsonantisch
+    if (text === 'u' && morpheme[start - 1] === 'q') continue;
+
+    if (text === 'ie' && isHiatusIe(morpheme, start)) {
+      nuclei.push({ start, end: start + 1 }, { start: start + 1, end: start + 2 });
+      continue;
+    }
+
+    // Museum, Jubiläum: e/ä und u gehören zu verschiedenen Silben
+    if ((text === 'eu' || text === 'äu') && morpheme.slice(start + 2) === 'm') {
+      nuclei.push({ start, end: start + 1 }, { start: start + 1, end: start + 2 });
+      continue;
+    }
+
+    nuclei.push({ start, end: start + text.length });
+  }
+  return nuclei;
+};
+
+/**
+ * Hiatus i-e: Fremdwortausgänge ("Familie") und Plural -ien ("Ferien"), nicht "Poesie", "schien"
+ * @private
+ */
+const isHiatusIe = (morpheme, start) => {
+  const ending = morpheme.slice(start);
+  if (ending !== 'ie' && ending !== 'ien') return false;
+
+  const stem = morpheme.slice(0, start);
+  if (HIATUS_IE_STEMS.some(s => stem.endsWith(s) && stem.length <= s.length + 3)) return true;
+
+  // Plural -ien nach Stamm mit eigenem Silbenkern ("Fe·ri·en", "Me·lo·di·en", nicht "schien")
+  return ending === 'ien' && countNuclei(stem) > 0;
+};
+
+const countNuclei = (text) => findNuclei(text).length;
+
+const isVowel = (char) => !!char && /[aeiouäöüy]/.test(char);
+
+export default {
+  syllabify,
+  countSyllables,
+  hyphenate,
+  HYPHENATION_MARK
+};
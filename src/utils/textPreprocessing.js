@@ -1,4 +1,5 @@
 import { ANALYSIS_CONFIG } from './constants';
+import { countSyllables } from './syllabification';
 
 /**
  * Normalisiert UTF-8 Text und behebt Encoding-Probleme
@@ -113,40 +114,96 @@ export const sentenceSegmentation = (text) => {
   
   // Teile zunächst am Zeilenumbruch für Verse
   const lines = normalized.split('\n');
+  let lineOffset = 0;
+  
+  // start/end = Zeichen-Offsets im normalisierten Text (kompatibel mit token.index)
+  const pushSentence = (line, lineStart, searchFrom, sentenceText) => {
+    const trimmed = sentenceText.trim();
+    const start = lineStart + line.indexOf(trimmed, searchFrom);
+    sentences.push({
+      text: trimmed,
+      index: sentences.length,
+      length: trimmed.length,
+      start,
+      end: start + trimmed.length
+    });
+    return start - lineStart + trimmed.length;
+  };
   
   for (const line of lines) {
+    const lineStart = lineOffset;
+    lineOffset += line.length + 1;
     if (!line.trim()) continue;
     
     // Dann teile innerhalb der Zeilen an Satzenden
     const lineSentences = line.split(/([.!?…]+\s+)/u).filter(s => s.trim());
     
     let currentSentence = '';
+    let searchFrom = 0;
     for (let i = 0; i < lineSentences.length; i++) {
       currentSentence += lineSentences[i];
       
       // Prüfe ob es ein Satzende ist (keine Abkürzung)
       if (/[.!?…]/.test(currentSentence) && 
           !abbreviations.test(currentSentence)) {
-        sentences.push({
-          text: currentSentence.trim(),
-          index: sentences.length,
-          length: currentSentence.trim().length
-        });
+        searchFrom = pushSentence(line, lineStart, searchFrom, currentSentence);
         currentSentence = '';
       }
     }
     
     // Füge verbleibenden Text als Satz hinzu
     if (currentSentence.trim()) {
-      sentences.push({
-        text: currentSentence.trim(),
-        index: sentences.length,
-        length: currentSentence.trim().length
-      });
+      pushSentence(line, lineStart, searchFrom, currentSentence);
     }
   }
   
-  return sentences.length > 0 ? sentences : [{ text: normalized.trim(), index: 0, length: normalized.trim().length }];
+  if (sentences.length > 0) return sentences;
+  
+  const trimmed = normalized.trim();
+  const start = normalized.indexOf(trimmed);
+  return [{ text: trimmed, index: 0, length: trimmed.length, start, end: start + trimmed.length }];
+};
+
+/**
+ * Segmentiert Sätze über Zeilenumbrüche hinweg (syntaktische Sätze eines Gedichts)
+ * Im Gegensatz zu sentenceSegmentation enden Sätze nur an Satzzeichen, nicht am Versende.
+ * 
+ * @param {string} text - Input Text
+ * @returns {Array} Satz-Objekte mit start/end (Zeichen-Offsets im normalisierten Text)
+ */
+export const segmentSentencesAcrossVerses = (text) => {
+  if (!text || typeof text !== 'string') return [];
+  
+  const normalized = normalizeUTF8(text);
+  const abbreviations = /(?:^|\s)(?:Dr|Prof|etc|z\.B|d\.h|u\.a|usw|bzw|inkl|evtl|ggf)\.$/u;
+  const sentenceEnd = /[.!?…]+["“”»«'’]?(?=\s|$)/gu;
+  const sentences = [];
+  
+  const pushSentence = (from, to) => {
+    const raw = normalized.slice(from, to);
+    const trimmed = raw.trim();
+    if (!trimmed) return;
+    const start = from + raw.indexOf(trimmed);
+    sentences.push({
+      text: trimmed.replace(/\s+/g, ' '),
+      index: sentences.length,
+      length: trimmed.length,
+      start,
+      end: start + trimmed.length
+    });
+  };
+  
+  let sentenceStart = 0;
+  let match;
+  while ((match = sentenceEnd.exec(normalized)) !== null) {
+    const end = match.index + match[0].length;
+    if (abbreviations.test(normalized.slice(sentenceStart, end))) continue;
+    pushSentence(sentenceStart, end);
+    sentenceStart = end;
+  }
+  pushSentence(sentenceStart, normalized.length);
+  
+  return sentences;
 };
 
 /**
@@ -169,9 +226,13 @@ export const detectVerses = (text) => {
   let verseIndex = 0;
   let stanzaIndex = 0;
   let versesInStanza = [];
+  let lineOffset = 0;
   
   for (let i = 0; i < lines.length; i++) {
-    const line = lines[i].trim();
+    const rawLine = lines[i];
+    const line = rawLine.trim();
+    const lineStart = lineOffset + (rawLine.length - rawLine.trimStart().length);
+    lineOffset += rawLine.length + 1;
     
     // Leere Zeile = neue Strophe
     if (!line) {
@@ -182,12 +243,15 @@ export const detectVerses = (text) => {
       continue;
     }
     
-    // Erstelle Vers-Objekt
+    // Erstelle Vers-Objekt (start/end = Zeichen-Offsets im normalisierten Text,
+    // kompatibel mit token.index aus tokenizeText)
     const verse = {
       text: line,
       index: verseIndex,
       stanza: stanzaIndex,
       verseInStanza: versesInStanza.length,
+      start: lineStart,
+      end: lineStart + line.length,
       length: line.length,
       wordCount: line.split(/\s+/).filter(w => w.length > 0).length,
       syllables: estimateSyllables(line)
@@ -202,40 +266,13 @@ export const detectVerses = (text) => {
 };
 
 /**
- * Schätzt Silbenzahl eines deutschen Wortes oder Textes
+ * Zählt die Silben eines deutschen Wortes oder Textes
+ * Delegiert an die Silbentrennung (Diphthonge, Hiatus, Präfix- und Kompositionsfugen)
  * 
  * @param {string} text - Wort oder Text
- * @returns {number} Geschätzte Silbenzahl
+ * @returns {number} Silbenzahl
  */
-export const estimateSyllables = (text) => {
-  if (!text || text.length === 0) return 0;
-  
-  // Wenn es mehrere Wörter sind, summiere die Silben
-  const words = text.split(/\s+/).filter(w => w.length > 0);
-  if (words.length > 1) {
-    return words.reduce((sum, word) => sum + estimateSyllables(word), 0);
-  }
-  
-  const lower = text.toLowerCase();
-  
-  // Zähle Vokale und Diphthonge
-  const vowels = lower.match(/[aeiouäöüy]+/g);
-  if (!vowels) return 1;
-  
-  let count = vowels.length;
-  
-  // Korrigiere für deutsche Diphthonge
-  const diphthongs = ['au', 'äu', 'ei', 'eu', 'ai', 'ie'];
-  for (const diphthong of diphthongs) {
-    const matches = lower.match(new RegExp(diphthong, 'g'));
-    if (matches) {
-      count -= matches.length * 0.5;
-    }
-  }
-  
-  // Minimum 1 Silbe
-  return Math.max(1, Math.round(count));
-};
+export const estimateSyllables = (text) => countSyllables(text);
 
 /**
  * Berechnet Text-Statistiken
@@ -523,6 +560,7 @@ export default {
   normalizeUTF8,
   tokenizeText,
   sentenceSegmentation,
+  segmentSentencesAcrossVerses,
   detectVerses,
   estimateSyllables,
   calculateStatistics,
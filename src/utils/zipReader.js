@@ -0,0 +1,142 @@
+/**
+ * Minimaler ZIP-Leser für Textdateien
+ * Unterstützt unkomprimierte (Methode 0) und Deflate-Einträge (Methode 8) über DecompressionStream.
+ */
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+/**
+ * Liest alle Textdateien (Standard: .txt) aus einem ZIP-Archiv
+ *
+ * @param {ArrayBuffer} buffer - Inhalt der ZIP-Datei
+ * @param {Object} options - { extensions: ['.txt'] }
+ * @returns {Promise<Array>} [{ name, text }] in Archiv-Reihenfolge
+ */
+export const readZipTextFiles = async (buffer, options = {}) => {
+  const extensions = options.extensions || ['.txt'];
+  const view = new DataView(buffer);
+  const entries = readCentralDirectory(view);
+
+  const files = [];
+  for (const entry of entries) {
+    const lowerName = entry.name.toLowerCase();
+    const baseName = entry.name.split('/').pop();
+    // Ordner, macOS-Metadaten und versteckte Dateien überspringen
+    if (entry.name.endsWith('/') || lowerName.startsWith('__macosx/') || baseName.startsWith('.')) continue;
+    if (!extensions.some(ext => lowerName.endsWith(ext))) continue;
+
+    const bytes = await extractEntry(view, entry);
+    files.push({ name: entry.name, text: decodeText(bytes) });
+  }
+
+  return files;
+};
+
+/**
+ * Liest das zentrale Verzeichnis
+ * @private
+ */
+const readCentralDirectory = (view) => {
+  const eocdOffset = findEndOfCentralDirectory(view);
+  if (eocdOffset < 0) {
+    throw new Error('Keine gültige ZIP-Datei');
+  }
+
+  const entryCount = view.getUint16(eocdOffset + 10, true);
+  let offset = view.getUint32(eocdOffset + 16, true);
+  const entries = [];
+
+  for (let i = 0; i < entryCount; i++) {
+    if (view.getUint32(offset, true) !== CENTRAL_DIRECTORY_HEADER) {
+      throw new Error('Beschädigtes ZIP-Verzeichnis');
+    }
+
+    const flags = view.getUint16(offset + 8, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const nameBytes = new Uint8Array(view.buffer, view.byteOffset + offset + 46, nameLength);
+
+    entries.push({
+      // Bit 11: Dateiname in UTF-8, sonst CP437 (für ASCII-Namen identisch)
+      name: new TextDecoder(flags & 0x0800 ? 'utf-8' : 'latin1').decode(nameBytes),
+      method: view.getUint16(offset + 10, true),
+      compressedSize: view.getUint32(offset + 20, true),
+      uncompressedSize: view.getUint32(offset + 24, true),
+      localHeaderOffset: view.getUint32(offset + 42, true)
+    });
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+};
+
+/**
+ * Sucht den End-of-Central-Directory-Eintrag (am Dateiende, ggf. nach Kommentar)
+ * @private
+ */
+const findEndOfCentralDirectory = (view) => {
+  const minOffset = Math.max(0, view.byteLength - 22 - 0xffff);
+  for (let offset = view.byteLength - 22; offset >= minOffset; offset--) {
+    if (view.getUint32(offset, true) === END_OF_CENTRAL_DIRECTORY) {
+      return offset;
+    }
+  }
+  return -1;
+};
+
+/**
+ * Entpackt einen Eintrag
+ * @private
+ */
+const extractEntry = async (view, entry) => {
+  const offset = entry.localHeaderOffset;
+  if (view.getUint32(offset, true) !== LOCAL_FILE_HEADER) {
+    throw new Error(`Beschädigter ZIP-Eintrag: ${entry.name}`);
+  }
+
+  const nameLength = view.getUint16(offset + 26, true);
+  const extraLength = view.getUint16(offset + 28, true);
+  const dataStart = view.byteOffset + offset + 30 + nameLength + extraLength;
+  const data = new Uint8Array(view.buffer, dataStart, entry.compressedSize);
+
+  if (entry.method === 0) {
+    return data;
+  }
+  if (entry.method === 8) {
+    return inflateRaw(data);
+  }
+  throw new Error(`Nicht unterstützte ZIP-Kompression (${entry.method}) in ${entry.name}`);
+};
+
+/**
+ * Dekomprimiert Deflate-Daten ohne zlib-Header
+ * @private
+ */
+const inflateRaw = async (data) => {
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error('Browser unterstützt keine ZIP-Dekomprimierung (DecompressionStream)');
+  }
+
+  const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+/**
+ * Dekodiert Text als UTF-8, bei ungültigen Bytes als Windows-1252 (ältere Korpora)
+ * @private
+ */
+const decodeText = (bytes) => {
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(bytes).replace(/^\uFEFF/, '');
+  } catch {
+    return new TextDecoder('windows-1252').decode(bytes);
+  }
+};
+
+export default {
+  readZipTextFiles
+};
@@ -0,0 +1,97 @@
+import { handleAnalysisRequest } from './requestHandler';
+import { WORKER_MESSAGES } from '../utils/constants';
+import { isCancellationError } from '../utils/errors';
+
+/**
+ * Analyse-Worker
+ * Führt Model-Laden und die komplette Analyse-Pipeline außerhalb des UI-Threads aus.
+ * Protokoll: Anfrage { id, type, payload } -> Antworten { id, type: progress|result|error, ... }
+ * Eine Nachricht { id, type: cancel } bricht die Anfrage mit derselben id kooperativ ab.
+ */
+
+// Laufende Anfragen: id -> AbortController
+const activeRequests = new Map();
+
+/**
+ * Wandelt ein Zahlen-Array in ein Float32Array und merkt sich dessen Buffer zum Transfer
+ * @private
+ */
+const toFloat32 = (vector, transfer) => {
+  if (!vector) return vector;
+  const typed = new Float32Array(vector);
+  transfer.push(typed.buffer);
+  return typed;
+};
+
+/**
+ * Ersetzt Embedding-Vektoren durch transferierbare Float32Arrays
+ * Arbeitet auf Kopien, damit Cache und currentAnalysis des Workers intakt bleiben
+ * @private
+ */
+const packSemantics = (semantics, transfer) => {
+  if (!semantics) return semantics;
+
+  return {
+    ...semantics,
+    textEmbedding: semantics.textEmbedding
+      ? { ...semantics.textEmbedding, vector: toFloat32(semantics.textEmbedding.vector, transfer) }
+      : semantics.textEmbedding,
+    wordEmbeddings: (semantics.wordEmbeddings || []).map(we => ({
+      ...we,
+      embedding: toFloat32(we.embedding, transfer)
+    }))
+  };
+};
+
+/**
+ * Bereitet ein Ergebnis für postMessage vor
+ * @private
+ * @returns {Object} { payload, transfer }
+ */
+const packResult = (result) => {
+  const transfer = [];
+  if (!result || typeof result !== 'object') {
+    return { payload: result, transfer };
+  }
+
+  const payload = { ...result };
+  if (result.semantics) {
+    payload.semantics = packSemantics(result.semantics, transfer);
+  }
+  if (result.embedding?.embedding) {
+    payload.embedding = { ...result.embedding, embedding: toFloat32(result.embedding.embedding, transfer) };
+  }
+
+  return { payload, transfer };
+};
+
+self.onmessage = async (event) => {
+  const { id, type, payload } = event.data || {};
+
+  if (type === WORKER_MESSAGES.CANCEL) {
+    activeRequests.get(id)?.abort();
+    return;
+  }
+
+  const controller = new AbortController();
+  activeRequests.set(id, controller);
+
+  try {
+    const result = await handleAnalysisRequest(type, payload, (progress) => {
+      self.postMessage({ id, type: WORKER_MESSAGES.PROGRESS, payload: progress });
+    }, controller.signal);
+    const packed = packResult(result);
+    self.postMessage({ id, type: WORKER_MESSAGES.RESULT, payload: packed.payload }, packed.transfer);
+  } catch (error) {
+    if (!isCancellationError(error)) {
+      console.error('Analyse-Worker Fehler:', error);
+    }
+    self.postMessage({
+      id,
+      type: WORKER_MESSAGES.ERROR,
+      error: { name: error.name, message: error.message }
+    });
+  } finally {
+    activeRequests.delete(id);
+  }
+};
@@ -0,0 +1,61 @@
+import modelLoader from '../services/modelLoader';
+import textAnalyzer from '../services/textAnalyzer';
+import { WORKER_MESSAGES } from '../utils/constants';
+
+/**
+ * Führt eine Analyse-Anfrage aus
+ * Wird vom Worker genutzt und dient ohne Worker-Unterstützung als Fallback im UI-Thread
+ *
+ * @param {string} type - Nachrichtentyp aus WORKER_MESSAGES
+ * @param {Object} payload - Parameter der Anfrage
+ * @param {function} onProgress - Callback für Fortschritt
+ * @param {AbortSignal} signal - Optionales Signal zum Abbrechen
+ * @returns {Promise<*>} Klonbares Ergebnis
+ */
+export const handleAnalysisRequest = async (type, payload = {}, onProgress = null, signal = null) => {
+  switch (type) {
+    case WORKER_MESSAGES.ANALYZE:
+      return textAnalyzer.analyze(payload.text, payload.options, onProgress, signal);
+
+    case WORKER_MESSAGES.ANALYZE_PARTIAL:
+      return textAnalyzer.analyzePartial(payload.text, payload.aspects, signal);
+
+    case WORKER_MESSAGES.ANALYZE_WORD:
+      return textAnalyzer.analyzeWord(payload.word, payload.context);
+
+    case WORKER_MESSAGES.COMPARE_TEXTS:
+      return textAnalyzer.compareTexts(payload.text1, payload.text2, signal);
+
+    case WORKER_MESSAGES.COMPARE_MANY:
+      return textAnalyzer.compareMany(payload.texts, onProgress, signal);
+
+    case WORKER_MESSAGES.CLEAR_ANALYSIS:
+      textAnalyzer.clearAnalysis();
+      return null;
+
+    case WORKER_MESSAGES.LOAD_MODEL:
+      // Pipelines sind nicht klonbar: nur den Status zurückgeben
+      await modelLoader.loadModel(payload.modelKey, onProgress);
+      return { modelKey: payload.modelKey, loaded: modelLoader.isModelLoaded(payload.modelKey) };
+
+    case WORKER_MESSAGES.LOAD_MODELS: {
+      const loadedModels = await modelLoader.loadMultipleModels(payload.modelKeys, onProgress);
+      return Object.fromEntries(Object.keys(loadedModels).map(key => [key, true]));
+    }
+
+    case WORKER_MESSAGES.UNLOAD_MODEL:
+      modelLoader.unloadModel(payload.modelKey);
+      return null;
+
+    case WORKER_MESSAGES.UNLOAD_ALL_MODELS:
+      modelLoader.unloadAllModels();
+      return null;
+
+    default:
+      throw new Error(`Unbekannter Nachrichtentyp: ${type}`);
+  }
+};
+
+export default {
+  handleAnalysisRequest
+};